@@ -0,0 +1,202 @@
+// design-polish plugin - WCAG report history: new, fixed and persisting violations
+//
+// 실행마다 .design-polish/accessibility/history/<timestamp>.json 에 위반
+// fingerprint 를 페이지(라우트/디바이스/스킴)별로 남깁니다. 라우트마다 같은
+// 디바이스/스킴을 검사한 가장 최근 실행과 비교하므로, 일부 라우트만 다시
+// 검사해도 나머지 라우트가 "수정됨"으로 잡히지 않습니다. axe 설정(태그, 규칙,
+// include/exclude)이 다른 실행끼리는 비교하지 않습니다.
+
+const fs = require('fs');
+const path = require('path');
+
+const HISTORY_DIR = 'history';
+
+function historyDir(accessibilityDir) {
+  return path.join(accessibilityDir, HISTORY_DIR);
+}
+
+// 비교 가능한 실행인지 판단하는 키
+function optionsKey(axe = {}) {
+  const sorted = list => [...(list || [])].sort();
+  return JSON.stringify({
+    tags: sorted(axe.tags),
+    rules: sorted(axe.rules),
+    disableRules: sorted(axe.disableRules),
+    include: sorted(axe.include),
+    exclude: sorted(axe.exclude),
+  });
+}
+
+function cellKey(page) {
+  return `${page.device}/${page.scheme}`;
+}
+
+// aggregateReports 결과 → 히스토리 항목 (fingerprint 와 요약만)
+function historyEntry(report) {
+  const issues = {};
+  const pageIssues = new Map();
+
+  for (const v of report.violations) {
+    for (const node of v.nodes) {
+      issues[node.fingerprint] = { rule: v.id, impact: v.impact, selector: node.selector, help: v.help };
+      for (const o of node.occurrences) {
+        const key = `${o.route} ${o.device}/${o.scheme}`;
+        if (!pageIssues.has(key)) pageIssues.set(key, new Set());
+        pageIssues.get(key).add(node.fingerprint);
+      }
+    }
+  }
+
+  return {
+    timestamp: report.timestamp,
+    baseUrl: report.baseUrl,
+    optionsKey: optionsKey(report.options),
+    summary: report.summary,
+    pages: report.pages.map(page => ({
+      route: page.route,
+      device: page.device,
+      scheme: page.scheme,
+      error: page.error,
+      issues: page.error ? [] : [...(pageIssues.get(`${page.route} ${cellKey(page)}`) || [])],
+    })),
+    issues,
+  };
+}
+
+// 오래된 순으로 정렬한 히스토리
+function readHistory(accessibilityDir) {
+  const dir = historyDir(accessibilityDir);
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(name => name.endsWith('.json'))
+    .sort()
+    .map(name => {
+      try {
+        return { file: name, ...JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')) };
+      } catch (error) {
+        console.warn(`Skipping unreadable history file ${name}: ${error.message}`);
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+// 라우트의 셀들을 모두 (에러 없이) 검사한 실행이면 그 셀들의 fingerprint 목록을 반환
+function routeIssues(run, route, cells) {
+  const fingerprints = new Set();
+  for (const cell of cells) {
+    const page = run.pages.find(p => p.route === route && cellKey(p) === cell && !p.error);
+    if (!page) return null;
+    page.issues.forEach(fp => fingerprints.add(fp));
+  }
+  return fingerprints;
+}
+
+function describeIssue(run, fp) {
+  return { fingerprint: fp, ...run.issues[fp] };
+}
+
+// current: historyEntry, previous: 같은 설정의 이전 실행 (오래된 순)
+function diffRuns(current, previous) {
+  const routes = [];
+
+  for (const route of [...new Set(current.pages.map(p => p.route))]) {
+    const cells = current.pages.filter(p => p.route === route && !p.error).map(cellKey);
+    if (cells.length === 0) {
+      routes.push({ route, status: 'error', comparedWith: null, issues: 0, new: [], fixed: [], persisting: [] });
+      continue;
+    }
+
+    const now = routeIssues(current, route, cells);
+    let before = null;
+    let baseline = null;
+    for (let i = previous.length - 1; i >= 0 && !before; i--) {
+      before = routeIssues(previous[i], route, cells);
+      baseline = previous[i];
+    }
+
+    if (!before) {
+      routes.push({ route, status: 'first-run', comparedWith: null, issues: now.size, new: [], fixed: [], persisting: [] });
+      continue;
+    }
+
+    const added = [...now].filter(fp => !before.has(fp));
+    const fixed = [...before].filter(fp => !now.has(fp));
+    routes.push({
+      route,
+      status: added.length > 0 ? 'regressed' : (fixed.length > 0 ? 'improved' : 'unchanged'),
+      comparedWith: baseline.timestamp,
+      issues: now.size,
+      new: added.map(fp => describeIssue(current, fp)),
+      fixed: fixed.map(fp => describeIssue(baseline, fp)),
+      persisting: [...now].filter(fp => before.has(fp)).map(fp => describeIssue(current, fp)),
+    });
+  }
+
+  const compared = routes.filter(r => r.comparedWith);
+  return {
+    routes,
+    summary: {
+      compared: compared.length,
+      new: compared.reduce((sum, r) => sum + r.new.length, 0),
+      fixed: compared.reduce((sum, r) => sum + r.fixed.length, 0),
+      persisting: compared.reduce((sum, r) => sum + r.persisting.length, 0),
+      regressed: compared.filter(r => r.status === 'regressed').map(r => r.route),
+      improved: compared.filter(r => r.status === 'improved').map(r => r.route),
+    },
+  };
+}
+
+// 최근 limit 개 실행의 위반 수 추이 (같은 설정끼리, 오래된 순). 0 이면 빈 목록
+function summarizeTrend(runs, limit) {
+  if (!(limit > 0)) return [];
+  return runs.slice(-limit).map(run => ({
+    timestamp: run.timestamp,
+    routes: [...new Set(run.pages.map(p => p.route))],
+    pages: run.summary.pages,
+    rules: run.summary.rules,
+    elements: run.summary.elements,
+    byImpact: run.summary.byImpact,
+    passed: run.summary.passed,
+  }));
+}
+
+function pruneHistory(accessibilityDir, keep) {
+  const dir = historyDir(accessibilityDir);
+  const files = fs.readdirSync(dir).filter(name => name.endsWith('.json')).sort();
+  for (const name of files.slice(0, Math.max(0, files.length - keep))) {
+    fs.unlinkSync(path.join(dir, name));
+  }
+}
+
+// 이번 실행을 기록하고 이전 실행과 비교
+// options: { keep (보관할 실행 수), trend (추이에 넣을 실행 수) }
+function recordRun(accessibilityDir, report, options = {}) {
+  const current = historyEntry(report);
+  const previous = readHistory(accessibilityDir).filter(run => run.optionsKey === current.optionsKey);
+
+  const dir = historyDir(accessibilityDir);
+  const file = `${current.timestamp.replace(/[:.]/g, '-')}.json`;
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, file), JSON.stringify(current, null, 2));
+  if (options.keep > 0) {
+    pruneHistory(accessibilityDir, options.keep);
+  }
+
+  return {
+    file: path.join(HISTORY_DIR, file),
+    runs: previous.length + 1,
+    ...diffRuns(current, previous),
+    trend: summarizeTrend([...previous, current], options.trend === undefined ? 5 : options.trend),
+  };
+}
+
+module.exports = {
+  optionsKey,
+  historyEntry,
+  readHistory,
+  diffRuns,
+  summarizeTrend,
+  recordRun,
+};
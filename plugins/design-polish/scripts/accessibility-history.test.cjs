@@ -0,0 +1,79 @@
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, beforeEach, afterEach } = require('node:test');
+const a11y = require('./accessibility-report.cjs');
+const history = require('./accessibility-history.cjs');
+
+const PAGE_REPORTS = require(path.join(__dirname, '..', 'tests', 'fixtures', 'accessibility', 'page-reports.json'));
+
+let dir;
+
+// timestamp 를 고정한 리포트 (히스토리 파일 이름이 겹치지 않게)
+function report(pages, timestamp, axe) {
+  return { ...a11y.aggregateReports(pages, { axe }), timestamp };
+}
+
+// image-alt 를 고친 다음 실행
+function withoutImageAlt(pages) {
+  return pages.map(page => (page.violations
+    ? { ...page, violations: page.violations.filter(v => v.id !== 'image-alt') }
+    : page));
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'design-polish-history-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('the first run has nothing to compare with', () => {
+  const result = history.recordRun(dir, report(PAGE_REPORTS, '2026-01-01T00:00:00.000Z'));
+
+  assert.equal(result.file, path.join('history', '2026-01-01T00-00-00-000Z.json'));
+  assert.deepEqual(result.routes.map(r => [r.route, r.status, r.issues]), [
+    ['/', 'first-run', 3],
+    ['/about', 'first-run', 1],
+    ['/pricing', 'error', 0],
+  ]);
+  assert.equal(result.summary.compared, 0);
+});
+
+test('a later run reports fixed and persisting violations per route', () => {
+  history.recordRun(dir, report(PAGE_REPORTS, '2026-01-01T00:00:00.000Z'));
+  const result = history.recordRun(dir, report(withoutImageAlt(PAGE_REPORTS), '2026-01-02T00:00:00.000Z'));
+
+  assert.deepEqual(result.routes.map(r => [r.route, r.status, r.comparedWith]), [
+    ['/', 'improved', '2026-01-01T00:00:00.000Z'],
+    ['/about', 'unchanged', '2026-01-01T00:00:00.000Z'],
+    ['/pricing', 'error', null],
+  ]);
+  assert.deepEqual(result.routes[0].fixed.map(issue => [issue.rule, issue.selector]), [['image-alt', 'img.logo']]);
+  assert.deepEqual(result.summary, { compared: 2, new: 0, fixed: 1, persisting: 3, regressed: [], improved: ['/'] });
+  assert.deepEqual(result.trend.map(t => t.elements), [3, 2]);
+});
+
+test('runs with different axe options are not compared', () => {
+  history.recordRun(dir, report(PAGE_REPORTS, '2026-01-01T00:00:00.000Z', { tags: ['wcag2a'] }));
+  const result = history.recordRun(dir, report(withoutImageAlt(PAGE_REPORTS), '2026-01-02T00:00:00.000Z', { tags: ['wcag2aa'] }));
+
+  assert.equal(result.runs, 1);
+  assert.equal(result.routes[0].status, 'first-run');
+  assert.equal(history.readHistory(dir).length, 2);
+});
+
+test('trend 0 leaves the trend out and keep 0 keeps every run', () => {
+  const days = ['01', '02', '03'];
+  let result;
+  for (const day of days) {
+    result = history.recordRun(dir, report(PAGE_REPORTS, `2026-01-${day}T00:00:00.000Z`), { keep: 0, trend: 0 });
+  }
+  assert.deepEqual(result.trend, []);
+  assert.equal(history.readHistory(dir).length, 3);
+
+  history.recordRun(dir, report(PAGE_REPORTS, '2026-01-04T00:00:00.000Z'), { keep: 2 });
+  assert.deepEqual(history.readHistory(dir).map(run => run.timestamp), ['2026-01-03T00:00:00.000Z', '2026-01-04T00:00:00.000Z']);
+});
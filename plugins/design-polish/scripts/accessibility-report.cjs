@@ -0,0 +1,315 @@
+// design-polish plugin - aggregated WCAG report (JSON, Markdown, SARIF)
+//
+// 라우트/디바이스/스킴별 axe 결과를 규칙 단위로 묶습니다. 여러 페이지에
+// 공통으로 있는 컴포넌트(같은 규칙 + 같은 selector)는 한 번만 세고,
+// 어느 페이지에서 나왔는지는 occurrences 에 남깁니다.
+
+const crypto = require('crypto');
+
+const IMPACTS = ['minor', 'moderate', 'serious', 'critical'];
+
+function impactRank(impact) {
+  return IMPACTS.indexOf(impact || 'minor');
+}
+
+// impact 가 threshold 이상인지 (threshold 가 없으면 항상 false)
+function meetsImpact(impact, threshold) {
+  if (!threshold) return false;
+  return impactRank(impact) >= impactRank(threshold);
+}
+
+function targetKey(target) {
+  return JSON.stringify(target);
+}
+
+function formatTarget(target) {
+  return target.map(part => (Array.isArray(part) ? part.join(' >>> ') : part)).join(' | ');
+}
+
+// 빌드마다 바뀌는 부분을 지운 selector (fingerprint 용)
+// - CSS-in-JS 클래스: .css-1q2w3e, .sc-bdVaJa, .jsx-123 → .css-*
+// - CSS Modules 해시: .Button_primary__3xYz1 → .Button_primary__*
+// - id 안의 숫자: #radix-\:r12\:, #headlessui-menu-3 → 숫자를 * 로
+function normalizeTarget(target) {
+  return formatTarget(target)
+    .replace(/\s+/g, ' ')
+    .replace(/\.(css|sc|jsx|emotion|styled|svelte)-[\w-]+/g, '.$1-*')
+    .replace(/__(?=[\w-]*\d)[\w-]{5,}/g, '__*')
+    .replace(/#(?:\\.|[\w-])+/g, id => id.replace(/\d+/g, '*'))
+    .trim();
+}
+
+// 실행 간 같은 위반을 알아보기 위한 키 (규칙 + 정규화한 selector)
+function fingerprint(ruleId, target) {
+  return crypto.createHash('sha1').update(`${ruleId}\n${normalizeTarget(target)}`).digest('hex').slice(0, 12);
+}
+
+// pageReports: runAccessibilityCheck 결과에 route/device/scheme 을 붙인 목록
+// options: { failOn, baseUrl, axe: { tags, rules, disableRules, include, exclude } }
+function aggregateReports(pageReports, options = {}) {
+  const rules = new Map();
+  const incomplete = new Map();
+
+  for (const page of pageReports) {
+    const where = { route: page.route, device: page.device, scheme: page.scheme, url: page.url };
+
+    for (const violation of page.violations || []) {
+      if (!rules.has(violation.id)) {
+        rules.set(violation.id, {
+          id: violation.id,
+          impact: violation.impact,
+          help: violation.help,
+          description: violation.description,
+          helpUrl: violation.helpUrl,
+          tags: violation.tags || [],
+          pages: new Set(),
+          nodes: new Map(),
+        });
+      }
+      const rule = rules.get(violation.id);
+      if (impactRank(violation.impact) > impactRank(rule.impact)) rule.impact = violation.impact;
+      rule.pages.add(page.route);
+
+      // Flutter semantics 노드는 역할/이름(label)으로 식별
+      for (const node of violation.nodes) {
+        const target = node.label ? [node.label] : node.target;
+        const key = targetKey(target);
+        if (!rule.nodes.has(key)) {
+          rule.nodes.set(key, {
+            target: node.target,
+            selector: formatTarget(target),
+            fingerprint: fingerprint(violation.id, target),
+            html: node.html,
+            failureSummary: node.failureSummary,
+            occurrences: [],
+          });
+        }
+        rule.nodes.get(key).occurrences.push(where);
+      }
+    }
+
+    for (const item of page.incomplete || []) {
+      if (!incomplete.has(item.id)) {
+        incomplete.set(item.id, { id: item.id, impact: item.impact, description: item.description, pages: new Set() });
+      }
+      incomplete.get(item.id).pages.add(page.route);
+    }
+  }
+
+  const violations = [...rules.values()]
+    .map(rule => ({
+      ...rule,
+      pages: [...rule.pages],
+      nodes: [...rule.nodes.values()],
+      elements: rule.nodes.size,
+      shared: [...rule.nodes.values()].filter(n => new Set(n.occurrences.map(o => o.route)).size > 1).length,
+    }))
+    .sort((a, b) => impactRank(b.impact) - impactRank(a.impact) || b.elements - a.elements || a.id.localeCompare(b.id));
+
+  const byImpact = Object.fromEntries(IMPACTS.slice().reverse().map(impact => [
+    impact,
+    violations.filter(v => v.impact === impact).reduce((sum, v) => sum + v.elements, 0),
+  ]));
+  const blocking = violations.filter(v => meetsImpact(v.impact, options.failOn));
+  // axe 를 실행하지 못한 페이지는 위반이 없어도 게이트 실패
+  const errors = pageReports.filter(page => page.error);
+
+  return {
+    timestamp: new Date().toISOString(),
+    baseUrl: options.baseUrl,
+    engine: (pageReports.find(p => p.engine) || {}).engine || null,
+    options: options.axe || {},
+    summary: {
+      pages: pageReports.length,
+      rules: violations.length,
+      elements: violations.reduce((sum, v) => sum + v.elements, 0),
+      occurrences: violations.reduce((sum, v) => sum + v.nodes.reduce((n, node) => n + node.occurrences.length, 0), 0),
+      byImpact,
+      failOn: options.failOn || null,
+      blocking: blocking.reduce((sum, v) => sum + v.elements, 0),
+      errors: errors.length,
+      passed: blocking.length === 0 && (!options.failOn || errors.length === 0),
+    },
+    pages: pageReports.map(page => ({
+      route: page.route,
+      device: page.device,
+      scheme: page.scheme,
+      url: page.url,
+      violations: page.summary ? page.summary.violations : null,
+      passes: page.summary ? page.summary.passes : null,
+      incomplete: page.summary ? page.summary.incomplete : null,
+      semantics: page.semantics,
+      error: page.error,
+    })),
+    violations,
+    incomplete: [...incomplete.values()].map(item => ({ ...item, pages: [...item.pages] })),
+  };
+}
+
+// ============================================
+// Markdown
+// ============================================
+
+function escapeCell(text) {
+  return String(text || '').replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim();
+}
+
+function formatMarkdown(report) {
+  const { summary } = report;
+  const lines = ['# WCAG Report', ''];
+
+  const impacts = Object.entries(summary.byImpact).filter(([, count]) => count > 0)
+    .map(([impact, count]) => `${impact} ${count}`).join(', ');
+  lines.push(`- Pages: ${summary.pages}`);
+  lines.push(`- Violations: ${summary.rules} rule(s), ${summary.elements} element(s)${impacts ? ` (${impacts})` : ''}`);
+  if (summary.errors > 0) {
+    lines.push(`- Not checked: ${summary.errors} page(s) with errors`);
+  }
+  if (summary.failOn) {
+    const reasons = [
+      summary.blocking > 0 ? `${summary.blocking} element(s)` : null,
+      summary.errors > 0 ? `${summary.errors} page(s) not checked` : null,
+    ].filter(Boolean).join(', ');
+    lines.push(`- Gate: ${summary.failOn} or worse - ${summary.passed ? 'passed' : `FAILED (${reasons})`}`);
+  }
+  lines.push('');
+
+  if (report.violations.length > 0) {
+    lines.push('| Impact | Rule | Elements | Pages | Help |');
+    lines.push('|--------|------|----------|-------|------|');
+    for (const v of report.violations) {
+      lines.push(`| ${v.impact} | \`${v.id}\` | ${v.elements}${v.shared ? ` (${v.shared} shared)` : ''} | ${v.pages.length} | [${escapeCell(v.help || v.description)}](${v.helpUrl}) |`);
+    }
+    lines.push('');
+
+    for (const v of report.violations) {
+      lines.push(`## ${v.id} (${v.impact})`, '', escapeCell(v.description), '');
+      for (const node of v.nodes) {
+        const places = [...new Set(node.occurrences.map(o => o.route))];
+        lines.push(`- \`${escapeCell(node.selector)}\` - ${places.join(', ')}`);
+      }
+      lines.push('');
+    }
+  } else if (summary.errors > 0) {
+    lines.push('No violations on the checked pages.', '');
+  } else {
+    lines.push('No violations.', '');
+  }
+
+  if (report.history) {
+    lines.push(...formatHistory(report.history), '');
+  }
+
+  lines.push('## Pages', '', '| Route | Device | Scheme | Violations | Passes |', '|-------|--------|--------|------------|--------|');
+  for (const page of report.pages) {
+    const violations = page.error ? `error: ${escapeCell(page.error)}` : page.violations;
+    lines.push(`| ${page.route} | ${page.device} | ${page.scheme} | ${violations} | ${page.passes === null ? '-' : page.passes} |`);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+// 이전 실행 대비 변경 (accessibility-history.cjs 의 recordRun 결과)
+function formatHistory(history) {
+  const lines = ['## Changes Since Last Run', ''];
+  const { summary } = history;
+
+  if (summary.compared === 0) {
+    lines.push('No earlier run with the same routes, devices and axe options.');
+  } else {
+    lines.push(`${summary.new} new, ${summary.fixed} fixed, ${summary.persisting} persisting element(s) on ${summary.compared} route(s).`, '');
+    lines.push('| Route | Status | New | Fixed | Persisting | Compared with |', '|-------|--------|-----|-------|------------|---------------|');
+    for (const r of history.routes) {
+      lines.push(`| ${r.route} | ${r.status} | ${r.new.length} | ${r.fixed.length} | ${r.persisting.length} | ${r.comparedWith || '-'} |`);
+    }
+    for (const [label, key] of [['New', 'new'], ['Fixed', 'fixed']]) {
+      const items = history.routes.flatMap(r => r[key].map(issue => ({ route: r.route, ...issue })));
+      if (items.length === 0) continue;
+      lines.push('', `### ${label}`, '');
+      for (const issue of items) {
+        lines.push(`- ${issue.route}: \`${issue.rule}\` (${issue.impact}) \`${escapeCell(issue.selector)}\``);
+      }
+    }
+  }
+
+  if (history.trend.length > 1) {
+    lines.push('', `Trend (last ${history.trend.length} runs): ${history.trend.map(t => t.elements).join(' → ')} element(s)`);
+  }
+  return lines;
+}
+
+// ============================================
+// SARIF 2.1.0
+// ============================================
+
+const SARIF_LEVELS = { critical: 'error', serious: 'error', moderate: 'warning', minor: 'note' };
+
+function toSarif(report) {
+  const rules = report.violations.map(v => ({
+    id: v.id,
+    shortDescription: { text: v.help || v.id },
+    fullDescription: { text: v.description },
+    helpUri: v.helpUrl,
+    properties: { tags: v.tags, impact: v.impact },
+  }));
+
+  const results = [];
+  report.violations.forEach((v, ruleIndex) => {
+    for (const node of v.nodes) {
+      const urls = [...new Set(node.occurrences.map(o => o.url))];
+      results.push({
+        ruleId: v.id,
+        ruleIndex,
+        level: SARIF_LEVELS[v.impact] || 'warning',
+        message: { text: `${v.help || v.description}: ${node.selector}` },
+        locations: urls.map(url => ({
+          physicalLocation: { artifactLocation: { uri: url } },
+          logicalLocations: [{ fullyQualifiedName: node.selector, kind: 'element' }],
+        })),
+        partialFingerprints: { 'axeTarget/v1': `${v.id}:${node.selector}`, 'designPolish/v1': node.fingerprint },
+        properties: {
+          impact: v.impact,
+          html: node.html,
+          occurrences: node.occurrences.map(({ route, device, scheme }) => ({ route, device, scheme })),
+        },
+      });
+    }
+  });
+
+  // axe 를 실행하지 못한 페이지는 실행 실패 알림으로 남김
+  const errors = report.pages.filter(page => page.error);
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'axe-core',
+          version: report.engine ? report.engine.version : undefined,
+          informationUri: 'https://github.com/dequelabs/axe-core',
+          rules,
+        },
+      },
+      invocations: [{
+        executionSuccessful: errors.length === 0,
+        toolExecutionNotifications: errors.map(page => ({
+          level: 'error',
+          message: { text: `axe could not check ${page.route} [${page.device}, ${page.scheme}]: ${page.error}` },
+          locations: page.url ? [{ physicalLocation: { artifactLocation: { uri: page.url } } }] : [],
+        })),
+      }],
+      results,
+    }],
+  };
+}
+
+module.exports = {
+  IMPACTS,
+  meetsImpact,
+  normalizeTarget,
+  fingerprint,
+  aggregateReports,
+  formatMarkdown,
+  toSarif,
+};
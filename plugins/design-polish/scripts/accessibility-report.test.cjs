@@ -0,0 +1,93 @@
+const assert = require('assert/strict');
+const path = require('path');
+const { test } = require('node:test');
+const a11y = require('./accessibility-report.cjs');
+
+const PAGE_REPORTS = require(path.join(__dirname, '..', 'tests', 'fixtures', 'accessibility', 'page-reports.json'));
+const CHECKED = PAGE_REPORTS.filter(page => !page.error);
+const ERRORED = PAGE_REPORTS.filter(page => page.error);
+
+// 위반을 모두 지운 페이지 결과
+function clean(pages) {
+  return pages.map(page => (page.error ? page : { ...page, violations: [] }));
+}
+
+test('normalizeTarget drops build hashes so fingerprints survive rebuilds', () => {
+  assert.equal(a11y.normalizeTarget(['footer > .css-1q2w3e']), 'footer > .css-*');
+  assert.equal(a11y.normalizeTarget(['.Button_primary__3xYz1']), '.Button_primary__*');
+  assert.equal(a11y.normalizeTarget(['#headlessui-menu-3']), '#headlessui-menu-*');
+  assert.equal(a11y.fingerprint('color-contrast', ['.css-abc123']), a11y.fingerprint('color-contrast', ['.css-zz9']));
+});
+
+test('aggregateReports counts a component shared by several pages once', () => {
+  const report = a11y.aggregateReports(CHECKED, { failOn: 'critical' });
+
+  assert.deepEqual(report.violations.map(v => [v.id, v.impact, v.elements, v.shared, v.pages]), [
+    ['image-alt', 'critical', 1, 0, ['/']],
+    ['color-contrast', 'serious', 2, 1, ['/', '/about']],
+  ]);
+  assert.deepEqual(report.summary.byImpact, { critical: 1, serious: 2, moderate: 0, minor: 0 });
+  assert.equal(report.summary.occurrences, 4);
+  assert.equal(report.engine.version, '4.10.2');
+  assert.deepEqual(report.incomplete, [
+    { id: 'color-contrast', impact: 'serious', description: 'Background image could not be checked', pages: ['/'] },
+  ]);
+});
+
+test('the gate counts elements at or above the fail-on impact', () => {
+  assert.deepEqual(a11y.aggregateReports(CHECKED, { failOn: 'critical' }).summary.blocking, 1);
+  assert.deepEqual(a11y.aggregateReports(CHECKED, { failOn: 'serious' }).summary.blocking, 3);
+  assert.equal(a11y.aggregateReports(clean(CHECKED), { failOn: 'minor' }).summary.passed, true);
+  assert.equal(a11y.meetsImpact('critical', undefined), false);
+});
+
+test('a page axe could not check fails the gate even without violations', () => {
+  const report = a11y.aggregateReports(clean(PAGE_REPORTS), { failOn: 'critical' });
+
+  assert.equal(report.summary.errors, 1);
+  assert.equal(report.summary.blocking, 0);
+  assert.equal(report.summary.passed, false);
+  // fail-on 없이는 리포트만 남기고 실패로 보지 않음
+  assert.equal(a11y.aggregateReports(ERRORED).summary.passed, true);
+
+  const markdown = a11y.formatMarkdown(report);
+  assert.match(markdown, /^- Not checked: 1 page\(s\) with errors$/m);
+  assert.match(markdown, /^- Gate: critical or worse - FAILED \(1 page\(s\) not checked\)$/m);
+  assert.match(markdown, /^No violations on the checked pages\.$/m);
+  assert.match(markdown, /^\| \/pricing \| desktop \| light \| error: Navigation timeout of 30000 ms exceeded \| - \|$/m);
+});
+
+test('formatMarkdown lists blocking elements and errored pages as gate reasons', () => {
+  const markdown = a11y.formatMarkdown(a11y.aggregateReports(PAGE_REPORTS, { failOn: 'serious' }));
+
+  assert.match(markdown, /^- Violations: 2 rule\(s\), 3 element\(s\) \(critical 1, serious 2\)$/m);
+  assert.match(markdown, /^- Gate: serious or worse - FAILED \(3 element\(s\), 1 page\(s\) not checked\)$/m);
+  assert.match(markdown, /^\| serious \| `color-contrast` \| 2 \(1 shared\) \| 2 \| /m);
+  assert.match(markdown, /^- `footer > \.css-1q2w3e` - \/, \/about$/m);
+});
+
+test('toSarif reports results per element and errored pages as failed invocations', () => {
+  const sarif = a11y.toSarif(a11y.aggregateReports(PAGE_REPORTS, { failOn: 'serious' }));
+  const [run] = sarif.runs;
+
+  assert.equal(sarif.version, '2.1.0');
+  assert.deepEqual(run.tool.driver.rules.map(rule => rule.id), ['image-alt', 'color-contrast']);
+  assert.deepEqual(run.results.map(result => [result.ruleId, result.ruleIndex, result.level]), [
+    ['image-alt', 0, 'error'],
+    ['color-contrast', 1, 'error'],
+    ['color-contrast', 1, 'error'],
+  ]);
+  assert.deepEqual(run.results[1].locations.map(l => l.physicalLocation.artifactLocation.uri), [
+    'http://localhost:3000/',
+    'http://localhost:3000/about',
+  ]);
+  assert.deepEqual(run.invocations, [{
+    executionSuccessful: false,
+    toolExecutionNotifications: [{
+      level: 'error',
+      message: { text: 'axe could not check /pricing [desktop, light]: Navigation timeout of 30000 ms exceeded' },
+      locations: [{ physicalLocation: { artifactLocation: { uri: 'http://localhost:3000/pricing' } } }],
+    }],
+  }]);
+  assert.equal(a11y.toSarif(a11y.aggregateReports(CHECKED)).runs[0].invocations[0].executionSuccessful, true);
+});
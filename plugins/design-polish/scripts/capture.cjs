@@ -4,22 +4,89 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const visual = require('./visual-regression.cjs');
+const a11y = require('./accessibility-report.cjs');
+const a11yHistory = require('./accessibility-history.cjs');
+const flutterWeb = require('./flutter-web.cjs');
+const devServer = require('./dev-server.cjs');
+const projectConfig = require('./project-config.cjs');
+const actions = require('./page-actions.cjs');
 
 // ============================================
 // 설정
 // ============================================
 
+// 숫자 환경 변수: 0 도 유효한 값이므로 숫자가 아닐 때만 기본값
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
 const CONFIG = {
-  baseUrl: process.env.BASE_URL || 'http://localhost:3000',
+  baseUrl: process.env.BASE_URL || null, // 없으면 dev 서버를 감지해서 재사용하거나 실행
+  server: process.env.DEV_SERVER || 'auto',
+  serve: process.env.SERVE || 'dev',
+  staticDir: process.env.STATIC_DIR || null,
+  serverTimeout: envNumber('SERVER_TIMEOUT', 60000),
+  configFile: process.env.CONFIG_FILE || null,
   outputDir: process.env.OUTPUT_DIR || path.join(process.cwd(), '.design-polish', 'screenshots'),
   accessibilityDir: process.env.A11Y_DIR || path.join(process.cwd(), '.design-polish', 'accessibility'),
-  viewport: { width: 1280, height: 720 },
+  baselineDir: process.env.BASELINE_DIR || path.join(process.cwd(), '.design-polish', 'baselines'),
+  diffDir: process.env.DIFF_DIR || path.join(process.cwd(), '.design-polish', 'diffs'),
+  diffThreshold: envNumber('DIFF_THRESHOLD', 0.1),
+  pixelThreshold: envNumber('PIXEL_THRESHOLD', 0.1),
+  ignoreSelectors: (process.env.IGNORE_SELECTORS || '').split(';').filter(Boolean),
+  wcagTags: (process.env.WCAG_TAGS || 'wcag2a,wcag2aa,wcag21aa').split(',').filter(Boolean),
+  wcagRules: (process.env.WCAG_RULES || '').split(',').filter(Boolean),
+  wcagDisableRules: (process.env.WCAG_DISABLE_RULES || '').split(',').filter(Boolean),
+  wcagInclude: (process.env.WCAG_INCLUDE || '').split(';').filter(Boolean),
+  wcagExclude: (process.env.WCAG_EXCLUDE || '').split(';').filter(Boolean),
+  wcagFailOn: process.env.WCAG_FAIL_ON || null,
+  wcagFormats: (process.env.WCAG_FORMATS || 'json,markdown').split(',').filter(Boolean),
+  wcagTrendRuns: envNumber('WCAG_TREND_RUNS', 5),
+  wcagHistoryKeep: envNumber('WCAG_HISTORY_KEEP', 50),
+  devices: (process.env.DEVICES || 'desktop').split(','),
+  schemes: (process.env.COLOR_SCHEMES || 'light').split(','),
+  reducedMotion: process.env.REDUCED_MOTION === 'true',
+  flutter: process.env.FLUTTER_WEB === 'true',
+  urlStrategy: process.env.URL_STRATEGY || null,
   waitTime: parseInt(process.env.WAIT_TIME) || 2000,
   timeout: parseInt(process.env.TIMEOUT) || 30000,
   retries: parseInt(process.env.RETRIES) || 2,
   fullPage: process.env.FULL_PAGE === 'true' || false,
 };
 
+// 디바이스 프리셋 (--devices phone,tablet,desktop)
+const DEVICE_PRESETS = {
+  phone: {
+    width: 390,
+    height: 844,
+    deviceScaleFactor: 3,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1',
+  },
+  tablet: {
+    width: 820,
+    height: 1180,
+    deviceScaleFactor: 2,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: 'Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1',
+  },
+  desktop: {
+    width: 1280,
+    height: 720,
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false,
+  },
+};
+
+const COLOR_SCHEMES = ['light', 'dark'];
+
+const URL_STRATEGIES = ['hash', 'path'];
+
 // ============================================
 // 의존성 로드
 // ============================================
@@ -68,37 +135,330 @@ async function withRetry(fn, retries = CONFIG.retries) {
   }
 }
 
-async function checkServer(url) {
-  const http = url.startsWith('https') ? require('https') : require('http');
-  return new Promise((resolve) => {
-    const req = http.get(url, { timeout: 5000 }, (res) => {
-      resolve({ ok: true, status: res.statusCode });
+function routeSlug(route) {
+  return route === '/' ? 'main' : route.replace(/^\/+|\/+$/g, '').replace(/\//g, '-');
+}
+
+function slugify(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// ============================================
+// 페이지 열기 (일반 웹앱 / Flutter web)
+// ============================================
+
+function flutterMode(options = {}) {
+  return options.flutter === undefined ? CONFIG.flutter : Boolean(options.flutter);
+}
+
+// Flutter 는 기본이 hash URL 전략: /about → http://localhost:8080/#/about
+// base URL 끝의 / 는 무시: http://localhost:8080/app/ + /about → http://localhost:8080/app/about
+function routeUrl(route, options = {}) {
+  const strategy = options.urlStrategy || CONFIG.urlStrategy || (flutterMode(options) ? 'hash' : 'path');
+  const base = CONFIG.baseUrl.replace(/\/+$/, '');
+  const routePath = route.startsWith('/') ? route : `/${route}`;
+  return strategy === 'hash' ? `${base}/#${routePath}` : base + routePath;
+}
+
+// Flutter 첫 프레임 이벤트 추적 (새 페이지마다 한 번)
+async function preparePage(page, options = {}) {
+  if (flutterMode(options)) {
+    await flutterWeb.trackFirstFrame(page);
+  }
+}
+
+let flutterHintShown = false;
+
+// 설정의 waitFor 가 있으면 그 조건까지, 없으면 WAIT_TIME 만큼 대기
+async function settle(page, waitFor) {
+  if (waitFor !== undefined) {
+    await actions.waitForCondition(page, waitFor, CONFIG.timeout);
+  } else {
+    await sleep(CONFIG.waitTime);
+  }
+}
+
+// 일반 웹앱은 networkidle0 + 대기, Flutter 는 첫 프레임까지 대기
+// options.waitFor: 라우트별 대기 조건 (설정 파일)
+async function openPage(page, url, options = {}) {
+  if (flutterMode(options)) {
+    await withRetry(async () => {
+      // hash 라우트끼리는 문서가 다시 로드되지 않으므로 빈 페이지를 거쳐 첫 프레임부터 다시 기다림
+      await page.goto('about:blank');
+      await page.goto(url, { waitUntil: 'load', timeout: CONFIG.timeout });
+      await flutterWeb.waitForFirstFrame(page, CONFIG.timeout);
     });
-    req.on('error', () => resolve({ ok: false, status: 0 }));
-    req.on('timeout', () => {
-      req.destroy();
-      resolve({ ok: false, status: 0 });
+    if (options.waitFor !== undefined) {
+      await actions.waitForCondition(page, options.waitFor, CONFIG.timeout);
+    }
+    return;
+  }
+
+  await withRetry(async () => {
+    await page.goto(url, {
+      waitUntil: 'networkidle0',
+      timeout: CONFIG.timeout,
     });
   });
+  await settle(page, options.waitFor);
+
+  if (!flutterHintShown && options.flutter === undefined && await flutterWeb.isFlutterPage(page)) {
+    flutterHintShown = true;
+    console.warn('Flutter web app detected. Use --flutter to wait for the first frame and check the semantics tree.');
+  }
+}
+
+// 상대 경로는 로컬 라우트로, 절대 URL 은 그대로
+// origin 이 있으면 (레퍼런스) 상대 경로도 그 사이트 기준: /login → https://example.com/login
+function resolvePageUrl(target, options = {}) {
+  if (/^https?:\/\//.test(target)) return target;
+  return options.origin ? new URL(target, options.origin).href : routeUrl(target, options);
+}
+
+// 설정 파일의 페이지 옵션 적용: 로그인 → 쿠키/localStorage → 열기/대기 → 단계 실행
+// session: 페이지에 현재 로그인된 흐름 이름 ({ login }), 라우트 사이에 유지
+async function openConfiguredPage(page, url, pageOptions, options, session) {
+  if (pageOptions.login !== session.login) {
+    if (session.login) {
+      await actions.clearSession(page, url);
+    }
+    if (pageOptions.login) {
+      console.log(`Logging in: ${pageOptions.login}`);
+      await actions.runLogin(page, options.config.logins[pageOptions.login], {
+        open: target => openPage(page, resolvePageUrl(target, options), options),
+        timeout: CONFIG.timeout,
+      });
+    }
+    session.login = pageOptions.login;
+  }
+
+  const removeSeed = await actions.seedStorage(page, pageOptions, url);
+  try {
+    await openPage(page, url, { ...options, waitFor: pageOptions.waitFor });
+    await actions.runSteps(page, pageOptions.steps, CONFIG.timeout);
+  } finally {
+    await removeSeed();
+  }
+}
+
+// ============================================
+// 디바이스 / 컬러 스킴 매트릭스
+// ============================================
+
+// 프리셋 이름, Puppeteer KnownDevices 이름("iPhone 15 Pro") 또는 WIDTHxHEIGHT[@scale]
+function resolveDevice(spec) {
+  const name = spec.trim();
+  if (DEVICE_PRESETS[name]) {
+    return { name, ...DEVICE_PRESETS[name] };
+  }
+
+  const size = name.match(/^(\d+)x(\d+)(?:@(\d+(?:\.\d+)?))?$/);
+  if (size) {
+    return {
+      name: size[3] ? `${size[1]}x${size[2]}-${size[3].replace('.', '_')}x` : `${size[1]}x${size[2]}`,
+      width: parseInt(size[1]),
+      height: parseInt(size[2]),
+      deviceScaleFactor: size[3] ? parseFloat(size[3]) : 1,
+      isMobile: false,
+      hasTouch: false,
+    };
+  }
+
+  const known = puppeteer.KnownDevices && puppeteer.KnownDevices[name];
+  if (known) {
+    return { name: slugify(name), ...known.viewport, userAgent: known.userAgent };
+  }
+
+  throw new Error(`Unknown device: ${name} (presets: ${Object.keys(DEVICE_PRESETS).join(', ')}, a Puppeteer device name, or WIDTHxHEIGHT[@scale])`);
+}
+
+function resolveMatrix(options = {}) {
+  const devices = (options.devices || CONFIG.devices).filter(d => d.trim()).map(d => ({ ...resolveDevice(d), spec: d.trim() }));
+  const schemes = (options.schemes || CONFIG.schemes).map(s => s.trim()).filter(Boolean);
+
+  for (const scheme of schemes) {
+    if (!COLOR_SCHEMES.includes(scheme)) {
+      throw new Error(`Unknown color scheme: ${scheme} (expected ${COLOR_SCHEMES.join(', ')})`);
+    }
+  }
+  if (devices.length === 0 || schemes.length === 0) {
+    throw new Error('At least one device and one color scheme are required');
+  }
+
+  const reducedMotion = options.reducedMotion === undefined ? CONFIG.reducedMotion : options.reducedMotion;
+  const cells = [];
+  for (const device of devices) {
+    for (const scheme of schemes) {
+      cells.push({ device, scheme });
+    }
+  }
+  return { devices, schemes, reducedMotion, cells };
+}
+
+// 뷰포트, UA, prefers-color-scheme, prefers-reduced-motion 적용
+async function emulateCell(page, cell, reducedMotion) {
+  const { name, userAgent, ...viewport } = cell.device;
+  if (userAgent) {
+    await page.setUserAgent(userAgent);
+  } else {
+    await page.setUserAgent(await page.browser().userAgent());
+  }
+  await page.setViewport(viewport);
+  await page.emulateMediaFeatures([
+    { name: 'prefers-color-scheme', value: cell.scheme },
+    { name: 'prefers-reduced-motion', value: reducedMotion ? 'reduce' : 'no-preference' },
+  ]);
+}
+
+function cellSuffix(cell) {
+  return `${cell.device.name}-${cell.scheme}`;
+}
+
+// current-<route>-<device>-<scheme>.png, reference-<name>-<device>-<scheme>.png
+function screenshotFilename(kind, name, cell) {
+  return `${kind}-${name}-${cellSuffix(cell)}.png`;
+}
+
+function describeMatrix(matrix) {
+  return {
+    devices: matrix.devices.map(({ userAgent, ...device }) => device),
+    schemes: matrix.schemes,
+    reducedMotion: matrix.reducedMotion,
+  };
+}
+
+// 무시할 요소의 영역 (스크린샷 픽셀 단위)
+async function findIgnoreRegions(page, selectors, scale) {
+  if (selectors.length === 0) return [];
+
+  const rects = await page.evaluate((selectors, fullPage) => {
+    const regions = [];
+    for (const selector of selectors) {
+      for (const element of document.querySelectorAll(selector)) {
+        const rect = element.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) continue;
+        regions.push({
+          selector,
+          x: rect.x + (fullPage ? window.scrollX : 0),
+          y: rect.y + (fullPage ? window.scrollY : 0),
+          width: rect.width,
+          height: rect.height,
+        });
+      }
+    }
+    return regions;
+  }, selectors, CONFIG.fullPage);
+
+  return rects.map(r => ({
+    selector: r.selector,
+    x: Math.floor(r.x * scale),
+    y: Math.floor(r.y * scale),
+    width: Math.ceil(r.width * scale),
+    height: Math.ceil(r.height * scale),
+  }));
+}
+
+// 로컬 서버 준비: 떠 있으면 재사용, 없으면 감지해서 실행하고 CONFIG.baseUrl 을 실제 URL 로 갱신
+async function startServer(options = {}) {
+  try {
+    const server = await devServer.ensureServer({
+      projectDir: process.cwd(),
+      baseUrl: CONFIG.baseUrl,
+      mode: options.server || CONFIG.server,
+      serve: options.serve || CONFIG.serve,
+      staticDir: options.staticDir || CONFIG.staticDir,
+      timeout: CONFIG.serverTimeout,
+    });
+    CONFIG.baseUrl = server.url;
+    if (server.reused) {
+      console.log(`Using running server: ${server.url}`);
+    } else {
+      console.log(`Started ${server.framework} server (${server.command}): ${server.url}`);
+    }
+    return server;
+  } catch (error) {
+    console.error(error.message);
+    console.log('\n개발 서버를 먼저 실행하거나 BASE_URL을 지정해주세요. (예: npm run dev)');
+    process.exit(1);
+  }
 }
 
 // ============================================
 // WCAG 접근성 체크
 // ============================================
 
-async function runAccessibilityCheck(page, url) {
+const REPORT_FORMATS = {
+  json: { filename: 'wcag-report.json', render: report => JSON.stringify(report, null, 2) },
+  markdown: { filename: 'wcag-report.md', render: report => a11y.formatMarkdown(report) },
+  sarif: { filename: 'wcag-report.sarif', render: report => JSON.stringify(a11y.toSarif(report), null, 2) },
+};
+
+// CLI 옵션과 환경 변수를 합친 axe 설정
+function accessibilityOptions(options = {}) {
+  return {
+    tags: options.tags || CONFIG.wcagTags,
+    rules: options.rules || CONFIG.wcagRules,
+    disableRules: options.disableRules || CONFIG.wcagDisableRules,
+    include: options.include || CONFIG.wcagInclude,
+    exclude: options.exclude || CONFIG.wcagExclude,
+    failOn: options.failOn || CONFIG.wcagFailOn,
+    formats: options.formats || CONFIG.wcagFormats,
+    trendRuns: options.trendRuns === undefined ? CONFIG.wcagTrendRuns : options.trendRuns,
+    flutter: flutterMode(options),
+  };
+}
+
+function validateAccessibilityOptions(options) {
+  if (options.failOn && !a11y.IMPACTS.includes(options.failOn)) {
+    throw new Error(`Unknown impact: ${options.failOn} (expected ${a11y.IMPACTS.join(', ')})`);
+  }
+  for (const format of options.formats) {
+    if (!REPORT_FORMATS[format]) {
+      throw new Error(`Unknown report format: ${format} (expected ${Object.keys(REPORT_FORMATS).join(', ')})`);
+    }
+  }
+}
+
+// --rules 가 있으면 그 규칙만 실행 (태그 무시)
+async function runAccessibilityCheck(page, url, options = accessibilityOptions()) {
   if (!AxePuppeteer) {
     return null;
   }
 
   try {
-    const results = await new AxePuppeteer(page)
-      .withTags(['wcag2a', 'wcag2aa', 'wcag21aa'])
-      .analyze();
+    // Flutter: canvas 대신 semantics 트리를 검사
+    let semantics;
+    if (options.flutter) {
+      semantics = await flutterWeb.enableSemantics(page, CONFIG.timeout);
+      if (!semantics) {
+        console.warn('  Flutter semantics tree not available; axe only sees the canvas');
+      }
+    }
+
+    let axe = new AxePuppeteer(page);
+    axe = options.rules.length > 0 ? axe.withRules(options.rules) : axe.withTags(options.tags);
+    if (options.disableRules.length > 0) {
+      axe = axe.disableRules(options.disableRules);
+    }
+    for (const selector of options.include) {
+      axe = axe.include(selector);
+    }
+    for (const selector of options.exclude) {
+      axe = axe.exclude(selector);
+    }
+    const results = await axe.analyze();
+
+    let labels = [];
+    if (semantics) {
+      labels = await flutterWeb.describeTargets(page, results.violations.flatMap(v => v.nodes.map(n => n.target)));
+    }
+    let labelIndex = 0;
 
     return {
       timestamp: new Date().toISOString(),
       url,
+      engine: results.testEngine,
+      semantics,
       summary: {
         violations: results.violations.length,
         passes: results.passes.length,
@@ -107,10 +467,13 @@ async function runAccessibilityCheck(page, url) {
       violations: results.violations.map(v => ({
         id: v.id,
         impact: v.impact,
+        help: v.help,
         description: v.description,
         helpUrl: v.helpUrl,
+        tags: v.tags,
         nodes: v.nodes.map(n => ({
           target: n.target,
+          label: labels[labelIndex++] || undefined,
           html: n.html.substring(0, 200),
           failureSummary: n.failureSummary
         }))
@@ -123,17 +486,76 @@ async function runAccessibilityCheck(page, url) {
     };
   } catch (error) {
     console.error(`WCAG check failed: ${error.message}`);
-    return null;
+    return { timestamp: new Date().toISOString(), url, error: error.message };
   }
 }
 
-function saveAccessibilityReport(report, filename = 'wcag-report.json') {
-  if (!report) return;
+// 라우트별 결과를 하나의 리포트로 묶어 요청한 형식으로 저장
+function saveAccessibilityReport(pageReports, options) {
+  const report = a11y.aggregateReports(pageReports, {
+    failOn: options.failOn,
+    baseUrl: CONFIG.baseUrl,
+    axe: {
+      tags: options.rules.length > 0 ? [] : options.tags,
+      rules: options.rules,
+      disableRules: options.disableRules,
+      include: options.include,
+      exclude: options.exclude,
+    },
+  });
 
   ensureDir(CONFIG.accessibilityDir);
-  const filepath = path.join(CONFIG.accessibilityDir, filename);
-  fs.writeFileSync(filepath, JSON.stringify(report, null, 2));
-  console.log(`WCAG report saved: ${filename}`);
+  report.history = a11yHistory.recordRun(CONFIG.accessibilityDir, report, {
+    keep: CONFIG.wcagHistoryKeep,
+    trend: options.trendRuns,
+  });
+
+  const files = [];
+  for (const format of options.formats) {
+    const { filename, render } = REPORT_FORMATS[format];
+    fs.writeFileSync(path.join(CONFIG.accessibilityDir, filename), render(report));
+    files.push(filename);
+  }
+  console.log(`WCAG report saved: ${files.join(', ')}`);
+
+  const { summary } = report;
+  console.log(`  Pages: ${summary.pages}, violations: ${summary.rules} rule(s) on ${summary.elements} element(s)`);
+  if (summary.failOn) {
+    const errors = summary.errors > 0 ? `, ${summary.errors} page(s) not checked` : '';
+    console.log(`  ${summary.failOn} or worse: ${summary.blocking} element(s)${errors} - ${summary.passed ? 'passed' : 'FAILED'}`);
+  }
+  const { history } = report;
+  if (history.summary.compared > 0) {
+    console.log(`  Since last run: ${history.summary.new} new, ${history.summary.fixed} fixed, ${history.summary.persisting} persisting`);
+  }
+
+  // JSON_RESULT 용 요약 (노드 상세는 리포트 파일에)
+  return {
+    accessibilityDir: CONFIG.accessibilityDir,
+    files,
+    summary,
+    violations: report.violations.map(v => ({
+      id: v.id,
+      impact: v.impact,
+      help: v.help,
+      elements: v.elements,
+      shared: v.shared,
+      pages: v.pages,
+    })),
+    // 라우트별 새 위반/수정된 위반 (계속 남은 위반은 개수만)
+    history: {
+      file: history.file,
+      runs: history.runs,
+      summary: history.summary,
+      routes: history.routes.map(r => ({ ...r, persisting: r.persisting.length })),
+      trend: history.trend,
+    },
+  };
+}
+
+function logAccessibilityResult(report) {
+  if (!report || report.error) return;
+  console.log(`  Violations: ${report.summary.violations}, passes: ${report.summary.passes}`);
 }
 
 // ============================================
@@ -147,162 +569,238 @@ async function createBrowser() {
   });
 }
 
-// 현재 프로젝트 캡처
+// 현재 프로젝트 캡처 (라우트 × 디바이스 × 컬러 스킴)
 async function captureLocal(routes, options = { wcag: true }) {
-  // 서버 상태 확인
-  const serverStatus = await checkServer(CONFIG.baseUrl);
-  if (!serverStatus.ok) {
-    console.error(`Server not running: ${CONFIG.baseUrl}`);
-    console.log('\n개발 서버를 먼저 실행해주세요. (예: npm run dev)');
-    process.exit(1);
+  const server = await startServer(options);
+  // build/web 을 제공하면 Flutter 모드
+  if (server.framework === 'flutter') {
+    options = { ...options, flutter: true };
   }
 
+  const matrix = resolveMatrix(options);
   ensureDir(CONFIG.outputDir);
   console.log(`\nCapturing local project: ${CONFIG.baseUrl}`);
+  console.log(`Matrix: ${routes.length} route(s) x ${matrix.devices.map(d => d.name).join(', ')} x ${matrix.schemes.join(', ')}`);
 
   const browser = await createBrowser();
   const page = await browser.newPage();
-  await page.setViewport(CONFIG.viewport);
+  await preparePage(page, options);
 
   const results = [];
-  let wcagReport = null;
-
-  for (const route of routes) {
-    const url = CONFIG.baseUrl + route;
-    const filename = route === '/' ? 'current-main.png' : `current-${route.slice(1).replace(/\//g, '-')}.png`;
-    const filepath = path.join(CONFIG.outputDir, filename);
-
-    try {
-      console.log(`Capturing: ${url}`);
+  const axeOptions = accessibilityOptions(options);
+  const pageReports = [];
+  const session = { login: null };
+
+  for (const cell of matrix.cells) {
+    await emulateCell(page, cell, matrix.reducedMotion);
+
+    for (const route of routes) {
+      const url = routeUrl(route, options);
+      const filename = screenshotFilename('current', routeSlug(route), cell);
+      const filepath = path.join(CONFIG.outputDir, filename);
+      const entry = { route, device: cell.device.name, scheme: cell.scheme, filename };
+      let checked = false;
+
+      try {
+        console.log(`Capturing: ${url} [${cell.device.name}, ${cell.scheme}]`);
+
+        const pageOptions = projectConfig.routeOptions(options.config, route);
+        await openConfiguredPage(page, url, pageOptions, options, session);
+        const restore = await actions.applyMasks(page, pageOptions);
+        await page.screenshot({ path: filepath, fullPage: CONFIG.fullPage });
+        console.log(`Saved: ${filename}`);
+
+        // 가린(mask) 요소도 비교에서 제외 (위치나 크기가 바뀌어도 변경으로 잡히지 않게)
+        const ignoreSelectors = [...(options.ignore || CONFIG.ignoreSelectors), ...pageOptions.mask];
+        if (ignoreSelectors.length > 0) {
+          entry.ignoreRegions = await findIgnoreRegions(page, ignoreSelectors, cell.device.deviceScaleFactor || 1);
+        }
+        await restore();
+
+        // WCAG 체크 (모든 라우트 × 매트릭스 셀)
+        if (options.wcag) {
+          const report = await runAccessibilityCheck(page, url, axeOptions);
+          if (report) {
+            pageReports.push({ ...report, route, device: cell.device.name, scheme: cell.scheme });
+            logAccessibilityResult(report);
+          }
+          checked = true;
+        }
 
-      await withRetry(async () => {
-        await page.goto(url, {
-          waitUntil: 'networkidle0',
-          timeout: CONFIG.timeout,
-        });
-      });
+        results.push({ ...entry, success: true });
 
-      await sleep(CONFIG.waitTime);
-      await page.screenshot({ path: filepath, fullPage: CONFIG.fullPage });
-      console.log(`Saved: ${filename}`);
-
-      // WCAG 체크 (첫 번째 라우트에서만 또는 모든 라우트)
-      if (options.wcag && route === routes[0]) {
-        console.log('Running WCAG accessibility check...');
-        wcagReport = await runAccessibilityCheck(page, url);
-        if (wcagReport) {
-          saveAccessibilityReport(wcagReport);
-          console.log(`  Violations: ${wcagReport.summary.violations}`);
-          console.log(`  Passes: ${wcagReport.summary.passes}`);
+      } catch (error) {
+        console.error(`Failed: ${url} - ${error.message}`);
+        results.push({ ...entry, success: false, error: error.message });
+        if (options.wcag && AxePuppeteer && !checked) {
+          pageReports.push({ url, route, device: cell.device.name, scheme: cell.scheme, error: error.message });
         }
       }
+    }
+  }
+
+  await browser.close();
+  await server.stop();
+
+  const wcag = pageReports.length > 0 ? saveAccessibilityReport(pageReports, axeOptions) : null;
 
-      results.push({ route, filename, success: true });
+  // approve 가 승인할 마지막 캡처 기록
+  const specs = Object.fromEntries(matrix.devices.map(d => [d.name, d.spec]));
+  visual.writeCaptureManifest(CONFIG.outputDir, results.map(r => ({ ...r, deviceSpec: specs[r.device] })));
 
+  // 베이스라인이 있으면 비교 (compare 명령은 항상)
+  let visualReport = null;
+  const hasBaselines = Object.keys(visual.readBaselineManifest(CONFIG.baselineDir).entries).length > 0;
+  if (options.compare || hasBaselines) {
+    try {
+      visualReport = compareScreenshots(results, { ...options, routes });
     } catch (error) {
-      console.error(`Failed: ${url} - ${error.message}`);
-      results.push({ route, filename, success: false, error: error.message });
+      if (options.compare) throw error;
+      console.warn(`Visual comparison skipped: ${error.message}`);
     }
   }
 
-  await browser.close();
-  return { results, wcagReport };
+  return { matrix: describeMatrix(matrix), results, wcag, visual: visualReport };
+}
+
+function compareScreenshots(results, options = {}) {
+  console.log('\nComparing with baselines...');
+  const report = visual.compareWithBaselines(CONFIG.outputDir, results, {
+    baselineDir: CONFIG.baselineDir,
+    diffDir: CONFIG.diffDir,
+    threshold: options.threshold === undefined ? CONFIG.diffThreshold : options.threshold,
+    pixelThreshold: CONFIG.pixelThreshold,
+    routes: options.routes,
+  });
+
+  for (const c of report.comparisons) {
+    let detail = '';
+    if (c.error) {
+      detail = ` ${c.error}`;
+    } else if (c.status === 'missing') {
+      detail = ' not captured in this run';
+    } else if (c.status !== 'no-baseline') {
+      detail = ` ${c.changedPercent}%${c.sizeChanged ? ' (size changed)' : ''}`;
+    }
+    console.log(`  ${c.status.padEnd(11)} ${c.filename}${detail}`);
+  }
+  console.log(`  Threshold: ${report.threshold}% - ${report.passed ? 'passed' : 'FAILED'}`);
+  return report;
+}
+
+// 마지막 캡처를 베이스라인으로 승인
+function approve(routes) {
+  const result = visual.approveBaselines(CONFIG.outputDir, CONFIG.baselineDir, routes);
+  for (const filename of result.approved) {
+    console.log(`Approved: ${filename}`);
+  }
+  return result;
 }
 
-// 레퍼런스 URL 캡처 (여러 개 지원, 브라우저 재사용)
-async function captureReferences(refs) {
+// compare 에 라우트/디바이스/스킴이 없으면 베이스라인에 있는 것을 사용
+function baselineDefaults() {
+  const entries = Object.values(visual.readBaselineManifest(CONFIG.baselineDir).entries);
+  const unique = (values) => [...new Set(values.filter(Boolean))];
+  return {
+    routes: unique(entries.map(e => e.route)),
+    devices: unique(entries.map(e => e.deviceSpec)),
+    schemes: unique(entries.map(e => e.scheme)),
+  };
+}
+
+// 레퍼런스 URL 캡처 (여러 개 지원, 브라우저 재사용, 로컬과 같은 매트릭스)
+async function captureReferences(refs, options = {}) {
+  const matrix = resolveMatrix(options);
   ensureDir(CONFIG.outputDir);
   console.log(`\nCapturing ${refs.length} reference(s)`);
 
   const browser = await createBrowser();
   const page = await browser.newPage();
-  await page.setViewport(CONFIG.viewport);
 
   const results = [];
-
-  for (const { url, name } of refs) {
-    const filename = `reference-${name}.png`;
-    const filepath = path.join(CONFIG.outputDir, filename);
-
-    try {
-      console.log(`Capturing reference: ${url}`);
-
-      await withRetry(async () => {
-        await page.goto(url, {
-          waitUntil: 'networkidle0',
-          timeout: CONFIG.timeout,
-        });
-      });
-
-      await sleep(CONFIG.waitTime);
-      await page.screenshot({ path: filepath, fullPage: CONFIG.fullPage });
-      console.log(`Saved: ${filename}`);
-      results.push({ url, name, filename, success: true });
-
-    } catch (error) {
-      console.error(`Failed: ${url} - ${error.message}`);
-      results.push({ url, name, filename, success: false, error: error.message });
+  const session = { login: null };
+
+  for (const cell of matrix.cells) {
+    await emulateCell(page, cell, matrix.reducedMotion);
+
+    for (const { url, name } of refs) {
+      const filename = screenshotFilename('reference', name, cell);
+      const filepath = path.join(CONFIG.outputDir, filename);
+      const entry = { url, name, device: cell.device.name, scheme: cell.scheme, filename };
+
+      try {
+        console.log(`Capturing reference: ${url} [${cell.device.name}, ${cell.scheme}]`);
+
+        // 레퍼런스는 외부 사이트이므로 Flutter 모드/hash 라우트를 쓰지 않고, 로그인 URL 도 그 사이트 기준
+        const pageOptions = projectConfig.referenceOptions(options.config, { url, name });
+        const refOptions = { ...options, flutter: false, urlStrategy: 'path', origin: url };
+        await openConfiguredPage(page, url, pageOptions, refOptions, session);
+        const restore = await actions.applyMasks(page, pageOptions);
+        await page.screenshot({ path: filepath, fullPage: CONFIG.fullPage });
+        await restore();
+        console.log(`Saved: ${filename}`);
+        results.push({ ...entry, success: true });
+
+      } catch (error) {
+        console.error(`Failed: ${url} - ${error.message}`);
+        results.push({ ...entry, success: false, error: error.message });
+      }
     }
   }
 
   await browser.close();
-  return { results };
+  return { matrix: describeMatrix(matrix), results };
 }
 
-// WCAG 체크만 수행
-async function wcagOnly(routes) {
-  const serverStatus = await checkServer(CONFIG.baseUrl);
-  if (!serverStatus.ok) {
-    console.error(`Server not running: ${CONFIG.baseUrl}`);
-    console.log('\n개발 서버를 먼저 실행해주세요. (예: npm run dev)');
-    process.exit(1);
-  }
-
+// WCAG 체크만 수행 (스크린샷 없이 같은 매트릭스)
+async function wcagOnly(routes, options = {}) {
   if (!AxePuppeteer) {
     console.error('axe-core/puppeteer not installed. Run: npm install @axe-core/puppeteer');
     process.exit(1);
   }
 
+  const server = await startServer(options);
+  if (server.framework === 'flutter') {
+    options = { ...options, flutter: true };
+  }
+
+  const matrix = resolveMatrix(options);
+  const axeOptions = accessibilityOptions(options);
   console.log(`\nRunning WCAG check on: ${CONFIG.baseUrl}`);
 
   const browser = await createBrowser();
   const page = await browser.newPage();
-  await page.setViewport(CONFIG.viewport);
+  await preparePage(page, options);
 
-  const reports = [];
+  const pageReports = [];
+  const session = { login: null };
 
-  for (const route of routes) {
-    const url = CONFIG.baseUrl + route;
+  for (const cell of matrix.cells) {
+    await emulateCell(page, cell, matrix.reducedMotion);
 
-    try {
-      console.log(`Checking: ${url}`);
+    for (const route of routes) {
+      const url = routeUrl(route, options);
+      const where = { route, device: cell.device.name, scheme: cell.scheme };
 
-      await withRetry(async () => {
-        await page.goto(url, {
-          waitUntil: 'networkidle0',
-          timeout: CONFIG.timeout,
-        });
-      });
+      try {
+        console.log(`Checking: ${url} [${cell.device.name}, ${cell.scheme}]`);
 
-      await sleep(CONFIG.waitTime);
+        await openConfiguredPage(page, url, projectConfig.routeOptions(options.config, route), options, session);
 
-      const report = await runAccessibilityCheck(page, url);
-      if (report) {
-        const filename = route === '/' ? 'wcag-report.json' : `wcag-report-${route.slice(1).replace(/\//g, '-')}.json`;
-        saveAccessibilityReport(report, filename);
-        reports.push(report);
+        const report = await runAccessibilityCheck(page, url, axeOptions);
+        pageReports.push({ ...report, ...where });
+        logAccessibilityResult(report);
 
-        console.log(`  Violations: ${report.summary.violations}`);
-        console.log(`  Passes: ${report.summary.passes}`);
+      } catch (error) {
+        console.error(`Failed: ${url} - ${error.message}`);
+        pageReports.push({ url, ...where, error: error.message });
       }
-
-    } catch (error) {
-      console.error(`Failed: ${url} - ${error.message}`);
     }
   }
 
   await browser.close();
-  return { reports };
+  await server.stop();
+  return { matrix: describeMatrix(matrix), wcag: saveAccessibilityReport(pageReports, axeOptions) };
 }
 
 // ============================================
@@ -318,44 +816,137 @@ Usage:
   node capture.cjs ref <url> <name> [<url> <name> ...]
 
 Options:
-  --wcag        Include WCAG accessibility check (default)
-  --wcag-only   Run only WCAG check, no screenshots
-  --no-wcag     Skip WCAG check
-  --help, -h    Show this help
+  --wcag                 Include WCAG accessibility check (default)
+  --wcag-only            Run only WCAG check, no screenshots
+  --no-wcag              Skip WCAG check
+  --devices <list>       Devices to capture, comma-separated (default: desktop)
+                         Presets: phone (390x844@3, touch), tablet (820x1180@2, touch),
+                         desktop (1280x720); also Puppeteer device names ("iPhone 15 Pro")
+                         or WIDTHxHEIGHT[@scale]
+  --schemes <list>       prefers-color-scheme values: light, dark (default: light)
+  --reduced-motion       Emulate prefers-reduced-motion: reduce
+  --server <mode>        auto: reuse a running server, otherwise start one (default)
+                         start: always start the detected dev server; reuse: never start one
+  --serve <kind>         dev (default) or preview (built output: vite preview, next start,
+                         CRA build/, Angular dist/)
+  --static <dir>         Serve a built directory instead, e.g. build/web
+  --config <file>        Project config (default: design-polish.config.js, .mjs, .cjs or .json)
+  --flutter              Flutter web app: wait for the first frame instead of WAIT_TIME,
+                         check the semantics tree, hash routes (/#/about)
+  --url-strategy <s>     hash or path (default: hash with --flutter, otherwise path)
+  --tags <list>          axe tags to run (default: wcag2a,wcag2aa,wcag21aa)
+  --rules <list>         Run only these axe rules (tags are ignored)
+  --disable-rules <list> Skip these axe rules, e.g. color-contrast
+  --include <selector>   Check only inside matching elements, repeatable
+  --exclude <selector>   Leave matching elements out of the WCAG check, repeatable
+  --fail-on <impact>     Exit 1 on violations of this impact or worse
+                         (minor, moderate, serious, critical), or when a page
+                         could not be checked
+  --wcag-format <list>   Report formats: json, markdown, sarif (default: json,markdown)
+  --trend <runs>         WCAG runs shown in the trend, this one included (default: 5, 0 leaves it out)
+  --ignore <selector>    Leave elements out of visual comparison, repeatable
+  --threshold <percent>  compare: changed pixels allowed per screenshot (default: 0.1)
+  --help, -h             Show this help
+
+Every route (or reference) is captured once per device and color scheme.
+
+Project config: design-polish.config.(js|mjs|cjs|json) lists routes and references with
+per-page setup: waitFor (selector or function), steps (click, type, scroll, wait,
+waitFor), cookies, localStorage, a login flow, and selectors to hide or mask.
+Without route arguments the config's routes are captured; "ref" without
+arguments captures its references.
+
+Local server: BASE_URL when it responds, otherwise the project's dev server is
+detected from package.json (Vite, Next.js, Create React App, Angular, or a dev/start
+script), started, and stopped afterwards. Its URL is read from the server output.
+Flutter build/web and other static directories are served by the script itself.
 
 Commands:
-  (default)     Capture local project pages
+  (default)     Capture local project pages (compared with baselines when they exist)
   ref           Capture external reference URLs
+  approve       Store the last local capture as the baseline (all routes, or the given ones)
+  compare       Capture again and diff against the baseline; exit 1 above --threshold
+                (default routes, devices and schemes: those in the baseline)
 
 Examples:
   # Local project with WCAG
   node capture.cjs /                     # Main page + WCAG
   node capture.cjs / /about /pricing     # Multiple pages
 
-  # WCAG only
-  node capture.cjs --wcag-only /
+  # WCAG only, every route, CI gate on serious or critical violations
+  node capture.cjs --wcag-only --fail-on serious --wcag-format json,sarif / /about
 
   # No WCAG
   node capture.cjs --no-wcag /
 
-  # References
-  node capture.cjs ref "https://dribbble.com/..." hero
+  # Visual regression
+  node capture.cjs / /pricing && node capture.cjs approve   # store baselines
+  node capture.cjs compare --ignore ".timestamp"            # after changes
+
+  # Mobile and desktop, light and dark
+  node capture.cjs --devices phone,desktop --schemes light,dark / /pricing
+
+  # Flutter web build (flutter build web; build/web is served automatically)
+  node capture.cjs --flutter / /settings
+
+  # Production build instead of the dev server
+  node capture.cjs --serve preview / /pricing
+
+  # References (same matrix as the local capture for comparison)
+  node capture.cjs --devices phone --schemes dark ref "https://dribbble.com/..." hero
 
 Environment Variables:
-  BASE_URL     Local server URL (default: http://localhost:3000)
-  OUTPUT_DIR   Screenshot directory (default: .design-polish/screenshots)
-  A11Y_DIR     Accessibility report directory (default: .design-polish/accessibility)
-  WAIT_TIME    Wait time after page load in ms (default: 2000)
-  TIMEOUT      Page load timeout in ms (default: 30000)
-  FULL_PAGE    Capture full page (default: false)
+  BASE_URL            Local server URL (default: detected dev server)
+  DEV_SERVER          Default for --server (default: auto)
+  SERVE               Default for --serve (default: dev)
+  STATIC_DIR          Default for --static
+  CONFIG_FILE         Default for --config
+  SERVER_TIMEOUT      Time for a started server to respond in ms, more than 0 (default: 60000)
+  OUTPUT_DIR          Screenshot directory (default: .design-polish/screenshots)
+  A11Y_DIR            Accessibility report directory (default: .design-polish/accessibility)
+  WAIT_TIME           Wait time after page load in ms (default: 2000)
+  TIMEOUT             Page load timeout in ms (default: 30000)
+  FULL_PAGE           Capture full page (default: false)
+  DEVICES             Default for --devices (default: desktop)
+  COLOR_SCHEMES       Default for --schemes (default: light)
+  REDUCED_MOTION      Emulate reduced motion (default: false)
+  FLUTTER_WEB         Same as --flutter (default: false)
+  URL_STRATEGY        Default for --url-strategy
+  BASELINE_DIR        Baseline directory (default: .design-polish/baselines)
+  DIFF_DIR            Diff image directory (default: .design-polish/diffs)
+  DIFF_THRESHOLD      Default for --threshold in percent (default: 0.1)
+  PIXEL_THRESHOLD     Per-pixel color tolerance 0-1 (default: 0.1); anti-aliasing is ignored
+  IGNORE_SELECTORS    Default for --ignore, separated by ";"
+  WCAG_TAGS           Default for --tags
+  WCAG_RULES          Default for --rules
+  WCAG_DISABLE_RULES  Default for --disable-rules
+  WCAG_INCLUDE        Default for --include, separated by ";"
+  WCAG_EXCLUDE        Default for --exclude, separated by ";"
+  WCAG_FAIL_ON        Default for --fail-on
+  WCAG_FORMATS        Default for --wcag-format
+  WCAG_TREND_RUNS     Default for --trend (default: 5, 0 leaves the trend out)
+  WCAG_HISTORY_KEEP   WCAG runs kept in accessibility/history (default: 50, 0 keeps all)
 
 Output:
   .design-polish/
   ├── screenshots/
-  │   ├── current-main.png
-  │   └── reference-*.png
+  │   ├── current-<route>-<device>-<scheme>.png     (e.g. current-main-phone-dark.png)
+  │   ├── reference-<name>-<device>-<scheme>.png
+  │   └── captures.json                             (last local capture, read by approve)
+  ├── baselines/
+  │   ├── current-*.png
+  │   └── baselines.json
+  ├── diffs/
+  │   └── diff-<route>-<device>-<scheme>.png
   └── accessibility/
-      └── wcag-report.json
+      ├── wcag-report.json     (all routes, violations grouped by rule)
+      ├── wcag-report.md
+      ├── wcag-report.sarif    (with --wcag-format sarif)
+      └── history/
+          └── <timestamp>.json (violation fingerprints per page, for new/fixed diffs)
+
+Exit codes: 1 when no server is running or could be started, --fail-on finds
+violations, or compare exceeds --threshold.
 `);
 }
 
@@ -371,20 +962,80 @@ function printJsonResult(type, data) {
   console.log('--- JSON_RESULT_END ---');
 }
 
+// --fail-on 기준 이상의 위반이 없으면 true
+function wcagPassed(data) {
+  return !data.wcag || data.wcag.summary.passed;
+}
+
 async function main() {
   const args = process.argv.slice(2);
 
   // 옵션 파싱
-  let wcagMode = 'include'; // 'include', 'only', 'skip'
+  let wcagMode = null; // 'include', 'only', 'skip' (기본: compare 는 skip, 나머지는 include)
+  const matrixOptions = {};
+  const appOptions = {};
+  const visualOptions = { ignore: [] };
+  const wcagOptions = {};
   const filteredArgs = [];
 
-  for (const arg of args) {
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const value = () => {
+      if (!args[i + 1]) {
+        console.error(`${arg} requires a value`);
+        process.exit(1);
+      }
+      return args[++i];
+    };
+    const list = () => value().split(',').map(v => v.trim()).filter(Boolean);
+
     if (arg === '--wcag') {
       wcagMode = 'include';
     } else if (arg === '--wcag-only') {
       wcagMode = 'only';
     } else if (arg === '--no-wcag') {
       wcagMode = 'skip';
+    } else if (arg === '--devices' || arg === '--schemes') {
+      matrixOptions[arg.slice(2)] = value().split(',');
+    } else if (arg === '--ignore') {
+      visualOptions.ignore.push(value());
+    } else if (arg === '--threshold') {
+      visualOptions.threshold = parseFloat(value());
+      if (Number.isNaN(visualOptions.threshold)) {
+        console.error('--threshold must be a percentage, e.g. 0.5');
+        process.exit(1);
+      }
+    } else if (arg === '--tags') {
+      wcagOptions.tags = list();
+    } else if (arg === '--rules') {
+      wcagOptions.rules = list();
+    } else if (arg === '--disable-rules') {
+      wcagOptions.disableRules = list();
+    } else if (arg === '--include' || arg === '--exclude') {
+      const key = arg.slice(2);
+      wcagOptions[key] = [...(wcagOptions[key] || []), value()];
+    } else if (arg === '--fail-on') {
+      wcagOptions.failOn = value();
+    } else if (arg === '--wcag-format') {
+      wcagOptions.formats = list();
+    } else if (arg === '--trend') {
+      wcagOptions.trendRuns = parseInt(value());
+      if (Number.isNaN(wcagOptions.trendRuns) || wcagOptions.trendRuns < 0) {
+        console.error('--trend must be a number of runs, e.g. 10 (0 leaves the trend out)');
+        process.exit(1);
+      }
+    } else if (arg === '--reduced-motion') {
+      matrixOptions.reducedMotion = true;
+    } else if (arg === '--server' || arg === '--serve') {
+      appOptions[arg.slice(2)] = value();
+    } else if (arg === '--static') {
+      appOptions.staticDir = value();
+    } else if (arg === '--config') {
+      appOptions.configFile = value();
+    } else if (arg === '--flutter') {
+      appOptions.flutter = true;
+    } else if (arg === '--url-strategy') {
+      appOptions.urlStrategy = value();
     } else if (arg === '--help' || arg === '-h') {
       printHelp();
       return;
@@ -393,18 +1044,79 @@ async function main() {
     }
   }
 
-  if (filteredArgs.length === 0) {
-    // 기본: 메인 페이지 캡처
-    if (wcagMode === 'only') {
-      const data = await wcagOnly(['/']);
-      printJsonResult('wcag', data);
-    } else {
-      const data = await captureLocal(['/'], { wcag: wcagMode !== 'skip' });
-      printJsonResult('local', data);
+  // 잘못된 디바이스/스킴/WCAG 옵션은 브라우저를 띄우기 전에 알림
+  try {
+    resolveMatrix(matrixOptions);
+    validateAccessibilityOptions(accessibilityOptions(wcagOptions));
+    const urlStrategy = appOptions.urlStrategy || CONFIG.urlStrategy;
+    if (urlStrategy && !URL_STRATEGIES.includes(urlStrategy)) {
+      throw new Error(`Unknown URL strategy: ${urlStrategy} (expected ${URL_STRATEGIES.join(', ')})`);
     }
+    const serverMode = appOptions.server || CONFIG.server;
+    if (!devServer.SERVER_MODES.includes(serverMode)) {
+      throw new Error(`Unknown server mode: ${serverMode} (expected ${devServer.SERVER_MODES.join(', ')})`);
+    }
+    const serve = appOptions.serve || CONFIG.serve;
+    if (!['dev', 'preview'].includes(serve)) {
+      throw new Error(`Unknown --serve value: ${serve} (expected dev, preview)`);
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  if (visualOptions.ignore.length === 0) {
+    delete visualOptions.ignore;
+  }
+
+  // 프로젝트 설정 파일 (design-polish.config.json|js|mjs|cjs)
+  let config = null;
+  try {
+    config = await projectConfig.loadConfig(process.cwd(), appOptions.configFile || CONFIG.configFile);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  delete appOptions.configFile;
+  if (config) {
+    console.log(`Config: ${path.relative(process.cwd(), config.file)}`);
+    appOptions.config = config;
+    CONFIG.baseUrl = CONFIG.baseUrl || config.baseUrl;
+  }
+  const configRoutes = config ? config.routes.map(r => r.path) : [];
+
+  if (filteredArgs[0] === 'approve') {
+    // 마지막 캡처를 베이스라인으로 승인
+    const data = approve(filteredArgs.slice(1));
+    printJsonResult('approve', data);
     return;
   }
 
+  if (filteredArgs[0] === 'compare') {
+    // 다시 캡처해서 베이스라인과 비교, 임계값 초과시 exit 1
+    const defaults = baselineDefaults();
+    const routes = filteredArgs.length > 1 ? filteredArgs.slice(1) : (defaults.routes.length > 0 ? defaults.routes : configRoutes);
+    if (routes.length === 0) {
+      console.error(`No baselines in ${CONFIG.baselineDir}. Capture and approve first:`);
+      console.log('  node capture.cjs / /about && node capture.cjs approve');
+      process.exit(1);
+    }
+
+    const data = await captureLocal(routes, {
+      devices: matrixOptions.devices || (defaults.devices.length > 0 ? defaults.devices : undefined),
+      schemes: matrixOptions.schemes || (defaults.schemes.length > 0 ? defaults.schemes : undefined),
+      reducedMotion: matrixOptions.reducedMotion,
+      ...appOptions,
+      ...visualOptions,
+      ...wcagOptions,
+      wcag: wcagMode === 'include',
+      compare: true,
+    });
+    printJsonResult('compare', data);
+    process.exit(data.visual.passed && wcagPassed(data) ? 0 : 1);
+  }
+
+  wcagMode = wcagMode || 'include';
+
   if (filteredArgs[0] === 'ref') {
     // 레퍼런스 캡처
     const refs = [];
@@ -414,27 +1126,51 @@ async function main() {
       }
     }
 
+    // 인수가 없으면 설정 파일의 references
+    if (refs.length === 0 && filteredArgs.length === 1 && config) {
+      refs.push(...config.references.map(({ url, name }) => ({ url, name })));
+    }
+
     if (refs.length === 0) {
       console.error('Usage: ref <url> <name> [<url> <name> ...]');
       process.exit(1);
     }
 
-    const data = await captureReferences(refs);
+    const data = await captureReferences(refs, { ...matrixOptions, config });
     printJsonResult('reference', data);
     return;
   }
 
-  // 로컬 라우트 캡처
+  // 로컬 라우트 캡처 (기본: 설정 파일의 routes, 없으면 메인 페이지)
+  const routes = filteredArgs.length > 0 ? filteredArgs : (configRoutes.length > 0 ? configRoutes : ['/']);
   if (wcagMode === 'only') {
-    const data = await wcagOnly(filteredArgs);
+    const data = await wcagOnly(routes, { ...matrixOptions, ...appOptions, ...wcagOptions });
     printJsonResult('wcag', data);
+    process.exit(wcagPassed(data) ? 0 : 1);
   } else {
-    const data = await captureLocal(filteredArgs, { wcag: wcagMode !== 'skip' });
+    const data = await captureLocal(routes, { ...matrixOptions, ...appOptions, ...visualOptions, ...wcagOptions, wcag: wcagMode !== 'skip' });
     printJsonResult('local', data);
+    process.exit(wcagPassed(data) ? 0 : 1);
   }
 }
 
-main().catch(error => {
-  console.error('Fatal error:', error.message);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Fatal error:', error.message);
+    process.exit(1);
+  });
+}
+
+// 테스트용 (브라우저 없이 쓰는 함수)
+module.exports = {
+  CONFIG,
+  DEVICE_PRESETS,
+  COLOR_SCHEMES,
+  routeSlug,
+  resolveDevice,
+  resolveMatrix,
+  describeMatrix,
+  screenshotFilename,
+  routeUrl,
+  resolvePageUrl,
+};
@@ -0,0 +1,103 @@
+const assert = require('assert/strict');
+const { spawnSync } = require('child_process');
+const { test, afterEach } = require('node:test');
+const capture = require('./capture.cjs');
+
+const { baseUrl, urlStrategy, flutter } = capture.CONFIG;
+
+afterEach(() => {
+  Object.assign(capture.CONFIG, { baseUrl, urlStrategy, flutter });
+});
+
+test('resolveDevice accepts presets, Puppeteer device names and WIDTHxHEIGHT[@scale]', () => {
+  assert.deepEqual(capture.resolveDevice('phone'), { name: 'phone', ...capture.DEVICE_PRESETS.phone });
+  assert.deepEqual(capture.resolveDevice(' 1440x900@2 '), {
+    name: '1440x900-2x', width: 1440, height: 900, deviceScaleFactor: 2, isMobile: false, hasTouch: false,
+  });
+  assert.equal(capture.resolveDevice('1024x768@1.5').name, '1024x768-1_5x');
+  assert.equal(capture.resolveDevice('iPhone 15 Pro').name, 'iphone-15-pro');
+  assert.throws(() => capture.resolveDevice('phablet'), /^Error: Unknown device: phablet \(presets: phone, tablet, desktop,/);
+});
+
+test('resolveMatrix expands every device with every color scheme', () => {
+  const matrix = capture.resolveMatrix({ devices: ['phone', 'desktop'], schemes: ['light', ' dark'], reducedMotion: true });
+
+  assert.deepEqual(matrix.cells.map(cell => `${cell.device.name}/${cell.scheme}`), [
+    'phone/light', 'phone/dark', 'desktop/light', 'desktop/dark',
+  ]);
+  assert.equal(matrix.reducedMotion, true);
+  assert.deepEqual(capture.describeMatrix(matrix).devices.map(device => [device.name, device.spec, 'userAgent' in device]), [
+    ['phone', 'phone', false],
+    ['desktop', 'desktop', false],
+  ]);
+});
+
+test('resolveMatrix rejects unknown schemes and an empty matrix', () => {
+  assert.throws(() => capture.resolveMatrix({ devices: ['phone'], schemes: ['sepia'] }),
+    /^Error: Unknown color scheme: sepia \(expected light, dark\)$/);
+  assert.throws(() => capture.resolveMatrix({ devices: [' '], schemes: ['light'] }), /At least one device and one color scheme/);
+  assert.throws(() => capture.resolveMatrix({ devices: ['phone', 'watch'], schemes: ['light'] }), /Unknown device: watch/);
+});
+
+test('screenshot file names combine the route or reference with the matrix cell', () => {
+  const [phoneDark] = capture.resolveMatrix({ devices: ['phone'], schemes: ['dark'] }).cells;
+  const [custom] = capture.resolveMatrix({ devices: ['375x812@3'], schemes: ['light'] }).cells;
+
+  assert.equal(capture.screenshotFilename('current', capture.routeSlug('/'), phoneDark), 'current-main-phone-dark.png');
+  assert.equal(capture.screenshotFilename('current', capture.routeSlug('/settings/profile/'), custom),
+    'current-settings-profile-375x812-3x-light.png');
+  assert.equal(capture.screenshotFilename('reference', 'hero', phoneDark), 'reference-hero-phone-dark.png');
+});
+
+test('--trend accepts 0 and rejects values that are not a number of runs', () => {
+  const run = (...args) => spawnSync(process.execPath, [require.resolve('./capture.cjs'), ...args], { encoding: 'utf8' });
+
+  for (const value of ['abc', '-1']) {
+    const result = run('--trend', value);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /--trend must be a number of runs, e\.g\. 10/);
+  }
+  const result = run('--trend', '0', '--help');
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.stdout, /--trend <runs>/);
+});
+
+test('routeUrl builds path and hash URLs on base URLs with a path or a trailing slash', () => {
+  Object.assign(capture.CONFIG, { urlStrategy: null, flutter: false });
+  const cases = [
+    ['http://localhost:8080', '/about', 'http://localhost:8080/about', 'http://localhost:8080/#/about'],
+    ['http://localhost:8080/', '/about', 'http://localhost:8080/about', 'http://localhost:8080/#/about'],
+    ['http://localhost:8080/app', 'about', 'http://localhost:8080/app/about', 'http://localhost:8080/app/#/about'],
+    ['http://localhost:8080/app/', '/about', 'http://localhost:8080/app/about', 'http://localhost:8080/app/#/about'],
+    ['http://localhost:8080/app/', '/', 'http://localhost:8080/app/', 'http://localhost:8080/app/#/'],
+  ];
+
+  for (const [base, route, pathUrl, hashUrl] of cases) {
+    capture.CONFIG.baseUrl = base;
+    assert.equal(capture.routeUrl(route, { urlStrategy: 'path' }), pathUrl);
+    assert.equal(capture.routeUrl(route, { urlStrategy: 'hash' }), hashUrl);
+  }
+});
+
+test('Flutter mode defaults to the hash strategy unless a strategy is configured', () => {
+  capture.CONFIG.baseUrl = 'http://localhost:8080/app/';
+
+  assert.equal(capture.routeUrl('/about', { flutter: true }), 'http://localhost:8080/app/#/about');
+  assert.equal(capture.routeUrl('/about', { flutter: false }), 'http://localhost:8080/app/about');
+  capture.CONFIG.urlStrategy = 'path';
+  assert.equal(capture.routeUrl('/about', { flutter: true }), 'http://localhost:8080/app/about');
+  assert.equal(capture.resolvePageUrl('/about', { flutter: true, urlStrategy: 'hash' }), 'http://localhost:8080/app/#/about');
+  assert.equal(capture.resolvePageUrl('https://example.com/about', { flutter: true }), 'https://example.com/about');
+});
+
+test('relative URLs on a reference resolve against the reference, not the local app', () => {
+  capture.CONFIG.baseUrl = null;
+  const origin = 'https://example.com/app/pricing';
+
+  assert.equal(capture.resolvePageUrl('/login', { origin }), 'https://example.com/login');
+  assert.equal(capture.resolvePageUrl('login', { origin, urlStrategy: 'hash' }), 'https://example.com/app/login');
+  assert.equal(capture.resolvePageUrl('https://auth.example.com/', { origin }), 'https://auth.example.com/');
+
+  capture.CONFIG.baseUrl = 'http://localhost:5173';
+  assert.equal(capture.resolvePageUrl('/login', { urlStrategy: 'path' }), 'http://localhost:5173/login');
+});
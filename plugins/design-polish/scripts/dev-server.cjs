@@ -0,0 +1,377 @@
+// design-polish plugin - managed dev server
+//
+// package.json 으로 프레임워크(Vite, Next, CRA, Angular)를 감지해 dev/preview
+// 서버를 띄우고, 출력에서 실제 URL(포트)을 읽어 응답할 때까지 기다립니다.
+// 빌드 결과 디렉토리(Flutter build/web, CRA build 등)는 내장 정적 서버로
+// 제공합니다. 끝나면 자식 프로세스 트리 전체를 종료합니다.
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { spawn, execFileSync } = require('child_process');
+
+const SERVER_MODES = ['auto', 'start', 'reuse'];
+
+// dev: package.json 스크립트 이름 (없으면 bin 실행), preview: 빌드 결과 서버
+const FRAMEWORKS = [
+  { name: 'next', dependency: 'next', port: 3000, dev: { script: 'dev', bin: ['next', 'dev'] }, preview: { script: 'start', bin: ['next', 'start'] } },
+  { name: 'vite', dependency: 'vite', port: 5173, dev: { script: 'dev', bin: ['vite'] }, preview: { script: 'preview', bin: ['vite', 'preview'], port: 4173 } },
+  { name: 'cra', dependency: 'react-scripts', port: 3000, dev: { script: 'start', bin: ['react-scripts', 'start'] }, preview: { dir: 'build' } },
+  { name: 'angular', dependency: '@angular/core', port: 4200, dev: { script: 'start', bin: ['ng', 'serve'] }, preview: { dir: 'dist' } },
+];
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.wasm': 'application/wasm',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+};
+
+// ============================================
+// 유틸리티
+// ============================================
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function checkServer(url) {
+  const client = url.startsWith('https') ? require('https') : http;
+  return new Promise((resolve) => {
+    const req = client.get(url, { timeout: 5000 }, (res) => {
+      res.resume();
+      resolve({ ok: true, status: res.statusCode });
+    });
+    req.on('error', () => resolve({ ok: false, status: 0 }));
+    req.on('timeout', () => {
+      req.destroy();
+      resolve({ ok: false, status: 0 });
+    });
+  });
+}
+
+function readJson(filepath) {
+  try {
+    return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function packageManager(projectDir) {
+  if (fs.existsSync(path.join(projectDir, 'pnpm-lock.yaml'))) return 'pnpm';
+  if (fs.existsSync(path.join(projectDir, 'yarn.lock'))) return 'yarn';
+  if (fs.existsSync(path.join(projectDir, 'bun.lockb')) || fs.existsSync(path.join(projectDir, 'bun.lock'))) return 'bun';
+  return 'npm';
+}
+
+// dist/<project>/browser (Angular 17+) 처럼 index.html 이 있는 첫 디렉토리
+function findIndexDir(dir, depth = 2) {
+  if (!fs.existsSync(dir)) return null;
+  if (fs.existsSync(path.join(dir, 'index.html'))) return dir;
+  if (depth === 0) return null;
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (!entry.isDirectory()) continue;
+    const found = findIndexDir(path.join(dir, entry.name), depth - 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+function isFlutterProject(projectDir) {
+  const pubspec = path.join(projectDir, 'pubspec.yaml');
+  return fs.existsSync(pubspec) && /^\s*flutter\s*:/m.test(fs.readFileSync(pubspec, 'utf8'));
+}
+
+// ============================================
+// 감지
+// ============================================
+
+// options: { mode: 'dev' | 'preview', staticDir }
+// 반환: { framework, port, command?, args?, staticDir? }
+function detectServer(projectDir, options = {}) {
+  const mode = options.mode || 'dev';
+
+  if (options.staticDir) {
+    const dir = path.resolve(projectDir, options.staticDir);
+    if (!fs.existsSync(path.join(dir, 'index.html'))) {
+      throw new Error(`No index.html in ${dir}`);
+    }
+    return { framework: isFlutterProject(projectDir) && dir === path.join(projectDir, 'build', 'web') ? 'flutter' : 'static', staticDir: dir };
+  }
+
+  const pkg = readJson(path.join(projectDir, 'package.json'));
+  if (pkg) {
+    const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+    const scripts = pkg.scripts || {};
+    const pm = packageManager(projectDir);
+    const framework = FRAMEWORKS.find(f => deps[f.dependency]);
+
+    if (framework) {
+      const target = framework[mode];
+      if (target.dir) {
+        const dir = findIndexDir(path.join(projectDir, target.dir));
+        if (!dir) {
+          throw new Error(`No build output in ${target.dir}/. Build first (e.g. ${pm} run build)`);
+        }
+        return { framework: framework.name, staticDir: dir };
+      }
+      const port = target.port || framework.port;
+      if (scripts[target.script]) {
+        return { framework: framework.name, port, command: pm, args: ['run', target.script] };
+      }
+      return { framework: framework.name, port, command: 'npx', args: ['--no-install', ...target.bin] };
+    }
+
+    // 알 수 없는 프레임워크: dev/start 스크립트 출력에서 포트를 읽음
+    const script = mode === 'preview' ? ['preview', 'start'].find(s => scripts[s]) : ['dev', 'start'].find(s => scripts[s]);
+    if (script) {
+      return { framework: 'unknown', port: null, command: pm, args: ['run', script] };
+    }
+  }
+
+  // Flutter web 빌드
+  if (isFlutterProject(projectDir)) {
+    const dir = path.join(projectDir, 'build', 'web');
+    if (!fs.existsSync(path.join(dir, 'index.html'))) {
+      throw new Error('No Flutter web build in build/web. Run: flutter build web');
+    }
+    return { framework: 'flutter', staticDir: dir };
+  }
+
+  if (fs.existsSync(path.join(projectDir, 'index.html'))) {
+    return { framework: 'static', staticDir: projectDir };
+  }
+  return null;
+}
+
+// ============================================
+// 정적 서버 (빌드 결과, Flutter build/web)
+// ============================================
+
+// 없는 경로는 index.html 로 (SPA 라우팅)
+function startStaticServer(dir) {
+  const server = http.createServer((req, res) => {
+    let pathname;
+    try {
+      pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (error) {
+      res.writeHead(400).end();
+      return;
+    }
+    let file = path.join(dir, pathname);
+    const relative = path.relative(dir, file);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      res.writeHead(403).end();
+      return;
+    }
+    if (!fs.existsSync(file) || fs.statSync(file).isDirectory()) {
+      const index = path.join(file, 'index.html');
+      file = fs.existsSync(index) ? index : path.join(dir, 'index.html');
+    }
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream' });
+    fs.createReadStream(file).pipe(res);
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        stop: () => new Promise(done => {
+          server.close(() => done());
+          if (server.closeAllConnections) server.closeAllConnections();
+        }),
+      });
+    });
+  });
+}
+
+// ============================================
+// dev 서버 프로세스
+// ============================================
+
+// 출력에서 서버 URL 찾기 ("Local: http://localhost:5173/" 줄 우선)
+const SERVER_URL = /https?:\/\/(?:localhost|127\.0\.0\.1|0\.0\.0\.0|\[::1?\]|[\w.-]+):\d+/;
+
+function parseServerUrl(output) {
+  const text = output.replace(/\x1b\[[0-9;]*m/g, '');
+  const local = text.split('\n').find(line => /local/i.test(line) && SERVER_URL.test(line));
+  const match = (local || text).match(SERVER_URL);
+  if (!match) return null;
+  return match[0].replace('0.0.0.0', 'localhost').replace(/\[::1?\]/, 'localhost');
+}
+
+// 에러 메시지에 붙일 서버 출력 마지막 부분
+function lastLines(output, count = 10) {
+  return output.split('\n').map(line => line.trimEnd()).filter(Boolean).slice(-count).join('\n');
+}
+
+// 프로세스 그룹(Windows 는 taskkill /T) 단위로 종료
+function killTree(child, signal = 'SIGTERM') {
+  if (child.exitCode !== null || child.signalCode !== null) return;
+  try {
+    if (process.platform === 'win32') {
+      execFileSync('taskkill', ['/pid', String(child.pid), '/T', '/F'], { stdio: 'ignore' });
+    } else {
+      process.kill(-child.pid, signal);
+    }
+  } catch (error) {
+    // 이미 종료됨
+  }
+}
+
+async function stopProcess(child) {
+  if (child.exitCode !== null || child.signalCode !== null) return;
+  const exited = new Promise(resolve => child.once('exit', resolve));
+  killTree(child, 'SIGTERM');
+  const timer = sleep(5000).then(() => 'timeout');
+  if (await Promise.race([exited, timer]) === 'timeout') {
+    killTree(child, 'SIGKILL');
+    await exited;
+  }
+}
+
+// options: { timeout (ms, 기본 60000), log (출력 콜백) }
+async function startProcessServer(projectDir, server, options = {}) {
+  // 0 이하는 기다리지 않고 바로 실패하므로 설정 오류로 처리
+  const timeout = options.timeout === undefined ? 60000 : options.timeout;
+  if (!(timeout > 0)) {
+    throw new Error(`Server timeout must be more than 0 ms, got ${timeout} (SERVER_TIMEOUT)`);
+  }
+
+  // 기본 포트가 이미 쓰이고 있었으면 출력의 URL 만 믿음
+  const fallbackUrl = server.port ? `http://localhost:${server.port}` : null;
+  const fallbackBusy = fallbackUrl ? (await checkServer(fallbackUrl)).ok : true;
+
+  const child = spawn(server.command, server.args, {
+    cwd: projectDir,
+    env: { ...process.env, BROWSER: 'none', FORCE_COLOR: '0' },
+    stdio: ['ignore', 'pipe', 'pipe'],
+    detached: process.platform !== 'win32',
+    shell: process.platform === 'win32',
+  });
+
+  // 캡처 도중 종료되거나 Ctrl+C 로 중단되어도 서버가 남지 않도록
+  // (detached 라서 터미널의 SIGINT 가 자식 프로세스 그룹에는 가지 않음)
+  const cleanup = () => killTree(child, 'SIGTERM');
+  const interrupt = (signal) => {
+    cleanup();
+    process.exit(signal === 'SIGINT' ? 130 : 143);
+  };
+  process.once('exit', cleanup);
+  process.once('SIGINT', interrupt);
+  process.once('SIGTERM', interrupt);
+
+  let output = '';
+  const onData = (chunk) => {
+    output = (output + chunk.toString()).slice(-20000);
+    if (options.log) options.log(chunk.toString());
+  };
+  child.stdout.on('data', onData);
+  child.stderr.on('data', onData);
+
+  let spawnError = null;
+  child.once('error', (error) => {
+    spawnError = error;
+  });
+
+  const stop = async () => {
+    process.removeListener('exit', cleanup);
+    process.removeListener('SIGINT', interrupt);
+    process.removeListener('SIGTERM', interrupt);
+    await stopProcess(child);
+  };
+
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    if (spawnError || child.exitCode !== null) {
+      await stop();
+      const reason = spawnError ? spawnError.message : `exited with code ${child.exitCode}`;
+      throw new Error(`Dev server ${reason}: ${server.command} ${server.args.join(' ')}\n${lastLines(output)}`);
+    }
+
+    const url = parseServerUrl(output) || (fallbackBusy ? null : fallbackUrl);
+    if (url && (await checkServer(url)).ok) {
+      return { url: url.replace(/\/+$/, ''), pid: child.pid, stop };
+    }
+    await sleep(500);
+  }
+
+  await stop();
+  throw new Error(`Dev server not ready within ${Math.round(timeout / 1000)}s: ${server.command} ${server.args.join(' ')}\n${lastLines(output)}`);
+}
+
+// ============================================
+// 진입점
+// ============================================
+
+// options: { projectDir, baseUrl (명시한 BASE_URL), mode: 'auto'|'start'|'reuse',
+//            serve: 'dev'|'preview', staticDir, timeout, log }
+// 반환: { url, framework, reused, command?, stop() }
+async function ensureServer(options = {}) {
+  const projectDir = options.projectDir || process.cwd();
+  const mode = options.mode || 'auto';
+  if (!SERVER_MODES.includes(mode)) {
+    throw new Error(`Unknown server mode: ${mode} (expected ${SERVER_MODES.join(', ')})`);
+  }
+
+  // 감지 실패(빌드 결과 없음 등)는 새로 띄워야 할 때만 에러
+  let detected = null;
+  let detectError = null;
+  if (!(mode === 'reuse' && options.baseUrl)) {
+    try {
+      detected = detectServer(projectDir, { mode: options.serve, staticDir: options.staticDir });
+    } catch (error) {
+      detectError = error;
+    }
+  }
+
+  // 이미 떠 있는 서버: BASE_URL 또는 감지한 프레임워크의 기본 포트
+  if (mode !== 'start') {
+    const candidate = options.baseUrl || (detected && detected.port ? `http://localhost:${detected.port}` : null);
+    if (candidate && (await checkServer(candidate)).ok) {
+      return { url: candidate.replace(/\/+$/, ''), framework: detected ? detected.framework : null, reused: true, stop: async () => {} };
+    }
+    if (mode === 'reuse') {
+      throw new Error(`Server not running: ${candidate || 'no BASE_URL and no dev server detected'}`);
+    }
+  }
+
+  if (detectError) {
+    throw detectError;
+  }
+  if (!detected) {
+    throw new Error('Could not detect a dev server (package.json dev/start script, Flutter build/web or index.html). Set BASE_URL to a running server or use --static <dir>');
+  }
+
+  if (detected.staticDir) {
+    const server = await startStaticServer(detected.staticDir);
+    return { ...server, framework: detected.framework, reused: false, command: `static ${detected.staticDir}` };
+  }
+
+  const server = await startProcessServer(projectDir, detected, { timeout: options.timeout, log: options.log });
+  return { ...server, framework: detected.framework, reused: false, command: `${detected.command} ${detected.args.join(' ')}` };
+}
+
+module.exports = {
+  SERVER_MODES,
+  checkServer,
+  detectServer,
+  parseServerUrl,
+  startProcessServer,
+  ensureServer,
+};
@@ -0,0 +1,101 @@
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, beforeEach, afterEach } = require('node:test');
+const devServer = require('./dev-server.cjs');
+
+// 포트 0 으로 띄우고 Vite 처럼 "Local:" 줄에 URL 을 출력하는 서버
+const TINY_SERVER = "require('http').createServer((req, res) => res.end('ok'))"
+  + ".listen(0, '127.0.0.1', function () { console.log('  Local:   http://127.0.0.1:' + this.address().port + '/'); })";
+
+let dir;
+
+function writeFile(name, content) {
+  const file = path.join(dir, name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+}
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'design-polish-server-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('parseServerUrl prefers the Local line and normalizes wildcard hosts', () => {
+  const vite = '\x1b[32m  ➜  Network: http://192.168.0.10:5173/\x1b[0m\n  ➜  \x1b[1mLocal\x1b[22m:   \x1b[36mhttp://localhost:5173/\x1b[39m\n';
+
+  assert.equal(devServer.parseServerUrl(vite), 'http://localhost:5173');
+  assert.equal(devServer.parseServerUrl('Listening on http://0.0.0.0:3000'), 'http://localhost:3000');
+  assert.equal(devServer.parseServerUrl('Serving at http://[::1]:4200/app'), 'http://localhost:4200');
+  assert.equal(devServer.parseServerUrl('compiling...'), null);
+});
+
+test('detectServer picks the framework script, package manager and port', () => {
+  writeFile('package.json', { scripts: { dev: 'vite' }, devDependencies: { vite: '^5.0.0' } });
+  writeFile('pnpm-lock.yaml', '');
+  assert.deepEqual(devServer.detectServer(dir), { framework: 'vite', port: 5173, command: 'pnpm', args: ['run', 'dev'] });
+  assert.deepEqual(devServer.detectServer(dir, { mode: 'preview' }), { framework: 'vite', port: 4173, command: 'npx', args: ['--no-install', 'vite', 'preview'] });
+
+  writeFile('package.json', { scripts: { start: 'node server.js' } });
+  assert.deepEqual(devServer.detectServer(dir), { framework: 'unknown', port: null, command: 'pnpm', args: ['run', 'start'] });
+});
+
+test('detectServer serves build output and Flutter builds as static directories', () => {
+  assert.equal(devServer.detectServer(dir), null);
+  assert.throws(() => devServer.detectServer(dir, { staticDir: 'public' }), /^Error: No index\.html in /);
+
+  writeFile('pubspec.yaml', 'name: app\nflutter:\n  uses-material-design: true\n');
+  assert.throws(() => devServer.detectServer(dir), /No Flutter web build in build\/web/);
+  writeFile('build/web/index.html', '<html></html>');
+  assert.deepEqual(devServer.detectServer(dir), { framework: 'flutter', staticDir: path.join(dir, 'build', 'web') });
+
+  // CRA preview 는 build/ 아래에서 index.html 이 있는 첫 디렉토리
+  writeFile('package.json', { dependencies: { 'react-scripts': '5.0.0' } });
+  assert.deepEqual(devServer.detectServer(dir, { mode: 'preview' }), { framework: 'cra', staticDir: path.join(dir, 'build', 'web') });
+  fs.rmSync(path.join(dir, 'build'), { recursive: true });
+  assert.throws(() => devServer.detectServer(dir, { mode: 'preview' }), /^Error: No build output in build\/\. Build first \(e\.g\. npm run build\)$/);
+});
+
+test('a started dev server is detected, reached through the URL it prints and stopped', async () => {
+  writeFile('package.json', { scripts: { dev: `node -e "${TINY_SERVER}"` } });
+
+  const server = await devServer.ensureServer({ projectDir: dir, mode: 'start', timeout: 30000 });
+  try {
+    assert.equal(server.framework, 'unknown');
+    assert.equal(server.reused, false);
+    assert.equal(server.command, 'npm run dev');
+    assert.match(server.url, /^http:\/\/127\.0\.0\.1:\d+$/);
+    assert.deepEqual(await devServer.checkServer(server.url), { ok: true, status: 200 });
+
+    // 떠 있는 서버는 auto 모드에서 다시 띄우지 않고 재사용
+    const reused = await devServer.ensureServer({ projectDir: dir, baseUrl: server.url });
+    assert.equal(reused.reused, true);
+  } finally {
+    await server.stop();
+  }
+
+  assert.equal(isRunning(server.pid), false);
+  assert.equal((await devServer.checkServer(server.url)).ok, false);
+});
+
+test('startProcessServer rejects a timeout of 0 and reports a server that exits', async () => {
+  const node = { command: process.execPath, port: null };
+
+  await assert.rejects(devServer.startProcessServer(dir, { ...node, args: ['-e', TINY_SERVER] }, { timeout: 0 }),
+    /^Error: Server timeout must be more than 0 ms, got 0 \(SERVER_TIMEOUT\)$/);
+  await assert.rejects(devServer.startProcessServer(dir, { ...node, args: ['-e', 'console.error("port in use"); process.exit(3)'] }),
+    /^Error: Dev server exited with code 3: .* -e .*\nport in use$/);
+});
@@ -0,0 +1,94 @@
+// design-polish plugin - Flutter web support
+//
+// Flutter web 은 화면을 canvas(CanvasKit/Skwasm)로 그리므로 networkidle0 후에도
+// 첫 프레임이 아직일 수 있고, DOM 에는 axe 가 검사할 내용이 거의 없습니다.
+// 첫 프레임은 엔진이 보내는 flutter-first-frame 이벤트로 기다리고, 접근성
+// 체크 전에는 flt-semantics-placeholder 를 눌러 semantics 트리를 켭니다.
+
+const FIRST_FRAME_FLAG = '__designPolishFirstFrame';
+
+// 새 문서마다 첫 프레임 이벤트를 기록 (페이지를 만든 직후 한 번 등록)
+async function trackFirstFrame(page) {
+  await page.evaluateOnNewDocument(flag => {
+    window[flag] = false;
+    window.addEventListener('flutter-first-frame', () => {
+      window[flag] = true;
+    });
+  }, FIRST_FRAME_FLAG);
+}
+
+async function waitForFirstFrame(page, timeout) {
+  try {
+    await page.waitForFunction(flag => window[flag] === true, { timeout }, FIRST_FRAME_FLAG);
+  } catch (error) {
+    throw new Error(`Flutter first frame not rendered within ${timeout}ms (is this a Flutter web build?)`);
+  }
+  // 첫 프레임 직후 이미지/폰트가 반영되도록 두 프레임 더 대기
+  await page.evaluate(() => new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve))));
+}
+
+// --flutter 없이 Flutter 앱을 열었는지 확인 (안내용)
+async function isFlutterPage(page) {
+  return page.evaluate(() => Boolean(window._flutter || document.querySelector('flutter-view, flt-glass-pane')));
+}
+
+// semantics 트리 켜기. 이미 켜져 있거나 켜지면 true
+async function enableSemantics(page, timeout) {
+  const hasSemantics = () => page.evaluate(() => document.querySelector('flt-semantics') !== null);
+  if (await hasSemantics()) return true;
+
+  // 버전에 따라 placeholder 가 flt-glass-pane 의 shadow root 안에 있음
+  const activated = await page.evaluate(() => {
+    const find = root => root.querySelector('flt-semantics-placeholder')
+      || [...root.querySelectorAll('*')].map(el => el.shadowRoot && find(el.shadowRoot)).find(Boolean);
+    const placeholder = find(document);
+    if (!placeholder) return false;
+    placeholder.click();
+    return true;
+  });
+  if (!activated) return false;
+
+  try {
+    await page.waitForSelector('flt-semantics', { timeout });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// axe target(flt-semantics:nth-child(2) > flt-semantics, #flt-semantic-node-12)을
+// 역할과 이름으로 바꿈: button "Sign in", dialog "Settings" > textbox
+// 노드 id 와 순서는 빌드/실행마다 바뀌므로 리포트와 fingerprint 에 이 이름을 씀
+async function describeTargets(page, targets) {
+  return page.evaluate(targets => {
+    const describe = el => {
+      const role = el.getAttribute('role') || el.tagName.toLowerCase();
+      const name = (el.getAttribute('aria-label') || el.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 60);
+      return name ? `${role} "${name}"` : role;
+    };
+
+    return targets.map(target => {
+      if (target.length !== 1 || typeof target[0] !== 'string') return null;
+      let el;
+      try {
+        el = document.querySelector(target[0]);
+      } catch (error) {
+        return null;
+      }
+      if (!el || !el.closest('flt-semantics-host, flt-semantics')) return null;
+
+      const label = describe(el);
+      if (label.includes('"')) return label;
+      const container = el.parentElement && el.parentElement.closest('[aria-label]');
+      return container ? `${describe(container)} > ${label}` : label;
+    });
+  }, targets);
+}
+
+module.exports = {
+  trackFirstFrame,
+  waitForFirstFrame,
+  isFlutterPage,
+  enableSemantics,
+  describeTargets,
+};
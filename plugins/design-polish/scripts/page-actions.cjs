@@ -0,0 +1,179 @@
+// design-polish plugin - per-page setup from the project config
+//
+// 대기 조건, 클릭/입력/스크롤 단계, 쿠키/localStorage 주입, 로그인 흐름,
+// 스크린샷 전 숨김(hide)과 가림(mask)을 Puppeteer 페이지에 적용합니다.
+
+const { expandEnv } = require('./project-config.cjs');
+
+const MASK_ID = 'design-polish-mask';
+const MASK_COLOR = '#ff00ff';
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function describeWaitFor(waitFor) {
+  if (typeof waitFor === 'string') return waitFor;
+  if (typeof waitFor === 'function') return 'function';
+  return waitFor.selector || 'function';
+}
+
+// selector 는 보일 때까지, 함수는 truthy 를 반환할 때까지 대기
+async function waitForCondition(page, waitFor, timeout) {
+  const limit = (typeof waitFor === 'object' && waitFor.timeout) || timeout;
+  try {
+    if (typeof waitFor === 'string') {
+      await page.waitForSelector(waitFor, { visible: true, timeout: limit });
+    } else if (typeof waitFor === 'function') {
+      await page.waitForFunction(waitFor, { timeout: limit });
+    } else if (waitFor.selector) {
+      await page.waitForSelector(waitFor.selector, { visible: true, timeout: limit });
+    } else {
+      await page.waitForFunction(waitFor.function, { timeout: limit });
+    }
+  } catch (error) {
+    throw new Error(`waitFor ${describeWaitFor(waitFor)} not met within ${limit}ms`);
+  }
+}
+
+async function runStep(page, step, timeout) {
+  if (step.click !== undefined) {
+    await page.waitForSelector(step.click, { visible: true, timeout });
+    await page.click(step.click);
+  } else if (step.type !== undefined) {
+    await page.waitForSelector(step.type, { visible: true, timeout });
+    await page.type(step.type, expandEnv(step.text));
+  } else if (step.scroll !== undefined) {
+    await page.evaluate(target => {
+      if (target === 'bottom') {
+        window.scrollTo(0, document.documentElement.scrollHeight);
+      } else if (typeof target === 'number') {
+        window.scrollTo(0, target);
+      } else {
+        const element = document.querySelector(target);
+        if (!element) throw new Error(`No element matches ${target}`);
+        element.scrollIntoView({ block: 'center' });
+      }
+    }, step.scroll);
+  } else if (step.wait !== undefined) {
+    await sleep(step.wait);
+  } else if (step.waitFor !== undefined) {
+    await waitForCondition(page, step.waitFor, timeout);
+  }
+}
+
+// 실패하면 몇 번째 단계인지 알려줌
+async function runSteps(page, steps, timeout) {
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+    try {
+      await runStep(page, step, timeout);
+    } catch (error) {
+      const [action, target] = Object.entries(step).find(([key]) => key !== 'text');
+      throw new Error(`Step ${i + 1} (${action} ${typeof target === 'function' ? 'function' : JSON.stringify(target)}) failed: ${error.message}`);
+    }
+  }
+}
+
+// 쿠키는 바로 설정, localStorage 는 해당 origin 문서가 열릴 때 주입
+// 반환: localStorage 주입을 해제하는 함수
+async function seedStorage(page, options, url) {
+  if (options.cookies.length > 0) {
+    await page.setCookie(...options.cookies.map(cookie => ({
+      ...cookie,
+      value: expandEnv(cookie.value),
+      ...(cookie.domain || cookie.url ? {} : { url }),
+    })));
+  }
+
+  const entries = Object.entries(options.localStorage);
+  if (entries.length === 0) return async () => {};
+
+  const items = Object.fromEntries(entries.map(([key, value]) => [
+    key,
+    typeof value === 'string' ? expandEnv(value) : JSON.stringify(value),
+  ]));
+  const { identifier } = await page.evaluateOnNewDocument((origin, items) => {
+    if (location.origin !== origin) return;
+    for (const [key, value] of Object.entries(items)) {
+      localStorage.setItem(key, value);
+    }
+  }, new URL(url).origin, items);
+
+  return async () => {
+    await page.removeScriptToEvaluateOnNewDocument(identifier);
+  };
+}
+
+// 로그인 전에 이전 세션(쿠키, origin 저장소) 정리
+async function clearSession(page, url) {
+  const client = await page.createCDPSession();
+  try {
+    await client.send('Network.clearBrowserCookies');
+    await client.send('Storage.clearDataForOrigin', {
+      origin: new URL(url).origin,
+      storageTypes: 'local_storage,session_storage',
+    });
+  } finally {
+    await client.detach();
+  }
+}
+
+// open(url): 로그인 페이지 열기 (capture.cjs 의 페이지 열기 방식 사용)
+async function runLogin(page, flow, { open, timeout }) {
+  await open(flow.url);
+  await runSteps(page, flow.steps, timeout);
+  if (flow.waitFor !== undefined) {
+    await waitForCondition(page, flow.waitFor, timeout);
+  } else {
+    await page.waitForNetworkIdle({ idleTime: 500, timeout }).catch(() => {});
+  }
+}
+
+// hide: visibility 숨김 (레이아웃 유지), mask: 요소 위에 단색 박스
+// 반환: 스크린샷 후 원래대로 되돌리는 함수 (WCAG 체크 전에 호출)
+async function applyMasks(page, options) {
+  if (options.mask.length === 0 && options.hide.length === 0) return async () => {};
+
+  await page.evaluate((mask, hide, id, color) => {
+    const style = document.createElement('style');
+    style.id = id;
+    style.textContent = hide.map(selector => `${selector} { visibility: hidden !important; }`).join('\n');
+    document.head.appendChild(style);
+
+    for (const selector of mask) {
+      for (const element of document.querySelectorAll(selector)) {
+        const rect = element.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) continue;
+        const box = document.createElement('div');
+        box.className = id;
+        Object.assign(box.style, {
+          position: 'absolute',
+          left: `${rect.left + window.scrollX}px`,
+          top: `${rect.top + window.scrollY}px`,
+          width: `${rect.width}px`,
+          height: `${rect.height}px`,
+          background: color,
+          zIndex: '2147483647',
+          pointerEvents: 'none',
+        });
+        document.body.appendChild(box);
+      }
+    }
+  }, options.mask, options.hide, MASK_ID, MASK_COLOR);
+
+  return async () => {
+    await page.evaluate(id => {
+      document.querySelectorAll(`#${id}, .${id}`).forEach(element => element.remove());
+    }, MASK_ID);
+  };
+}
+
+module.exports = {
+  waitForCondition,
+  runSteps,
+  seedStorage,
+  clearSession,
+  runLogin,
+  applyMasks,
+};
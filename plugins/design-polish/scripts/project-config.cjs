@@ -0,0 +1,234 @@
+// design-polish plugin - project config (design-polish.config.json / .js)
+//
+// 라우트와 레퍼런스마다 캡처 전 준비를 지정합니다: 대기 조건(selector 또는
+// 함수), 클릭/입력/스크롤 단계, 쿠키/localStorage, 로그인, 숨기거나 가릴 요소.
+//
+// {
+//   "baseUrl": "http://localhost:5173",
+//   "defaults": { "hide": [".cookie-banner"] },
+//   "login": { "url": "/login", "steps": [{ "type": "#email", "text": "${E2E_USER}" }, ...], "waitFor": "nav .avatar" },
+//   "routes": ["/", { "path": "/dashboard", "login": true, "waitFor": ".chart", "mask": [".timestamp"] }],
+//   "references": [{ "url": "https://...", "name": "hero", "hide": ["#onetrust-banner-sdk"] }]
+// }
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const CONFIG_FILES = ['design-polish.config.js', 'design-polish.config.mjs', 'design-polish.config.cjs', 'design-polish.config.json'];
+const CONFIG_KEYS = ['baseUrl', 'defaults', 'login', 'logins', 'routes', 'references'];
+const STEP_TYPES = ['click', 'type', 'scroll', 'wait', 'waitFor'];
+const PAGE_OPTIONS = ['waitFor', 'steps', 'cookies', 'localStorage', 'login', 'mask', 'hide'];
+
+// ============================================
+// 검증
+// ============================================
+
+function fail(where, message) {
+  throw new Error(`${where}: ${message}`);
+}
+
+function checkSelectors(value, where) {
+  if (!Array.isArray(value) || value.some(s => typeof s !== 'string' || !s)) {
+    fail(where, 'expected a list of selectors');
+  }
+}
+
+// selector 문자열, 페이지에서 실행할 함수, { selector | function, timeout }
+function checkWaitFor(value, where) {
+  if (typeof value === 'string' || typeof value === 'function') return;
+  if (value && typeof value === 'object' && (typeof value.selector === 'string' || ['string', 'function'].includes(typeof value.function))) return;
+  fail(where, 'expected a selector, a function, or { selector | function, timeout }');
+}
+
+function checkStep(step, where) {
+  const type = STEP_TYPES.find(t => step && step[t] !== undefined);
+  if (!type) {
+    fail(where, `unknown step (expected one of ${STEP_TYPES.join(', ')})`);
+  }
+  if (type === 'type' && typeof step.text !== 'string') {
+    fail(where, 'type step needs "text"');
+  }
+  if (type === 'wait' && typeof step.wait !== 'number') {
+    fail(where, 'wait step needs milliseconds');
+  }
+  if (type === 'waitFor') {
+    checkWaitFor(step.waitFor, where);
+  }
+  if (type === 'scroll' && !['string', 'number'].includes(typeof step.scroll)) {
+    fail(where, 'scroll step needs a selector, "bottom" or a y offset');
+  }
+}
+
+function checkPageOptions(options, where, logins) {
+  for (const key of Object.keys(options)) {
+    if (!PAGE_OPTIONS.includes(key) && !['path', 'url', 'name'].includes(key)) {
+      fail(where, `unknown option "${key}" (expected ${PAGE_OPTIONS.join(', ')})`);
+    }
+  }
+  if (options.waitFor !== undefined) checkWaitFor(options.waitFor, `${where}.waitFor`);
+  if (options.steps !== undefined) {
+    if (!Array.isArray(options.steps)) fail(`${where}.steps`, 'expected a list');
+    options.steps.forEach((step, i) => checkStep(step, `${where}.steps[${i}]`));
+  }
+  if (options.cookies !== undefined) {
+    if (!Array.isArray(options.cookies)) fail(`${where}.cookies`, 'expected a list');
+    options.cookies.forEach((cookie, i) => {
+      if (!cookie || typeof cookie.name !== 'string' || typeof cookie.value !== 'string') {
+        fail(`${where}.cookies[${i}]`, 'expected { name, value }');
+      }
+    });
+  }
+  if (options.localStorage !== undefined && (typeof options.localStorage !== 'object' || Array.isArray(options.localStorage))) {
+    fail(`${where}.localStorage`, 'expected { key: value }');
+  }
+  if (options.mask !== undefined) checkSelectors(options.mask, `${where}.mask`);
+  if (options.hide !== undefined) checkSelectors(options.hide, `${where}.hide`);
+  if (options.login !== undefined && options.login !== false) {
+    const name = options.login === true ? 'default' : options.login;
+    if (!logins[name]) {
+      fail(`${where}.login`, `no login flow named "${name}"${name === 'default' ? ' (add "login" to the config)' : ''}`);
+    }
+  }
+}
+
+function checkLogin(login, where) {
+  if (!login || typeof login.url !== 'string') fail(where, 'login needs "url"');
+  if (!Array.isArray(login.steps) || login.steps.length === 0) fail(`${where}.steps`, 'login needs steps');
+  login.steps.forEach((step, i) => checkStep(step, `${where}.steps[${i}]`));
+  if (login.waitFor !== undefined) checkWaitFor(login.waitFor, `${where}.waitFor`);
+}
+
+// ============================================
+// 로드
+// ============================================
+
+function findConfigFile(projectDir) {
+  return CONFIG_FILES.map(name => path.resolve(projectDir, name)).find(file => fs.existsSync(file)) || null;
+}
+
+// .js 는 프로젝트 package.json 의 "type" 에 따라 ESM 일 수 있으므로 import() 로 읽음
+// (CommonJS 의 module.exports 는 default 로 들어옴, default 가 없으면 named export 사용)
+async function readConfigFile(file) {
+  if (file.endsWith('.json')) return JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (file.endsWith('.cjs')) return require(file);
+  const mod = await import(pathToFileURL(file).href);
+  return mod.default !== undefined ? mod.default : { ...mod };
+}
+
+function isPlainObject(value) {
+  return Object.prototype.toString.call(value) === '[object Object]';
+}
+
+// explicitPath 가 없으면 프로젝트 루트에서 찾음. 설정 파일이 없으면 null
+async function loadConfig(projectDir, explicitPath) {
+  const file = explicitPath ? path.resolve(projectDir, explicitPath) : findConfigFile(projectDir);
+  if (!file) return null;
+  if (!fs.existsSync(file)) {
+    throw new Error(`Config not found: ${file}`);
+  }
+
+  let raw;
+  try {
+    raw = await readConfigFile(file);
+  } catch (error) {
+    throw new Error(`Could not load ${file}: ${error.message}`);
+  }
+  const name = path.basename(file);
+
+  // export 를 빠뜨리거나 잘못된 값을 내보내면 설정 없이 캡처하지 않도록 실패
+  if (!isPlainObject(raw)) {
+    fail(name, 'expected the config to export an object (export default { ... } or module.exports = { ... })');
+  }
+  if (!CONFIG_KEYS.some(key => raw[key] !== undefined)) {
+    fail(name, `config has none of ${CONFIG_KEYS.join(', ')}`);
+  }
+  for (const key of Object.keys(raw)) {
+    if (!CONFIG_KEYS.includes(key)) {
+      fail(name, `unknown key "${key}" (expected ${CONFIG_KEYS.join(', ')})`);
+    }
+  }
+
+  for (const key of ['routes', 'references']) {
+    if (raw[key] !== undefined && !Array.isArray(raw[key])) fail(`${name}: ${key}`, 'expected a list');
+  }
+  for (const key of ['defaults', 'logins']) {
+    if (raw[key] !== undefined && !isPlainObject(raw[key])) fail(`${name}: ${key}`, 'expected an object');
+  }
+
+  const logins = { ...(raw.logins || {}) };
+  if (raw.login) logins.default = raw.login;
+  for (const [loginName, login] of Object.entries(logins)) {
+    checkLogin(login, `${name}: ${loginName === 'default' ? 'login' : `logins.${loginName}`}`);
+  }
+
+  const defaults = raw.defaults || {};
+  checkPageOptions(defaults, `${name}: defaults`, logins);
+
+  const routes = (raw.routes || []).map((entry, i) => {
+    const route = typeof entry === 'string' ? { path: entry } : entry;
+    if (!route || typeof route.path !== 'string' || !route.path.startsWith('/')) {
+      fail(`${name}: routes[${i}]`, 'expected a path like "/about" or { path, ... }');
+    }
+    checkPageOptions(route, `${name}: routes[${i}]`, logins);
+    return route;
+  });
+
+  const references = (raw.references || []).map((ref, i) => {
+    if (!ref || typeof ref.url !== 'string' || typeof ref.name !== 'string') {
+      fail(`${name}: references[${i}]`, 'expected { url, name, ... }');
+    }
+    checkPageOptions(ref, `${name}: references[${i}]`, logins);
+    return ref;
+  });
+
+  return { file, baseUrl: raw.baseUrl || null, defaults, logins, routes, references };
+}
+
+// ============================================
+// 라우트 / 레퍼런스별 옵션
+// ============================================
+
+// defaults 와 합침: 목록(steps, cookies, mask, hide)은 defaults 뒤에 추가, 나머지는 덮어씀
+function mergeOptions(defaults, entry = {}) {
+  const concat = key => [...(defaults[key] || []), ...(entry[key] || [])];
+  const login = entry.login !== undefined ? entry.login : defaults.login;
+  return {
+    waitFor: entry.waitFor !== undefined ? entry.waitFor : defaults.waitFor,
+    steps: concat('steps'),
+    cookies: concat('cookies'),
+    localStorage: { ...defaults.localStorage, ...entry.localStorage },
+    login: login === true ? 'default' : (login || null),
+    mask: concat('mask'),
+    hide: concat('hide'),
+  };
+}
+
+function routeOptions(config, route) {
+  if (!config) return mergeOptions({});
+  return mergeOptions(config.defaults, config.routes.find(r => r.path === route));
+}
+
+// 레퍼런스는 defaults 를 쓰지 않음 (다른 사이트)
+function referenceOptions(config, ref) {
+  if (!config) return mergeOptions({});
+  return mergeOptions({}, config.references.find(r => r.name === ref.name || r.url === ref.url));
+}
+
+// "${NAME}" 을 환경 변수로 치환 (비밀번호를 설정 파일에 넣지 않도록)
+function expandEnv(value) {
+  return String(value).replace(/\$\{(\w+)\}/g, (match, name) => {
+    if (process.env[name] === undefined) {
+      throw new Error(`Environment variable ${name} is not set (used in design-polish config)`);
+    }
+    return process.env[name];
+  });
+}
+
+module.exports = {
+  CONFIG_FILES,
+  loadConfig,
+  routeOptions,
+  referenceOptions,
+  expandEnv,
+};
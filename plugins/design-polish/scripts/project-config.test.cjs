@@ -0,0 +1,81 @@
+const assert = require('assert/strict');
+const path = require('path');
+const { test } = require('node:test');
+const projectConfig = require('./project-config.cjs');
+
+const FIXTURES = path.join(__dirname, '..', 'tests', 'fixtures', 'config');
+
+function fixture(name) {
+  return path.join(FIXTURES, name);
+}
+
+test('loads export default from a .js config in a "type": "module" project', async () => {
+  const config = await projectConfig.loadConfig(fixture('esm-default'));
+
+  assert.equal(config.file, path.join(fixture('esm-default'), 'design-polish.config.js'));
+  assert.equal(config.baseUrl, 'http://localhost:5173');
+  assert.deepEqual(Object.keys(config.logins), ['default']);
+  assert.deepEqual(config.routes.map(route => route.path), ['/', '/dashboard']);
+  assert.equal(typeof config.routes[1].waitFor, 'function');
+
+  const options = projectConfig.routeOptions(config, '/dashboard');
+  assert.equal(options.login, 'default');
+  assert.deepEqual(options.mask, ['.timestamp', '.live-count']);
+  assert.deepEqual(options.hide, ['.cookie-banner']);
+  assert.deepEqual(projectConfig.referenceOptions(config, { name: 'hero' }).hide, ['#onetrust-banner-sdk']);
+});
+
+test('uses named exports of a .mjs config without a default export', async () => {
+  const config = await projectConfig.loadConfig(fixture('esm-named'));
+
+  assert.equal(config.baseUrl, 'http://localhost:4321');
+  assert.deepEqual(config.routes, [{ path: '/' }, { path: '/pricing' }]);
+});
+
+test('loads module.exports from .cjs and plain JSON configs', async () => {
+  const cjs = await projectConfig.loadConfig(fixture('cjs'));
+  assert.deepEqual(Object.keys(cjs.logins), ['admin']);
+  assert.equal(projectConfig.routeOptions(cjs, '/admin').login, 'admin');
+
+  const json = await projectConfig.loadConfig(path.relative(process.cwd(), fixture('json')));
+  assert.equal(json.file, path.join(fixture('json'), 'design-polish.config.json'));
+  assert.deepEqual(projectConfig.routeOptions(json, '/about').cookies, [{ name: 'consent', value: 'yes' }]);
+});
+
+test('a reference can use the login flow without a local baseUrl', async () => {
+  const config = await projectConfig.loadConfig(fixture('reference-login'));
+
+  assert.equal(config.baseUrl, null);
+  assert.equal(config.logins.default.url, '/login');
+  assert.equal(projectConfig.referenceOptions(config, { url: 'https://example.com/app/pricing' }).login, 'default');
+});
+
+test('module.exports in an ES module project fails with the loader error', async () => {
+  await assert.rejects(projectConfig.loadConfig(fixture('cjs-in-esm')),
+    /Could not load .*design-polish\.config\.js: module is not defined in ES module scope/);
+});
+
+test('rejects configs without known keys, with unknown keys or with the wrong shape', async () => {
+  await assert.rejects(projectConfig.loadConfig(fixture('no-keys')),
+    /^Error: design-polish\.config\.mjs: config has none of baseUrl, defaults, login, logins, routes, references$/);
+  await assert.rejects(projectConfig.loadConfig(fixture('unknown-key')),
+    /^Error: design-polish\.config\.json: unknown key "route"/);
+  await assert.rejects(projectConfig.loadConfig(fixture('empty')),
+    /^Error: design-polish\.config\.mjs: routes: expected a list$/);
+});
+
+test('without a config file there is no config, but an explicit path must exist', async () => {
+  assert.equal(await projectConfig.loadConfig(FIXTURES), null);
+  await assert.rejects(projectConfig.loadConfig(FIXTURES, 'missing.config.json'), /^Error: Config not found: /);
+  assert.deepEqual(projectConfig.routeOptions(null, '/'), projectConfig.routeOptions({ defaults: {}, routes: [] }, '/'));
+});
+
+test('expandEnv fills ${NAME} from the environment', () => {
+  process.env.DESIGN_POLISH_TEST_USER = 'qa@example.com';
+  try {
+    assert.equal(projectConfig.expandEnv('${DESIGN_POLISH_TEST_USER}'), 'qa@example.com');
+    assert.throws(() => projectConfig.expandEnv('${DESIGN_POLISH_TEST_UNSET}'), /DESIGN_POLISH_TEST_UNSET is not set/);
+  } finally {
+    delete process.env.DESIGN_POLISH_TEST_USER;
+  }
+});
@@ -0,0 +1,293 @@
+// design-polish plugin - visual regression: baseline store and pixel diffs
+//
+// 승인된 스크린샷은 .design-polish/baselines/ 에 복사되고, baselines.json 에
+// 라우트/디바이스/스킴과 무시 영역이 기록됩니다. compare 는 현재 스크린샷을
+// 베이스라인과 픽셀 단위로 비교해 diff 이미지와 변경 비율을 만듭니다.
+
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST = 'baselines.json';
+const CAPTURE_MANIFEST = 'captures.json';
+
+// ============================================
+// 의존성 로드 (비교할 때만 필요)
+// ============================================
+
+function loadImageLibraries() {
+  try {
+    return {
+      PNG: require('pngjs').PNG,
+      pixelmatch: require('pixelmatch'),
+    };
+  } catch (e) {
+    throw new Error('pngjs/pixelmatch not found. Run: npm install');
+  }
+}
+
+// ============================================
+// 매니페스트
+// ============================================
+
+function readJson(filepath, fallback) {
+  if (!fs.existsSync(filepath)) return fallback;
+  try {
+    return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read ${filepath}: ${error.message}`);
+  }
+}
+
+function writeJson(filepath, data) {
+  fs.mkdirSync(path.dirname(filepath), { recursive: true });
+  const tmp = `${filepath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, filepath);
+}
+
+function readBaselineManifest(baselineDir) {
+  return readJson(path.join(baselineDir, MANIFEST), { entries: {} });
+}
+
+// 마지막 로컬 캡처 결과 (approve 가 읽음)
+function writeCaptureManifest(screenshotDir, results) {
+  writeJson(path.join(screenshotDir, CAPTURE_MANIFEST), {
+    capturedAt: new Date().toISOString(),
+    results: results.filter(r => r.success),
+  });
+}
+
+function readCaptureManifest(screenshotDir) {
+  return readJson(path.join(screenshotDir, CAPTURE_MANIFEST), null);
+}
+
+// ============================================
+// 승인 (베이스라인 갱신)
+// ============================================
+
+// routes 가 비어 있으면 마지막 캡처 전체를 승인
+function approveBaselines(screenshotDir, baselineDir, routes = []) {
+  const capture = readCaptureManifest(screenshotDir);
+  if (!capture || capture.results.length === 0) {
+    throw new Error(`No captured screenshots in ${screenshotDir}. Capture first: node capture.cjs <routes>`);
+  }
+
+  const selected = capture.results.filter(r => routes.length === 0 || routes.includes(r.route));
+  if (selected.length === 0) {
+    throw new Error(`No captured screenshots for: ${routes.join(', ')}`);
+  }
+
+  const manifest = readBaselineManifest(baselineDir);
+  const approvedAt = new Date().toISOString();
+  const approved = [];
+
+  fs.mkdirSync(baselineDir, { recursive: true });
+  for (const entry of selected) {
+    const source = path.join(screenshotDir, entry.filename);
+    if (!fs.existsSync(source)) {
+      throw new Error(`Screenshot missing: ${source}`);
+    }
+    fs.copyFileSync(source, path.join(baselineDir, entry.filename));
+    manifest.entries[entry.filename] = {
+      route: entry.route,
+      device: entry.device,
+      deviceSpec: entry.deviceSpec,
+      scheme: entry.scheme,
+      ignoreRegions: entry.ignoreRegions || [],
+      capturedAt: capture.capturedAt,
+      approvedAt,
+    };
+    approved.push(entry.filename);
+  }
+
+  manifest.updatedAt = approvedAt;
+  writeJson(path.join(baselineDir, MANIFEST), manifest);
+  return { baselineDir, approved };
+}
+
+// ============================================
+// 픽셀 비교
+// ============================================
+
+// 크기가 다르면 큰 쪽에 맞춰 투명 픽셀로 채움 (겹치지 않는 영역은 compareImages 가 변경으로 집계)
+function padImage(PNG, image, width, height) {
+  if (image.width === width && image.height === height) return image;
+  const padded = new PNG({ width, height });
+  PNG.bitblt(image, padded, 0, 0, image.width, image.height, 0, 0);
+  return padded;
+}
+
+// 무시 영역을 두 이미지에서 같은 색으로 덮고, 덮은 픽셀 표시를 반환
+function maskRegions(images, regions, width, height) {
+  const masked = new Uint8Array(width * height);
+  for (const region of regions) {
+    const x0 = Math.max(0, Math.floor(region.x));
+    const y0 = Math.max(0, Math.floor(region.y));
+    const x1 = Math.min(width, Math.ceil(region.x + region.width));
+    const y1 = Math.min(height, Math.ceil(region.y + region.height));
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) {
+        masked[y * width + x] = 1;
+      }
+    }
+  }
+
+  for (let i = 0; i < masked.length; i++) {
+    if (!masked[i]) continue;
+    for (const image of images) {
+      image.data.fill(0, i * 4, i * 4 + 4);
+    }
+  }
+  return masked;
+}
+
+// options.pixelThreshold: 픽셀별 색 차이 허용치 (0-1, pixelmatch threshold)
+// options.ignoreRegions: 디바이스 픽셀 단위 { x, y, width, height } 목록
+function compareImages(baselinePath, currentPath, options = {}) {
+  const { PNG, pixelmatch } = loadImageLibraries();
+  const baseline = PNG.sync.read(fs.readFileSync(baselinePath));
+  const current = PNG.sync.read(fs.readFileSync(currentPath));
+
+  const width = Math.max(baseline.width, current.width);
+  const height = Math.max(baseline.height, current.height);
+  const before = padImage(PNG, baseline, width, height);
+  const after = padImage(PNG, current, width, height);
+  const masked = maskRegions([before, after], options.ignoreRegions || [], width, height);
+  const ignored = masked.reduce((sum, m) => sum + m, 0);
+
+  // 한쪽 이미지에만 있는 영역: pixelmatch 에서 빼고 전부 변경으로 집계
+  const overlapWidth = Math.min(baseline.width, current.width);
+  const overlapHeight = Math.min(baseline.height, current.height);
+  const outside = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if ((x < overlapWidth && y < overlapHeight) || masked[i]) continue;
+      outside.push(i);
+      before.data.fill(0, i * 4, i * 4 + 4);
+      after.data.fill(0, i * 4, i * 4 + 4);
+    }
+  }
+
+  const diff = new PNG({ width, height });
+  const changedPixels = outside.length + pixelmatch(before.data, after.data, diff.data, width, height, {
+    threshold: options.pixelThreshold === undefined ? 0.1 : options.pixelThreshold,
+    includeAA: false,
+  });
+  for (const i of outside) {
+    diff.data.set([255, 0, 0, 255], i * 4);
+  }
+
+  if (options.diffPath) {
+    fs.mkdirSync(path.dirname(options.diffPath), { recursive: true });
+    fs.writeFileSync(options.diffPath, PNG.sync.write(diff));
+  }
+
+  const comparedPixels = width * height - ignored;
+  return {
+    width,
+    height,
+    sizeChanged: baseline.width !== current.width || baseline.height !== current.height,
+    changedPixels,
+    ignoredPixels: ignored,
+    changedPercent: comparedPixels > 0 ? Number(((changedPixels / comparedPixels) * 100).toFixed(3)) : 0,
+  };
+}
+
+// 캡처 결과 각각을 베이스라인과 비교
+// options: { baselineDir, diffDir, threshold (변경 비율 %), pixelThreshold, routes (이번에 캡처한 라우트) }
+// 캡처에 실패한 페이지는 failed, routes 의 베이스라인 중 캡처되지 않은 것은 missing 으로 실패 처리
+function compareWithBaselines(screenshotDir, results, options) {
+  const manifest = readBaselineManifest(options.baselineDir);
+  const comparisons = [];
+
+  for (const entry of results) {
+    const baselinePath = path.join(options.baselineDir, entry.filename);
+    const base = { route: entry.route, device: entry.device, scheme: entry.scheme, filename: entry.filename };
+
+    if (!entry.success) {
+      comparisons.push({ ...base, status: 'failed', changedPercent: null, error: `Capture failed: ${entry.error}` });
+      continue;
+    }
+
+    if (!fs.existsSync(baselinePath)) {
+      comparisons.push({ ...base, status: 'no-baseline' });
+      continue;
+    }
+
+    const approved = manifest.entries[entry.filename] || {};
+    const diffFilename = entry.filename.replace(/^current-/, 'diff-');
+    const result = compareImages(baselinePath, path.join(screenshotDir, entry.filename), {
+      pixelThreshold: options.pixelThreshold,
+      ignoreRegions: [...(approved.ignoreRegions || []), ...(entry.ignoreRegions || [])],
+      diffPath: path.join(options.diffDir, diffFilename),
+    });
+
+    comparisons.push({
+      ...base,
+      ...result,
+      diffFilename,
+      approvedAt: approved.approvedAt || null,
+      status: result.changedPercent > options.threshold ? 'failed' : (result.changedPixels > 0 ? 'changed' : 'unchanged'),
+    });
+  }
+
+  // 이번 라우트의 베이스라인인데 캡처 결과가 없는 디바이스/스킴
+  const captured = new Set(results.map(r => r.filename));
+  for (const [filename, approved] of Object.entries(manifest.entries)) {
+    if (captured.has(filename)) continue;
+    if (options.routes && !options.routes.includes(approved.route)) continue;
+    comparisons.push({
+      route: approved.route,
+      device: approved.device,
+      scheme: approved.scheme,
+      filename,
+      status: 'missing',
+      changedPercent: null,
+      approvedAt: approved.approvedAt || null,
+    });
+  }
+
+  const checked = comparisons.filter(c => c.status !== 'no-baseline');
+  const count = status => checked.filter(c => c.status === status).length;
+
+  // 라우트별: 디바이스/스킴 중 가장 많이 바뀐 값
+  const routes = [];
+  for (const route of [...new Set(checked.map(c => c.route))]) {
+    const cells = checked.filter(c => c.route === route);
+    const percents = cells.map(c => c.changedPercent).filter(p => typeof p === 'number');
+    const status = ['failed', 'missing', 'changed'].find(s => cells.some(c => c.status === s)) || 'unchanged';
+    routes.push({
+      route,
+      changedPercent: percents.length > 0 ? Math.max(...percents) : null,
+      status,
+    });
+  }
+
+  return {
+    threshold: options.threshold,
+    baselineDir: options.baselineDir,
+    diffDir: options.diffDir,
+    passed: checked.every(c => c.status !== 'failed' && c.status !== 'missing'),
+    summary: {
+      compared: checked.filter(c => c.diffFilename).length,
+      unchanged: count('unchanged'),
+      changed: count('changed'),
+      failed: count('failed'),
+      captureErrors: checked.filter(c => c.error).length,
+      missing: count('missing'),
+      missingBaseline: comparisons.length - checked.length,
+    },
+    routes,
+    comparisons,
+  };
+}
+
+module.exports = {
+  readBaselineManifest,
+  writeCaptureManifest,
+  readCaptureManifest,
+  approveBaselines,
+  compareImages,
+  compareWithBaselines,
+};
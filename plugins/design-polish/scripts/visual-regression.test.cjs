@@ -0,0 +1,139 @@
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, beforeEach, afterEach } = require('node:test');
+const { PNG } = require('pngjs');
+const vr = require('./visual-regression.cjs');
+
+const FIXTURES = path.join(__dirname, '..', 'tests', 'fixtures', 'visual-regression');
+
+let root;
+let screenshotDir;
+let baselineDir;
+let diffDir;
+
+function readRun(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, name), 'utf8'));
+}
+
+// 10x10 흰색 PNG, changed 개수만큼 첫 줄 픽셀을 빨갛게
+function writeScreenshot(filename, changed = 0) {
+  const image = new PNG({ width: 10, height: 10 });
+  image.data.fill(255);
+  for (let i = 0; i < changed; i++) {
+    image.data.set([255, 0, 0, 255], i * 4);
+  }
+  fs.writeFileSync(path.join(screenshotDir, filename), PNG.sync.write(image));
+}
+
+function capture(run, changed = {}) {
+  for (const entry of run.results) {
+    if (entry.success) writeScreenshot(entry.filename, changed[entry.filename]);
+  }
+  vr.writeCaptureManifest(screenshotDir, run.results);
+}
+
+function compare(run, overrides = {}) {
+  return vr.compareWithBaselines(screenshotDir, run.results, {
+    baselineDir,
+    diffDir,
+    threshold: 0.1,
+    routes: run.routes,
+    ...overrides,
+  });
+}
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'design-polish-vr-'));
+  screenshotDir = path.join(root, 'screenshots');
+  baselineDir = path.join(root, 'baselines');
+  diffDir = path.join(root, 'diffs');
+  fs.mkdirSync(screenshotDir);
+  capture(readRun('approved-run.json'));
+  vr.approveBaselines(screenshotDir, baselineDir);
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('approveBaselines copies the last capture and records it in the manifest', () => {
+  const manifest = vr.readBaselineManifest(baselineDir);
+
+  assert.equal(Object.keys(manifest.entries).length, 5);
+  assert.deepEqual(manifest.entries['current-about-desktop-light.png'].route, '/about');
+  assert.ok(fs.existsSync(path.join(baselineDir, 'current-contact-mobile-light.png')));
+  assert.throws(() => vr.approveBaselines(screenshotDir, baselineDir, ['/missing']), /No captured screenshots for: \/missing/);
+});
+
+test('a failed capture and an uncaptured baseline fail the comparison', () => {
+  const run = readRun('regression-run.json');
+  capture(run);
+  const result = compare(run);
+
+  assert.equal(result.passed, false);
+  assert.deepEqual(result.summary, {
+    compared: 2,
+    unchanged: 2,
+    changed: 0,
+    failed: 1,
+    captureErrors: 1,
+    missing: 1,
+    missingBaseline: 1,
+  });
+  assert.deepEqual(result.comparisons.map(c => [c.filename, c.status]), [
+    ['current-main-mobile-light.png', 'unchanged'],
+    ['current-main-desktop-light.png', 'unchanged'],
+    ['current-about-mobile-light.png', 'failed'],
+    ['current-pricing-mobile-light.png', 'no-baseline'],
+    ['current-about-desktop-light.png', 'missing'],
+  ]);
+  assert.equal(result.comparisons[2].error, 'Capture failed: net::ERR_CONNECTION_REFUSED at http://localhost:3000/about');
+  // /contact 는 이번 실행의 라우트가 아니므로 missing 이 아님
+  assert.deepEqual(result.routes, [
+    { route: '/', changedPercent: 0, status: 'unchanged' },
+    { route: '/about', changedPercent: null, status: 'failed' },
+  ]);
+});
+
+test('without routes every uncaptured baseline is missing', () => {
+  const run = readRun('approved-run.json');
+  const subset = { results: run.results.filter(r => r.route === '/'), routes: undefined };
+  capture(subset);
+
+  const result = compare(subset);
+  assert.deepEqual(result.comparisons.filter(c => c.status === 'missing').map(c => c.route), ['/about', '/about', '/contact']);
+  assert.equal(compare({ ...subset, routes: ['/'] }).passed, true);
+});
+
+test('threshold 0 fails on any changed pixel', () => {
+  const run = { results: readRun('approved-run.json').results.slice(0, 2), routes: ['/'] };
+  capture(run, { 'current-main-mobile-light.png': 1 });
+
+  const tolerant = compare(run, { threshold: 5 });
+  assert.equal(tolerant.passed, true);
+  assert.equal(tolerant.comparisons[0].status, 'changed');
+  assert.equal(tolerant.comparisons[0].changedPercent, 1);
+
+  const strict = compare(run, { threshold: 0 });
+  assert.equal(strict.passed, false);
+  assert.equal(strict.comparisons[0].status, 'failed');
+  assert.ok(fs.existsSync(path.join(diffDir, 'diff-main-mobile-light.png')));
+});
+
+test('compareImages ignores masked regions and counts size changes', () => {
+  const baseline = path.join(baselineDir, 'current-main-mobile-light.png');
+  writeScreenshot('changed.png', 5);
+  const current = path.join(screenshotDir, 'changed.png');
+
+  assert.equal(vr.compareImages(baseline, current).changedPixels, 5);
+  const masked = vr.compareImages(baseline, current, { ignoreRegions: [{ x: 0, y: 0, width: 10, height: 1 }] });
+  assert.deepEqual([masked.changedPixels, masked.ignoredPixels], [0, 10]);
+
+  const wide = new PNG({ width: 12, height: 10 });
+  wide.data.fill(255);
+  fs.writeFileSync(path.join(screenshotDir, 'wide.png'), PNG.sync.write(wide));
+  const resized = vr.compareImages(baseline, path.join(screenshotDir, 'wide.png'));
+  assert.deepEqual([resized.sizeChanged, resized.changedPixels, resized.width], [true, 20, 12]);
+});
@@ -0,0 +1,7 @@
+module.exports = {
+  baseUrl: 'http://localhost:3000',
+  logins: {
+    admin: { url: '/admin/login', steps: [{ type: '#password', text: '${ADMIN_PASSWORD}' }] },
+  },
+  routes: [{ path: '/admin', login: 'admin', steps: [{ scroll: 'bottom' }, { wait: 500 }] }],
+};
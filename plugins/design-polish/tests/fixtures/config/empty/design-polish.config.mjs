@@ -0,0 +1,5 @@
+const config = { routes: ['/'] };
+
+export function routes() {
+  return config.routes;
+}
@@ -0,0 +1,14 @@
+export default {
+  baseUrl: 'http://localhost:5173',
+  defaults: { hide: ['.cookie-banner'], mask: ['.timestamp'] },
+  login: {
+    url: '/login',
+    steps: [{ type: '#email', text: '${E2E_USER}' }, { click: 'button[type=submit]' }],
+    waitFor: 'nav .avatar',
+  },
+  routes: [
+    '/',
+    { path: '/dashboard', login: true, waitFor: () => document.querySelectorAll('.chart').length > 0, mask: ['.live-count'] },
+  ],
+  references: [{ url: 'https://example.com', name: 'hero', hide: ['#onetrust-banner-sdk'] }],
+};
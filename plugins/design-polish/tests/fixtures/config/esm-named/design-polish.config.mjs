@@ -0,0 +1,2 @@
+export const baseUrl = 'http://localhost:4321';
+export const routes = ['/', '/pricing'];
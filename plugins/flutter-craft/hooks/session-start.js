@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+// flutter-craft - SessionStart hook: inject start-flutter-craft plus project, skill and plan context
+//
+// Reads the hook input JSON from stdin ({cwd, source, ...}). For manual runs:
+//   node hooks/session-start.js [--source startup|resume|clear|compact] [--project <dir>]
+// FLUTTER_CRAFT_CONTEXT_BUDGET overrides the character budget; FLUTTER_CRAFT_UPDATE_TTL sets
+// how many minutes a cached update check is trusted before it is refreshed in the background.
+// FLUTTER_CRAFT_LOCALE (or LC_ALL / LC_MESSAGES / LANG) selects SKILL.<locale>.md translations.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { buildSessionContext, formatSessionStartOutput } from '../lib/session-context.js';
+
+const PLUGIN_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+function readHookInput() {
+    if (process.stdin.isTTY) return {};
+    try {
+        const raw = fs.readFileSync(0, 'utf8').trim();
+        return raw ? JSON.parse(raw) : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function parseArgs(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--source') options.source = args[++i];
+        else if (args[i] === '--project') options.projectDir = args[++i];
+    }
+    return options;
+}
+
+function main() {
+    const input = readHookInput();
+    const args = parseArgs(process.argv.slice(2));
+    const budget = Number(process.env.FLUTTER_CRAFT_CONTEXT_BUDGET) || undefined;
+    const ttlMinutes = process.env.FLUTTER_CRAFT_UPDATE_TTL ? Number(process.env.FLUTTER_CRAFT_UPDATE_TTL) : NaN;
+
+    let context;
+    try {
+        context = buildSessionContext({
+            pluginRoot: PLUGIN_ROOT,
+            projectDir: path.resolve(args.projectDir || input.cwd || process.env.CLAUDE_PROJECT_DIR || process.cwd()),
+            personalDir: path.join(os.homedir(), '.claude', 'skills'),
+            source: args.source || input.source || 'startup',
+            budget,
+            updateTtl: Number.isFinite(ttlMinutes) ? ttlMinutes * 60 * 1000 : undefined
+        });
+    } catch (error) {
+        console.log(JSON.stringify({ error: error.message }));
+        process.exit(1);
+    }
+
+    console.log(formatSessionStartOutput(context.text));
+}
+
+main();
@@ -3,47 +3,22 @@ set -euo pipefail
 
 # Get the directory where this script is located
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]:-$0}")" && pwd)"
-PLUGIN_ROOT="$(cd "${SCRIPT_DIR}/.." && pwd)"
 
-# Read the start-flutter-craft skill content
-SKILL_FILE="${PLUGIN_ROOT}/skills/start-flutter-craft/SKILL.md"
-
-if [[ ! -f "$SKILL_FILE" ]]; then
-    echo '{"error": "start-flutter-craft/SKILL.md not found"}'
-    exit 1
+# Context is generated by session-start.js (hook input JSON is passed through on stdin).
+# Output is buffered so a failing run (e.g. Node without ES module support) prints nothing
+if command -v node >/dev/null 2>&1; then
+    if output=$(node "${SCRIPT_DIR}/session-start.js" "$@" 2>/dev/null) && [[ -n "$output" ]]; then
+        printf '%s\n' "$output"
+        exit 0
+    fi
 fi
 
-skill_content=$(cat "$SKILL_FILE")
-
-# Function to escape content for JSON
-escape_for_json() {
-    local input="$1"
-    local output=""
-    local i char
-
-    for ((i=0; i<${#input}; i++)); do
-        char="${input:$i:1}"
-        case "$char" in
-            $'\\') output+='\\\\';;
-            '"') output+='\\"';;
-            $'\n') output+='\\n';;
-            $'\r') output+='\\r';;
-            $'\t') output+='\\t';;
-            *) output+="$char";;
-        esac
-    done
-
-    printf '%s' "$output"
-}
-
-escaped_content=$(escape_for_json "$skill_content")
-
-# Output JSON for Claude Code to consume
-cat <<EOF
+# Without a working Node, point at the entry skill instead of inlining it
+cat <<'EOF'
 {
   "hookSpecificOutput": {
     "hookEventName": "SessionStart",
-    "additionalContext": "<EXTREMELY_IMPORTANT>\nYou have flutter-craft skills available.\n\n${escaped_content}\n</EXTREMELY_IMPORTANT>"
+    "additionalContext": "<EXTREMELY_IMPORTANT>\nYou have flutter-craft skills available.\n\nBefore responding, use the Skill tool to load flutter-craft:start-flutter-craft and follow it.\n</EXTREMELY_IMPORTANT>"
   }
 }
 EOF
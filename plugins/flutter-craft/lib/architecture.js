@@ -0,0 +1,275 @@
+import fs from 'fs';
+import path from 'path';
+import { readPubspec } from './pubspec.js';
+
+/**
+ * Clean Architecture import analysis for lib/features/<feature>/{domain,data,presentation}.
+ *
+ * Every Dart import/export under lib/ is resolved to a location
+ * (feature + layer, core, the Flutter SDK, another package) and checked
+ * against the layer rules flutter-craft skills assume:
+ * - domain depends on nothing but Dart and its own domain
+ * - data may depend on domain, never on presentation
+ * - features use each other's domain only, never data or presentation
+ * - lib/core never depends on a feature
+ */
+
+const LAYERS = ['domain', 'data', 'presentation'];
+
+/**
+ * Severities follow the flutter-code-reviewer issue categories.
+ */
+const RULES = {
+    'domain-imports-data': { severity: 'critical', message: 'Domain layer imports the data layer' },
+    'domain-imports-presentation': { severity: 'critical', message: 'Domain layer imports the presentation layer' },
+    'domain-imports-flutter': { severity: 'critical', message: 'Domain layer depends on the Flutter framework' },
+    'data-imports-presentation': { severity: 'important', message: 'Data layer imports the presentation layer' },
+    'cross-feature-internals': { severity: 'important', message: 'Feature reaches into another feature\'s data or presentation layer' },
+    'core-imports-feature': { severity: 'important', message: 'lib/core depends on a feature' }
+};
+
+/**
+ * Extract import and export directives from Dart source.
+ *
+ * @param {string} source - Dart file content
+ * @returns {Array<{uri: string, line: number, directive: string}>}
+ */
+function parseDartImports(source) {
+    const imports = [];
+    const withoutBlockComments = source.replace(/\/\*[\s\S]*?\*\//g, match => match.replace(/[^\n]/g, ' '));
+    const pattern = /^\s*(import|export)\s+(['"])([^'"]+)\2/;
+
+    withoutBlockComments.split('\n').forEach((line, index) => {
+        const match = line.match(pattern);
+        if (match) imports.push({ uri: match[3], line: index + 1, directive: match[1] });
+    });
+
+    return imports;
+}
+
+/**
+ * Describe where a lib/-relative path sits in the architecture.
+ *
+ * @param {string} libPath - Path relative to lib/, posix separators
+ * @returns {{area: string, feature?: string, layer?: string}}
+ *   area is 'feature' (with feature and layer, layer may be 'other'), 'core' or 'lib'
+ */
+function locate(libPath) {
+    const parts = libPath.split('/');
+    if (parts[0] === 'features' && parts.length > 2) {
+        return { area: 'feature', feature: parts[1], layer: LAYERS.includes(parts[2]) ? parts[2] : 'other' };
+    }
+    if (parts[0] === 'core' || parts[0] === 'shared') return { area: 'core' };
+    return { area: 'lib' };
+}
+
+/**
+ * Resolve an import URI from a file to a target location.
+ *
+ * @param {string} uri - Import URI
+ * @param {string} fromLibPath - Importing file, relative to lib/
+ * @param {string} packageName - Name of the package being analyzed
+ * @returns {{area: string, feature?: string, layer?: string, package?: string, libPath?: string}}
+ *   area is 'feature', 'core', 'lib', 'flutter', 'dart' or 'package'
+ */
+function resolveImport(uri, fromLibPath, packageName) {
+    if (uri.startsWith('dart:')) {
+        return { area: uri === 'dart:ui' ? 'flutter' : 'dart' };
+    }
+
+    const packageMatch = uri.match(/^package:([^/]+)\/(.*)$/);
+    if (packageMatch) {
+        const [, pkg, rest] = packageMatch;
+        if (pkg === packageName) return { ...locate(rest), libPath: rest };
+        if (pkg === 'flutter' || pkg === 'flutter_test') return { area: 'flutter', package: pkg };
+        return { area: 'package', package: pkg };
+    }
+
+    const libPath = path.posix.normalize(path.posix.join(path.posix.dirname(fromLibPath), uri));
+    if (libPath.startsWith('..')) return { area: 'package', package: '(outside lib)' };
+    return { ...locate(libPath), libPath };
+}
+
+/**
+ * Find which rule, if any, an import breaks.
+ *
+ * @param {{area: string, feature?: string, layer?: string}} from - Importing file location
+ * @param {{area: string, feature?: string, layer?: string}} to - Imported location
+ * @returns {string|null} - Rule id
+ */
+function checkRule(from, to) {
+    if (from.area === 'core' && to.area === 'feature') return 'core-imports-feature';
+    if (from.area !== 'feature') return null;
+
+    if (from.layer === 'domain') {
+        if (to.area === 'flutter') return 'domain-imports-flutter';
+        if (to.area === 'feature' && to.layer === 'data') return 'domain-imports-data';
+        if (to.area === 'feature' && to.layer === 'presentation') return 'domain-imports-presentation';
+    }
+    if (from.layer === 'data' && to.area === 'feature' && to.layer === 'presentation') {
+        return 'data-imports-presentation';
+    }
+    if (to.area === 'feature' && to.feature !== from.feature && to.layer !== 'domain') {
+        return 'cross-feature-internals';
+    }
+    return null;
+}
+
+/**
+ * List Dart files below a directory.
+ *
+ * @param {string} dir - Directory to walk
+ * @returns {string[]}
+ */
+function listDartFiles(dir) {
+    const files = [];
+    if (!fs.existsSync(dir)) return files;
+
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...listDartFiles(fullPath));
+        } else if (entry.name.endsWith('.dart') && !/\.(g|freezed|mocks|config)\.dart$/.test(entry.name)) {
+            files.push(fullPath);
+        }
+    }
+
+    return files.sort();
+}
+
+/**
+ * Analyze Dart imports of a Flutter project against Clean Architecture layer rules.
+ * Generated files (*.g.dart, *.freezed.dart, *.mocks.dart) are skipped.
+ *
+ * @param {string} projectDir - Directory containing pubspec.yaml and lib/
+ * @returns {{projectDir: string, packageName: string,
+ *   features: Object<string, {files: number, layers: Object<string, number>}>,
+ *   dependencies: Array<{from: string, to: string, count: number}>,
+ *   violations: Array<{rule: string, severity: string, message: string, file: string, line: number, import: string, from: Object, to: Object}>,
+ *   summary: {files: number, imports: number, violations: number, critical: number, important: number}}}
+ */
+function analyzeArchitecture(projectDir) {
+    const libDir = path.join(projectDir, 'lib');
+    const pubspec = readPubspec(projectDir);
+    const packageName = pubspec && pubspec.name ? pubspec.name : path.basename(projectDir);
+
+    const features = {};
+    const dependencyCounts = new Map();
+    const violations = [];
+    let importCount = 0;
+
+    const files = listDartFiles(libDir);
+    for (const file of files) {
+        const libPath = path.relative(libDir, file).split(path.sep).join('/');
+        const from = locate(libPath);
+
+        if (from.area === 'feature') {
+            const feature = features[from.feature] || (features[from.feature] = { files: 0, layers: {} });
+            feature.files++;
+            feature.layers[from.layer] = (feature.layers[from.layer] || 0) + 1;
+        }
+
+        let source;
+        try {
+            source = fs.readFileSync(file, 'utf8');
+        } catch (error) {
+            continue;
+        }
+
+        for (const { uri, line } of parseDartImports(source)) {
+            importCount++;
+            const to = resolveImport(uri, libPath, packageName);
+
+            if (from.area === 'feature' && to.area === 'feature') {
+                const key = `${from.feature}/${from.layer}\u0000${to.feature}/${to.layer}`;
+                dependencyCounts.set(key, (dependencyCounts.get(key) || 0) + 1);
+            }
+
+            const rule = checkRule(from, to);
+            if (!rule) continue;
+
+            violations.push({
+                rule,
+                severity: RULES[rule].severity,
+                message: RULES[rule].message,
+                file: path.relative(projectDir, file).split(path.sep).join('/'),
+                line,
+                import: uri,
+                from,
+                to: { area: to.area, ...(to.feature ? { feature: to.feature, layer: to.layer } : {}), ...(to.package ? { package: to.package } : {}) }
+            });
+        }
+    }
+
+    const dependencies = [...dependencyCounts.entries()]
+        .map(([key, count]) => {
+            const [fromKey, toKey] = key.split('\u0000');
+            return { from: fromKey, to: toKey, count };
+        })
+        .sort((a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to));
+
+    return {
+        projectDir,
+        packageName,
+        features,
+        dependencies,
+        violations,
+        summary: {
+            files: files.length,
+            imports: importCount,
+            violations: violations.length,
+            critical: violations.filter(v => v.severity === 'critical').length,
+            important: violations.filter(v => v.severity === 'important').length
+        }
+    };
+}
+
+/**
+ * Render an architecture report as markdown in the shape of the
+ * flutter-code-reviewer "Clean Architecture Compliance" section.
+ *
+ * @param {Object} report - Result of analyzeArchitecture
+ * @returns {string}
+ */
+function formatArchitectureReport(report) {
+    const lines = ['### Clean Architecture Compliance', ''];
+
+    for (const layer of LAYERS) {
+        const layerViolations = report.violations.filter(v => v.from.area === 'feature' && v.from.layer === layer);
+        const title = `${layer[0].toUpperCase()}${layer.slice(1)} Layer`;
+        lines.push(layerViolations.length === 0
+            ? `- ${title}: ✅`
+            : `- ${title}: ❌ ${layerViolations.length} violation(s)`);
+    }
+    const coreViolations = report.violations.filter(v => v.from.area === 'core');
+    if (coreViolations.length) lines.push(`- Core: ❌ ${coreViolations.length} violation(s)`);
+
+    for (const severity of ['critical', 'important']) {
+        const items = report.violations.filter(v => v.severity === severity);
+        if (items.length === 0) continue;
+        lines.push('', `#### ${severity[0].toUpperCase()}${severity.slice(1)}`);
+        for (const v of items) {
+            lines.push(`- \`${v.file}:${v.line}\` - ${v.message}: \`${v.import}\` [${v.rule}]`);
+        }
+    }
+
+    const featureNames = Object.keys(report.features).sort();
+    if (featureNames.length) {
+        lines.push('', '#### Feature Layers', '', '| Feature | Domain | Data | Presentation |', '|---------|--------|------|--------------|');
+        for (const name of featureNames) {
+            const layers = report.features[name].layers;
+            lines.push(`| ${name} | ${layers.domain || 0} | ${layers.data || 0} | ${layers.presentation || 0} |`);
+        }
+    }
+
+    lines.push('', `${report.summary.files} file(s), ${report.summary.imports} import(s), ${report.summary.violations} violation(s)`);
+    return lines.join('\n') + '\n';
+}
+
+export {
+    RULES,
+    locate,
+    parseDartImports,
+    analyzeArchitecture,
+    formatArchitectureReport
+};
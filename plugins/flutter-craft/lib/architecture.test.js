@@ -0,0 +1,46 @@
+import assert from 'assert/strict';
+import path from 'path';
+import { test } from 'node:test';
+import { fileURLToPath } from 'url';
+import { locate, parseDartImports, analyzeArchitecture, formatArchitectureReport } from './architecture.js';
+
+const FIXTURE = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../tests/fixtures/architecture-project');
+
+test('parseDartImports skips block comments and keeps line numbers', () => {
+    const imports = parseDartImports("import 'a.dart';\n/*\nimport 'b.dart';\n*/\nexport \"c.dart\";\n");
+    assert.deepEqual(imports, [
+        { uri: 'a.dart', line: 1, directive: 'import' },
+        { uri: 'c.dart', line: 5, directive: 'export' }
+    ]);
+});
+
+test('locate maps lib paths to feature layers and core', () => {
+    assert.deepEqual(locate('features/auth/domain/user.dart'), { area: 'feature', feature: 'auth', layer: 'domain' });
+    assert.deepEqual(locate('features/auth/di.dart'), { area: 'feature', feature: 'auth', layer: 'other' });
+    assert.deepEqual(locate('core/router.dart'), { area: 'core' });
+    assert.deepEqual(locate('main.dart'), { area: 'lib' });
+});
+
+test('analyzeArchitecture reports each layer rule once per import', () => {
+    const report = analyzeArchitecture(FIXTURE);
+    const found = report.violations.map(v => `${v.rule} ${v.file}:${v.line}`).sort();
+
+    assert.equal(report.packageName, 'arch_sample');
+    assert.deepEqual(found, [
+        'core-imports-feature lib/core/router.dart:1',
+        'cross-feature-internals lib/features/profile/presentation/profile_page.dart:2',
+        'data-imports-presentation lib/features/auth/data/models/user_model.dart:2',
+        'domain-imports-data lib/features/auth/domain/entities/user.dart:2',
+        'domain-imports-flutter lib/features/auth/domain/entities/user.dart:1'
+    ]);
+    assert.deepEqual(report.summary, { files: 5, imports: 9, violations: 5, critical: 2, important: 3 });
+    assert.deepEqual(report.features.auth.layers, { data: 1, domain: 1, presentation: 1 });
+});
+
+test('formatArchitectureReport marks failing layers', () => {
+    const markdown = formatArchitectureReport(analyzeArchitecture(FIXTURE));
+    assert.match(markdown, /- Domain Layer: ❌ 2 violation\(s\)/);
+    assert.match(markdown, /- Presentation Layer: ❌ 1 violation\(s\)/);
+    assert.match(markdown, /- Core: ❌ 1 violation\(s\)/);
+    assert.match(markdown, /\| auth \| 1 \| 1 \| 1 \|/);
+});
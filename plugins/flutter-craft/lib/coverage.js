@@ -0,0 +1,462 @@
+import fs from 'fs';
+import path from 'path';
+import { locate } from './architecture.js';
+
+/**
+ * Coverage analysis for `flutter test --coverage` (coverage/lcov.info).
+ *
+ * Files are classified by feature, Clean Architecture layer and the
+ * flutter-testing priority of what they contain:
+ * - priority 1: data/repositories, data/datasources, data/models, domain/usecases
+ * - priority 2: presentation state (bloc, cubit, providers, notifiers, controllers)
+ * - priority 3: presentation pages, screens and widgets
+ * - priority 4: everything else (entities, core, lib)
+ *
+ * Thresholds are keyed by scope, optionally with a metric ("scope:branches"):
+ * - total: every file
+ * - a category: repository, datasource, model, usecase, state, widget, other
+ * - a layer path in any feature: data, data/repositories, presentation/bloc
+ * - a feature path: features/auth, features/auth/data
+ * Dart files under lib/ that no test loaded are missing from lcov.info; they
+ * are reported as untested and fail any threshold whose scope contains them.
+ */
+
+const CATEGORIES = {
+    repository: { priority: 1, label: 'Repository' },
+    datasource: { priority: 1, label: 'DataSource' },
+    model: { priority: 1, label: 'Model' },
+    usecase: { priority: 1, label: 'Use case' },
+    state: { priority: 2, label: 'State management' },
+    widget: { priority: 3, label: 'Widget' },
+    other: { priority: 4, label: 'Other' }
+};
+
+const DEFAULT_THRESHOLDS = {
+    'data/repositories': 90,
+    'data/datasources': 80,
+    state: 80
+};
+
+const STATE_DIRS = ['bloc', 'blocs', 'cubit', 'cubits', 'providers', 'provider', 'notifiers', 'controllers', 'viewmodels', 'view_models', 'state'];
+const WIDGET_DIRS = ['pages', 'screens', 'widgets', 'views'];
+const GENERATED_FILE = /\.(g|freezed|mocks|config|gr)\.dart$/;
+
+/**
+ * Parse lcov.info into per-file line and branch data.
+ *
+ * @param {string} content - lcov.info content
+ * @param {{projectDir?: string}} options - projectDir makes SF paths relative
+ * @returns {Array<{file: string, lines: {found: number, hit: number}, branches: {found: number, hit: number},
+ *   uncoveredLines: number[]}>}
+ */
+function parseLcov(content, options = {}) {
+    const records = [];
+    let current = null;
+
+    const finish = () => {
+        if (!current) return;
+        const lineHits = [...current.lineHits.entries()].sort((a, b) => a[0] - b[0]);
+        const lines = lineHits.length
+            ? { found: lineHits.length, hit: lineHits.filter(([, hits]) => hits > 0).length }
+            : { found: current.lf, hit: current.lh };
+        const branches = current.branchHits.length
+            ? { found: current.branchHits.length, hit: current.branchHits.filter(hits => hits > 0).length }
+            : { found: current.brf, hit: current.brh };
+        records.push({
+            file: current.file,
+            lines,
+            branches,
+            uncoveredLines: lineHits.filter(([, hits]) => hits === 0).map(([line]) => line)
+        });
+        current = null;
+    };
+
+    for (const raw of String(content).split('\n')) {
+        const line = raw.trim();
+        if (line.startsWith('SF:')) {
+            finish();
+            let file = line.slice(3);
+            if (options.projectDir && path.isAbsolute(file)) {
+                const relative = path.relative(options.projectDir, file);
+                if (!relative.startsWith('..') && !path.isAbsolute(relative)) file = relative;
+            }
+            current = { file: file.split(path.sep).join('/').replace(/\\/g, '/'), lineHits: new Map(), branchHits: [], lf: 0, lh: 0, brf: 0, brh: 0 };
+        } else if (!current) {
+            continue;
+        } else if (line.startsWith('DA:')) {
+            const [lineNumber, hits] = line.slice(3).split(',');
+            const number = Number(lineNumber);
+            current.lineHits.set(number, (current.lineHits.get(number) || 0) + Number(hits));
+        } else if (line.startsWith('BRDA:')) {
+            const taken = line.slice(5).split(',')[3];
+            current.branchHits.push(taken === '-' ? 0 : Number(taken));
+        } else if (line.startsWith('LF:')) {
+            current.lf = Number(line.slice(3));
+        } else if (line.startsWith('LH:')) {
+            current.lh = Number(line.slice(3));
+        } else if (line.startsWith('BRF:')) {
+            current.brf = Number(line.slice(4));
+        } else if (line.startsWith('BRH:')) {
+            current.brh = Number(line.slice(4));
+        } else if (line === 'end_of_record') {
+            finish();
+        }
+    }
+    finish();
+    return records;
+}
+
+/**
+ * Classify a project-relative file by feature, layer and testing priority.
+ *
+ * @param {string} file - Project-relative path
+ * @returns {{area: string, feature: string|null, layer: string|null, dir: string|null,
+ *   category: string, priority: number}}
+ *   dir is the directory below the layer (repositories, bloc, ...)
+ */
+function classifyFile(file) {
+    const libPath = file.startsWith('lib/') ? file.slice(4) : null;
+    const location = libPath ? locate(libPath) : { area: 'other' };
+    if (location.area !== 'feature') {
+        return { area: location.area, feature: null, layer: null, dir: null, category: 'other', priority: CATEGORIES.other.priority };
+    }
+
+    const parts = libPath.split('/');
+    const dir = parts.length > 4 ? parts[3] : null;
+    let category = 'other';
+    if (location.layer === 'data' && dir === 'repositories') category = 'repository';
+    else if (location.layer === 'data' && (dir === 'datasources' || dir === 'data_sources')) category = 'datasource';
+    else if (location.layer === 'data' && dir === 'models') category = 'model';
+    else if (location.layer === 'domain' && dir === 'usecases') category = 'usecase';
+    else if (location.layer === 'presentation' && STATE_DIRS.includes(dir)) category = 'state';
+    else if (location.layer === 'presentation' && WIDGET_DIRS.includes(dir)) category = 'widget';
+
+    return {
+        area: `${location.feature}/${location.layer}`,
+        feature: location.feature,
+        layer: location.layer,
+        dir,
+        category,
+        priority: CATEGORIES[category].priority
+    };
+}
+
+/**
+ * Whether a Dart file has code a test could execute. Abstract interfaces,
+ * plain enums and export-only barrel files never show up in lcov.info.
+ *
+ * @param {string} source - Dart source
+ * @returns {boolean}
+ */
+function hasExecutableCode(source) {
+    const code = source.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/.*$/gm, '');
+    if (/=>/.test(code)) return true;
+    const braces = (code.match(/\{/g) || []).length;
+    const declarations = (code.match(/\b(class|enum|mixin)\b[^{;]*\{/g) || []).length;
+    return braces > declarations;
+}
+
+/**
+ * Dart files under lib/ that coverage should account for.
+ *
+ * @param {string} projectDir - Flutter project root
+ * @returns {string[]} - Project-relative paths (generated files, part files and files
+ *   without executable code excluded)
+ */
+function listLibFiles(projectDir) {
+    const files = [];
+    const walk = (dir) => {
+        let entries;
+        try {
+            entries = fs.readdirSync(dir, { withFileTypes: true });
+        } catch (error) {
+            return;
+        }
+        for (const entry of entries) {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                walk(fullPath);
+            } else if (entry.name.endsWith('.dart') && !GENERATED_FILE.test(entry.name)) {
+                const source = fs.readFileSync(fullPath, 'utf8');
+                if (/^\s*part\s+of\b/m.test(source) || !hasExecutableCode(source)) continue;
+                files.push(path.relative(projectDir, fullPath).split(path.sep).join('/'));
+            }
+        }
+    };
+    walk(path.join(projectDir, 'lib'));
+    return files.sort();
+}
+
+/**
+ * Add two coverage counters.
+ *
+ * @param {{found: number, hit: number}} a
+ * @param {{found: number, hit: number}} b
+ * @returns {{found: number, hit: number}}
+ */
+function add(a, b) {
+    return { found: a.found + b.found, hit: a.hit + b.hit };
+}
+
+/**
+ * Summarize a set of files.
+ *
+ * @param {Object[]} files - Classified file entries
+ * @returns {{files: number, untested: number, lines: {found: number, hit: number, percent: number|null},
+ *   branches: {found: number, hit: number, percent: number|null}}}
+ *   percent has one decimal; null when nothing was found
+ */
+function summarize(files) {
+    let lines = { found: 0, hit: 0 };
+    let branches = { found: 0, hit: 0 };
+    for (const file of files) {
+        lines = add(lines, file.lines);
+        branches = add(branches, file.branches);
+    }
+    const percent = (counter) => (counter.found ? Math.round((counter.hit / counter.found) * 1000) / 10 : null);
+    return {
+        files: files.length,
+        untested: files.filter(file => file.untested).length,
+        lines: { ...lines, percent: percent(lines) },
+        branches: { ...branches, percent: percent(branches) }
+    };
+}
+
+/**
+ * Select the files a threshold scope applies to.
+ *
+ * @param {string} scope - total, a category, a layer path or features/<name>[/<layer>[/<dir>]]
+ * @param {Object[]} files - Classified file entries
+ * @returns {Object[]}
+ */
+function filesInScope(scope, files) {
+    if (scope === 'total') return files;
+    if (CATEGORIES[scope]) return files.filter(file => file.category === scope);
+    if (scope.startsWith('features/')) {
+        const prefix = `lib/${scope.replace(/\/+$/, '')}/`;
+        return files.filter(file => file.file.startsWith(prefix));
+    }
+    const [layer, dir] = scope.split('/');
+    return files.filter(file => file.layer === layer && (!dir || file.dir === dir));
+}
+
+/**
+ * Normalize thresholds into a list of checks.
+ *
+ * @param {Object<string, number|{lines?: number, branches?: number}>} thresholds
+ *   keys are scopes, optionally suffixed with :lines or :branches
+ * @returns {Array<{scope: string, metric: string, required: number}>}
+ * @throws {Error} - On an unknown metric or a value outside 0-100
+ */
+function normalizeThresholds(thresholds) {
+    const checks = [];
+    for (const [key, value] of Object.entries(thresholds)) {
+        const [scope, metric = 'lines'] = key.split(':');
+        const entries = typeof value === 'object' && value !== null ? Object.entries(value) : [[metric, value]];
+        for (const [entryMetric, required] of entries) {
+            if (!['lines', 'branches'].includes(entryMetric)) throw new Error(`Unknown coverage metric "${entryMetric}" in ${key}`);
+            const number = Number(required);
+            if (!Number.isFinite(number) || number < 0 || number > 100) throw new Error(`Threshold for ${key} must be 0-100`);
+            checks.push({ scope, metric: entryMetric, required: number });
+        }
+    }
+    return checks;
+}
+
+/**
+ * Parse a command-line threshold such as "data/repositories=90" or
+ * "state:branches=70".
+ *
+ * @param {string} spec - scope[:metric]=percent
+ * @returns {[string, number]} - Key and percentage for the thresholds object
+ * @throws {Error} - When the spec is malformed
+ */
+function parseThreshold(spec) {
+    const match = String(spec).match(/^([^=]+)=(\d+(?:\.\d+)?)%?$/);
+    if (!match) throw new Error(`Invalid threshold "${spec}" (expected scope=percent, e.g. data/repositories=90)`);
+    normalizeThresholds({ [match[1].trim()]: Number(match[2]) });
+    return [match[1].trim(), Number(match[2])];
+}
+
+/**
+ * Aggregate coverage per feature and layer, check thresholds and rank
+ * uncovered files by testing priority.
+ *
+ * @param {string} lcovContent - lcov.info content
+ * @param {{projectDir?: string, thresholds?: Object, includeUntested?: boolean}} options
+ *   thresholds default to DEFAULT_THRESHOLDS; includeUntested (default true when projectDir is set)
+ *   adds lib/ files that are missing from lcov.info
+ * @returns {{total: Object, layers: Object<string, Object>, features: Object<string, {total: Object, layers: Object}>,
+ *   categories: Object<string, Object>, files: Object[], thresholds: Object[], uncovered: Object[], passed: boolean}}
+ *   summaries come from summarize(); uncovered is sorted by priority, then uncovered line count
+ */
+function analyzeCoverage(lcovContent, options = {}) {
+    const records = parseLcov(lcovContent, options)
+        .filter(record => record.file.startsWith('lib/') && !GENERATED_FILE.test(record.file));
+
+    const files = records.map(record => ({ ...record, ...classifyFile(record.file), untested: false }));
+
+    const includeUntested = options.includeUntested === undefined ? Boolean(options.projectDir) : options.includeUntested;
+    if (includeUntested && options.projectDir) {
+        const covered = new Set(files.map(file => file.file));
+        for (const file of listLibFiles(options.projectDir)) {
+            if (covered.has(file)) continue;
+            files.push({
+                file,
+                lines: { found: 0, hit: 0 },
+                branches: { found: 0, hit: 0 },
+                uncoveredLines: [],
+                ...classifyFile(file),
+                untested: true
+            });
+        }
+    }
+    files.sort((a, b) => a.file.localeCompare(b.file));
+
+    const group = (keyOf) => {
+        const groups = {};
+        for (const file of files) {
+            const key = keyOf(file);
+            if (!key) continue;
+            (groups[key] = groups[key] || []).push(file);
+        }
+        return groups;
+    };
+
+    const layers = Object.fromEntries(Object.entries(group(file => file.layer)).sort().map(([layer, list]) => [layer, summarize(list)]));
+    const features = Object.fromEntries(Object.entries(group(file => file.feature)).sort().map(([feature, list]) => [feature, {
+        total: summarize(list),
+        layers: Object.fromEntries(Object.entries(group(file => (file.feature === feature ? file.layer : null))).sort()
+            .map(([layer, layerFiles]) => [layer, summarize(layerFiles)]))
+    }]));
+    const categoryGroups = group(file => file.category);
+    const categories = Object.fromEntries(Object.keys(CATEGORIES)
+        .filter(category => categoryGroups[category])
+        .map(category => [category, summarize(categoryGroups[category])]));
+
+    const thresholds = normalizeThresholds(options.thresholds || DEFAULT_THRESHOLDS).map(check => {
+        const scoped = filesInScope(check.scope, files);
+        const summary = summarize(scoped);
+        const actual = summary[check.metric].percent;
+        return {
+            ...check,
+            actual,
+            files: summary.files,
+            untested: summary.untested,
+            // A scope with no matching files or no measurable lines has nothing to fail
+            passed: summary.untested === 0 && (actual === null || actual >= check.required)
+        };
+    });
+
+    const uncovered = files
+        .filter(file => file.untested || file.lines.hit < file.lines.found)
+        .map(file => ({
+            file: file.file,
+            category: file.category,
+            priority: file.priority,
+            untested: file.untested,
+            uncovered: file.lines.found - file.lines.hit,
+            lines: summarize([file]).lines,
+            uncoveredLines: file.uncoveredLines
+        }))
+        .sort((a, b) => a.priority - b.priority || Number(b.untested) - Number(a.untested) || b.uncovered - a.uncovered || a.file.localeCompare(b.file));
+
+    return {
+        total: summarize(files),
+        layers,
+        features,
+        categories,
+        files,
+        thresholds,
+        uncovered,
+        passed: thresholds.every(check => check.passed)
+    };
+}
+
+/**
+ * Read and analyze coverage/lcov.info of a project.
+ *
+ * @param {string} projectDir - Flutter project root
+ * @param {{lcovPath?: string, thresholds?: Object, includeUntested?: boolean}} options
+ * @returns {Object} - analyzeCoverage result plus lcovPath
+ * @throws {Error} - When the lcov file does not exist
+ */
+function readCoverage(projectDir, options = {}) {
+    const lcovPath = path.resolve(projectDir, options.lcovPath || path.join('coverage', 'lcov.info'));
+    if (!fs.existsSync(lcovPath)) {
+        throw new Error(`${path.relative(process.cwd(), lcovPath) || lcovPath} not found (run flutter test --coverage)`);
+    }
+    return { lcovPath, ...analyzeCoverage(fs.readFileSync(lcovPath, 'utf8'), { ...options, projectDir }) };
+}
+
+/**
+ * Format a percentage for reports.
+ *
+ * @param {number|null} percent
+ * @returns {string}
+ */
+function formatPercent(percent) {
+    return percent === null ? '-' : `${percent.toFixed(1)}%`;
+}
+
+/**
+ * Render a coverage result as markdown.
+ *
+ * @param {Object} coverage - analyzeCoverage result
+ * @param {{limit?: number}} options - limit caps the uncovered file list (default 15)
+ * @returns {string}
+ */
+function formatCoverageReport(coverage, options = {}) {
+    const limit = options.limit === undefined ? 15 : options.limit;
+    const cell = (summary) => (summary ? formatPercent(summary.lines.percent) : '-');
+    const lines = [
+        '### Test Coverage',
+        '',
+        `**Total:** ${formatPercent(coverage.total.lines.percent)} lines (${coverage.total.lines.hit}/${coverage.total.lines.found}), `
+            + `${formatPercent(coverage.total.branches.percent)} branches`
+            + (coverage.total.untested ? `, ${coverage.total.untested} file(s) not loaded by any test` : '')
+    ];
+
+    const features = Object.entries(coverage.features);
+    if (features.length) {
+        lines.push('', '| Feature | Domain | Data | Presentation | Total |', '|---------|--------|------|--------------|-------|');
+        for (const [name, feature] of features) {
+            lines.push(`| ${name} | ${cell(feature.layers.domain)} | ${cell(feature.layers.data)} | ${cell(feature.layers.presentation)} | ${cell(feature.total)} |`);
+        }
+    }
+
+    if (coverage.thresholds.length) {
+        lines.push('', '**Thresholds:**');
+        for (const check of coverage.thresholds) {
+            const mark = check.passed ? '✅' : '❌';
+            const untested = check.untested ? `, ${check.untested} untested file(s)` : '';
+            const scope = check.metric === 'lines' ? check.scope : `${check.scope} (branches)`;
+            const actual = check.files ? formatPercent(check.actual) : 'no files';
+            lines.push(`- ${mark} ${scope}: ${actual} (required ${check.required}%${untested})`);
+        }
+    }
+
+    if (coverage.uncovered.length) {
+        lines.push('', '**Uncovered files by testing priority:**');
+        for (const file of coverage.uncovered.slice(0, limit)) {
+            const label = `P${file.priority} ${CATEGORIES[file.category].label}`;
+            const detail = file.untested ? 'not loaded by any test' : `${formatPercent(file.lines.percent)}, ${file.uncovered} line(s) uncovered`;
+            lines.push(`- [${label}] ${file.file} - ${detail}`);
+        }
+        if (coverage.uncovered.length > limit) lines.push(`- … ${coverage.uncovered.length - limit} more`);
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+export {
+    CATEGORIES,
+    DEFAULT_THRESHOLDS,
+    parseLcov,
+    classifyFile,
+    parseThreshold,
+    analyzeCoverage,
+    readCoverage,
+    formatPercent,
+    formatCoverageReport
+};
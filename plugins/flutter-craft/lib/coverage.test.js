@@ -0,0 +1,112 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { test } from 'node:test';
+import { fileURLToPath } from 'url';
+import { parseLcov, classifyFile, parseThreshold, analyzeCoverage, readCoverage, formatPercent, formatCoverageReport } from './coverage.js';
+
+const FIXTURE = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../tests/fixtures/coverage-project');
+const LCOV = fs.readFileSync(path.join(FIXTURE, 'coverage', 'lcov.info'), 'utf8');
+
+test('parseLcov prefers DA/BRDA records and falls back to LF/LH totals', () => {
+    const records = Object.fromEntries(parseLcov(LCOV).map(record => [record.file, record]));
+
+    assert.deepEqual(records['lib/features/auth/data/repositories/auth_repository_impl.dart'], {
+        file: 'lib/features/auth/data/repositories/auth_repository_impl.dart',
+        lines: { found: 8, hit: 6 },
+        branches: { found: 4, hit: 2 },
+        uncoveredLines: [16, 17]
+    });
+    assert.deepEqual(records['lib/core/router.dart'].lines, { found: 6, hit: 3 });
+    assert.deepEqual(records['lib/core/router.dart'].uncoveredLines, []);
+});
+
+test('parseLcov makes absolute SF paths relative to the project', () => {
+    const [record] = parseLcov(`SF:${path.join('/work/app', 'lib', 'main.dart')}\nDA:1,1\nend_of_record\n`, { projectDir: '/work/app' });
+    assert.equal(record.file, 'lib/main.dart');
+});
+
+test('classifyFile assigns categories and testing priorities', () => {
+    const brief = file => { const c = classifyFile(file); return `${c.area} ${c.category} P${c.priority}`; };
+
+    assert.equal(brief('lib/features/auth/data/repositories/auth_repository_impl.dart'), 'auth/data repository P1');
+    assert.equal(brief('lib/features/auth/data/data_sources/remote.dart'), 'auth/data datasource P1');
+    assert.equal(brief('lib/features/auth/presentation/bloc/auth_bloc.dart'), 'auth/presentation state P2');
+    assert.equal(brief('lib/features/auth/presentation/pages/login_page.dart'), 'auth/presentation widget P3');
+    assert.equal(brief('lib/features/auth/domain/entities/user.dart'), 'auth/domain other P4');
+    assert.equal(brief('lib/core/router.dart'), 'core other P4');
+});
+
+test('parseThreshold validates scope=percent specs', () => {
+    assert.deepEqual(parseThreshold('data/repositories=90'), ['data/repositories', 90]);
+    assert.deepEqual(parseThreshold('state:branches=70.5%'), ['state:branches', 70.5]);
+    assert.throws(() => parseThreshold('state'), /Invalid threshold/);
+    assert.throws(() => parseThreshold('state:functions=50'), /Unknown coverage metric "functions"/);
+    assert.throws(() => parseThreshold('total=150'), /must be 0-100/);
+});
+
+test('readCoverage adds untested lib files and skips generated, test and declaration-only files', () => {
+    const coverage = readCoverage(FIXTURE);
+
+    assert.equal(coverage.lcovPath, path.join(FIXTURE, 'coverage', 'lcov.info'));
+    assert.deepEqual(coverage.files.map(file => `${file.file}${file.untested ? ' (untested)' : ''}`), [
+        'lib/core/router.dart',
+        'lib/features/auth/data/datasources/auth_remote_datasource.dart (untested)',
+        'lib/features/auth/data/models/user_model.dart (untested)',
+        'lib/features/auth/data/repositories/auth_repository_impl.dart',
+        'lib/features/auth/presentation/bloc/auth_bloc.dart',
+        'lib/features/auth/presentation/pages/login_page.dart'
+    ]);
+    assert.deepEqual(coverage.total, {
+        files: 6,
+        untested: 2,
+        lines: { found: 22, hit: 16, percent: 72.7 },
+        branches: { found: 4, hit: 2, percent: 50 }
+    });
+    assert.deepEqual(Object.keys(coverage.features.auth.layers), ['data', 'presentation']);
+    assert.equal(coverage.features.auth.layers.presentation.lines.percent, 87.5);
+});
+
+test('default thresholds fail on low repository coverage and untested data sources', () => {
+    const coverage = readCoverage(FIXTURE);
+
+    assert.deepEqual(coverage.thresholds.map(check => [check.scope, check.actual, check.untested, check.passed]), [
+        ['data/repositories', 75, 0, false],
+        ['data/datasources', null, 1, false],
+        ['state', 100, 0, true]
+    ]);
+    assert.equal(coverage.passed, false);
+    assert.deepEqual(coverage.uncovered.map(file => [file.priority, file.file.split('/').pop()]), [
+        [1, 'auth_remote_datasource.dart'],
+        [1, 'user_model.dart'],
+        [1, 'auth_repository_impl.dart'],
+        [3, 'login_page.dart'],
+        [4, 'router.dart']
+    ]);
+});
+
+test('thresholds scope by category, feature path and metric', () => {
+    const coverage = analyzeCoverage(LCOV, {
+        thresholds: { 'features/auth/presentation': 85, 'repository:branches': 50, widget: { lines: 90 }, 'features/profile': 80 }
+    });
+
+    assert.deepEqual(coverage.thresholds.map(check => [check.scope, check.metric, check.actual, check.files, check.passed]), [
+        ['features/auth/presentation', 'lines', 87.5, 2, true],
+        ['repository', 'branches', 50, 1, true],
+        ['widget', 'lines', 80, 1, false],
+        ['features/profile', 'lines', null, 0, true]
+    ]);
+    // Without a projectDir there is nothing to discover, so only lcov.info counts
+    assert.equal(coverage.total.untested, 0);
+});
+
+test('formatCoverageReport lists thresholds and uncovered files by priority', () => {
+    const report = formatCoverageReport(readCoverage(FIXTURE), { limit: 2 });
+
+    assert.match(report, /\*\*Total:\*\* 72\.7% lines \(16\/22\), 50\.0% branches, 2 file\(s\) not loaded by any test/);
+    assert.match(report, /\| auth \| - \| 75\.0% \| 87\.5% \| 81\.3% \|/);
+    assert.match(report, /- ❌ data\/datasources: - \(required 80%, 1 untested file\(s\)\)/);
+    assert.match(report, /- \[P1 DataSource\] lib\/features\/auth\/data\/datasources\/auth_remote_datasource\.dart - not loaded by any test/);
+    assert.match(report, /- … 3 more\n$/);
+    assert.equal(formatPercent(null), '-');
+});
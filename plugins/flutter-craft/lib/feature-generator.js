@@ -0,0 +1,1668 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Dart code for a CRUD feature in the Clean Architecture layout used by
+ * flutter-project-init.
+ *
+ * A spec names the domain pattern (simple, stateful, categorized, tracked,
+ * relational or custom), the state management (bloc, cubit or riverpod) and
+ * optionally the entities and their fields; patterns other than custom
+ * supply the entities from references/*-pattern.md. For every entity the
+ * generator emits:
+ * - domain: freezed entity (with its enums), repository interface, use cases
+ * - data: drift table, local datasource, freezed model with JSON mapping,
+ *   repository implementation
+ * - presentation: bloc, cubit or Riverpod notifier, list and detail pages, card
+ * - test: model, repository, state management and card widget skeletons
+ *
+ * Output only depends on the spec: files are sorted by path and carry no
+ * timestamps, so the result can be snapshot-tested.
+ */
+
+const STATE_MANAGEMENT = ['bloc', 'cubit', 'riverpod'];
+const PRIMITIVE_TYPES = ['String', 'int', 'double', 'bool', 'DateTime'];
+const IDENTIFIER = /^[A-Za-z][A-Za-z0-9]*$/;
+
+const PATTERNS = {
+    simple: {
+        description: 'Single entity CRUD',
+        entities: [{
+            name: 'Note',
+            fields: ['id:String', 'title:String', 'content:String', 'createdAt:DateTime', 'updatedAt:DateTime?']
+        }]
+    },
+    stateful: {
+        description: 'Entity with a status field',
+        entities: [{
+            name: 'Task',
+            fields: ['id:String', 'title:String', 'description:String', 'status:{Entity}Status=pending',
+                'createdAt:DateTime', 'completedAt:DateTime?'],
+            filters: ['status']
+        }],
+        enums: { '{Entity}Status': ['pending', 'inProgress', 'completed', 'cancelled'] }
+    },
+    categorized: {
+        description: 'Entity with a category relation',
+        entities: [
+            {
+                name: 'Expense',
+                fields: ['id:String', 'title:String', 'amount:double', 'categoryId:String', 'date:DateTime', 'note:String?'],
+                filters: ['categoryId']
+            },
+            { name: 'Category', fields: ['id:String', 'name:String', 'icon:String', 'color:String'] }
+        ]
+    },
+    tracked: {
+        description: 'Entity with date-based tracking',
+        entities: [{
+            name: 'Habit',
+            fields: ['id:String', 'name:String', 'description:String', 'frequency:{Entity}Frequency',
+                'completedDates:List<DateTime>', 'currentStreak:int=0', 'bestStreak:int=0', 'createdAt:DateTime'],
+            filters: ['frequency']
+        }],
+        enums: { '{Entity}Frequency': ['daily', 'weekly', 'monthly'] }
+    },
+    relational: {
+        description: 'Several related entities',
+        feature: 'blog',
+        entities: [
+            { name: 'User', fields: ['id:String', 'name:String', 'email:String', 'createdAt:DateTime'] },
+            {
+                name: 'Post',
+                fields: ['id:String', 'authorId:String', 'title:String', 'content:String', 'createdAt:DateTime', 'likeCount:int=0'],
+                filters: ['authorId']
+            },
+            {
+                name: 'Comment',
+                fields: ['id:String', 'postId:String', 'authorId:String', 'content:String', 'createdAt:DateTime'],
+                filters: ['postId', 'authorId']
+            }
+        ]
+    },
+    custom: {
+        description: 'User-defined fields',
+        entities: []
+    }
+};
+
+// ---------------------------------------------------------------------------
+// Names
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {string} name - PascalCase or camelCase identifier
+ * @returns {string} - snake_case
+ */
+function snake(name) {
+    return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/([A-Z])([A-Z][a-z])/g, '$1_$2').toLowerCase();
+}
+
+/**
+ * @param {string} name - Identifier
+ * @returns {string} - camelCase
+ */
+function camel(name) {
+    return name.charAt(0).toLowerCase() + name.slice(1);
+}
+
+/**
+ * @param {string} name - Identifier
+ * @returns {string} - PascalCase
+ */
+function pascal(name) {
+    return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+/**
+ * English plural of an identifier ("Category" -> "Categories").
+ *
+ * @param {string} name - Identifier
+ * @returns {string}
+ */
+function plural(name) {
+    if (/[^aeiou]y$/i.test(name)) return `${name.slice(0, -1)}ies`;
+    if (/(s|x|z|ch|sh)$/i.test(name)) return `${name}es`;
+    return `${name}s`;
+}
+
+/**
+ * Human-readable label for a field ("completedAt" -> "Completed at").
+ *
+ * @param {string} name - camelCase field name
+ * @returns {string}
+ */
+function label(name) {
+    const words = snake(name).split('_');
+    return [pascal(words[0]), ...words.slice(1)].join(' ');
+}
+
+// ---------------------------------------------------------------------------
+// Spec normalization
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse "name:Type", "name:Type?" or "name:Type=default" into a field object.
+ *
+ * @param {string|Object} field - Field shorthand or {name, type, nullable?, default?}
+ * @returns {{name: string, type: string, nullable: boolean, default: *}}
+ */
+function parseField(field) {
+    if (typeof field !== 'string') {
+        const type = String(field.type || '');
+        return {
+            name: field.name,
+            type: type.replace(/\?$/, ''),
+            nullable: Boolean(field.nullable) || type.endsWith('?'),
+            default: field.default
+        };
+    }
+
+    const match = field.match(/^\s*([^:\s]+)\s*:\s*([^=]+?)\s*(?:=\s*(.*?)\s*)?$/);
+    if (!match) throw new Error(`Invalid field "${field}" (expected name:Type, name:Type? or name:Type=default)`);
+    return {
+        name: match[1],
+        type: match[2].replace(/\?$/, ''),
+        nullable: match[2].endsWith('?'),
+        default: match[3]
+    };
+}
+
+/**
+ * Work out the kind of a field type.
+ *
+ * @param {string} type - Dart type without "?"
+ * @param {Object<string, string[]>} enums - Known enums
+ * @returns {{kind: string, item?: string}|null} - kind is primitive, enum or list
+ */
+function classifyType(type, enums) {
+    if (PRIMITIVE_TYPES.includes(type)) return { kind: 'primitive' };
+    if (enums[type]) return { kind: 'enum' };
+    const list = type.match(/^List<(\w+)>$/);
+    if (list && PRIMITIVE_TYPES.includes(list[1])) return { kind: 'list', item: list[1] };
+    return null;
+}
+
+/**
+ * Turn a default value into a Dart literal.
+ *
+ * @param {Object} field - Parsed field with kind
+ * @param {Object<string, string[]>} enums - Known enums
+ * @param {string} owner - Entity name, for messages
+ * @returns {string}
+ */
+function defaultLiteral(field, enums, owner) {
+    const value = String(field.default);
+    const fail = (expected) => {
+        throw new Error(`${owner}.${field.name}: default "${value}" is not ${expected}`);
+    };
+
+    if (field.kind === 'enum') {
+        const name = value.replace(new RegExp(`^${field.type}\\.`), '');
+        if (!enums[field.type].includes(name)) fail(`one of ${enums[field.type].join(', ')}`);
+        return `${field.type}.${name}`;
+    }
+    if (field.kind === 'list') {
+        if (value.replace(/\s/g, '') !== '[]') fail('[] (only empty list defaults are supported)');
+        return `<${field.item}>[]`;
+    }
+    switch (field.type) {
+        case 'String':
+            return `'${value.replace(/^(['"])(.*)\1$/, '$2').replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\$/g, '\\$')}'`;
+        case 'int':
+            if (!/^-?\d+$/.test(value)) fail('an int');
+            return value;
+        case 'double':
+            if (!/^-?\d+(\.\d+)?$/.test(value)) fail('a double');
+            return value.includes('.') ? value : `${value}.0`;
+        case 'bool':
+            if (!['true', 'false'].includes(value)) fail('true or false');
+            return value;
+        default:
+            return fail('supported (DateTime fields cannot have defaults)');
+    }
+}
+
+/**
+ * Validate a spec and expand pattern presets.
+ *
+ * @param {Object} spec - {pattern, stateManagement, packageName, feature?, entity?, fields?,
+ *   entities?: [{name, fields, filters?}], enums?: {Name: [values]}, filters?, includeCore?}
+ *   entity/fields/filters describe a single entity; with a preset pattern, entity renames
+ *   the preset's main entity and fields replace its fields
+ * @returns {{pattern: string, stateManagement: string, packageName: string, feature: string,
+ *   includeCore: boolean, enums: Object<string, {values: string[], owner: string}>,
+ *   entities: Array<{name: string, fields: Object[], filters: Object[]}>}}
+ * @throws {Error} - When the spec is invalid
+ */
+function normalizeFeatureSpec(spec) {
+    if (!spec || typeof spec !== 'object') throw new Error('Spec must be an object');
+
+    const pattern = String(spec.pattern || 'custom').toLowerCase();
+    const preset = PATTERNS[pattern];
+    if (!preset) throw new Error(`Unknown pattern "${spec.pattern}" (expected ${Object.keys(PATTERNS).join(', ')})`);
+
+    const stateManagement = String(spec.stateManagement || '').toLowerCase();
+    if (!STATE_MANAGEMENT.includes(stateManagement)) {
+        throw new Error(`stateManagement must be one of ${STATE_MANAGEMENT.join(', ')}`);
+    }
+
+    const packageName = spec.packageName;
+    if (!packageName || !/^[a-z_][a-z0-9_]*$/.test(packageName)) {
+        throw new Error('packageName must be the pubspec name (lowercase_with_underscores)');
+    }
+
+    let rawEntities;
+    if (spec.entities) {
+        rawEntities = spec.entities;
+    } else if (preset.entities.length) {
+        const main = spec.entity || preset.entities[0].name;
+        const substitute = (text) => text.replace(/\{Entity\}/g, main);
+        rawEntities = preset.entities.map((entity, index) => (index === 0
+            ? {
+                name: main,
+                fields: spec.fields || entity.fields.map(substitute),
+                filters: spec.filters || (spec.fields ? [] : entity.filters)
+            }
+            : entity));
+        if (!spec.fields && preset.enums) {
+            spec = {
+                ...spec,
+                enums: {
+                    ...Object.fromEntries(Object.entries(preset.enums).map(([name, values]) => [substitute(name), values])),
+                    ...spec.enums
+                }
+            };
+        }
+    } else {
+        if (!spec.entity || !spec.fields) throw new Error('The custom pattern needs entity and fields (or entities)');
+        rawEntities = [{ name: spec.entity, fields: spec.fields, filters: spec.filters }];
+    }
+
+    if (!Array.isArray(rawEntities) || rawEntities.length === 0) throw new Error('At least one entity is required');
+
+    const enumValues = spec.enums || {};
+    for (const [name, values] of Object.entries(enumValues)) {
+        if (!IDENTIFIER.test(name) || name !== pascal(name)) throw new Error(`Enum name "${name}" must be PascalCase`);
+        if (!Array.isArray(values) || values.length === 0) throw new Error(`Enum ${name} needs at least one value`);
+        for (const value of values) {
+            if (!IDENTIFIER.test(value) || value !== camel(value)) {
+                throw new Error(`Enum value "${value}" of ${name} must be camelCase`);
+            }
+        }
+    }
+
+    const seen = new Set();
+    const enums = {};
+    const entities = rawEntities.map(raw => {
+        const name = raw.name;
+        if (!name || !IDENTIFIER.test(name) || name !== pascal(name)) {
+            throw new Error(`Entity name "${name}" must be PascalCase`);
+        }
+        if (seen.has(name)) throw new Error(`Duplicate entity ${name}`);
+        if (enumValues[name]) throw new Error(`${name} is both an entity and an enum`);
+        seen.add(name);
+
+        if (!Array.isArray(raw.fields) || raw.fields.length === 0) throw new Error(`Entity ${name} has no fields`);
+        const fields = raw.fields.map(parseField);
+        const names = new Set();
+        for (const field of fields) {
+            if (!field.name || !IDENTIFIER.test(field.name) || field.name !== camel(field.name)) {
+                throw new Error(`${name}: field name "${field.name}" must be camelCase`);
+            }
+            if (names.has(field.name)) throw new Error(`${name}: duplicate field ${field.name}`);
+            names.add(field.name);
+
+            const type = classifyType(field.type, enumValues);
+            if (!type) {
+                throw new Error(`${name}.${field.name}: unknown type ${field.type} (expected ${PRIMITIVE_TYPES.join(', ')}, List<T> or a declared enum)`);
+            }
+            Object.assign(field, type);
+            if (field.kind === 'enum' && !enums[field.type]) {
+                enums[field.type] = { values: enumValues[field.type], owner: name };
+            }
+            field.defaultLiteral = field.default === undefined || field.default === null
+                ? null
+                : defaultLiteral(field, enumValues, name);
+        }
+
+        const id = fields.find(field => field.name === 'id');
+        if (!id) {
+            fields.unshift({ name: 'id', type: 'String', nullable: false, default: undefined, kind: 'primitive', defaultLiteral: null });
+        } else if (id.type !== 'String' || id.nullable || id.defaultLiteral) {
+            throw new Error(`${name}.id must be a required String`);
+        }
+
+        const filters = (raw.filters || []).map(filterName => {
+            const field = fields.find(candidate => candidate.name === filterName);
+            if (!field) throw new Error(`${name}: filter field ${filterName} does not exist`);
+            if (field.name === 'id' || field.kind === 'list') {
+                throw new Error(`${name}: cannot filter by ${filterName}`);
+            }
+            return field;
+        });
+
+        return { name, fields, filters };
+    });
+
+    const feature = spec.feature || preset.feature || snake(entities[0].name);
+    if (!/^[a-z][a-z0-9_]*$/.test(feature)) throw new Error(`Feature name "${feature}" must be snake_case`);
+
+    return {
+        pattern,
+        stateManagement,
+        packageName,
+        feature,
+        includeCore: spec.includeCore !== false,
+        enums,
+        entities
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Rendering helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Render import directives in dart/package/relative groups, each sorted.
+ *
+ * @param {string} fromFile - Project-relative path of the importing file
+ * @param {string[]} targets - "dart:x", "package:x/y.dart" or project-relative "lib/..." paths
+ * @returns {string}
+ */
+function renderImports(fromFile, targets) {
+    const unique = [...new Set(targets)];
+    const dart = unique.filter(target => target.startsWith('dart:')).sort();
+    const packages = unique.filter(target => target.startsWith('package:')).sort();
+    const relative = unique
+        .filter(target => !target.startsWith('dart:') && !target.startsWith('package:'))
+        .map(target => path.posix.relative(path.posix.dirname(fromFile), target))
+        .sort();
+    return [dart, packages, relative]
+        .filter(group => group.length)
+        .map(group => group.map(target => `import '${target}';`).join('\n'))
+        .join('\n\n');
+}
+
+/**
+ * Join lines into file content with a trailing newline.
+ *
+ * @param {...(string|null)} parts - Lines; null entries are dropped
+ * @returns {string}
+ */
+function lines(...parts) {
+    return parts.filter(part => part !== null).join('\n').replace(/\n{3,}/g, '\n\n').trimEnd() + '\n';
+}
+
+/**
+ * Dart type of a field as declared.
+ *
+ * @param {Object} field
+ * @returns {string}
+ */
+function dartType(field) {
+    return `${field.type}${field.nullable ? '?' : ''}`;
+}
+
+/**
+ * Freezed constructor parameter for a field.
+ *
+ * @param {Object} field
+ * @returns {string}
+ */
+function freezedParam(field) {
+    if (field.defaultLiteral) return `@Default(${field.defaultLiteral}) ${field.type} ${field.name},`;
+    if (field.nullable) return `${field.type}? ${field.name},`;
+    return `required ${field.type} ${field.name},`;
+}
+
+/**
+ * Dart expression used as test data for a field.
+ *
+ * @param {Object} field
+ * @param {Object} enums - Normalized enums
+ * @returns {string}
+ */
+function sampleValue(field, enums) {
+    const scalar = (type) => {
+        switch (type) {
+            case 'String':
+                return field.name === 'id' ? "'1'" : `'test ${label(field.name).toLowerCase()}'`;
+            case 'int':
+                return '1';
+            case 'double':
+                return '1.5';
+            case 'bool':
+                return 'true';
+            case 'DateTime':
+                return 'DateTime(2024, 1, 1)';
+            default:
+                return `${type}.${enums[type].values[0]}`;
+        }
+    };
+    return field.kind === 'list' ? `[${scalar(field.item)}]` : scalar(field.type);
+}
+
+/**
+ * Field that titles a card or page: the first required String other than id.
+ *
+ * @param {Object} entity
+ * @returns {Object}
+ */
+function titleField(entity) {
+    return entity.fields.find(field => field.name !== 'id' && field.type === 'String' && !field.nullable)
+        || entity.fields.find(field => field.name === 'id');
+}
+
+/**
+ * Names derived from an entity.
+ *
+ * @param {Object} entity - Normalized entity
+ * @param {string} feature - Feature directory name
+ * @returns {Object}
+ */
+function namesOf(entity, feature) {
+    const name = entity.name;
+    const file = snake(name);
+    const plurals = plural(name);
+    const base = `lib/features/${feature}`;
+    return {
+        name,
+        file,
+        var: camel(name),
+        plural: plurals,
+        pluralVar: camel(plurals),
+        pluralFile: snake(plurals),
+        table: plurals,
+        row: `${name}Row`,
+        entityPath: `${base}/domain/entities/${file}.dart`,
+        repositoryPath: `${base}/domain/repositories/${file}_repository.dart`,
+        usecaseDir: `${base}/domain/usecases`,
+        tablePath: `lib/core/database/tables/${snake(plurals)}_table.dart`,
+        dataSourcePath: `${base}/data/datasources/${file}_local_datasource.dart`,
+        modelPath: `${base}/data/models/${file}_model.dart`,
+        repositoryImplPath: `${base}/data/repositories/${file}_repository_impl.dart`,
+        presentationDir: `${base}/presentation`,
+        testDir: `test/features/${feature}`
+    };
+}
+
+/**
+ * Entity files that declare enums used by an entity, other than its own.
+ *
+ * @param {Object} entity
+ * @param {Object} context - Generation context
+ * @param {Object[]} [fields] - Fields to consider (default: all)
+ * @param {boolean} [includeOwn] - Also return the entity's own file when it declares one of the enums
+ * @returns {string[]} - Project-relative entity paths
+ */
+function foreignEnumImports(entity, context, fields = entity.fields, includeOwn = false) {
+    const owners = new Set(fields
+        .filter(field => field.kind === 'enum' && (includeOwn || context.enums[field.type].owner !== entity.name))
+        .map(field => context.enums[field.type].owner));
+    return [...owners].map(owner => namesOf(context.entities.find(candidate => candidate.name === owner), context.feature).entityPath);
+}
+
+/**
+ * Use case classes of an entity.
+ *
+ * @param {Object} entity
+ * @param {Object} names - Result of namesOf
+ * @returns {Array<{className: string, file: string, method: string, resultType: string,
+ *   paramsType: string, call: string, field?: Object}>}
+ */
+function usecasesOf(entity, names) {
+    const usecases = [
+        {
+            className: `Get${names.plural}`,
+            file: `get_${names.pluralFile}`,
+            resultType: `List<${names.name}>`,
+            paramsType: 'NoParams',
+            call: `get${names.plural}()`
+        },
+        {
+            className: `Create${names.name}`,
+            file: `create_${names.file}`,
+            resultType: names.name,
+            paramsType: names.name,
+            call: `create${names.name}(params)`
+        },
+        {
+            className: `Update${names.name}`,
+            file: `update_${names.file}`,
+            resultType: names.name,
+            paramsType: names.name,
+            call: `update${names.name}(params)`
+        },
+        {
+            className: `Delete${names.name}`,
+            file: `delete_${names.file}`,
+            resultType: 'Unit',
+            paramsType: 'String',
+            call: `delete${names.name}(params)`
+        }
+    ];
+    for (const field of entity.filters) {
+        usecases.push({
+            className: `Get${names.plural}By${pascal(field.name)}`,
+            file: `get_${names.pluralFile}_by_${snake(field.name)}`,
+            resultType: `List<${names.name}>`,
+            paramsType: field.type,
+            call: `get${names.plural}By${pascal(field.name)}(params)`,
+            field
+        });
+    }
+    return usecases;
+}
+
+// ---------------------------------------------------------------------------
+// Core
+// ---------------------------------------------------------------------------
+
+/**
+ * Shared core files the feature code depends on.
+ *
+ * @returns {Array<{path: string, content: string}>}
+ */
+function renderCore() {
+    return [
+        {
+            path: 'lib/core/errors/failures.dart',
+            content: lines(
+                "import 'package:freezed_annotation/freezed_annotation.dart';",
+                '',
+                "part 'failures.freezed.dart';",
+                '',
+                '@freezed',
+                'sealed class Failure with _$Failure {',
+                '  const factory Failure.server({required String message, int? code}) = ServerFailure;',
+                '  const factory Failure.cache({required String message}) = CacheFailure;',
+                "  const factory Failure.network({@Default('No internet connection') String message}) = NetworkFailure;",
+                '  const factory Failure.validation({required String message}) = ValidationFailure;',
+                '}'
+            )
+        },
+        {
+            path: 'lib/core/usecases/usecase.dart',
+            content: lines(
+                "import 'package:dartz/dartz.dart';",
+                '',
+                "import '../errors/failures.dart';",
+                '',
+                'abstract class UseCase<T, Params> {',
+                '  Future<Either<Failure, T>> call(Params params);',
+                '}',
+                '',
+                'class NoParams {',
+                '  const NoParams();',
+                '}'
+            )
+        }
+    ];
+}
+
+// ---------------------------------------------------------------------------
+// Domain
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {Object} entity
+ * @param {Object} context
+ * @returns {Array<{path: string, content: string}>}
+ */
+function renderDomain(entity, context) {
+    const names = namesOf(entity, context.feature);
+    const files = [];
+
+    const ownEnums = Object.entries(context.enums).filter(([, info]) => info.owner === entity.name);
+    files.push({
+        path: names.entityPath,
+        content: lines(
+            renderImports(names.entityPath, ['package:freezed_annotation/freezed_annotation.dart', ...foreignEnumImports(entity, context)]),
+            '',
+            `part '${names.file}.freezed.dart';`,
+            '',
+            ...ownEnums.flatMap(([enumName, info]) => [`enum ${enumName} { ${info.values.join(', ')} }`, '']),
+            '@freezed',
+            `sealed class ${names.name} with _$${names.name} {`,
+            `  const factory ${names.name}({`,
+            ...entity.fields.map(field => `    ${freezedParam(field)}`),
+            `  }) = _${names.name};`,
+            '}'
+        )
+    });
+
+    files.push({
+        path: names.repositoryPath,
+        content: lines(
+            renderImports(names.repositoryPath, [
+                'package:dartz/dartz.dart',
+                'lib/core/errors/failures.dart',
+                names.entityPath,
+                ...foreignEnumImports(entity, context, entity.filters)
+            ]),
+            '',
+            `abstract class ${names.name}Repository {`,
+            `  Future<Either<Failure, List<${names.name}>>> get${names.plural}();`,
+            `  Future<Either<Failure, ${names.name}>> get${names.name}ById(String id);`,
+            ...entity.filters.map(field => `  Future<Either<Failure, List<${names.name}>>> get${names.plural}By${pascal(field.name)}(${field.type} ${field.name});`),
+            `  Future<Either<Failure, ${names.name}>> create${names.name}(${names.name} ${names.var});`,
+            `  Future<Either<Failure, ${names.name}>> update${names.name}(${names.name} ${names.var});`,
+            `  Future<Either<Failure, Unit>> delete${names.name}(String id);`,
+            '}'
+        )
+    });
+
+    for (const usecase of usecasesOf(entity, names)) {
+        const filePath = `${names.usecaseDir}/${usecase.file}.dart`;
+        const usesEntity = usecase.resultType !== 'Unit';
+        files.push({
+            path: filePath,
+            content: lines(
+                renderImports(filePath, [
+                    'package:dartz/dartz.dart',
+                    'package:injectable/injectable.dart',
+                    'lib/core/errors/failures.dart',
+                    'lib/core/usecases/usecase.dart',
+                    ...(usesEntity ? [names.entityPath] : []),
+                    ...(usecase.field ? foreignEnumImports(entity, context, [usecase.field]) : []),
+                    names.repositoryPath
+                ]),
+                '',
+                '@injectable',
+                `class ${usecase.className} implements UseCase<${usecase.resultType}, ${usecase.paramsType}> {`,
+                `  ${usecase.className}(this._repository);`,
+                '',
+                `  final ${names.name}Repository _repository;`,
+                '',
+                '  @override',
+                `  Future<Either<Failure, ${usecase.resultType}>> call(${usecase.paramsType} params) =>`,
+                `      _repository.${usecase.call};`,
+                '}'
+            )
+        });
+    }
+
+    return files;
+}
+
+// ---------------------------------------------------------------------------
+// Data
+// ---------------------------------------------------------------------------
+
+/**
+ * Drift column declaration for a field.
+ *
+ * @param {Object} field
+ * @returns {string}
+ */
+function driftColumn(field) {
+    const columns = {
+        String: ['TextColumn', 'text()'],
+        int: ['IntColumn', 'integer()'],
+        double: ['RealColumn', 'real()'],
+        bool: ['BoolColumn', 'boolean()'],
+        DateTime: ['DateTimeColumn', 'dateTime()']
+    };
+    const [columnType, builder] = field.kind === 'primitive' ? columns[field.type] : ['TextColumn', 'text()'];
+
+    let chain = builder;
+    if (field.nullable) chain += '.nullable()';
+    if (field.defaultLiteral) {
+        let constant = field.defaultLiteral;
+        if (field.kind === 'enum') constant = `'${field.defaultLiteral.split('.')[1]}'`;
+        if (field.kind === 'list') constant = "'[]'";
+        chain += `.withDefault(const Constant(${constant}))`;
+    }
+    return `  ${columnType} get ${field.name} => ${chain}();`;
+}
+
+/**
+ * Expression converting a drift row column to the model value.
+ *
+ * @param {Object} field
+ * @returns {string}
+ */
+function fromRow(field) {
+    const value = `row.${field.name}`;
+    const convert = (source) => {
+        if (field.kind === 'enum') return `${field.type}.values.byName(${source})`;
+        if (field.item === 'DateTime') {
+            return `(jsonDecode(${source}) as List).map((e) => DateTime.parse(e as String)).toList()`;
+        }
+        return `List<${field.item}>.from(jsonDecode(${source}) as List)`;
+    };
+    if (field.kind === 'primitive') return value;
+    return field.nullable ? `${value} == null ? null : ${convert(`${value}!`)}` : convert(value);
+}
+
+/**
+ * Expression converting a model value to a drift column value.
+ *
+ * @param {Object} field
+ * @param {string} model - Model variable name
+ * @returns {string}
+ */
+function toColumn(field, model) {
+    const value = `${model}.${field.name}`;
+    if (field.kind === 'primitive') return value;
+    if (field.kind === 'enum') return field.nullable ? `${value}?.name` : `${value}.name`;
+
+    const encode = (source) => (field.item === 'DateTime'
+        ? `jsonEncode(${source}.map((e) => e.toIso8601String()).toList())`
+        : `jsonEncode(${source})`);
+    return field.nullable ? `${value} == null ? null : ${encode(`${value}!`)}` : encode(value);
+}
+
+/**
+ * @param {Object} entity
+ * @param {Object} context
+ * @returns {Array<{path: string, content: string}>}
+ */
+function renderData(entity, context) {
+    const names = namesOf(entity, context.feature);
+    const files = [];
+    const model = `${names.name}Model`;
+    const usesJson = entity.fields.some(field => field.kind === 'list');
+
+    files.push({
+        path: names.tablePath,
+        content: lines(
+            "import 'package:drift/drift.dart';",
+            '',
+            `@DataClassName('${names.row}')`,
+            `class ${names.table} extends Table {`,
+            ...entity.fields.map(driftColumn),
+            '',
+            '  @override',
+            '  Set<Column> get primaryKey => {id};',
+            '}'
+        )
+    });
+
+    const mapping = (source) => entity.fields.map(field => `        ${field.name}: ${source(field)},`);
+    files.push({
+        path: names.modelPath,
+        content: lines(
+            renderImports(names.modelPath, [
+                'package:freezed_annotation/freezed_annotation.dart',
+                names.entityPath,
+                ...foreignEnumImports(entity, context)
+            ]),
+            '',
+            `part '${names.file}_model.freezed.dart';`,
+            `part '${names.file}_model.g.dart';`,
+            '',
+            '@freezed',
+            `sealed class ${model} with _$${model} {`,
+            `  const ${model}._();`,
+            '',
+            `  const factory ${model}({`,
+            ...entity.fields.map(field => `    ${freezedParam(field)}`),
+            `  }) = _${model};`,
+            '',
+            `  factory ${model}.fromJson(Map<String, dynamic> json) => _$${model}FromJson(json);`,
+            '',
+            `  factory ${model}.fromEntity(${names.name} entity) => ${model}(`,
+            ...mapping(field => `entity.${field.name}`),
+            '      );',
+            '',
+            `  ${names.name} toEntity() => ${names.name}(`,
+            ...mapping(field => field.name),
+            '      );',
+            '}'
+        )
+    });
+
+    const filterQueries = entity.filters.flatMap(field => [
+        '',
+        '  @override',
+        `  Future<List<${model}>> get${names.plural}By${pascal(field.name)}(${field.type} ${field.name}) async {`,
+        `    final rows = await (_db.select(_db.${camel(names.table)})..where((t) => t.${field.name}.equals(${field.name}${field.kind === 'enum' ? '.name' : ''}))).get();`,
+        '    return rows.map(_toModel).toList();',
+        '  }'
+    ]);
+    const tableRef = `_db.${camel(names.table)}`;
+    files.push({
+        path: names.dataSourcePath,
+        content: lines(
+            renderImports(names.dataSourcePath, [
+                ...(usesJson ? ['dart:convert'] : []),
+                'package:drift/drift.dart',
+                'package:injectable/injectable.dart',
+                'lib/core/database/app_database.dart',
+                ...foreignEnumImports(entity, context, entity.fields, true),
+                names.modelPath
+            ]),
+            '',
+            `abstract class ${names.name}LocalDataSource {`,
+            `  Future<List<${model}>> get${names.plural}();`,
+            `  Future<${model}?> get${names.name}ById(String id);`,
+            ...entity.filters.map(field => `  Future<List<${model}>> get${names.plural}By${pascal(field.name)}(${field.type} ${field.name});`),
+            `  Future<void> insert${names.name}(${model} ${names.var});`,
+            `  Future<void> update${names.name}(${model} ${names.var});`,
+            `  Future<void> delete${names.name}(String id);`,
+            '}',
+            '',
+            `@Injectable(as: ${names.name}LocalDataSource)`,
+            `class ${names.name}LocalDataSourceImpl implements ${names.name}LocalDataSource {`,
+            `  ${names.name}LocalDataSourceImpl(this._db);`,
+            '',
+            '  final AppDatabase _db;',
+            '',
+            '  @override',
+            `  Future<List<${model}>> get${names.plural}() async {`,
+            `    final rows = await _db.select(${tableRef}).get();`,
+            '    return rows.map(_toModel).toList();',
+            '  }',
+            '',
+            '  @override',
+            `  Future<${model}?> get${names.name}ById(String id) async {`,
+            `    final row = await (_db.select(${tableRef})..where((t) => t.id.equals(id))).getSingleOrNull();`,
+            '    return row == null ? null : _toModel(row);',
+            '  }',
+            ...filterQueries,
+            '',
+            '  @override',
+            `  Future<void> insert${names.name}(${model} ${names.var}) async {`,
+            `    await _db.into(${tableRef}).insert(_toCompanion(${names.var}));`,
+            '  }',
+            '',
+            '  @override',
+            `  Future<void> update${names.name}(${model} ${names.var}) async {`,
+            `    await (_db.update(${tableRef})..where((t) => t.id.equals(${names.var}.id))).write(_toCompanion(${names.var}));`,
+            '  }',
+            '',
+            '  @override',
+            `  Future<void> delete${names.name}(String id) async {`,
+            `    await (_db.delete(${tableRef})..where((t) => t.id.equals(id))).go();`,
+            '  }',
+            '',
+            `  ${model} _toModel(${names.row} row) => ${model}(`,
+            ...entity.fields.map(field => `        ${field.name}: ${fromRow(field)},`),
+            '      );',
+            '',
+            `  ${names.table}Companion _toCompanion(${model} ${names.var}) => ${names.table}Companion(`,
+            ...entity.fields.map(field => `        ${field.name}: Value(${toColumn(field, names.var)}),`),
+            '      );',
+            '}'
+        )
+    });
+
+    const guarded = (signature, body) => [
+        '',
+        '  @override',
+        `  ${signature} => _guard(() async {`,
+        ...body.map(line => `        ${line}`),
+        '      });'
+    ];
+    files.push({
+        path: names.repositoryImplPath,
+        content: lines(
+            renderImports(names.repositoryImplPath, [
+                'package:dartz/dartz.dart',
+                'package:injectable/injectable.dart',
+                'lib/core/errors/failures.dart',
+                names.entityPath,
+                ...foreignEnumImports(entity, context, entity.filters),
+                names.repositoryPath,
+                names.dataSourcePath,
+                names.modelPath
+            ]),
+            '',
+            `@Injectable(as: ${names.name}Repository)`,
+            `class ${names.name}RepositoryImpl implements ${names.name}Repository {`,
+            `  ${names.name}RepositoryImpl(this._localDataSource);`,
+            '',
+            `  final ${names.name}LocalDataSource _localDataSource;`,
+            ...guarded(`Future<Either<Failure, List<${names.name}>>> get${names.plural}()`, [
+                `final models = await _localDataSource.get${names.plural}();`,
+                'return models.map((model) => model.toEntity()).toList();'
+            ]),
+            ...guarded(`Future<Either<Failure, ${names.name}>> get${names.name}ById(String id)`, [
+                `final model = await _localDataSource.get${names.name}ById(id);`,
+                `if (model == null) throw StateError('${names.name} $id not found');`,
+                'return model.toEntity();'
+            ]),
+            ...entity.filters.flatMap(field => guarded(
+                `Future<Either<Failure, List<${names.name}>>> get${names.plural}By${pascal(field.name)}(${field.type} ${field.name})`,
+                [
+                    `final models = await _localDataSource.get${names.plural}By${pascal(field.name)}(${field.name});`,
+                    'return models.map((model) => model.toEntity()).toList();'
+                ]
+            )),
+            ...guarded(`Future<Either<Failure, ${names.name}>> create${names.name}(${names.name} ${names.var})`, [
+                `await _localDataSource.insert${names.name}(${model}.fromEntity(${names.var}));`,
+                `return ${names.var};`
+            ]),
+            ...guarded(`Future<Either<Failure, ${names.name}>> update${names.name}(${names.name} ${names.var})`, [
+                `await _localDataSource.update${names.name}(${model}.fromEntity(${names.var}));`,
+                `return ${names.var};`
+            ]),
+            ...guarded(`Future<Either<Failure, Unit>> delete${names.name}(String id)`, [
+                `await _localDataSource.delete${names.name}(id);`,
+                'return unit;'
+            ]),
+            '',
+            '  Future<Either<Failure, T>> _guard<T>(Future<T> Function() action) async {',
+            '    try {',
+            '      return Right(await action());',
+            '    } catch (e) {',
+            '      return Left(Failure.cache(message: e.toString()));',
+            '    }',
+            '  }',
+            '}'
+        )
+    });
+
+    return files;
+}
+
+// ---------------------------------------------------------------------------
+// Presentation
+// ---------------------------------------------------------------------------
+
+/**
+ * Event and state classes shared by the bloc and cubit variants.
+ *
+ * @param {Object} names - Result of namesOf
+ * @param {string} library - File name of the owning library
+ * @returns {string}
+ */
+function renderStateFile(names, library) {
+    return lines(
+        `part of '${library}';`,
+        '',
+        `sealed class ${names.name}State {`,
+        `  const ${names.name}State();`,
+        '}',
+        '',
+        `final class ${names.name}Initial extends ${names.name}State {`,
+        `  const ${names.name}Initial();`,
+        '}',
+        '',
+        `final class ${names.name}Loading extends ${names.name}State {`,
+        `  const ${names.name}Loading();`,
+        '}',
+        '',
+        `final class ${names.name}Loaded extends ${names.name}State {`,
+        `  const ${names.name}Loaded(this.${names.pluralVar});`,
+        '',
+        `  final List<${names.name}> ${names.pluralVar};`,
+        '}',
+        '',
+        `final class ${names.name}Error extends ${names.name}State {`,
+        `  const ${names.name}Error(this.message);`,
+        '',
+        '  final String message;',
+        '}'
+    );
+}
+
+/**
+ * @param {Object} entity
+ * @param {Object} context
+ * @returns {Array<{path: string, content: string}>}
+ */
+function renderPresentation(entity, context) {
+    const names = namesOf(entity, context.feature);
+    const usecases = usecasesOf(entity, names).slice(0, 4);
+    const usecaseImports = usecases.map(usecase => `${names.usecaseDir}/${usecase.file}.dart`);
+    const [getAll, create, update, remove] = usecases;
+    const dir = names.presentationDir;
+    const files = [];
+    const stateImports = [
+        'package:dartz/dartz.dart',
+        'lib/core/errors/failures.dart',
+        'lib/core/usecases/usecase.dart',
+        names.entityPath,
+        ...usecaseImports
+    ];
+
+    let listBody;
+    let listImports;
+    let listClass;
+
+    if (context.stateManagement === 'bloc') {
+        const bloc = `${names.name}Bloc`;
+        const blocPath = `${dir}/bloc/${names.file}_bloc.dart`;
+        files.push({
+            path: blocPath,
+            content: lines(
+                renderImports(blocPath, ['package:flutter_bloc/flutter_bloc.dart', 'package:injectable/injectable.dart', ...stateImports]),
+                '',
+                `part '${names.file}_event.dart';`,
+                `part '${names.file}_state.dart';`,
+                '',
+                '@injectable',
+                `class ${bloc} extends Bloc<${names.name}Event, ${names.name}State> {`,
+                `  ${bloc}(`,
+                `    this._${camel(getAll.className)},`,
+                `    this._${camel(create.className)},`,
+                `    this._${camel(update.className)},`,
+                `    this._${camel(remove.className)},`,
+                `  ) : super(const ${names.name}Initial()) {`,
+                `    on<${names.name}ListRequested>((event, emit) => _load(emit));`,
+                `    on<${names.name}CreateRequested>((event, emit) => _apply(() => _${camel(create.className)}(event.${names.var}), emit));`,
+                `    on<${names.name}UpdateRequested>((event, emit) => _apply(() => _${camel(update.className)}(event.${names.var}), emit));`,
+                `    on<${names.name}DeleteRequested>((event, emit) => _apply(() => _${camel(remove.className)}(event.id), emit));`,
+                '  }',
+                '',
+                ...usecases.map(usecase => `  final ${usecase.className} _${camel(usecase.className)};`),
+                '',
+                `  Future<void> _load(Emitter<${names.name}State> emit) async {`,
+                `    emit(const ${names.name}Loading());`,
+                `    final result = await _${camel(getAll.className)}(const NoParams());`,
+                '    result.fold(',
+                `      (failure) => emit(${names.name}Error(failure.message)),`,
+                `      (${names.pluralVar}) => emit(${names.name}Loaded(${names.pluralVar})),`,
+                '    );',
+                '  }',
+                '',
+                '  Future<void> _apply(',
+                '    Future<Either<Failure, Object>> Function() action,',
+                `    Emitter<${names.name}State> emit,`,
+                '  ) async {',
+                '    final result = await action();',
+                '    await result.fold<Future<void>>(',
+                `      (failure) async => emit(${names.name}Error(failure.message)),`,
+                '      (_) => _load(emit),',
+                '    );',
+                '  }',
+                '}'
+            )
+        });
+        files.push({
+            path: `${dir}/bloc/${names.file}_event.dart`,
+            content: lines(
+                `part of '${names.file}_bloc.dart';`,
+                '',
+                `sealed class ${names.name}Event {`,
+                `  const ${names.name}Event();`,
+                '}',
+                '',
+                `final class ${names.name}ListRequested extends ${names.name}Event {`,
+                `  const ${names.name}ListRequested();`,
+                '}',
+                '',
+                ...['Create', 'Update'].flatMap(action => [
+                    `final class ${names.name}${action}Requested extends ${names.name}Event {`,
+                    `  const ${names.name}${action}Requested(this.${names.var});`,
+                    '',
+                    `  final ${names.name} ${names.var};`,
+                    '}',
+                    ''
+                ]),
+                `final class ${names.name}DeleteRequested extends ${names.name}Event {`,
+                `  const ${names.name}DeleteRequested(this.id);`,
+                '',
+                '  final String id;',
+                '}'
+            )
+        });
+        files.push({ path: `${dir}/bloc/${names.file}_state.dart`, content: renderStateFile(names, `${names.file}_bloc.dart`) });
+
+        listImports = ['package:flutter_bloc/flutter_bloc.dart', 'lib/core/di/injection.dart', blocPath];
+        listClass = 'StatelessWidget';
+        listBody = [
+            '  @override',
+            '  Widget build(BuildContext context) {',
+            '    return BlocProvider(',
+            `      create: (_) => getIt<${bloc}>()..add(const ${names.name}ListRequested()),`,
+            '      child: Scaffold(',
+            `        appBar: AppBar(title: const Text('${label(names.plural)}')),`,
+            `        body: BlocBuilder<${bloc}, ${names.name}State>(`
+        ];
+    } else if (context.stateManagement === 'cubit') {
+        const cubit = `${names.name}Cubit`;
+        const cubitPath = `${dir}/cubit/${names.file}_cubit.dart`;
+        files.push({
+            path: cubitPath,
+            content: lines(
+                renderImports(cubitPath, ['package:flutter_bloc/flutter_bloc.dart', 'package:injectable/injectable.dart', ...stateImports]),
+                '',
+                `part '${names.file}_state.dart';`,
+                '',
+                '@injectable',
+                `class ${cubit} extends Cubit<${names.name}State> {`,
+                `  ${cubit}(`,
+                ...usecases.map(usecase => `    this._${camel(usecase.className)},`),
+                `  ) : super(const ${names.name}Initial());`,
+                '',
+                ...usecases.map(usecase => `  final ${usecase.className} _${camel(usecase.className)};`),
+                '',
+                `  Future<void> load${names.plural}() async {`,
+                `    emit(const ${names.name}Loading());`,
+                `    final result = await _${camel(getAll.className)}(const NoParams());`,
+                '    result.fold(',
+                `      (failure) => emit(${names.name}Error(failure.message)),`,
+                `      (${names.pluralVar}) => emit(${names.name}Loaded(${names.pluralVar})),`,
+                '    );',
+                '  }',
+                '',
+                `  Future<void> create${names.name}(${names.name} ${names.var}) => _apply(() => _${camel(create.className)}(${names.var}));`,
+                '',
+                `  Future<void> update${names.name}(${names.name} ${names.var}) => _apply(() => _${camel(update.className)}(${names.var}));`,
+                '',
+                `  Future<void> delete${names.name}(String id) => _apply(() => _${camel(remove.className)}(id));`,
+                '',
+                '  Future<void> _apply(Future<Either<Failure, Object>> Function() action) async {',
+                '    final result = await action();',
+                '    await result.fold<Future<void>>(',
+                `      (failure) async => emit(${names.name}Error(failure.message)),`,
+                `      (_) => load${names.plural}(),`,
+                '    );',
+                '  }',
+                '}'
+            )
+        });
+        files.push({ path: `${dir}/cubit/${names.file}_state.dart`, content: renderStateFile(names, `${names.file}_cubit.dart`) });
+
+        listImports = ['package:flutter_bloc/flutter_bloc.dart', 'lib/core/di/injection.dart', cubitPath];
+        listClass = 'StatelessWidget';
+        listBody = [
+            '  @override',
+            '  Widget build(BuildContext context) {',
+            '    return BlocProvider(',
+            `      create: (_) => getIt<${cubit}>()..load${names.plural}(),`,
+            '      child: Scaffold(',
+            `        appBar: AppBar(title: const Text('${label(names.plural)}')),`,
+            `        body: BlocBuilder<${cubit}, ${names.name}State>(`
+        ];
+    } else {
+        const notifier = `${names.name}ListNotifier`;
+        const provider = `${names.var}ListProvider`;
+        const providersPath = `${dir}/providers/${names.file}_providers.dart`;
+        files.push({
+            path: providersPath,
+            content: lines(
+                renderImports(providersPath, ['package:flutter_riverpod/flutter_riverpod.dart', 'lib/core/di/injection.dart', ...stateImports]),
+                '',
+                `final ${provider} = AsyncNotifierProvider<${notifier}, List<${names.name}>>(${notifier}.new);`,
+                '',
+                `class ${notifier} extends AsyncNotifier<List<${names.name}>> {`,
+                '  @override',
+                `  Future<List<${names.name}>> build() => _load();`,
+                '',
+                `  Future<void> create${names.name}(${names.name} ${names.var}) => _apply(() => getIt<${create.className}>()(${names.var}));`,
+                '',
+                `  Future<void> update${names.name}(${names.name} ${names.var}) => _apply(() => getIt<${update.className}>()(${names.var}));`,
+                '',
+                `  Future<void> delete${names.name}(String id) => _apply(() => getIt<${remove.className}>()(id));`,
+                '',
+                `  Future<List<${names.name}>> _load() async {`,
+                `    final result = await getIt<${getAll.className}>()(const NoParams());`,
+                `    return result.fold<List<${names.name}>>(`,
+                '      (failure) => throw Exception(failure.message),',
+                `      (${names.pluralVar}) => ${names.pluralVar},`,
+                '    );',
+                '  }',
+                '',
+                '  Future<void> _apply(Future<Either<Failure, Object>> Function() action) async {',
+                '    state = const AsyncLoading();',
+                '    state = await AsyncValue.guard(() async {',
+                '      final result = await action();',
+                `      return result.fold<Future<List<${names.name}>>>(`,
+                '        (failure) => throw Exception(failure.message),',
+                '        (_) => _load(),',
+                '      );',
+                '    });',
+                '  }',
+                '}'
+            )
+        });
+
+        listImports = ['package:flutter_riverpod/flutter_riverpod.dart', providersPath];
+        listClass = 'ConsumerWidget';
+    }
+
+    const listPath = `${dir}/pages/${names.file}_list_page.dart`;
+    const cardPath = `${dir}/widgets/${names.file}_card.dart`;
+    const detailPath = `${dir}/pages/${names.file}_detail_page.dart`;
+    const emptyText = `No ${label(names.plural).toLowerCase()} yet`;
+    const listView = (indent) => [
+        'ListView.builder(',
+        `${indent}  itemCount: ${names.pluralVar}.length,`,
+        `${indent}  itemBuilder: (context, index) => ${names.name}Card(${names.var}: ${names.pluralVar}[index]),`,
+        `${indent})`
+    ];
+
+    let listContent;
+    if (context.stateManagement === 'riverpod') {
+        listContent = [
+            '  @override',
+            '  Widget build(BuildContext context, WidgetRef ref) {',
+            `    final state = ref.watch(${names.var}ListProvider);`,
+            '',
+            '    return Scaffold(',
+            `      appBar: AppBar(title: const Text('${label(names.plural)}')),`,
+            '      body: state.when(',
+            '        loading: () => const Center(child: CircularProgressIndicator()),',
+            "        error: (error, _) => Center(child: Text('$error')),",
+            `        data: (${names.pluralVar}) => ${names.pluralVar}.isEmpty`,
+            `            ? const Center(child: Text('${emptyText}'))`,
+            `            : ${listView('              ').join('\n')},`,
+            '      ),',
+            '    );',
+            '  }'
+        ];
+    } else {
+        const [first, ...rest] = listView('              ');
+        listContent = [
+            ...listBody,
+            '          builder: (context, state) => switch (state) {',
+            `            ${names.name}Initial() || ${names.name}Loading() => const Center(child: CircularProgressIndicator()),`,
+            `            ${names.name}Loaded(:final ${names.pluralVar}) when ${names.pluralVar}.isEmpty =>`,
+            `              const Center(child: Text('${emptyText}')),`,
+            `            ${names.name}Loaded(:final ${names.pluralVar}) => ${first}`,
+            ...rest.slice(0, -1),
+            `${rest[rest.length - 1]},`,
+            `            ${names.name}Error(:final message) => Center(child: Text(message)),`,
+            '          },',
+            '        ),',
+            '      ),',
+            '    );',
+            '  }'
+        ];
+    }
+
+    files.push({
+        path: listPath,
+        content: lines(
+            renderImports(listPath, ['package:flutter/material.dart', ...listImports, cardPath]),
+            '',
+            `class ${names.name}ListPage extends ${listClass} {`,
+            `  const ${names.name}ListPage({super.key});`,
+            '',
+            ...listContent,
+            '}'
+        )
+    });
+
+    const title = titleField(entity);
+    const subtitle = entity.fields.find(field => field !== title && field.name !== 'id' && field.type === 'String' && !field.nullable);
+    files.push({
+        path: cardPath,
+        content: lines(
+            renderImports(cardPath, ['package:flutter/material.dart', names.entityPath, detailPath]),
+            '',
+            `class ${names.name}Card extends StatelessWidget {`,
+            `  const ${names.name}Card({super.key, required this.${names.var}});`,
+            '',
+            `  final ${names.name} ${names.var};`,
+            '',
+            '  @override',
+            '  Widget build(BuildContext context) {',
+            '    return Card(',
+            '      child: ListTile(',
+            `        title: Text(${names.var}.${title.name}),`,
+            subtitle ? `        subtitle: Text(${names.var}.${subtitle.name}),` : null,
+            '        onTap: () => Navigator.of(context).push(',
+            `          MaterialPageRoute<void>(builder: (_) => ${names.name}DetailPage(${names.var}: ${names.var})),`,
+            '        ),',
+            '      ),',
+            '    );',
+            '  }',
+            '}'
+        )
+    });
+
+    const display = (field) => {
+        const value = `${names.var}.${field.name}`;
+        if (field.type === 'String' && !field.nullable) return value;
+        if (field.type === 'String') return `${value} ?? '-'`;
+        if (field.kind === 'enum') return field.nullable ? `${value}?.name ?? '-'` : `${value}.name`;
+        return field.nullable ? `'\${${value} ?? '-'}'` : `'\${${value}}'`;
+    };
+    files.push({
+        path: detailPath,
+        content: lines(
+            renderImports(detailPath, ['package:flutter/material.dart', names.entityPath]),
+            '',
+            `class ${names.name}DetailPage extends StatelessWidget {`,
+            `  const ${names.name}DetailPage({super.key, required this.${names.var}});`,
+            '',
+            `  final ${names.name} ${names.var};`,
+            '',
+            '  @override',
+            '  Widget build(BuildContext context) {',
+            '    return Scaffold(',
+            `      appBar: AppBar(title: Text(${names.var}.${title.name})),`,
+            '      body: ListView(',
+            '        children: [',
+            ...entity.fields.map(field => `          ListTile(title: const Text('${label(field.name)}'), subtitle: Text(${display(field)})),`),
+            '        ],',
+            '      ),',
+            '    );',
+            '  }',
+            '}'
+        )
+    });
+
+    return files;
+}
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {Object} entity
+ * @param {Object} context
+ * @returns {Array<{path: string, content: string}>}
+ */
+function renderTests(entity, context) {
+    const names = namesOf(entity, context.feature);
+    const pkg = (libPath) => `package:${context.packageName}/${libPath.replace(/^lib\//, '')}`;
+    const enumImports = foreignEnumImports(entity, context, entity.fields, true).map(pkg);
+    const construct = (className, indent) => [
+        `${className}(`,
+        ...entity.fields.map(field => `${indent}  ${field.name}: ${sampleValue(field, context.enums)},`),
+        `${indent});`
+    ];
+    const fixture = (variable, className) => {
+        const [first, ...rest] = construct(className, '  ');
+        return [`  final ${variable} = ${first}`, ...rest];
+    };
+    const entityVar = `t${names.name}`;
+    const modelVar = `t${names.name}Model`;
+    const files = [];
+
+    const modelTest = `${names.testDir}/data/models/${names.file}_model_test.dart`;
+    files.push({
+        path: modelTest,
+        content: lines(
+            renderImports(modelTest, ['package:flutter_test/flutter_test.dart', pkg(names.modelPath), pkg(names.entityPath), ...enumImports]),
+            '',
+            'void main() {',
+            ...fixture(entityVar, names.name),
+            '',
+            `  group('${names.name}Model', () {`,
+            "    test('converts to and from the entity', () {",
+            `      expect(${names.name}Model.fromEntity(${entityVar}).toEntity(), ${entityVar});`,
+            '    });',
+            '',
+            "    test('survives a JSON round trip', () {",
+            `      final model = ${names.name}Model.fromEntity(${entityVar});`,
+            `      expect(${names.name}Model.fromJson(model.toJson()), model);`,
+            '    });',
+            '  });',
+            '}'
+        )
+    });
+
+    const repositoryTest = `${names.testDir}/data/repositories/${names.file}_repository_impl_test.dart`;
+    files.push({
+        path: repositoryTest,
+        content: lines(
+            renderImports(repositoryTest, [
+                'package:dartz/dartz.dart',
+                'package:flutter_test/flutter_test.dart',
+                'package:mockito/annotations.dart',
+                'package:mockito/mockito.dart',
+                pkg(names.dataSourcePath),
+                pkg(names.modelPath),
+                pkg(names.repositoryImplPath),
+                ...enumImports
+            ]),
+            '',
+            `import '${names.file}_repository_impl_test.mocks.dart';`,
+            '',
+            `@GenerateMocks([${names.name}LocalDataSource])`,
+            'void main() {',
+            `  late Mock${names.name}LocalDataSource dataSource;`,
+            `  late ${names.name}RepositoryImpl repository;`,
+            '',
+            ...fixture(modelVar, `${names.name}Model`),
+            '',
+            '  setUp(() {',
+            `    dataSource = Mock${names.name}LocalDataSource();`,
+            `    repository = ${names.name}RepositoryImpl(dataSource);`,
+            '  });',
+            '',
+            `  group('get${names.plural}', () {`,
+            "    test('returns entities from the local data source', () async {",
+            `      when(dataSource.get${names.plural}()).thenAnswer((_) async => [${modelVar}]);`,
+            '',
+            `      final result = await repository.get${names.plural}();`,
+            '',
+            `      expect(result.getOrElse(() => []), [${modelVar}.toEntity()]);`,
+            '    });',
+            '',
+            "    test('returns a cache failure when the data source throws', () async {",
+            `      when(dataSource.get${names.plural}()).thenThrow(Exception('database error'));`,
+            '',
+            `      final result = await repository.get${names.plural}();`,
+            '',
+            '      expect(result.isLeft(), isTrue);',
+            '    });',
+            '  });',
+            '',
+            `  group('create${names.name}', () {`,
+            "    test('stores the model and returns the entity', () async {",
+            `      when(dataSource.insert${names.name}(any)).thenAnswer((_) async {});`,
+            '',
+            `      final result = await repository.create${names.name}(${modelVar}.toEntity());`,
+            '',
+            `      expect(result, Right(${modelVar}.toEntity()));`,
+            `      verify(dataSource.insert${names.name}(${modelVar}));`,
+            '    });',
+            '  });',
+            '}'
+        )
+    });
+
+    const usecases = usecasesOf(entity, names).slice(0, 4);
+    const usecaseImports = usecases.map(usecase => pkg(`${names.usecaseDir}/${usecase.file}.dart`));
+    const mockFields = usecases.map(usecase => [usecase.className, camel(usecase.className)]);
+    const getAll = mockFields[0][1];
+    const stateTestImports = [
+        'package:dartz/dartz.dart',
+        'package:flutter_test/flutter_test.dart',
+        'package:mockito/annotations.dart',
+        'package:mockito/mockito.dart',
+        pkg('lib/core/errors/failures.dart'),
+        pkg(names.entityPath),
+        ...enumImports
+    ];
+
+    if (context.stateManagement === 'bloc' || context.stateManagement === 'cubit') {
+        const isBloc = context.stateManagement === 'bloc';
+        const type = `${names.name}${isBloc ? 'Bloc' : 'Cubit'}`;
+        const kind = isBloc ? 'bloc' : 'cubit';
+        const statePath = `${names.presentationDir}/${kind}/${names.file}_${kind}.dart`;
+        const testPath = `${names.testDir}/presentation/${kind}/${names.file}_${kind}_test.dart`;
+        const act = isBloc ? `(bloc) => bloc.add(const ${names.name}ListRequested())` : `(cubit) => cubit.load${names.plural}()`;
+        const scenario = (title, stub, expected) => [
+            '',
+            `  blocTest<${type}, ${names.name}State>(`,
+            `    '${title}',`,
+            '    build: () {',
+            `      when(${getAll}(any)).thenAnswer((_) async => ${stub});`,
+            `      return build${isBloc ? 'Bloc' : 'Cubit'}();`,
+            '    },',
+            `    act: ${act},`,
+            `    expect: () => [isA<${names.name}Loading>(), isA<${names.name}${expected}>()],`,
+            '  );'
+        ];
+        files.push({
+            path: testPath,
+            content: lines(
+                renderImports(testPath, ['package:bloc_test/bloc_test.dart', ...stateTestImports, ...usecaseImports, pkg(statePath)]),
+                '',
+                `import '${names.file}_${kind}_test.mocks.dart';`,
+                '',
+                `@GenerateMocks([${mockFields.map(([className]) => className).join(', ')}])`,
+                'void main() {',
+                ...mockFields.map(([className, variable]) => `  late Mock${className} ${variable};`),
+                '',
+                ...fixture(entityVar, names.name),
+                '',
+                '  setUp(() {',
+                ...mockFields.map(([className, variable]) => `    ${variable} = Mock${className}();`),
+                '  });',
+                '',
+                `  ${type} build${isBloc ? 'Bloc' : 'Cubit'}() => ${type}(${mockFields.map(([, variable]) => variable).join(', ')});`,
+                ...scenario(`emits [${names.name}Loading, ${names.name}Loaded] when ${label(names.plural).toLowerCase()} load`, `Right([${entityVar}])`, 'Loaded'),
+                ...scenario(`emits [${names.name}Loading, ${names.name}Error] when loading fails`, "const Left(Failure.cache(message: 'error'))", 'Error'),
+                '}'
+            )
+        });
+    } else {
+        const providersPath = `${names.presentationDir}/providers/${names.file}_providers.dart`;
+        const testPath = `${names.testDir}/presentation/providers/${names.file}_providers_test.dart`;
+        const [getAllClass] = mockFields[0];
+        const provider = `${names.var}ListProvider`;
+        files.push({
+            path: testPath,
+            content: lines(
+                renderImports(testPath, [
+                    'package:flutter_riverpod/flutter_riverpod.dart',
+                    ...stateTestImports,
+                    pkg('lib/core/di/injection.dart'),
+                    usecaseImports[0],
+                    pkg(providersPath)
+                ]),
+                '',
+                `import '${names.file}_providers_test.mocks.dart';`,
+                '',
+                `@GenerateMocks([${getAllClass}])`,
+                'void main() {',
+                `  late Mock${getAllClass} ${getAll};`,
+                '',
+                ...fixture(entityVar, names.name),
+                '',
+                '  setUp(() {',
+                `    ${getAll} = Mock${getAllClass}();`,
+                `    getIt.registerSingleton<${getAllClass}>(${getAll});`,
+                '  });',
+                '',
+                '  tearDown(() => getIt.reset());',
+                '',
+                `  test('loads ${label(names.plural).toLowerCase()} on first read', () async {`,
+                `    when(${getAll}(any)).thenAnswer((_) async => Right([${entityVar}]));`,
+                '    final container = ProviderContainer();',
+                '    addTearDown(container.dispose);',
+                '',
+                `    expect(await container.read(${provider}.future), [${entityVar}]);`,
+                '  });',
+                '',
+                "  test('reports an error when loading fails', () async {",
+                `    when(${getAll}(any)).thenAnswer((_) async => const Left(Failure.cache(message: 'error')));`,
+                '    final container = ProviderContainer();',
+                '    addTearDown(container.dispose);',
+                '',
+                `    await expectLater(container.read(${provider}.future), throwsException);`,
+                '  });',
+                '}'
+            )
+        });
+    }
+
+    const title = titleField(entity);
+    const cardTest = `${names.testDir}/presentation/widgets/${names.file}_card_test.dart`;
+    files.push({
+        path: cardTest,
+        content: lines(
+            renderImports(cardTest, [
+                'package:flutter/material.dart',
+                'package:flutter_test/flutter_test.dart',
+                pkg(names.entityPath),
+                ...enumImports,
+                pkg(`${names.presentationDir}/widgets/${names.file}_card.dart`)
+            ]),
+            '',
+            'void main() {',
+            ...fixture(entityVar, names.name),
+            '',
+            `  testWidgets('shows the ${label(title.name).toLowerCase()}', (tester) async {`,
+            `    await tester.pumpWidget(MaterialApp(home: Scaffold(body: ${names.name}Card(${names.var}: ${entityVar}))));`,
+            '',
+            `    expect(find.text(${entityVar}.${title.name}), findsOneWidget);`,
+            '  });',
+            '}'
+        )
+    });
+
+    return files;
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Generate the Dart files for a feature.
+ *
+ * @param {Object} spec - See normalizeFeatureSpec
+ * @returns {{feature: string, pattern: string, stateManagement: string, entities: string[],
+ *   files: Array<{path: string, content: string}>, notes: string[]}}
+ *   paths are project-relative with forward slashes, sorted
+ * @throws {Error} - When the spec is invalid
+ */
+function generateFeature(spec) {
+    const context = normalizeFeatureSpec(spec);
+
+    const files = context.includeCore ? renderCore() : [];
+    for (const entity of context.entities) {
+        files.push(
+            ...renderDomain(entity, context),
+            ...renderData(entity, context),
+            ...renderPresentation(entity, context),
+            ...renderTests(entity, context)
+        );
+    }
+    files.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+
+    const tables = context.entities.map(entity => plural(entity.name));
+    const devPackages = ['build_runner', 'drift_dev', 'freezed', 'injectable_generator', 'json_serializable', 'mockito'];
+    if (context.stateManagement !== 'riverpod') devPackages.push('bloc_test');
+    const packages = ['dartz', 'drift', 'freezed_annotation', 'get_it', 'injectable', 'json_annotation',
+        context.stateManagement === 'riverpod' ? 'flutter_riverpod' : 'flutter_bloc'];
+
+    return {
+        feature: context.feature,
+        pattern: context.pattern,
+        stateManagement: context.stateManagement,
+        entities: context.entities.map(entity => entity.name),
+        files,
+        notes: [
+            `Register ${tables.join(', ')} in @DriftDatabase(tables: [...]) in lib/core/database/app_database.dart (tables are in lib/core/database/tables/)`,
+            `Dependencies: ${packages.sort().join(', ')}; dev: ${devPackages.sort().join(', ')}`,
+            'Run: dart run build_runner build --delete-conflicting-outputs'
+        ]
+    };
+}
+
+/**
+ * Write generated files under a project directory. Existing files are left
+ * alone unless overwrite is set.
+ *
+ * @param {Array<{path: string, content: string}>} files - Result of generateFeature().files
+ * @param {string} projectDir - Flutter project root
+ * @param {{overwrite?: boolean, dryRun?: boolean}} options
+ * @returns {Array<{path: string, action: string}>} - action is created, overwritten, unchanged or skipped
+ */
+function writeFeatureFiles(files, projectDir, options = {}) {
+    return files.map(file => {
+        const target = path.join(projectDir, ...file.path.split('/'));
+        let action = 'created';
+        if (fs.existsSync(target)) {
+            if (fs.readFileSync(target, 'utf8') === file.content) action = 'unchanged';
+            else action = options.overwrite ? 'overwritten' : 'skipped';
+        }
+        if (!options.dryRun && (action === 'created' || action === 'overwritten')) {
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.writeFileSync(target, file.content);
+        }
+        return { path: file.path, action };
+    });
+}
+
+export {
+    PATTERNS,
+    STATE_MANAGEMENT,
+    normalizeFeatureSpec,
+    generateFeature,
+    writeFeatureFiles
+};
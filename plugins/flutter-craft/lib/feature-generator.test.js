@@ -0,0 +1,95 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { test } from 'node:test';
+import { fileURLToPath } from 'url';
+import { PATTERNS, normalizeFeatureSpec, generateFeature, writeFeatureFiles } from './feature-generator.js';
+
+const SPEC_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../tests/fixtures/feature-specs');
+
+function readSpec(name) {
+    return JSON.parse(fs.readFileSync(path.join(SPEC_DIR, name), 'utf8'));
+}
+
+// Files every generated feature imports from the project (flutter-project-init) or from build_runner
+const EXTERNAL_IMPORTS = [/^lib\/core\/database\/app_database\.dart$/, /^lib\/core\/di\/injection\.dart$/, /\.mocks\.dart$/];
+
+/**
+ * Project-relative targets of relative and own-package imports that no generated file provides.
+ */
+function unresolvedImports(result, packageName) {
+    const paths = new Set(result.files.map(file => file.path));
+    const missing = [];
+    for (const file of result.files) {
+        for (const [, uri] of file.content.matchAll(/^import '([^']+)'/gm)) {
+            let target = null;
+            if (uri.startsWith(`package:${packageName}/`)) target = `lib/${uri.slice(packageName.length + 9)}`;
+            else if (!uri.includes(':')) target = path.posix.normalize(path.posix.join(path.posix.dirname(file.path), uri));
+            if (target && !paths.has(target) && !EXTERNAL_IMPORTS.some(pattern => pattern.test(target))) {
+                missing.push(`${file.path} -> ${uri}`);
+            }
+        }
+    }
+    return missing;
+}
+
+test('normalizeFeatureSpec rejects invalid specs', () => {
+    const base = { pattern: 'custom', stateManagement: 'bloc', packageName: 'app', entity: 'Order', fields: ['total:double'] };
+    assert.throws(() => normalizeFeatureSpec({ ...base, pattern: 'crud' }), /Unknown pattern "crud"/);
+    assert.throws(() => normalizeFeatureSpec({ ...base, stateManagement: 'mobx' }), /stateManagement must be one of/);
+    assert.throws(() => normalizeFeatureSpec({ ...base, packageName: 'My-App' }), /packageName must be/);
+    assert.throws(() => normalizeFeatureSpec({ ...base, fields: ['total:Money'] }), /Order\.total: unknown type Money/);
+    assert.throws(() => normalizeFeatureSpec({ ...base, fields: ['id:int'] }), /Order\.id must be a required String/);
+    assert.throws(() => normalizeFeatureSpec({ ...base, filters: ['missing'] }), /filter field missing does not exist/);
+});
+
+test('normalizeFeatureSpec adds an id and resolves enums with defaults', () => {
+    const context = normalizeFeatureSpec(readSpec('order.json'));
+    const [order] = context.entities;
+
+    assert.equal(context.feature, 'order');
+    assert.deepEqual(order.fields.map(field => field.name), ['id', 'customerName', 'total', 'status', 'items', 'note']);
+    assert.deepEqual(context.enums, { OrderStatus: { values: ['placed', 'shipped', 'delivered'], owner: 'Order' } });
+    assert.equal(order.fields.find(field => field.name === 'status').defaultLiteral, 'OrderStatus.placed');
+    assert.deepEqual(order.filters.map(field => field.name), ['status']);
+});
+
+test('generateFeature is deterministic and its imports resolve', () => {
+    const spec = readSpec('order.json');
+    const result = generateFeature(spec);
+
+    assert.deepEqual(generateFeature(spec), result);
+    assert.deepEqual(result.files.map(file => file.path), [...result.files.map(file => file.path)].sort());
+    assert.ok(result.files.some(file => file.path === 'lib/features/order/domain/usecases/get_orders_by_status.dart'));
+    assert.ok(result.files.some(file => file.path.startsWith('lib/features/order/presentation/providers/')));
+    assert.deepEqual(unresolvedImports(result, spec.packageName), []);
+});
+
+test('every preset pattern generates files whose imports resolve', () => {
+    for (const pattern of Object.keys(PATTERNS).filter(name => name !== 'custom')) {
+        for (const stateManagement of ['bloc', 'cubit', 'riverpod']) {
+            const result = generateFeature({ pattern, stateManagement, packageName: 'sample_app' });
+            assert.deepEqual(unresolvedImports(result, 'sample_app'), [], `${pattern}/${stateManagement}`);
+        }
+    }
+});
+
+test('writeFeatureFiles keeps edited files unless overwrite is set', () => {
+    const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flutter-craft-feature-'));
+    try {
+        const { files } = generateFeature(readSpec('order.json'));
+        assert.ok(writeFeatureFiles(files, projectDir).every(file => file.action === 'created'));
+
+        const edited = path.join(projectDir, files[0].path);
+        fs.writeFileSync(edited, '// edited\n');
+        const second = writeFeatureFiles(files, projectDir);
+        assert.equal(second[0].action, 'skipped');
+        assert.ok(second.slice(1).every(file => file.action === 'unchanged'));
+        assert.equal(fs.readFileSync(edited, 'utf8'), '// edited\n');
+
+        assert.equal(writeFeatureFiles(files, projectDir, { overwrite: true })[0].action, 'overwritten');
+    } finally {
+        fs.rmSync(projectDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,363 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { execSync } from 'child_process';
+import { parsePlan, readPlan } from './plan.js';
+
+/**
+ * Execution state for implementation plans.
+ *
+ * Progress of docs/plans/<plan>.md is stored next to it in
+ * docs/plans/.state/<plan>.json so it survives compaction and new sessions.
+ * Each completed task records a hash of its plan content; when the plan is
+ * edited afterwards the task is reported as drifted.
+ */
+
+const STATE_VERSION = 1;
+const STATE_DIR = '.state';
+const TASK_STATUSES = ['pending', 'in_progress', 'done', 'failed', 'skipped'];
+const FINISHED_STATUSES = ['done', 'skipped'];
+const MAX_OUTPUT_LENGTH = 4000;
+
+/**
+ * Hash text to a short hex id.
+ *
+ * @param {string} text - Content to hash
+ * @returns {string}
+ */
+function hash(text) {
+    return crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+/**
+ * Hash the parts of a task that define what has to be built,
+ * ignoring line numbers so moving a task around is not drift.
+ *
+ * @param {Object} task - Task from parsePlan
+ * @returns {string}
+ */
+function hashTask(task) {
+    return hash(JSON.stringify({
+        title: task.title,
+        layer: task.layer,
+        files: task.files.map(file => [file.action, file.path]),
+        code: task.code.map(block => block.content),
+        verification: task.verification ? task.verification.commands : null,
+        commit: task.commit ? task.commit.message : null
+    }));
+}
+
+/**
+ * Path of the state file for a plan.
+ *
+ * @param {string} planPath - Plan markdown path
+ * @returns {string}
+ */
+function getStatePath(planPath) {
+    const resolved = path.resolve(planPath);
+    return path.join(path.dirname(resolved), STATE_DIR, `${path.basename(resolved, '.md')}.json`);
+}
+
+/**
+ * Load the state of a plan, or an empty state if it has none yet.
+ *
+ * @param {string} planPath - Plan markdown path
+ * @returns {{version: number, plan: string, planHash: string|null, createdAt: string|null, updatedAt: string|null,
+ *   tasks: Object<string, {status: string, title: string, taskHash: string|null, commit: string|null,
+ *   verification: Object|null, note: string|null, startedAt: string|null, completedAt: string|null, updatedAt: string}>}}
+ */
+function loadPlanState(planPath) {
+    const statePath = getStatePath(planPath);
+    const empty = {
+        version: STATE_VERSION,
+        plan: path.basename(planPath),
+        planHash: null,
+        createdAt: null,
+        updatedAt: null,
+        tasks: {}
+    };
+
+    if (!fs.existsSync(statePath)) return empty;
+    try {
+        const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+        return { ...empty, ...state, tasks: state.tasks || {} };
+    } catch (error) {
+        return empty;
+    }
+}
+
+/**
+ * Write a plan state atomically.
+ *
+ * @param {string} planPath - Plan markdown path
+ * @param {Object} state - State to save
+ */
+function savePlanState(planPath, state) {
+    const statePath = getStatePath(planPath);
+    fs.mkdirSync(path.dirname(statePath), { recursive: true });
+    const tempPath = `${statePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(state, null, 2) + '\n');
+    fs.renameSync(tempPath, statePath);
+}
+
+/**
+ * Resolve a git ref (e.g. HEAD) to a full commit SHA.
+ *
+ * @param {string} ref - Commit-ish
+ * @param {string} cwd - Repository directory
+ * @returns {string|null}
+ */
+function resolveCommit(ref, cwd) {
+    try {
+        return execSync(`git rev-parse --verify ${JSON.stringify(`${ref}^{commit}`)}`, {
+            cwd,
+            encoding: 'utf8',
+            stdio: ['ignore', 'pipe', 'ignore']
+        }).trim();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Record a task status change.
+ *
+ * @param {string} planPath - Plan markdown path
+ * @param {number} taskNumber - Task N from the plan
+ * @param {string} status - pending, in_progress, done, failed or skipped
+ * @param {{commit?: string, verification?: {output?: string, exitCode?: number}, note?: string, now?: Date}} options
+ *   commit may be a ref such as HEAD; it is resolved to a SHA in the plan's repository
+ * @returns {Object} - The updated task entry
+ * @throws {Error} - When the status is unknown or the plan has no such task
+ */
+function markTask(planPath, taskNumber, status, options = {}) {
+    if (!TASK_STATUSES.includes(status)) {
+        throw new Error(`Unknown task status "${status}" (expected ${TASK_STATUSES.join(', ')})`);
+    }
+
+    const content = fs.readFileSync(planPath, 'utf8');
+    const plan = parsePlan(content);
+    const task = plan.tasks.find(t => t.number === Number(taskNumber));
+    if (!task) {
+        throw new Error(`Plan has no Task ${taskNumber}`);
+    }
+
+    const now = (options.now || new Date()).toISOString();
+    const state = loadPlanState(planPath);
+    const previous = state.tasks[task.number] || {};
+
+    let commit = previous.commit || null;
+    if (options.commit) {
+        commit = resolveCommit(options.commit, path.dirname(path.resolve(planPath)));
+        if (!commit) throw new Error(`Cannot resolve commit "${options.commit}"`);
+    }
+
+    let verification = previous.verification || null;
+    if (options.verification) {
+        const output = options.verification.output || '';
+        verification = {
+            commands: task.verification ? task.verification.commands : [],
+            exitCode: options.verification.exitCode === undefined ? null : options.verification.exitCode,
+            output: output.length > MAX_OUTPUT_LENGTH ? `…${output.slice(-MAX_OUTPUT_LENGTH)}` : output,
+            recordedAt: now
+        };
+    }
+
+    const entry = {
+        status,
+        title: task.title,
+        taskHash: hashTask(task),
+        commit,
+        verification,
+        note: options.note !== undefined ? options.note : (previous.note || null),
+        startedAt: previous.startedAt || (status === 'pending' ? null : now),
+        completedAt: FINISHED_STATUSES.includes(status) ? now : null,
+        updatedAt: now
+    };
+
+    state.tasks[task.number] = entry;
+    state.planHash = hash(content);
+    state.createdAt = state.createdAt || now;
+    state.updatedAt = now;
+    savePlanState(planPath, state);
+
+    return entry;
+}
+
+/**
+ * Compare a plan with its recorded state.
+ *
+ * @param {Object} plan - Result of parsePlan
+ * @param {Object} state - Result of loadPlanState
+ * @param {string} content - Plan markdown, for the whole-file hash
+ * @returns {{planChanged: boolean, changed: number[], removed: number[]}}
+ *   changed lists finished tasks whose plan content differs from when they were recorded
+ */
+function detectDrift(plan, state, content) {
+    const changed = [];
+    const removed = [];
+
+    for (const [number, entry] of Object.entries(state.tasks)) {
+        const task = plan.tasks.find(t => t.number === Number(number));
+        if (!task) {
+            removed.push(Number(number));
+        } else if (FINISHED_STATUSES.includes(entry.status) && entry.taskHash && entry.taskHash !== hashTask(task)) {
+            changed.push(Number(number));
+        }
+    }
+
+    return {
+        planChanged: Boolean(state.planHash) && state.planHash !== hash(content),
+        changed: changed.sort((a, b) => a - b),
+        removed: removed.sort((a, b) => a - b)
+    };
+}
+
+/**
+ * Whether a task from getPlanProgress is finished and still matches the plan.
+ *
+ * @param {{status: string, drifted: boolean}} task - Entry of progress.tasks
+ * @returns {boolean}
+ */
+function isTaskFinished(task) {
+    return FINISHED_STATUSES.includes(task.status) && !task.drifted;
+}
+
+/**
+ * Summarize how far a plan has got.
+ * Finished tasks whose plan content changed afterwards (drifted) count as not done.
+ *
+ * @param {string} planPath - Plan markdown path
+ * @returns {{plan: string, title: string|null, total: number, done: number, skipped: number, failed: number,
+ *   inProgress: number, pending: number, drifted: number, complete: boolean, next: {number: number, title: string}|null,
+ *   tasks: Array<{number: number, title: string, status: string, drifted: boolean, commit: string|null, completedAt: string|null}>,
+ *   drift: {planChanged: boolean, changed: number[], removed: number[]}, updatedAt: string|null}}
+ */
+function getPlanProgress(planPath) {
+    const content = fs.readFileSync(planPath, 'utf8');
+    const plan = parsePlan(content);
+    const state = loadPlanState(planPath);
+    const drift = detectDrift(plan, state, content);
+
+    const tasks = plan.tasks.map(task => {
+        const entry = state.tasks[task.number] || {};
+        return {
+            number: task.number,
+            title: task.title,
+            status: entry.status || 'pending',
+            drifted: drift.changed.includes(task.number),
+            commit: entry.commit || null,
+            completedAt: entry.completedAt || null
+        };
+    });
+
+    const count = status => tasks.filter(task => task.status === status && !task.drifted).length;
+    const next = tasks.find(task => task.status === 'in_progress' || task.status === 'failed') ||
+        tasks.find(task => !isTaskFinished(task)) || null;
+
+    return {
+        plan: planPath,
+        title: plan.title,
+        total: tasks.length,
+        done: count('done'),
+        skipped: count('skipped'),
+        failed: count('failed'),
+        inProgress: count('in_progress'),
+        pending: count('pending'),
+        drifted: drift.changed.length,
+        complete: tasks.length > 0 && tasks.every(isTaskFinished),
+        next: next ? { number: next.number, title: next.title } : null,
+        tasks,
+        drift,
+        updatedAt: state.updatedAt
+    };
+}
+
+/**
+ * Work out where to pick a plan back up.
+ *
+ * @param {string} planPath - Plan markdown path
+ * @returns {{progress: Object, next: Object|null, remaining: Array<Object>}}
+ *   next and remaining are full tasks from parsePlan; drifted finished tasks are included in remaining
+ */
+function resumePlan(planPath) {
+    const progress = getPlanProgress(planPath);
+    const plan = readPlan(planPath);
+    const finished = new Set(progress.tasks.filter(isTaskFinished).map(task => task.number));
+
+    const remaining = plan.tasks.filter(task => !finished.has(task.number));
+    const next = progress.next
+        ? plan.tasks.find(task => task.number === progress.next.number)
+        : remaining[0] || null;
+
+    return { progress, next: next || null, remaining };
+}
+
+/**
+ * Find plans with recorded state in a project, most recently updated first.
+ *
+ * @param {string} projectDir - Project root (plans live in docs/plans)
+ * @param {{includeComplete?: boolean}} options - Completed plans are left out unless includeComplete is set
+ * @returns {Array<Object>} - Results of getPlanProgress
+ */
+function findActivePlans(projectDir, options = {}) {
+    const plansDir = path.join(projectDir, 'docs', 'plans');
+    const stateDir = path.join(plansDir, STATE_DIR);
+    if (!fs.existsSync(stateDir)) return [];
+
+    const plans = [];
+    for (const file of fs.readdirSync(stateDir).filter(name => name.endsWith('.json'))) {
+        const planPath = path.join(plansDir, `${path.basename(file, '.json')}.md`);
+        if (!fs.existsSync(planPath)) continue;
+        try {
+            const progress = getPlanProgress(planPath);
+            if (options.includeComplete || !progress.complete) plans.push(progress);
+        } catch (error) {
+            continue;
+        }
+    }
+
+    return plans.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+/**
+ * One-line progress summary, e.g. "Plan docs/plans/auth-plan.md: 5/12 tasks done, next is Task 6 (AuthBloc)".
+ *
+ * @param {Object} progress - Result of getPlanProgress
+ * @param {{baseDir?: string}} options - Plan path is shown relative to baseDir
+ * @returns {string}
+ */
+function formatPlanProgress(progress, options = {}) {
+    const name = options.baseDir ? path.relative(options.baseDir, progress.plan) : progress.plan;
+    const finished = progress.done + progress.skipped;
+    let line = `Plan ${name}: ${finished}/${progress.total} tasks done`;
+
+    if (progress.complete) {
+        line += ', complete';
+    } else if (progress.next) {
+        line += `, next is Task ${progress.next.number} (${progress.next.title})`;
+    }
+    if (progress.failed) line += `, ${progress.failed} failed`;
+
+    const { drift } = progress;
+    if (drift.changed.length) {
+        line += `\n  Plan changed after completion of Task ${drift.changed.join(', ')} - re-check before continuing`;
+    }
+    if (drift.removed.length) {
+        line += `\n  Task ${drift.removed.join(', ')} recorded in state but no longer in the plan`;
+    }
+
+    return line;
+}
+
+export {
+    TASK_STATUSES,
+    getStatePath,
+    loadPlanState,
+    markTask,
+    detectDrift,
+    getPlanProgress,
+    resumePlan,
+    findActivePlans,
+    formatPlanProgress
+};
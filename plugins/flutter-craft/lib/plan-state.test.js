@@ -0,0 +1,74 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { test, beforeEach, afterEach } from 'node:test';
+import { fileURLToPath } from 'url';
+import { markTask, getPlanProgress, resumePlan, findActivePlans, formatPlanProgress } from './plan-state.js';
+
+const SAMPLE_PLAN = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../tests/sample-flutter-project/plan.md');
+
+let projectDir;
+let planPath;
+
+beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flutter-craft-plan-'));
+    planPath = path.join(projectDir, 'docs', 'plans', 'auth-plan.md');
+    fs.mkdirSync(path.dirname(planPath), { recursive: true });
+    fs.copyFileSync(SAMPLE_PLAN, planPath);
+});
+
+afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+});
+
+function finishAll() {
+    const { total } = getPlanProgress(planPath);
+    for (let number = 1; number <= total; number++) markTask(planPath, number, 'done');
+    return total;
+}
+
+test('markTask records progress and getPlanProgress picks the next task', () => {
+    markTask(planPath, 1, 'done');
+    markTask(planPath, 2, 'in_progress');
+
+    const progress = getPlanProgress(planPath);
+    assert.equal(progress.done, 1);
+    assert.equal(progress.inProgress, 1);
+    assert.equal(progress.complete, false);
+    assert.equal(progress.next.number, 2);
+    assert.throws(() => markTask(planPath, 1, 'finished'), /Unknown task status/);
+    assert.throws(() => markTask(planPath, 99, 'done'), /Plan has no Task 99/);
+});
+
+test('a finished plan is complete and left out of active plans', () => {
+    const total = finishAll();
+
+    const progress = getPlanProgress(planPath);
+    assert.equal(progress.complete, true);
+    assert.equal(progress.done, total);
+    assert.deepEqual(findActivePlans(projectDir), []);
+});
+
+test('editing a finished task reopens the plan', () => {
+    const total = finishAll();
+    const content = fs.readFileSync(planPath, 'utf8');
+    fs.writeFileSync(planPath, content.replace('final String name;', 'final String displayName;'));
+
+    const progress = getPlanProgress(planPath);
+    assert.deepEqual(progress.drift.changed, [1]);
+    assert.equal(progress.tasks[0].drifted, true);
+    assert.equal(progress.complete, false);
+    assert.equal(progress.done, total - 1);
+    assert.equal(progress.drifted, 1);
+    assert.equal(progress.next.number, 1);
+
+    const active = findActivePlans(projectDir);
+    assert.equal(active.length, 1);
+    assert.match(formatPlanProgress(active[0], { baseDir: projectDir }),
+        new RegExp(`${total - 1}/${total} tasks done, next is Task 1 .*\\n.*completion of Task 1`));
+
+    const resume = resumePlan(planPath);
+    assert.equal(resume.next.number, 1);
+    assert.deepEqual(resume.remaining.map(task => task.number), [1]);
+});
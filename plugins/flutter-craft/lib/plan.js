@@ -0,0 +1,356 @@
+import fs from 'fs';
+
+/**
+ * Implementation plans as written by flutter-planning.
+ *
+ * A plan is markdown with a fixed shape:
+ * - "# <Feature> Implementation Plan" title, then **Goal:**, **Architecture:**
+ *   and **Dependencies:** header fields
+ * - "## <Layer>" sections holding "### Task N: <Name>" blocks
+ * - per task: **Layer:**, **Files:** (Create/Modify/Test list), **Implementation:**
+ *   code blocks, a **Verification:** bash block and a **Commit:** message
+ *   (inline code or a bash block with `git commit -m`)
+ */
+
+const LAYER_ORDER = ['domain', 'data', 'presentation'];
+const KNOWN_LAYERS = [...LAYER_ORDER, 'test', 'integration'];
+const FILE_ACTIONS = ['create', 'modify', 'test', 'delete'];
+const CONVENTIONAL_COMMIT = /^(feat|fix|docs|style|refactor|perf|test|build|ci|chore|revert)(\([\w\-./, ]+\))?!?: \S/;
+
+/**
+ * Normalize a **Layer:** value ("Test (Priority 1)", "Domain / Data") to a layer id.
+ *
+ * @param {string} value - Raw layer text
+ * @returns {{layer: string|null, priority: number|null}}
+ */
+function normalizeLayer(value) {
+    const priorityMatch = value.match(/priority\s*(\d+)/i);
+    const word = value.toLowerCase().match(/[a-z]+/);
+    const layer = word && KNOWN_LAYERS.includes(word[0]) ? word[0] : null;
+    return { layer, priority: priorityMatch ? Number(priorityMatch[1]) : null };
+}
+
+/**
+ * Work out which layer a file path belongs to.
+ *
+ * @param {string} filePath - Path from the Files list
+ * @returns {string|null}
+ */
+function layerOfPath(filePath) {
+    if (/^test\/|^integration_test\//.test(filePath)) return 'test';
+    const match = filePath.match(/(?:^|\/)features\/[^/]+\/(domain|data|presentation)\//);
+    return match ? match[1] : null;
+}
+
+/**
+ * Pull commit message and staged files out of a commit bash block.
+ *
+ * @param {string} content - Code block content
+ * @returns {{message: string|null, files: string[]}}
+ */
+function parseCommitBlock(content) {
+    const message = content.match(/git commit\b[^\n]*?-m\s+(["'])([\s\S]*?)\1/);
+    const files = [];
+    for (const line of content.split('\n')) {
+        const add = line.trim().match(/^git add\s+(.+)$/);
+        if (add) files.push(...add[1].split(/\s+/).filter(arg => !arg.startsWith('-')));
+    }
+    return { message: message ? message[2].split('\n')[0].trim() : null, files };
+}
+
+/**
+ * Split a verification bash block into commands and expectations.
+ *
+ * @param {string} content - Code block content
+ * @returns {{commands: string[], expected: string[]}}
+ */
+function parseVerificationBlock(content) {
+    const commands = [];
+    const expected = [];
+    for (const raw of content.split('\n')) {
+        const line = raw.trim();
+        if (!line) continue;
+        const expectation = line.match(/^#\s*expected:?\s*(.*)$/i);
+        if (expectation) {
+            expected.push(expectation[1]);
+        } else if (!line.startsWith('#')) {
+            commands.push(line);
+        }
+    }
+    return { commands, expected };
+}
+
+/**
+ * Parse implementation plan markdown.
+ * Headings and labels inside fenced code blocks are ignored.
+ *
+ * @param {string} content - Plan markdown
+ * @returns {{title: string|null, goal: string|null, architecture: string|null, dependencies: string[],
+ *   executionSkill: string|null, sections: Array<{title: string, line: number}>, tasks: Array<Object>}}
+ *   Each task is {number, title, line, section, layer, layerLabel, priority,
+ *   files: [{action, path, line}], code: [{language, label, content, line}],
+ *   verification: {commands, expected, line}|null, commit: {message, files, line}|null}
+ */
+function parsePlan(content) {
+    const plan = {
+        title: null,
+        goal: null,
+        architecture: null,
+        dependencies: [],
+        executionSkill: null,
+        sections: [],
+        tasks: []
+    };
+
+    const lines = content.split('\n');
+    let section = null;
+    let task = null;
+    let field = null;
+    let fieldLabel = null;
+
+    const setHeaderField = (name, value) => {
+        if (name === 'goal') plan.goal = value || null;
+        if (name === 'architecture') plan.architecture = value || null;
+        if (name === 'dependencies' && value) {
+            plan.dependencies.push(...value.split(',').map(dep => dep.trim()).filter(Boolean));
+        }
+    };
+
+    const addBlock = (language, blockContent, line) => {
+        if (task && field === 'verification') {
+            const parsed = parseVerificationBlock(blockContent);
+            task.verification = task.verification
+                ? { ...task.verification, commands: [...task.verification.commands, ...parsed.commands], expected: [...task.verification.expected, ...parsed.expected] }
+                : { ...parsed, line };
+        } else if (task && field === 'commit') {
+            const parsed = parseCommitBlock(blockContent);
+            if (parsed.message || !task.commit) task.commit = { ...parsed, line };
+        } else if (task && (field === 'implementation' || language === 'dart')) {
+            task.code.push({ language: language || null, label: fieldLabel, content: blockContent, line });
+        } else if (!task && field === 'dependencies') {
+            for (const commandLine of blockContent.split('\n')) {
+                const add = commandLine.trim().match(/^(?:flutter|dart) pub add\s+(.+)$/);
+                if (add) plan.dependencies.push(...add[1].split(/\s+/).filter(arg => !arg.startsWith('-')));
+            }
+        }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const lineNumber = i + 1;
+
+        const fence = line.match(/^\s*(`{3,}|~{3,})\s*([\w+-]*)/);
+        if (fence) {
+            const marker = fence[1];
+            const body = [];
+            let j = i + 1;
+            while (j < lines.length && !new RegExp(`^\\s*${marker[0]}{${marker.length},}\\s*$`).test(lines[j])) {
+                body.push(lines[j]);
+                j++;
+            }
+            addBlock(fence[2].toLowerCase(), body.join('\n'), lineNumber);
+            i = j;
+            continue;
+        }
+
+        const heading = line.match(/^(#{1,3})\s+(.+?)\s*#*\s*$/);
+        if (heading) {
+            const level = heading[1].length;
+            const text = heading[2].trim();
+            field = null;
+            fieldLabel = null;
+            if (level === 1) {
+                if (plan.title === null) plan.title = text;
+            } else if (level === 2) {
+                task = null;
+                section = text;
+                plan.sections.push({ title: text, line: lineNumber });
+            } else {
+                const taskMatch = text.match(/^Task\s+(\d+)\s*[:.\-–]?\s*(.*)$/i);
+                task = taskMatch ? {
+                    number: Number(taskMatch[1]),
+                    title: taskMatch[2].trim(),
+                    line: lineNumber,
+                    section,
+                    layer: null,
+                    layerLabel: null,
+                    priority: null,
+                    files: [],
+                    code: [],
+                    verification: null,
+                    commit: null
+                } : null;
+                if (task) plan.tasks.push(task);
+            }
+            continue;
+        }
+
+        const skill = line.match(/REQUIRED SUB-SKILL:\s*Use\s+([\w-]+:[\w-]+)/);
+        if (skill && !task && !plan.executionSkill) {
+            plan.executionSkill = skill[1];
+            continue;
+        }
+
+        const label = line.match(/^\*\*([^*(]+?)\s*(?:\(([^)]*)\))?\s*:\*\*\s*(.*)$/);
+        if (label) {
+            const name = label[1].trim().toLowerCase();
+            const value = label[3].trim();
+            field = name;
+            fieldLabel = label[2] ? label[2].trim() : null;
+
+            if (!task) {
+                setHeaderField(name, value);
+            } else if (name === 'layer') {
+                const normalized = normalizeLayer(value);
+                task.layerLabel = value;
+                task.layer = normalized.layer;
+                task.priority = normalized.priority;
+            } else if (name === 'commit' && value) {
+                const inline = value.match(/^`([^`]+)`/);
+                task.commit = { message: (inline ? inline[1] : value).trim(), files: [], line: lineNumber };
+            }
+            continue;
+        }
+
+        const fileItem = task && field === 'files' && line.match(/^\s*[-*]\s+(\w+):\s*`([^`]+)`/);
+        if (fileItem && FILE_ACTIONS.includes(fileItem[1].toLowerCase())) {
+            task.files.push({ action: fileItem[1].toLowerCase(), path: fileItem[2].trim(), line: lineNumber });
+        }
+    }
+
+    return plan;
+}
+
+/**
+ * Read and parse a plan file.
+ *
+ * @param {string} planPath - Path to the plan markdown
+ * @returns {Object} - Result of parsePlan
+ */
+function readPlan(planPath) {
+    return parsePlan(fs.readFileSync(planPath, 'utf8'));
+}
+
+/**
+ * Check a parsed plan against flutter-planning rules.
+ *
+ * @param {Object} plan - Result of parsePlan
+ * @param {{file?: string}} options - file is copied onto each diagnostic
+ * @returns {{valid: boolean, errorCount: number, warningCount: number,
+ *   diagnostics: Array<{file: string|null, line: number, severity: string, rule: string, message: string, task: number|null}>}}
+ */
+function validatePlan(plan, options = {}) {
+    const diagnostics = [];
+    const report = (severity, rule, line, message, task = null) => {
+        diagnostics.push({ file: options.file || null, line, severity, rule, message, task: task ? task.number : null });
+    };
+
+    if (!plan.goal) report('error', 'header-missing', 1, 'Plan header has no **Goal:**');
+    if (!plan.architecture) report('warning', 'header-missing', 1, 'Plan header has no **Architecture:**');
+    if (plan.tasks.length === 0) report('error', 'no-tasks', 1, 'Plan has no "### Task N:" blocks');
+
+    const seenNumbers = new Set();
+    let highestLayer = null;
+    const created = new Map();
+
+    plan.tasks.forEach((task, index) => {
+        const name = `Task ${task.number}`;
+
+        if (seenNumbers.has(task.number)) {
+            report('error', 'task-numbering', task.line, `${name} is numbered twice`, task);
+        } else if (task.number !== index + 1) {
+            report('warning', 'task-numbering', task.line, `${name} is out of sequence (expected Task ${index + 1})`, task);
+        }
+        seenNumbers.add(task.number);
+
+        if (!task.layerLabel) {
+            report('warning', 'layer-missing', task.line, `${name} has no **Layer:**`, task);
+        } else if (!task.layer) {
+            report('warning', 'layer-unknown', task.line, `${name} has unknown layer "${task.layerLabel}"`, task);
+        }
+
+        const rank = LAYER_ORDER.indexOf(task.layer);
+        if (rank !== -1) {
+            if (highestLayer !== null && rank < LAYER_ORDER.indexOf(highestLayer)) {
+                report('error', 'layer-order', task.line,
+                    `${name} (${task.layer}) comes after a ${highestLayer} task; order is Domain → Data → Presentation`, task);
+            } else {
+                highestLayer = task.layer;
+            }
+            if (task.section && !task.section.toLowerCase().includes(task.layer)) {
+                const sectionLayer = KNOWN_LAYERS.find(layer => task.section.toLowerCase().includes(layer));
+                if (sectionLayer) {
+                    report('warning', 'layer-section-mismatch', task.line,
+                        `${name} is a ${task.layer} task under "## ${task.section}"`, task);
+                }
+            }
+        }
+
+        if (task.files.length === 0) {
+            report('error', 'files-missing', task.line, `${name} lists no files`, task);
+        }
+
+        const inTask = new Set();
+        for (const file of task.files) {
+            if (inTask.has(file.path)) {
+                report('warning', 'duplicate-file', file.line, `${name} lists ${file.path} twice`, task);
+                continue;
+            }
+            inTask.add(file.path);
+
+            const fileLayer = layerOfPath(file.path);
+            if (task.layer && rank !== -1 && fileLayer && fileLayer !== task.layer) {
+                report('warning', 'file-layer-mismatch', file.line,
+                    `${name} is a ${task.layer} task but ${file.path} is in the ${fileLayer} layer`, task);
+            }
+
+            const creator = created.get(file.path);
+            if (file.action === 'create' || file.action === 'test') {
+                if (creator) {
+                    report('error', 'duplicate-file', file.line,
+                        `${file.path} is created by both Task ${creator.number} and ${name}`, task);
+                } else {
+                    created.set(file.path, task);
+                }
+            } else if (file.action === 'modify' && !creator) {
+                const laterCreator = plan.tasks.slice(index + 1)
+                    .find(later => later.files.some(f => f.path === file.path && (f.action === 'create' || f.action === 'test')));
+                if (laterCreator) {
+                    report('error', 'conflicting-file', file.line,
+                        `${name} modifies ${file.path} before Task ${laterCreator.number} creates it`, task);
+                }
+            }
+        }
+
+        if (task.files.some(file => file.action === 'create') && task.code.length === 0) {
+            report('warning', 'implementation-missing', task.line, `${name} creates files but has no code blocks`, task);
+        }
+
+        if (!task.verification) {
+            report('error', 'verification-missing', task.line, `${name} has no **Verification:** bash block`, task);
+        } else if (task.verification.commands.length === 0) {
+            report('error', 'verification-missing', task.verification.line, `${name} verification block has no commands`, task);
+        }
+
+        if (!task.commit || !task.commit.message) {
+            report('error', 'commit-missing', task.line, `${name} has no **Commit:** message`, task);
+        } else if (!CONVENTIONAL_COMMIT.test(task.commit.message)) {
+            report('error', 'commit-format', task.commit.line,
+                `${name} commit "${task.commit.message}" is not a conventional commit (e.g. "feat(auth): add User entity")`, task);
+        }
+    });
+
+    const errorCount = diagnostics.filter(d => d.severity === 'error').length;
+    return {
+        valid: errorCount === 0,
+        errorCount,
+        warningCount: diagnostics.length - errorCount,
+        diagnostics: diagnostics.sort((a, b) => a.line - b.line)
+    };
+}
+
+export {
+    parsePlan,
+    readPlan,
+    validatePlan
+};
@@ -0,0 +1,200 @@
+import fs from 'fs';
+import path from 'path';
+import { parseYaml } from './yaml.js';
+
+/**
+ * Packages flutter-craft skills care about, grouped by stack concern.
+ * Each package maps to the label reported for its category.
+ */
+const STACK_PACKAGES = {
+    stateManagement: {
+        flutter_bloc: 'bloc', bloc: 'bloc', hydrated_bloc: 'bloc',
+        flutter_riverpod: 'riverpod', hooks_riverpod: 'riverpod', riverpod: 'riverpod', riverpod_annotation: 'riverpod',
+        provider: 'provider', get: 'getx', mobx: 'mobx', flutter_mobx: 'mobx'
+    },
+    di: {
+        get_it: 'get_it', injectable: 'injectable', injectable_generator: 'injectable'
+    },
+    networking: {
+        dio: 'dio', http: 'http', retrofit: 'retrofit', chopper: 'chopper', graphql_flutter: 'graphql'
+    },
+    codegen: {
+        build_runner: 'build_runner', freezed: 'freezed', freezed_annotation: 'freezed',
+        json_serializable: 'json_serializable', json_annotation: 'json_serializable',
+        riverpod_generator: 'riverpod_generator', injectable_generator: 'injectable_generator',
+        retrofit_generator: 'retrofit_generator'
+    },
+    testing: {
+        flutter_test: 'flutter_test', test: 'test', mockito: 'mockito', mocktail: 'mocktail',
+        bloc_test: 'bloc_test', integration_test: 'integration_test'
+    },
+    routing: {
+        go_router: 'go_router', auto_route: 'auto_route'
+    }
+};
+
+/**
+ * Normalize a dependency entry into a tagged object.
+ *
+ * @param {*} spec - Raw YAML value for the dependency
+ * @returns {{kind: string, version?: string, sdk?: string, url?: string, ref?: string, path?: string}}
+ */
+function normalizeDependency(spec) {
+    if (spec === null || spec === undefined) return { kind: 'hosted', version: 'any' };
+    if (typeof spec !== 'object') return { kind: 'hosted', version: String(spec) };
+
+    if (spec.sdk) return { kind: 'sdk', sdk: String(spec.sdk), ...(spec.version ? { version: String(spec.version) } : {}) };
+    if (spec.path) return { kind: 'path', path: String(spec.path) };
+    if (spec.git) {
+        const git = typeof spec.git === 'object' ? spec.git : { url: spec.git };
+        return {
+            kind: 'git',
+            url: String(git.url || ''),
+            ...(git.ref ? { ref: String(git.ref) } : {}),
+            ...(git.path ? { path: String(git.path) } : {})
+        };
+    }
+
+    const hosted = typeof spec.hosted === 'object' && spec.hosted !== null ? spec.hosted.url : spec.hosted;
+    return {
+        kind: 'hosted',
+        version: spec.version !== undefined ? String(spec.version) : 'any',
+        ...(hosted ? { url: String(hosted) } : {})
+    };
+}
+
+/**
+ * Normalize a dependencies-style section.
+ *
+ * @param {*} section - Raw YAML mapping
+ * @returns {Object<string, Object>}
+ */
+function normalizeDependencies(section) {
+    const dependencies = {};
+    if (!section || typeof section !== 'object') return dependencies;
+    for (const [name, spec] of Object.entries(section)) {
+        dependencies[name] = normalizeDependency(spec);
+    }
+    return dependencies;
+}
+
+/**
+ * Parse pubspec.yaml content into a model.
+ *
+ * @param {string} content - pubspec.yaml content
+ * @returns {{name: string, version: string, description: string, publishTo: string|null,
+ *   environment: {sdk: string|null, flutter: string|null},
+ *   dependencies: Object, devDependencies: Object, dependencyOverrides: Object,
+ *   assets: string[], fonts: Array<{family: string, fonts: Array}>,
+ *   usesMaterialDesign: boolean, isFlutter: boolean, isPlugin: boolean,
+ *   workspace: string[]|null, resolution: string|null, raw: Object}}
+ * @throws {YamlError} - When the YAML is malformed
+ */
+function parsePubspec(content) {
+    const parsed = parseYaml(content);
+    const raw = parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+
+    const text = (value) => (value === null || value === undefined ? '' : String(value).trim());
+    const environment = raw.environment && typeof raw.environment === 'object' ? raw.environment : {};
+    const flutter = raw.flutter && typeof raw.flutter === 'object' ? raw.flutter : {};
+
+    const dependencies = normalizeDependencies(raw.dependencies);
+    const devDependencies = normalizeDependencies(raw.dev_dependencies);
+
+    const assets = (Array.isArray(flutter.assets) ? flutter.assets : [])
+        .map(asset => (asset && typeof asset === 'object' ? asset.path : asset))
+        .filter(Boolean)
+        .map(String);
+
+    const fonts = (Array.isArray(flutter.fonts) ? flutter.fonts : [])
+        .filter(font => font && typeof font === 'object')
+        .map(font => ({
+            family: text(font.family),
+            fonts: (Array.isArray(font.fonts) ? font.fonts : [])
+                .filter(entry => entry && typeof entry === 'object')
+                .map(entry => ({
+                    asset: text(entry.asset),
+                    ...(entry.weight !== undefined ? { weight: Number(entry.weight) } : {}),
+                    ...(entry.style ? { style: text(entry.style) } : {})
+                }))
+        }));
+
+    const usesFlutterSdk = (deps, name) => deps[name] && deps[name].kind === 'sdk' && deps[name].sdk === 'flutter';
+
+    return {
+        name: text(raw.name),
+        version: text(raw.version),
+        description: text(raw.description),
+        publishTo: raw.publish_to === undefined ? null : text(raw.publish_to),
+        environment: {
+            sdk: environment.sdk ? text(environment.sdk) : null,
+            flutter: environment.flutter ? text(environment.flutter) : null
+        },
+        dependencies,
+        devDependencies,
+        dependencyOverrides: normalizeDependencies(raw.dependency_overrides),
+        assets,
+        fonts,
+        usesMaterialDesign: flutter['uses-material-design'] === true,
+        isFlutter: Boolean(usesFlutterSdk(dependencies, 'flutter') || usesFlutterSdk(devDependencies, 'flutter_test') ||
+            environment.flutter),
+        isPlugin: Boolean(flutter.plugin),
+        workspace: Array.isArray(raw.workspace) ? raw.workspace.map(String) : null,
+        resolution: raw.resolution ? text(raw.resolution) : null,
+        raw
+    };
+}
+
+/**
+ * Read and parse pubspec.yaml from a directory.
+ *
+ * @param {string} dir - Directory containing pubspec.yaml
+ * @returns {Object|null} - Result of parsePubspec, or null if missing or unparseable
+ */
+function readPubspec(dir) {
+    const pubspecPath = path.join(dir, 'pubspec.yaml');
+    if (!fs.existsSync(pubspecPath)) return null;
+
+    try {
+        return parsePubspec(fs.readFileSync(pubspecPath, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Infer the tech stack from a pubspec model's dependencies and dev_dependencies.
+ *
+ * @param {Object} pubspec - Result of parsePubspec
+ * @returns {{stateManagement: string[], di: string[], networking: string[], codegen: string[],
+ *   testing: string[], routing: string[], packages: Object<string, string[]>}}
+ *   Each category lists labels in pubspec order; packages maps labels to the packages that implied them
+ */
+function detectTechStack(pubspec) {
+    const stack = {};
+    const packagesByLabel = {};
+    const allPackages = [
+        ...Object.keys(pubspec.dependencies || {}),
+        ...Object.keys(pubspec.devDependencies || {})
+    ];
+
+    for (const [category, packages] of Object.entries(STACK_PACKAGES)) {
+        stack[category] = [];
+        for (const name of allPackages) {
+            const label = packages[name];
+            if (!label) continue;
+            if (!stack[category].includes(label)) stack[category].push(label);
+            packagesByLabel[label] = [...new Set([...(packagesByLabel[label] || []), name])];
+        }
+    }
+
+    stack.packages = packagesByLabel;
+    return stack;
+}
+
+export {
+    STACK_PACKAGES,
+    parsePubspec,
+    readPubspec,
+    detectTechStack
+};
@@ -0,0 +1,248 @@
+import path from 'path';
+import {
+    createSkillRoots,
+    resolveSkill,
+    listResolvedSkills,
+    detectLocale,
+    getUpdateStatus,
+    renderSkill,
+    getFlutterProjectInfo,
+    findActivePlans,
+    formatPlanProgress
+} from './skills-core.js';
+
+/**
+ * Context injected by the SessionStart hook.
+ *
+ * The start-flutter-craft skill is always included, rendered for the
+ * project's tech stack (see skill-renderer.js) from its translation for the
+ * session locale when there is one (see skill-locale.js). Plan progress, the
+ * project summary, the skill list and the update notice are added in that
+ * order while they fit the size budget; a section that does not fit falls
+ * back to its short form or is left out. After compaction the skill list is
+ * kept short and no update check runs.
+ */
+
+const DEFAULT_BUDGET = 12000;
+const MAX_DESCRIPTION_LENGTH = 140;
+
+const STACK_LABELS = {
+    stateManagement: 'State management',
+    di: 'DI',
+    networking: 'Networking',
+    codegen: 'Code generation',
+    testing: 'Testing',
+    routing: 'Routing'
+};
+
+/**
+ * Shorten a description to its first sentence within a length limit.
+ *
+ * @param {string} text - Skill description
+ * @returns {string}
+ */
+function summarize(text) {
+    const firstSentence = String(text || '').replace(/\s+/g, ' ').trim().split(/(?<=\.)\s/)[0];
+    return firstSentence.length > MAX_DESCRIPTION_LENGTH
+        ? `${firstSentence.slice(0, MAX_DESCRIPTION_LENGTH - 1).trimEnd()}…`
+        : firstSentence;
+}
+
+/**
+ * Describe the Flutter project in the session directory.
+ *
+ * @param {string} projectDir - Session working directory
+ * @returns {{full: string, short: string}}
+ */
+function projectSection(projectDir) {
+    const info = getFlutterProjectInfo(projectDir);
+    if (!info) {
+        const text = 'No pubspec.yaml in the working directory. Use flutter-craft:flutter-project-init to create a Flutter project.';
+        return { full: `## Project\n\n${text}`, short: `## Project\n\n${text}` };
+    }
+
+    const kind = info.isFlutter ? 'Flutter project' : 'Dart package (no Flutter SDK dependency)';
+    const version = info.version ? ` ${info.version}` : '';
+    const sdk = [
+        info.environment.sdk ? `Dart ${info.environment.sdk}` : null,
+        info.environment.flutter ? `Flutter ${info.environment.flutter}` : null
+    ].filter(Boolean).join(', ');
+    const headline = `${kind} \`${info.name || path.basename(projectDir)}\`${version}${sdk ? ` (${sdk})` : ''}`;
+
+    const stackLines = Object.entries(STACK_LABELS)
+        .filter(([category]) => info.stack[category].length)
+        .map(([category, label]) => `- ${label}: ${info.stack[category].join(', ')}`);
+    const stackLabels = [...new Set(Object.keys(STACK_LABELS).flatMap(category => info.stack[category]))];
+
+    return {
+        full: [`## Project`, '', headline, ...(stackLines.length ? ['', ...stackLines] : [])].join('\n'),
+        short: `## Project\n\n${headline}${stackLabels.length ? ` - ${stackLabels.join(', ')}` : ''}`
+    };
+}
+
+/**
+ * List the skills visible after shadowing.
+ *
+ * @param {Array<{namespace: string, dir: string}>} roots - Result of createSkillRoots
+ * @param {string|null} locale - Locale for descriptions
+ * @returns {{full: string, short: string}|null}
+ */
+function skillsSection(roots, locale) {
+    const skills = listResolvedSkills(roots, { locale }).filter(skill => skill.name !== 'start-flutter-craft');
+    if (skills.length === 0) return null;
+
+    const label = (skill) => (skill.sourceType === 'flutter-craft' ? `flutter-craft:${skill.name}` : skill.name);
+    const origin = (skill) => {
+        if (skill.sourceType === 'flutter-craft') return '';
+        const shadows = skill.shadows.length ? `, overrides ${skill.shadows.join(', ')}` : '';
+        return ` (${skill.sourceType}${shadows})`;
+    };
+
+    const full = skills.map(skill => `- ${label(skill)}${origin(skill)}${skill.description ? ` - ${summarize(skill.description)}` : ''}`);
+    const short = skills.map(skill => `${label(skill)}${origin(skill)}`).join(', ');
+
+    return {
+        full: `## Available Skills\n\n${full.join('\n')}`,
+        short: `## Available Skills\n\n${short}`
+    };
+}
+
+/**
+ * Describe unfinished plans in docs/plans.
+ *
+ * @param {string} projectDir - Session working directory
+ * @param {string} pluginRoot - flutter-craft plugin directory
+ * @returns {{full: string, short: string}|null}
+ */
+function plansSection(projectDir, pluginRoot) {
+    const plans = findActivePlans(projectDir);
+    if (plans.length === 0) return null;
+
+    const lines = plans.map(progress => formatPlanProgress(progress, { baseDir: projectDir }));
+    const hint = `Resume with flutter-craft:flutter-executing; \`node "${path.join(pluginRoot, 'scripts', 'plan.js')}" resume <plan>\` shows the next task.`;
+    return {
+        full: `## Plans In Progress\n\n${lines.join('\n')}\n\n${hint}`,
+        short: `## Plans In Progress\n\n${lines.map(line => line.split('\n')[0]).join('\n')}`
+    };
+}
+
+/**
+ * Describe upstream changes from a cached update check.
+ *
+ * @param {Object} update - Result of getUpdateStatus
+ * @param {string} pluginRoot - flutter-craft plugin directory
+ * @returns {{full: string, short: string}|null}
+ */
+function updateSection(update, pluginRoot) {
+    if (update.behind === 0) return null;
+
+    const headline = `flutter-craft is ${update.behind} commit(s) behind ${update.upstream}. Update with \`git -C "${pluginRoot}" pull\`.`;
+    const details = [
+        ...update.incoming.map(commit => `- ${commit.subject}`),
+        ...(update.changedSkills.length ? ['', `Changed skills: ${update.changedSkills.join(', ')}`] : [])
+    ];
+    return {
+        full: `## Update Available\n\n${headline}${details.length ? `\n\n${details.join('\n')}` : ''}`,
+        short: `## Update Available\n\n${headline}`
+    };
+}
+
+/**
+ * Build the additionalContext text for a SessionStart hook.
+ *
+ * @param {{pluginRoot: string, projectDir: string, personalDir?: string, source?: string,
+ *   budget?: number, checkUpdates?: boolean, updateTtl?: number, locale?: string|null}} options
+ *   source is the hook matcher (startup, resume, clear, compact); budget is a character limit;
+ *   locale selects SKILL.<locale>.md translations (default: detectLocale(), null for SKILL.md only);
+ *   checkUpdates defaults to true on startup only and reads the cached update check
+ *   (refreshed in the background once older than updateTtl milliseconds)
+ * @returns {{text: string, source: string, length: number,
+ *   sections: Array<{id: string, mode: string, length: number}>}}
+ *   mode is 'full', 'short' or 'omitted'
+ * @throws {Error} - When start-flutter-craft/SKILL.md is missing
+ */
+function buildSessionContext(options) {
+    const { pluginRoot, projectDir, personalDir } = options;
+    const source = options.source || 'startup';
+    const budget = options.budget || DEFAULT_BUDGET;
+    const compact = source === 'compact';
+    const checkUpdates = options.checkUpdates === undefined ? source === 'startup' : options.checkUpdates;
+
+    const locale = options.locale === undefined ? detectLocale() : options.locale;
+
+    const roots = createSkillRoots({
+        projectDir,
+        personalDir,
+        flutterCraftDir: path.join(pluginRoot, 'skills')
+    });
+
+    const start = resolveSkill('flutter-craft:start-flutter-craft', roots, { locale });
+    if (!start) {
+        throw new Error('start-flutter-craft/SKILL.md not found');
+    }
+    const core = `You have flutter-craft skills available.\n\n${renderSkill(start.skillFile, { projectDir }).text}`;
+
+    const candidates = [
+        { id: 'plans', build: () => plansSection(projectDir, pluginRoot) },
+        { id: 'project', build: () => projectSection(projectDir) },
+        { id: 'skills', build: () => skillsSection(roots, locale), preferShort: compact },
+        {
+            id: 'update',
+            build: () => (checkUpdates ? updateSection(getUpdateStatus(pluginRoot, { ttl: options.updateTtl }), pluginRoot) : null)
+        }
+    ];
+
+    const parts = [core];
+    const sections = [{ id: 'start-flutter-craft', mode: 'full', length: core.length }];
+    let length = core.length;
+
+    for (const candidate of candidates) {
+        let section;
+        try {
+            section = candidate.build();
+        } catch (error) {
+            section = null;
+        }
+        if (!section) continue;
+
+        const choices = candidate.preferShort ? [['short', section.short]] : [['full', section.full], ['short', section.short]];
+        const fit = choices.find(([, text]) => length + text.length + 2 <= budget);
+        if (!fit) {
+            sections.push({ id: candidate.id, mode: 'omitted', length: 0 });
+            continue;
+        }
+
+        parts.push(fit[1]);
+        length += fit[1].length + 2;
+        sections.push({ id: candidate.id, mode: fit[0], length: fit[1].length });
+    }
+
+    const omitted = sections.filter(section => section.mode === 'omitted').map(section => section.id);
+    if (omitted.length) {
+        parts.push(`(Left out to fit the context budget: ${omitted.join(', ')})`);
+    }
+
+    const text = parts.join('\n\n');
+    return { text, source, length: text.length, sections };
+}
+
+/**
+ * Serialize hook output for Claude Code.
+ *
+ * @param {string} text - Context text
+ * @returns {string} - JSON document
+ */
+function formatSessionStartOutput(text) {
+    return JSON.stringify({
+        hookSpecificOutput: {
+            hookEventName: 'SessionStart',
+            additionalContext: `<EXTREMELY_IMPORTANT>\n${text}\n</EXTREMELY_IMPORTANT>`
+        }
+    }, null, 2);
+}
+
+export {
+    DEFAULT_BUDGET,
+    buildSessionContext,
+    formatSessionStartOutput
+};
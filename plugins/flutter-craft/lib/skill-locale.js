@@ -0,0 +1,157 @@
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+
+/**
+ * Localized skill variants.
+ *
+ * A translation lives next to the source as SKILL.<locale>.md, for example
+ * skills/flutter-testing/SKILL.ko.md beside SKILL.md. The locale comes from
+ * configuration (an explicit option, then FLUTTER_CRAFT_LOCALE) or the
+ * environment (LC_ALL, LC_MESSAGES, LANG). "ko_KR.UTF-8" becomes the chain
+ * ko-KR → ko, and SKILL.md is the last fallback. A comma-separated
+ * setting such as "ko,ja" tries each locale in turn.
+ */
+
+const DEFAULT_LOCALE = 'en';
+const LOCALE_TAG = /^[a-z]{2,3}(?:-[a-z0-9]{2,8})*$/i;
+const TRANSLATION_FILE = /^SKILL\.([a-z]{2,3}(?:-[a-z0-9]{2,8})*)\.md$/i;
+
+/**
+ * Normalize a locale setting to a BCP 47 style tag.
+ *
+ * @param {string} value - e.g. "ko_KR.UTF-8", "ko-kr", "zh_Hant_TW", "en_US@euro"
+ * @returns {string|null} - e.g. "ko-KR"; null for C, POSIX and unparseable values
+ */
+function normalizeLocale(value) {
+    if (!value) return null;
+    const tag = String(value).trim().replace(/[.@].*$/, '').replace(/_/g, '-');
+    if (!tag || /^(c|posix)$/i.test(tag) || !LOCALE_TAG.test(tag)) return null;
+
+    const [language, ...subtags] = tag.split('-');
+    return [
+        language.toLowerCase(),
+        ...subtags.map(subtag => {
+            if (/^[a-z]{2}$/i.test(subtag) || /^\d{3}$/.test(subtag)) return subtag.toUpperCase();
+            if (/^[a-z]{4}$/i.test(subtag)) return subtag[0].toUpperCase() + subtag.slice(1).toLowerCase();
+            return subtag.toLowerCase();
+        })
+    ].join('-');
+}
+
+/**
+ * Pick the locale for skills: configured value first, then the environment.
+ *
+ * @param {{locale?: string, env?: Object}} options - locale is an explicit setting (may be
+ *   comma-separated); env defaults to process.env
+ * @returns {string|null} - Normalized locale list such as "ko-KR" or "ko,ja"; null when nothing is set
+ */
+function detectLocale(options = {}) {
+    const env = options.env || process.env;
+    const candidates = [options.locale, env.FLUTTER_CRAFT_LOCALE, env.LC_ALL, env.LC_MESSAGES, env.LANG];
+
+    for (const candidate of candidates) {
+        if (!candidate) continue;
+        const locales = String(candidate).split(/[,:]/).map(normalizeLocale).filter(Boolean);
+        if (locales.length) return locales.join(',');
+    }
+    return null;
+}
+
+/**
+ * Expand a locale setting into the lookup order, most specific first.
+ *
+ * @param {string|null} locale - e.g. "zh-Hant-TW" or "ko-KR,ja"
+ * @returns {string[]} - e.g. ["zh-Hant-TW", "zh-Hant", "zh"]; the SKILL.md fallback is implied
+ */
+function getLocaleChain(locale) {
+    const chain = [];
+    for (const tag of String(locale || '').split(',').map(normalizeLocale).filter(Boolean)) {
+        const subtags = tag.split('-');
+        for (let length = subtags.length; length > 0; length--) {
+            const candidate = subtags.slice(0, length).join('-');
+            if (!chain.includes(candidate)) chain.push(candidate);
+        }
+    }
+    return chain;
+}
+
+/**
+ * List the translations next to a SKILL.md.
+ *
+ * @param {string} skillDir - Skill directory
+ * @returns {Array<{locale: string, file: string}>} - Sorted by locale
+ */
+function listSkillTranslations(skillDir) {
+    let entries;
+    try {
+        entries = fs.readdirSync(skillDir, { withFileTypes: true });
+    } catch (error) {
+        return [];
+    }
+
+    return entries
+        .map(entry => ({ entry, match: entry.isFile() ? entry.name.match(TRANSLATION_FILE) : null }))
+        .filter(({ match }) => match)
+        .map(({ entry, match }) => ({ locale: normalizeLocale(match[1]), file: path.join(skillDir, entry.name) }))
+        .sort((a, b) => a.locale.localeCompare(b.locale));
+}
+
+/**
+ * Pick the file to read for a skill in a locale.
+ *
+ * @param {string} skillFile - Path to the source SKILL.md
+ * @param {string|null} locale - Locale setting; see getLocaleChain
+ * @param {{defaultLocale?: string}} options - Language SKILL.md is written in (default: en);
+ *   asking for it never selects a translation
+ * @returns {{file: string, locale: string|null}} - locale is null when SKILL.md was selected
+ */
+function localizeSkillFile(skillFile, locale, options = {}) {
+    const defaultLocale = normalizeLocale(options.defaultLocale || DEFAULT_LOCALE);
+    const translations = listSkillTranslations(path.dirname(skillFile));
+
+    for (const candidate of getLocaleChain(locale)) {
+        if (candidate.toLowerCase() === defaultLocale.toLowerCase()) break;
+        const translation = translations.find(entry => entry.locale.toLowerCase() === candidate.toLowerCase());
+        if (translation) return { file: translation.file, locale: translation.locale };
+    }
+    return { file: skillFile, locale: null };
+}
+
+/**
+ * When a file's content last changed: the last commit touching it if it is
+ * committed and unmodified, otherwise its mtime (checkouts reset mtimes, so
+ * git history is the better signal when there is one).
+ *
+ * @param {string} file - File path
+ * @returns {string|null} - ISO timestamp; null when the file is missing
+ */
+function lastModified(file) {
+    let stat;
+    try {
+        stat = fs.statSync(file);
+    } catch (error) {
+        return null;
+    }
+
+    try {
+        const options = { cwd: path.dirname(file), encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], timeout: 10000 };
+        const name = path.basename(file);
+        const changed = execFileSync('git', ['status', '--porcelain', '--', name], options).trim();
+        const committed = changed ? '' : execFileSync('git', ['log', '-1', '--format=%cI', '--', name], options).trim();
+        if (committed) return new Date(committed).toISOString();
+    } catch (error) {
+        // Not a git checkout or git missing: fall back to mtime
+    }
+    return stat.mtime.toISOString();
+}
+
+export {
+    DEFAULT_LOCALE,
+    normalizeLocale,
+    detectLocale,
+    getLocaleChain,
+    listSkillTranslations,
+    localizeSkillFile,
+    lastModified
+};
@@ -0,0 +1,233 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Skill composition: include directives and stack-conditional sections.
+ *
+ * Directives are HTML comments on a line of their own, so an unrendered
+ * skill still reads as markdown with a pointer to the included file:
+ *
+ *   <!-- @include references/notes.md -->
+ *   <!-- @include references/stateful-pattern.md#Riverpod Alternative -->
+ *   <!-- @if riverpod -->  ...  <!-- @elif stateManagement=bloc -->  ...  <!-- @else -->  ...  <!-- @endif -->
+ *
+ * Include paths are relative to the file containing the directive and must
+ * stay inside the skills root; "#Heading" includes only that section.
+ * Conditions test the detectTechStack() labels of the project: "riverpod"
+ * matches any category, "stateManagement=riverpod" one category, "!a" the
+ * opposite, "a&b" both and "a|b" either ("&" binds tighter). Without a stack
+ * every branch is kept, which is what a reader of the raw file sees.
+ * Directives inside code fences are text.
+ */
+
+const MAX_DEPTH = 5;
+
+/**
+ * Skills that are rendered before the model reads them (the SessionStart
+ * hook injects start-flutter-craft). The Skill tool loads every other
+ * SKILL.md as is, so an include there would reach the model as a bare comment.
+ */
+const RENDERED_SKILLS = ['start-flutter-craft'];
+const DIRECTIVE = /^\s*<!--\s*@(include|if|elif|else|endif)\b\s*(.*?)\s*-->\s*$/;
+const FENCE = /^\s*(```|~~~)/;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+
+/**
+ * Normalize heading text for anchor matching (GitHub-style slug).
+ *
+ * @param {string} text - Heading text or anchor
+ * @returns {string}
+ */
+function slugify(text) {
+    return text.trim().toLowerCase().replace(/[^\p{L}\p{N}\s-]/gu, '').replace(/\s+/g, '-');
+}
+
+/**
+ * Cut the section under a heading out of markdown, heading included.
+ *
+ * @param {string} content - Markdown
+ * @param {string} anchor - Heading text or slug
+ * @returns {string|null} - null when no heading matches
+ */
+function extractSection(content, anchor) {
+    const lines = content.split('\n');
+    const wanted = slugify(anchor);
+    let inFence = false;
+    let start = -1;
+    let level = 0;
+
+    for (let i = 0; i < lines.length; i++) {
+        if (FENCE.test(lines[i])) inFence = !inFence;
+        if (inFence) continue;
+        const match = lines[i].match(HEADING);
+        if (!match) continue;
+        if (start === -1) {
+            if (slugify(match[2]) === wanted) {
+                start = i;
+                level = match[1].length;
+            }
+        } else if (match[1].length <= level) {
+            return lines.slice(start, i).join('\n').trim();
+        }
+    }
+    return start === -1 ? null : lines.slice(start).join('\n').trim();
+}
+
+/**
+ * Evaluate an @if/@elif condition against a tech stack.
+ *
+ * @param {string} expression - e.g. "riverpod", "stateManagement=bloc", "bloc|provider", "!riverpod&!provider"
+ * @param {Object} stack - detectTechStack result
+ * @returns {boolean}
+ */
+function evaluateCondition(expression, stack) {
+    return expression.split('|').some(alternative => alternative.split('&').map(term => term.trim()).filter(Boolean).every(term => {
+        const negated = term.startsWith('!');
+        const atom = negated ? term.slice(1).trim() : term;
+        let matched;
+        if (atom.includes('=')) {
+            const [category, label] = atom.split('=').map(part => part.trim());
+            matched = Array.isArray(stack[category]) && stack[category].includes(label);
+        } else {
+            matched = Object.entries(stack).some(([category, labels]) => category !== 'packages'
+                && Array.isArray(labels) && labels.includes(atom));
+        }
+        return negated ? !matched : matched;
+    }));
+}
+
+/**
+ * Render skill markdown: resolve includes and conditional sections.
+ *
+ * @param {string} content - Markdown without frontmatter
+ * @param {{file: string, root?: string, stack?: Object|null, maxDepth?: number, allowIncludes?: boolean}} options
+ *   file is the path the content came from (includes resolve against its directory);
+ *   root bounds include paths (default: two levels up from file, the skills directory);
+ *   stack from detectTechStack, or null to keep every branch;
+ *   allowIncludes: false reports includes in the file itself as include-unrendered (they are still resolved)
+ * @returns {{text: string, includes: string[], problems: Array<{file: string, line: number, kind: string, message: string}>}}
+ *   includes lists resolved files in order; kind is include-missing, include-outside, include-cycle,
+ *   include-depth, include-unrendered, heading-missing or conditional-syntax
+ */
+function renderSkillContent(content, options) {
+    const root = path.resolve(options.root || path.join(path.dirname(options.file), '..'));
+    const maxDepth = options.maxDepth === undefined ? MAX_DEPTH : options.maxDepth;
+    const stack = options.stack || null;
+    const includes = [];
+    const problems = [];
+
+    const render = (text, file, chain) => {
+        const output = [];
+        // Frames: taken (some branch matched), active (current branch emits), sawElse, line of the @if
+        const conditions = [];
+        const emitting = () => conditions.every(frame => frame.active);
+        let inFence = false;
+
+        const lines = text.split('\n');
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const lineNumber = i + 1;
+            if (FENCE.test(line)) inFence = !inFence;
+            const match = inFence ? null : line.match(DIRECTIVE);
+            if (!match) {
+                if (emitting()) output.push(line);
+                continue;
+            }
+
+            const [, directive, argument] = match;
+            const problem = (kind, message) => problems.push({ file, line: lineNumber, kind, message });
+
+            if (directive === 'if') {
+                if (!argument) problem('conditional-syntax', '@if needs a condition');
+                const result = !stack || (argument ? evaluateCondition(argument, stack) : false);
+                conditions.push({ taken: result, active: result, line: lineNumber });
+            } else if (directive === 'elif' || directive === 'else') {
+                const frame = conditions[conditions.length - 1];
+                if (!frame) {
+                    problem('conditional-syntax', `@${directive} without @if`);
+                    continue;
+                }
+                if (frame.sawElse) problem('conditional-syntax', `@${directive} after @else`);
+                if (directive === 'else') frame.sawElse = true;
+                if (directive === 'elif' && !argument) problem('conditional-syntax', '@elif needs a condition');
+                const result = !stack || (!frame.taken && (directive === 'else' || evaluateCondition(argument, stack)));
+                frame.active = result;
+                frame.taken = frame.taken || result;
+            } else if (directive === 'endif') {
+                if (!conditions.length) problem('conditional-syntax', '@endif without @if');
+                conditions.pop();
+            } else if (emitting()) {
+                if (options.allowIncludes === false && chain.length === 1) {
+                    problem('include-unrendered', 'Only skills rendered at session start may use @include; the Skill tool loads this file as is, so keep the content inline');
+                }
+                const [target, anchor] = argument.split('#');
+                const resolved = path.resolve(path.dirname(file), target.trim());
+                const relative = path.relative(root, resolved);
+                if (!target.trim()) {
+                    problem('include-missing', '@include needs a path');
+                } else if (relative.startsWith('..') || path.isAbsolute(relative)) {
+                    problem('include-outside', `${target.trim()} is outside ${root}`);
+                } else if (!fs.existsSync(resolved) || !fs.statSync(resolved).isFile()) {
+                    problem('include-missing', `${target.trim()} not found`);
+                } else if (chain.includes(resolved)) {
+                    problem('include-cycle', `${target.trim()} includes itself (${[...chain, resolved].map(item => path.relative(root, item)).join(' -> ')})`);
+                } else if (chain.length > maxDepth) {
+                    problem('include-depth', `Includes nested deeper than ${maxDepth} levels`);
+                } else {
+                    let included = fs.readFileSync(resolved, 'utf8').replace(/\r\n?/g, '\n');
+                    if (anchor) {
+                        const section = extractSection(included, anchor);
+                        if (section === null) {
+                            problem('heading-missing', `${target.trim()} has no heading "${anchor.trim()}"`);
+                            continue;
+                        }
+                        included = section;
+                    }
+                    includes.push(resolved);
+                    output.push(render(included.trim(), resolved, [...chain, resolved]));
+                }
+            }
+        }
+
+        for (const frame of conditions) {
+            problems.push({ file, line: frame.line, kind: 'conditional-syntax', message: '@if without @endif' });
+        }
+        return output.join('\n');
+    };
+
+    const file = path.resolve(options.file);
+    const text = render(content.replace(/\r\n?/g, '\n'), file, [file]).replace(/\n{3,}/g, '\n\n');
+    return { text, includes, problems };
+}
+
+/**
+ * Render a SKILL.md (or any skill markdown) file without its frontmatter.
+ *
+ * @param {string} file - Markdown file
+ * @param {{root?: string, stack?: Object|null, maxDepth?: number}} options - See renderSkillContent
+ * @returns {{text: string, includes: string[], problems: Array}} - problem lines count from the top of file
+ */
+function renderSkillFile(file, options = {}) {
+    const lines = fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+    let bodyStart = 0;
+    if (lines[0].trim() === '---') {
+        const end = lines.findIndex((line, index) => index > 0 && (line.trim() === '---' || line.trim() === '...'));
+        if (end !== -1) bodyStart = end + 1;
+    }
+
+    const result = renderSkillContent(lines.slice(bodyStart).join('\n'), { ...options, file });
+    const resolved = path.resolve(file);
+    return {
+        ...result,
+        text: result.text.trim(),
+        problems: result.problems.map(problem => (problem.file === resolved ? { ...problem, line: problem.line + bodyStart } : problem))
+    };
+}
+
+export {
+    RENDERED_SKILLS,
+    extractSection,
+    evaluateCondition,
+    renderSkillContent,
+    renderSkillFile
+};
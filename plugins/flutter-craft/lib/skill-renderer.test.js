@@ -0,0 +1,95 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { test, before, after } from 'node:test';
+import { fileURLToPath } from 'url';
+import { RENDERED_SKILLS, extractSection, evaluateCondition, renderSkillContent, renderSkillFile } from './skill-renderer.js';
+import { validatePlugin } from './skill-validator.js';
+
+const PLUGIN_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const BLOC = { stateManagement: ['bloc'], di: [], networking: [], codegen: [], testing: [], routing: [], packages: {} };
+const RIVERPOD = { ...BLOC, stateManagement: ['riverpod'] };
+
+let root;
+
+// skills/<name>/SKILL.md under a temporary plugin
+function writeSkill(name, body) {
+    const dir = path.join(root, 'skills', name);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'SKILL.md'),
+        `---\nname: ${name}\ndescription: Use when testing - renders ${name}\n---\n\n**Announce at start:** "Using ${name}."\n\n${body}\n`);
+    return path.join(dir, 'SKILL.md');
+}
+
+before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'flutter-craft-render-'));
+    fs.mkdirSync(path.join(root, 'skills', 'start-flutter-craft', 'references'), { recursive: true });
+    fs.writeFileSync(path.join(root, 'skills', 'start-flutter-craft', 'references', 'notes.md'), '# Notes\n\nShared notes.\n\n# Other\n\nLeft out.\n');
+});
+
+after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('evaluateCondition supports categories, negation, & and |', () => {
+    assert.equal(evaluateCondition('bloc', BLOC), true);
+    assert.equal(evaluateCondition('stateManagement=riverpod', BLOC), false);
+    assert.equal(evaluateCondition('riverpod|provider|!bloc', BLOC), false);
+    assert.equal(evaluateCondition('bloc|!riverpod&!provider', RIVERPOD), false);
+    assert.equal(evaluateCondition('!riverpod&!provider', BLOC), true);
+});
+
+test('extractSection cuts a heading and its subsections', () => {
+    const markdown = '# A\n\none\n\n## A.1\n\ntwo\n\n```\n# not a heading\n```\n\n# B\n\nthree';
+    assert.equal(extractSection(markdown, 'A'), '# A\n\none\n\n## A.1\n\ntwo\n\n```\n# not a heading\n```');
+    assert.equal(extractSection(markdown, 'A.1'), '## A.1\n\ntwo\n\n```\n# not a heading\n```');
+    assert.equal(extractSection(markdown, 'C'), null);
+});
+
+test('renderSkillContent keeps the matching branch and every branch without a stack', () => {
+    const content = '<!-- @if riverpod -->\nR\n<!-- @elif bloc -->\nB\n<!-- @else -->\nG\n<!-- @endif -->';
+    const file = path.join(root, 'skills', 'any', 'SKILL.md');
+
+    assert.equal(renderSkillContent(content, { file, stack: BLOC }).text, 'B');
+    assert.equal(renderSkillContent(content, { file, stack: RIVERPOD }).text, 'R');
+    assert.equal(renderSkillContent(content, { file, stack: null }).text, 'R\nB\nG');
+    assert.deepEqual(renderSkillContent('<!-- @if bloc -->\nB', { file, stack: BLOC }).problems.map(p => p.kind), ['conditional-syntax']);
+});
+
+test('includes resolve a heading section and are flagged outside rendered skills', () => {
+    const rendered = writeSkill('start-flutter-craft', '<!-- @include references/notes.md#Notes -->');
+    const result = renderSkillFile(rendered);
+    assert.match(result.text, /# Notes\n\nShared notes\.$/);
+    assert.deepEqual(result.problems, []);
+
+    const raw = writeSkill('flutter-example', 'Intro\n\n<!-- @include ../start-flutter-craft/references/notes.md -->');
+    const flagged = renderSkillFile(raw, { allowIncludes: false });
+    assert.deepEqual(flagged.problems.map(p => [p.kind, p.line]), [['include-unrendered', 10]]);
+    assert.match(flagged.text, /Shared notes\./);
+});
+
+test('the validator rejects @include in a skill the Skill tool loads as is', () => {
+    writeSkill('flutter-example', '<!-- @include ../start-flutter-craft/references/notes.md -->');
+    const { diagnostics } = validatePlugin(root);
+
+    assert.deepEqual(diagnostics.filter(d => d.rule === 'include-unrendered').map(d => path.relative(root, d.file)),
+        [path.join('skills', 'flutter-example', 'SKILL.md')]);
+});
+
+test('only the skills rendered at session start use @include in this plugin', () => {
+    const { diagnostics } = validatePlugin(PLUGIN_ROOT);
+    assert.deepEqual(diagnostics.filter(d => d.severity === 'error'), []);
+    assert.deepEqual(RENDERED_SKILLS, ['start-flutter-craft']);
+});
+
+test('flutter-testing carries its state management templates inline', () => {
+    const file = path.join(PLUGIN_ROOT, 'skills', 'flutter-testing', 'SKILL.md');
+    const raw = fs.readFileSync(file, 'utf8');
+    assert.match(raw, /### BLoC Test Template/);
+    assert.match(raw, /### Provider\/Riverpod Test Template/);
+
+    const bloc = renderSkillFile(file, { stack: BLOC }).text;
+    assert.match(bloc, /blocTest/);
+    assert.doesNotMatch(bloc, /ProviderContainer/);
+});
@@ -0,0 +1,331 @@
+import fs from 'fs';
+import path from 'path';
+import { parseFrontmatter, findSkillsInDir, resolveSkillPath } from './skills-core.js';
+import { renderSkillContent } from './skill-renderer.js';
+
+/**
+ * Offline skill ranking.
+ *
+ * Skills are indexed from their name, description and markdown headings
+ * (including those of included fragments, all stack variants) and scored
+ * with BM25. Text is tokenized for both English and Korean:
+ * - English words get light suffix stripping (failing -> fail, tests -> test)
+ * - Korean words lose trailing particles and verb endings (테스트가 -> 테스트)
+ *   and are also split into syllable bigrams so compounds match their parts
+ * - Common Korean development terms map to an English stem so a Korean
+ *   prompt can find an English skill and vice versa
+ */
+
+const FIELD_WEIGHTS = { name: 4, description: 2, headings: 1 };
+const BM25_K1 = 1.2;
+const BM25_B = 0.5;
+const PREFIX_MATCH_FACTOR = 0.6;
+const BIGRAM_FACTOR = 0.5;
+const MIN_PREFIX_LENGTH = 4;
+
+const STOP_WORDS = new Set([
+    'a', 'about', 'after', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'before', 'by',
+    'can', 'do', 'does', 'for', 'from', 'how', 'i', 'in', 'into', 'is', 'it', 'its', 'me', 'my',
+    'need', 'not', 'of', 'on', 'or', 'our', 'should', 'so', 'that', 'the', 'this', 'to', 'use',
+    'using', 'want', 'was', 'we', 'what', 'when', 'with', 'you', 'your'
+]);
+
+const KOREAN_SUFFIXES = [
+    '해주세요', '하는데', '합니다', '했어요', '됩니다', '에서는', '으로는', '에게서',
+    '해요', '했다', '한다', '하다', '하는', '하고', '되는', '된다', '돼요', '해줘', '에서',
+    '으로', '에게', '까지', '부터', '처럼', '보다', '이나', '이랑', '라고', '시에', '하기',
+    '을', '를', '이', '가', '은', '는', '에', '의', '로', '와', '과', '도', '만', '시', '들', '할', '한', '함'
+].sort((a, b) => b.length - a.length);
+
+const KOREAN_TERMS = {
+    '테스트': 'test', '버그': 'bug', '디버깅': 'debug', '디버그': 'debug', '실패': 'fail',
+    '오류': 'error', '에러': 'error', '계획': 'plan', '플랜': 'plan', '설계': 'design',
+    '디자인': 'design', '브레인스토밍': 'brainstorm', '아이디어': 'idea', '리뷰': 'review',
+    '검토': 'review', '상태': 'state', '상태관리': 'state', '위젯': 'widget', '화면': 'screen',
+    '검증': 'verif', '완료': 'complet', '병렬': 'parallel', '워크트리': 'worktree',
+    '브랜치': 'branch', '프로젝트': 'project', '생성': 'creat', '초기화': 'init', '기능': 'feature',
+    '구현': 'implement', '실행': 'execut', '스킬': 'skill', '병합': 'merge', '머지': 'merge',
+    '성능': 'perform', '최적화': 'optimi', '로그인': 'login', '인증': 'auth', '아키텍처': 'architecture',
+    '리팩토링': 'refactor', '블록': 'bloc', '커밋': 'commit', '에이전트': 'agent', '패턴': 'pattern'
+};
+
+const HANGUL = /^[가-힣]+$/;
+
+/**
+ * Reduce an English word to a rough stem.
+ *
+ * @param {string} word - Lowercase word
+ * @returns {string}
+ */
+function stemEnglish(word) {
+    const rules = [
+        [/ies$/, 'y'], [/ures?$/, ''], [/ings?$/, ''], [/ed$/, ''], [/ers?$/, ''],
+        [/ments?$/, ''], [/ly$/, ''], [/es$/, ''], [/s$/, '']
+    ];
+    for (const [pattern, replacement] of rules) {
+        if (pattern.test(word)) {
+            const stem = word.replace(pattern, replacement);
+            if (stem.length >= 3 && !/ss$/.test(word)) return stem;
+        }
+    }
+    return word;
+}
+
+/**
+ * Strip one trailing particle or verb ending from a Korean word.
+ *
+ * @param {string} word - Hangul word
+ * @returns {string}
+ */
+function stemKorean(word) {
+    for (const suffix of KOREAN_SUFFIXES) {
+        if (word.endsWith(suffix) && word.length - suffix.length >= 2) {
+            return word.slice(0, -suffix.length);
+        }
+    }
+    return word;
+}
+
+/**
+ * Tokenize English and Korean text, keeping the terms derived from each
+ * word together (a Korean word yields its stem, bigrams and English term).
+ *
+ * @param {string} text - Free text
+ * @returns {Array<Array<{term: string, factor: number}>>} - One group per word; factor weights partial terms
+ */
+function tokenizeGroups(text) {
+    const groups = [];
+    const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+    for (const word of words) {
+        if (HANGUL.test(word)) {
+            const stem = stemKorean(word);
+            const group = [{ term: stem, factor: 1 }];
+            if (KOREAN_TERMS[stem]) group.push({ term: KOREAN_TERMS[stem], factor: 1 });
+            if (stem.length > 2) {
+                for (let i = 0; i < stem.length - 1; i++) {
+                    const bigram = stem.slice(i, i + 2);
+                    group.push({ term: bigram, factor: KOREAN_TERMS[bigram] ? 1 : BIGRAM_FACTOR });
+                    if (KOREAN_TERMS[bigram]) group.push({ term: KOREAN_TERMS[bigram], factor: 1 });
+                }
+            }
+            groups.push(group);
+            continue;
+        }
+
+        if (STOP_WORDS.has(word) || word.length < 2) continue;
+        groups.push([{ term: /^\d+$/.test(word) ? word : stemEnglish(word), factor: 1 }]);
+    }
+
+    return groups;
+}
+
+/**
+ * Tokenize English and Korean text into search terms.
+ *
+ * @param {string} text - Free text
+ * @returns {string[]} - Terms in order, including Korean bigrams and English equivalents
+ */
+function tokenize(text) {
+    return tokenizeGroups(text).flatMap(group => group.map(entry => entry.term));
+}
+
+/**
+ * Collect markdown headings outside fenced code blocks.
+ *
+ * @param {string} body - Markdown content
+ * @returns {string[]}
+ */
+function extractHeadings(body) {
+    const headings = [];
+    let inFence = false;
+
+    for (const line of body.split('\n')) {
+        if (/^\s*(```|~~~)/.test(line)) {
+            inFence = !inFence;
+            continue;
+        }
+        const match = !inFence && line.match(/^#{1,6}\s+(.+)$/);
+        if (match) headings.push(match[1].trim());
+    }
+
+    return headings;
+}
+
+/**
+ * Build a search index for a set of skills (and optionally agents).
+ * The index is plain data and can be cached with JSON.stringify.
+ *
+ * @param {Array<{name: string, skillFile: string, sourceType: string, kind?: string}>} entries - Skills to index
+ * @returns {{documents: Array, documentFrequency: Object<string, number>, averageLength: number}}
+ */
+function buildSkillIndex(entries) {
+    const documents = [];
+    const documentFrequency = {};
+
+    for (const entry of entries) {
+        let content = '';
+        try {
+            content = fs.readFileSync(entry.skillFile, 'utf8');
+        } catch (error) {
+            continue;
+        }
+
+        const { attributes, body } = parseFrontmatter(content);
+        const fields = {
+            name: `${entry.name} ${String(entry.name).replace(/-/g, ' ')}`,
+            description: attributes.description ? String(attributes.description) : '',
+            headings: extractHeadings(renderSkillContent(body, { file: entry.skillFile, stack: null }).text).join('\n')
+        };
+
+        const termWeights = {};
+        let length = 0;
+        for (const [field, text] of Object.entries(fields)) {
+            for (const term of tokenize(text)) {
+                termWeights[term] = (termWeights[term] || 0) + FIELD_WEIGHTS[field];
+                length += FIELD_WEIGHTS[field];
+            }
+        }
+
+        for (const term of Object.keys(termWeights)) {
+            documentFrequency[term] = (documentFrequency[term] || 0) + 1;
+        }
+
+        documents.push({
+            name: entry.name,
+            kind: entry.kind || 'skill',
+            sourceType: entry.sourceType,
+            skillFile: entry.skillFile,
+            description: fields.description.trim(),
+            terms: termWeights,
+            length
+        });
+    }
+
+    const averageLength = documents.length
+        ? documents.reduce((sum, doc) => sum + doc.length, 0) / documents.length
+        : 0;
+
+    return { documents, documentFrequency, averageLength };
+}
+
+/**
+ * Rank indexed skills against a free-text task description.
+ *
+ * @param {string} query - e.g. "the login bloc test is failing"
+ * @param {Object} index - Result of buildSkillIndex
+ * @param {{limit?: number, minScore?: number}} options - limit defaults to 5
+ * @returns {Array<{name: string, kind: string, sourceType: string, skillFile: string, score: number, matchedTerms: string[]}>}
+ */
+function rankSkills(query, index, options = {}) {
+    const { limit = 5, minScore = 0 } = options;
+    const groups = tokenizeGroups(query);
+    const total = index.documents.length;
+    const vocabulary = Object.keys(index.documentFrequency);
+
+    const idf = (term) => {
+        const df = index.documentFrequency[term] || 0;
+        return Math.log(1 + (total - df + 0.5) / (df + 0.5));
+    };
+
+    // Expand each query word to the vocabulary terms it matches
+    const expansions = groups.map(group => {
+        const matches = [];
+        for (const { term, factor } of group) {
+            if (index.documentFrequency[term]) matches.push({ term, factor });
+            if (term.length < MIN_PREFIX_LENGTH) continue;
+            for (const candidate of vocabulary) {
+                if (candidate !== term && candidate.length >= MIN_PREFIX_LENGTH &&
+                    (candidate.startsWith(term) || term.startsWith(candidate))) {
+                    matches.push({ term: candidate, factor: factor * PREFIX_MATCH_FACTOR });
+                }
+            }
+        }
+        return { word: group[0].term, matches };
+    });
+
+    // Repeated query words count once
+    const uniqueExpansions = [...new Map(expansions.map(expansion => [expansion.word, expansion])).values()];
+
+    const results = [];
+    for (const doc of index.documents) {
+        let score = 0;
+        const matchedTerms = [];
+        const norm = 1 - BM25_B + BM25_B * (doc.length / (index.averageLength || 1));
+
+        for (const { word, matches } of uniqueExpansions) {
+            let best = 0;
+            for (const match of matches) {
+                const weight = doc.terms[match.term];
+                if (!weight) continue;
+                const tf = (weight * (BM25_K1 + 1)) / (weight + BM25_K1 * norm);
+                best = Math.max(best, idf(match.term) * tf * match.factor);
+            }
+            if (best > 0) {
+                score += best;
+                matchedTerms.push(word);
+            }
+        }
+
+        if (score > minScore) {
+            results.push({
+                name: doc.name,
+                kind: doc.kind,
+                sourceType: doc.sourceType,
+                skillFile: doc.skillFile,
+                score: Math.round(score * 1000) / 1000,
+                matchedTerms
+            });
+        }
+    }
+
+    results.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+    return results.slice(0, limit);
+}
+
+/**
+ * Suggest the skills that best match a task, honouring shadowing
+ * (a personal skill replaces the flutter-craft skill of the same name).
+ *
+ * @param {string} query - Free-text task description
+ * @param {{skillsDir: string, personalDir?: string, agentsDir?: string, limit?: number, minScore?: number}} options - Where to look
+ * @returns {Array<{name: string, kind: string, sourceType: string, skillFile: string, score: number, matchedTerms: string[]}>}
+ */
+function suggestSkills(query, options) {
+    const { skillsDir, personalDir, agentsDir } = options;
+    const entries = [];
+    const seen = new Set();
+
+    const candidates = [
+        ...(personalDir ? findSkillsInDir(personalDir, 'personal') : []),
+        ...findSkillsInDir(skillsDir, 'flutter-craft')
+    ];
+    for (const skill of candidates) {
+        const id = path.basename(skill.path);
+        if (seen.has(id)) continue;
+        const resolved = resolveSkillPath(id, skillsDir, personalDir);
+        if (!resolved) continue;
+        seen.add(id);
+        entries.push({ name: skill.name, skillFile: resolved.skillFile, sourceType: resolved.sourceType });
+    }
+
+    if (agentsDir && fs.existsSync(agentsDir)) {
+        for (const file of fs.readdirSync(agentsDir).filter(name => name.endsWith('.md')).sort()) {
+            entries.push({
+                name: path.basename(file, '.md'),
+                skillFile: path.join(agentsDir, file),
+                sourceType: 'flutter-craft',
+                kind: 'agent'
+            });
+        }
+    }
+
+    return rankSkills(query, buildSkillIndex(entries), options);
+}
+
+export {
+    tokenize,
+    buildSkillIndex,
+    rankSkills,
+    suggestSkills
+};
@@ -0,0 +1,336 @@
+import fs from 'fs';
+import path from 'path';
+import {
+    parseFrontmatter,
+    findSkillsInDir,
+    resolveSkillPath,
+    extractSkillReferences
+} from './skills-core.js';
+import { RENDERED_SKILLS, renderSkillContent } from './skill-renderer.js';
+import { listSkillTranslations } from './skill-locale.js';
+
+/**
+ * Limits from the Claude Code skill loader.
+ */
+const MAX_NAME_LENGTH = 64;
+const MAX_DESCRIPTION_LENGTH = 1024;
+
+const NAME_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/**
+ * Build a diagnostic entry.
+ *
+ * @param {string} file - File the problem was found in
+ * @param {number} line - 1-based line number (0 when not tied to a line)
+ * @param {string} severity - 'error' or 'warning'
+ * @param {string} rule - Rule identifier, e.g. 'required-field'
+ * @param {string} message - Human readable explanation
+ * @param {number} column - 1-based column (default: 1)
+ * @returns {{file: string, line: number, column: number, severity: string, rule: string, message: string}}
+ */
+function diagnostic(file, line, severity, rule, message, column = 1) {
+    return { file, line, column, severity, rule, message };
+}
+
+/**
+ * Read and parse a markdown file, reporting missing or broken frontmatter.
+ *
+ * @param {string} file - Path to markdown file
+ * @param {Array} diagnostics - Diagnostics list to append to
+ * @returns {{attributes: Object, positions: Object, body: string, bodyStartLine: number} | null}
+ */
+function loadDocument(file, diagnostics) {
+    let content;
+    try {
+        content = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        diagnostics.push(diagnostic(file, 0, 'error', 'unreadable', error.message));
+        return null;
+    }
+
+    const parsed = parseFrontmatter(content);
+    for (const error of parsed.errors) {
+        diagnostics.push(diagnostic(file, error.line, 'error', 'frontmatter-syntax', error.message));
+    }
+    if (!parsed.hasFrontmatter && parsed.errors.length === 0) {
+        diagnostics.push(diagnostic(file, 1, 'error', 'frontmatter-missing', 'File must start with a --- frontmatter block'));
+    }
+
+    return parsed;
+}
+
+/**
+ * Check a required string field is present and within the length limit.
+ *
+ * @param {string} file - File being validated
+ * @param {Object} parsed - Result of parseFrontmatter
+ * @param {string} field - Frontmatter key
+ * @param {number} maxLength - Maximum allowed length
+ * @param {Array} diagnostics - Diagnostics list to append to
+ * @returns {string} - Trimmed field value ('' when missing)
+ */
+function checkStringField(file, parsed, field, maxLength, diagnostics) {
+    // Fields of unparseable frontmatter are unknown, not missing
+    if (parsed.errors.length > 0) return '';
+
+    const value = parsed.attributes[field];
+    const line = parsed.positions[field] || 1;
+
+    if (value === undefined || value === null || String(value).trim() === '') {
+        diagnostics.push(diagnostic(file, line, 'error', 'required-field', `Missing required field "${field}"`));
+        return '';
+    }
+    if (typeof value !== 'string') {
+        diagnostics.push(diagnostic(file, line, 'error', 'field-type', `Field "${field}" must be a string`));
+    }
+
+    const text = String(value).trim();
+    if (text.length > maxLength) {
+        diagnostics.push(diagnostic(file, line, 'error', `${field}-length`,
+            `Field "${field}" is ${text.length} characters (max ${maxLength})`));
+    }
+    return text;
+}
+
+/**
+ * Check a name field is kebab-case and matches the file or directory it lives in.
+ *
+ * @param {string} file - File being validated
+ * @param {Object} parsed - Result of parseFrontmatter
+ * @param {string} name - Value of the name field
+ * @param {string} expected - Directory or file name the name must match
+ * @param {Array} diagnostics - Diagnostics list to append to
+ */
+function checkName(file, parsed, name, expected, diagnostics) {
+    if (!name) return;
+    const line = parsed.positions.name || 1;
+
+    if (!NAME_PATTERN.test(name)) {
+        diagnostics.push(diagnostic(file, line, 'error', 'name-format', `Name "${name}" must be kebab-case`));
+    }
+    if (name !== expected) {
+        diagnostics.push(diagnostic(file, line, 'error', 'name-mismatch',
+            `Name "${name}" does not match "${expected}"`));
+    }
+}
+
+/**
+ * Report flutter-craft: references that point at neither a skill nor an agent.
+ *
+ * @param {string} file - File being validated
+ * @param {Object} parsed - Result of parseFrontmatter
+ * @param {{skillsDir: string, personalDir?: string, agentsDir?: string}} context - Where references resolve
+ * @param {Array} diagnostics - Diagnostics list to append to
+ */
+function checkReferences(file, parsed, context, diagnostics) {
+    for (const ref of extractSkillReferences(parsed.body, parsed.bodyStartLine)) {
+        const resolved = resolveSkillPath(ref.reference, context.skillsDir, context.personalDir);
+        const isAgent = context.agentsDir && fs.existsSync(path.join(context.agentsDir, `${ref.name}.md`));
+        if (!resolved && !isAgent) {
+            diagnostics.push(diagnostic(file, ref.line, 'error', 'unresolved-reference',
+                `Reference "${ref.reference}" does not match any skill or agent`, ref.column));
+        }
+    }
+}
+
+/**
+ * Check include directives and conditional sections, with every branch
+ * expanded so includes in all stack variants are resolved. Includes are
+ * only allowed in skills that are rendered before the model reads them.
+ *
+ * @param {string} file - File being validated
+ * @param {Object} parsed - Result of parseFrontmatter
+ * @param {{skillsDir: string}} context - skillsDir bounds include paths
+ * @param {Array} diagnostics - Diagnostics list to append to
+ */
+function checkIncludes(file, parsed, context, diagnostics) {
+    const allowIncludes = RENDERED_SKILLS.includes(path.basename(path.dirname(file)));
+    const { problems } = renderSkillContent(parsed.body, { file, root: context.skillsDir, stack: null, allowIncludes });
+    const resolvedFile = path.resolve(file);
+    for (const problem of problems) {
+        const inFile = problem.file === resolvedFile;
+        const line = inFile ? problem.line + parsed.bodyStartLine - 1 : problem.line;
+        const where = inFile ? '' : ` (included from ${path.relative(context.skillsDir, file)})`;
+        diagnostics.push(diagnostic(inFile ? file : problem.file, line, 'error', problem.kind, `${problem.message}${where}`));
+    }
+}
+
+/**
+ * Validate a SKILL.md file against the flutter-writing-skills conventions.
+ *
+ * @param {string} skillFile - Path to SKILL.md
+ * @param {{skillsDir: string, personalDir?: string, agentsDir?: string}} context - Where references resolve
+ * @returns {Array<{file: string, line: number, column: number, severity: string, rule: string, message: string}>}
+ */
+function validateSkillFile(skillFile, context) {
+    const diagnostics = [];
+    const parsed = loadDocument(skillFile, diagnostics);
+    if (!parsed) return diagnostics;
+
+    const name = checkStringField(skillFile, parsed, 'name', MAX_NAME_LENGTH, diagnostics);
+    checkName(skillFile, parsed, name, path.basename(path.dirname(skillFile)), diagnostics);
+
+    const description = checkStringField(skillFile, parsed, 'description', MAX_DESCRIPTION_LENGTH, diagnostics);
+    if (description && !description.startsWith('Use when')) {
+        diagnostics.push(diagnostic(skillFile, parsed.positions.description || 1, 'warning', 'description-format',
+            'Description should start with "Use when [trigger] - [what it does]"'));
+    }
+
+    if (!parsed.body.includes('**Announce at start:**')) {
+        diagnostics.push(diagnostic(skillFile, parsed.bodyStartLine, 'warning', 'announce-missing',
+            'Skill has no "**Announce at start:**" instruction'));
+    }
+
+    checkReferences(skillFile, parsed, context, diagnostics);
+    checkIncludes(skillFile, parsed, context, diagnostics);
+    return diagnostics;
+}
+
+/**
+ * Validate a SKILL.<locale>.md translation. Its name must stay that of the
+ * skill directory; the English description and announce conventions do not apply.
+ *
+ * @param {string} translationFile - Path to SKILL.<locale>.md
+ * @param {{skillsDir: string, personalDir?: string, agentsDir?: string}} context - Where references resolve
+ * @returns {Array<{file: string, line: number, column: number, severity: string, rule: string, message: string}>}
+ */
+function validateTranslationFile(translationFile, context) {
+    const diagnostics = [];
+    const parsed = loadDocument(translationFile, diagnostics);
+    if (!parsed) return diagnostics;
+
+    const name = checkStringField(translationFile, parsed, 'name', MAX_NAME_LENGTH, diagnostics);
+    checkName(translationFile, parsed, name, path.basename(path.dirname(translationFile)), diagnostics);
+    checkStringField(translationFile, parsed, 'description', MAX_DESCRIPTION_LENGTH, diagnostics);
+
+    checkReferences(translationFile, parsed, context, diagnostics);
+    checkIncludes(translationFile, parsed, context, diagnostics);
+    return diagnostics;
+}
+
+/**
+ * Validate an agents/*.md file.
+ *
+ * @param {string} agentFile - Path to agent markdown file
+ * @param {{skillsDir: string, personalDir?: string, agentsDir?: string}} context - Where references resolve
+ * @returns {Array<{file: string, line: number, column: number, severity: string, rule: string, message: string}>}
+ */
+function validateAgentFile(agentFile, context) {
+    const diagnostics = [];
+    const parsed = loadDocument(agentFile, diagnostics);
+    if (!parsed) return diagnostics;
+
+    const name = checkStringField(agentFile, parsed, 'name', MAX_NAME_LENGTH, diagnostics);
+    checkName(agentFile, parsed, name, path.basename(agentFile, '.md'), diagnostics);
+
+    const description = checkStringField(agentFile, parsed, 'description', MAX_DESCRIPTION_LENGTH, diagnostics);
+    if (description && !/\buse\b[\s\S]*?\bwhen\b/i.test(description)) {
+        diagnostics.push(diagnostic(agentFile, parsed.positions.description || 1, 'warning', 'description-format',
+            'Agent description should say when to use it ("Use this agent when ...")'));
+    }
+
+    checkReferences(agentFile, parsed, context, diagnostics);
+    return diagnostics;
+}
+
+/**
+ * Validate a commands/*.md file.
+ *
+ * @param {string} commandFile - Path to command markdown file
+ * @param {{skillsDir: string, personalDir?: string, agentsDir?: string}} context - Where references resolve
+ * @returns {Array<{file: string, line: number, column: number, severity: string, rule: string, message: string}>}
+ */
+function validateCommandFile(commandFile, context) {
+    const diagnostics = [];
+    const parsed = loadDocument(commandFile, diagnostics);
+    if (!parsed) return diagnostics;
+
+    checkStringField(commandFile, parsed, 'description', MAX_DESCRIPTION_LENGTH, diagnostics);
+    checkReferences(commandFile, parsed, context, diagnostics);
+    return diagnostics;
+}
+
+/**
+ * List the markdown files directly inside a directory.
+ *
+ * @param {string} dir - Directory to list
+ * @returns {string[]}
+ */
+function listMarkdownFiles(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isFile() && entry.name.endsWith('.md'))
+        .map(entry => path.join(dir, entry.name))
+        .sort();
+}
+
+/**
+ * Validate every skill (with its translations), agent and command of a plugin, plus personal skills.
+ *
+ * @param {string} pluginRoot - Plugin directory containing skills/, agents/ and commands/
+ * @param {{personalDir?: string}} options - personalDir is also validated and used for resolution
+ * @returns {{files: number, errorCount: number, warningCount: number, diagnostics: Array}}
+ */
+function validatePlugin(pluginRoot, options = {}) {
+    const context = {
+        skillsDir: path.join(pluginRoot, 'skills'),
+        agentsDir: path.join(pluginRoot, 'agents'),
+        personalDir: options.personalDir
+    };
+
+    const diagnostics = [];
+    let files = 0;
+    const seenNames = new Map();
+
+    const skills = [
+        ...findSkillsInDir(context.skillsDir, 'flutter-craft'),
+        ...(context.personalDir ? findSkillsInDir(context.personalDir, 'personal') : [])
+    ];
+
+    for (const skill of skills) {
+        files++;
+        diagnostics.push(...validateSkillFile(skill.skillFile, context));
+
+        const key = `${skill.sourceType}:${skill.name}`;
+        if (seenNames.has(key)) {
+            diagnostics.push(diagnostic(skill.skillFile, 1, 'error', 'duplicate-name',
+                `Skill name "${skill.name}" is also used by ${seenNames.get(key)}`));
+        } else {
+            seenNames.set(key, skill.skillFile);
+        }
+
+        for (const translation of listSkillTranslations(skill.path)) {
+            files++;
+            diagnostics.push(...validateTranslationFile(translation.file, context));
+        }
+    }
+
+    for (const agentFile of listMarkdownFiles(context.agentsDir)) {
+        files++;
+        diagnostics.push(...validateAgentFile(agentFile, context));
+    }
+
+    for (const commandFile of listMarkdownFiles(path.join(pluginRoot, 'commands'))) {
+        files++;
+        diagnostics.push(...validateCommandFile(commandFile, context));
+    }
+
+    diagnostics.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line || a.column - b.column);
+
+    return {
+        files,
+        errorCount: diagnostics.filter(d => d.severity === 'error').length,
+        warningCount: diagnostics.filter(d => d.severity === 'warning').length,
+        diagnostics
+    };
+}
+
+export {
+    MAX_NAME_LENGTH,
+    MAX_DESCRIPTION_LENGTH,
+    validateSkillFile,
+    validateTranslationFile,
+    validateAgentFile,
+    validateCommandFile,
+    validatePlugin
+};
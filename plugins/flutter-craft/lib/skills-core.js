@@ -1,6 +1,98 @@
 import fs from 'fs';
 import path from 'path';
-import { execSync } from 'child_process';
+import { parseYamlDocument, YamlError } from './yaml.js';
+import { readPubspec, detectTechStack } from './pubspec.js';
+import { discoverWorkspace } from './workspace.js';
+import { parsePlan, readPlan, validatePlan } from './plan.js';
+import { markTask, getPlanProgress, resumePlan, findActivePlans, formatPlanProgress } from './plan-state.js';
+import { getUpdateStatus } from './update-check.js';
+import { parseFlutterTestMachine, parseAnalyzerOutput, buildVerificationReport, diffVerificationReports } from './verification.js';
+import { analyzeCoverage, readCoverage } from './coverage.js';
+import { createWorktree, listWorktrees, removeWorktree } from './worktrees.js';
+import { renderSkillFile } from './skill-renderer.js';
+import {
+    DEFAULT_LOCALE,
+    normalizeLocale,
+    detectLocale,
+    getLocaleChain,
+    listSkillTranslations,
+    localizeSkillFile,
+    lastModified
+} from './skill-locale.js';
+
+/**
+ * Split a file into its frontmatter block and body.
+ * Frontmatter must start on the first line with "---" and end with "---" or "...".
+ *
+ * @param {string} content - Full file content
+ * @returns {{yaml: string|null, body: string, yamlStartLine: number, bodyStartLine: number, error: {line: number, message: string}|null}}
+ */
+function splitFrontmatter(content) {
+    const lines = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+
+    if (lines[0].trim() !== '---') {
+        return { yaml: null, body: lines.join('\n'), yamlStartLine: 0, bodyStartLine: 1, error: null };
+    }
+
+    for (let i = 1; i < lines.length; i++) {
+        const trimmed = lines[i].trim();
+        if (trimmed === '---' || trimmed === '...') {
+            return {
+                yaml: lines.slice(1, i).join('\n'),
+                body: lines.slice(i + 1).join('\n'),
+                yamlStartLine: 2,
+                bodyStartLine: i + 2,
+                error: null
+            };
+        }
+    }
+
+    return {
+        yaml: null,
+        body: lines.join('\n'),
+        yamlStartLine: 0,
+        bodyStartLine: 1,
+        error: { line: 1, message: 'Unterminated frontmatter: missing closing ---' }
+    };
+}
+
+/**
+ * Parse YAML frontmatter from skill content.
+ * Handles block (|) and folded (>) scalars, quoted strings, lists and
+ * hyphenated keys such as allowed-tools.
+ *
+ * @param {string} content - Full content including frontmatter
+ * @returns {{hasFrontmatter: boolean, attributes: Object, positions: Object<string, number>, body: string, bodyStartLine: number, errors: Array<{line: number, message: string}>}}
+ */
+function parseFrontmatter(content) {
+    const split = splitFrontmatter(content);
+    const result = {
+        hasFrontmatter: split.yaml !== null,
+        attributes: {},
+        positions: {},
+        body: split.body,
+        bodyStartLine: split.bodyStartLine,
+        errors: split.error ? [split.error] : []
+    };
+
+    if (split.yaml === null) return result;
+
+    try {
+        const { value, positions } = parseYamlDocument(split.yaml, { lineOffset: split.yamlStartLine - 1 });
+        if (value === null) return result;
+        if (typeof value !== 'object' || Array.isArray(value)) {
+            result.errors.push({ line: split.yamlStartLine, message: 'Frontmatter must be a mapping of key: value pairs' });
+            return result;
+        }
+        result.attributes = value;
+        result.positions = positions;
+    } catch (error) {
+        if (!(error instanceof YamlError)) throw error;
+        result.errors.push({ line: error.line, message: error.reason });
+    }
+
+    return result;
+}
 
 /**
  * Extract YAML frontmatter from a skill file.
@@ -11,44 +103,26 @@ import { execSync } from 'child_process';
  * ---
  *
  * @param {string} filePath - Path to SKILL.md file
- * @returns {{name: string, description: string}}
+ * @returns {{name: string, description: string, fields: Object, errors: Array<{line: number, message: string}>}}
+ *   fields holds every frontmatter key; errors is empty when the file parsed cleanly
  */
 function extractFrontmatter(filePath) {
+    let content;
     try {
-        const content = fs.readFileSync(filePath, 'utf8');
-        const lines = content.split('\n');
-
-        let inFrontmatter = false;
-        let name = '';
-        let description = '';
-
-        for (const line of lines) {
-            if (line.trim() === '---') {
-                if (inFrontmatter) break;
-                inFrontmatter = true;
-                continue;
-            }
-
-            if (inFrontmatter) {
-                const match = line.match(/^(\w+):\s*(.*)$/);
-                if (match) {
-                    const [, key, value] = match;
-                    switch (key) {
-                        case 'name':
-                            name = value.trim();
-                            break;
-                        case 'description':
-                            description = value.trim();
-                            break;
-                    }
-                }
-            }
-        }
-
-        return { name, description };
+        content = fs.readFileSync(filePath, 'utf8');
     } catch (error) {
-        return { name: '', description: '' };
+        return { name: '', description: '', fields: {}, errors: [{ line: 0, message: error.message }] };
     }
+
+    const { attributes, errors } = parseFrontmatter(content);
+    const asText = (value) => (value === null || value === undefined ? '' : String(value).trim());
+
+    return {
+        name: asText(attributes.name),
+        description: asText(attributes.description),
+        fields: attributes,
+        errors
+    };
 }
 
 /**
@@ -57,7 +131,8 @@ function extractFrontmatter(filePath) {
  * @param {string} dir - Directory to search
  * @param {string} sourceType - 'personal' or 'flutter-craft' for namespacing
  * @param {number} maxDepth - Maximum recursion depth (default: 3)
- * @returns {Array<{path: string, name: string, description: string, sourceType: string}>}
+ * @returns {Array<{path: string, skillFile: string, name: string, description: string, sourceType: string,
+ *   translations: string[]}>} - translations lists the locales of SKILL.<locale>.md files beside SKILL.md
  */
 function findSkillsInDir(dir, sourceType, maxDepth = 3) {
     const skills = [];
@@ -82,7 +157,8 @@ function findSkillsInDir(dir, sourceType, maxDepth = 3) {
                         skillFile: skillFile,
                         name: name || entry.name,
                         description: description || '',
-                        sourceType: sourceType
+                        sourceType: sourceType,
+                        translations: listSkillTranslations(fullPath).map(translation => translation.locale)
                     });
                 }
 
@@ -96,6 +172,75 @@ function findSkillsInDir(dir, sourceType, maxDepth = 3) {
     return skills;
 }
 
+/**
+ * Build the ordered list of skill roots used for resolution.
+ * Earlier roots shadow later ones. The default order is
+ * project (checked into the app repo) → personal → flutter-craft → extra namespaces.
+ *
+ * @param {{projectDir?: string, personalDir?: string, flutterCraftDir?: string,
+ *   namespaces?: Object<string, string>, order?: string[]}} options
+ *   projectDir is the app repository root (skills live in .claude/skills);
+ *   namespaces maps extra namespaces such as "design-polish" to their skills directory;
+ *   order lists namespaces in precedence order (unlisted namespaces keep their default position)
+ * @returns {Array<{namespace: string, dir: string}>}
+ */
+function createSkillRoots(options = {}) {
+    const roots = [];
+    if (options.projectDir) {
+        roots.push({ namespace: 'project', dir: path.join(options.projectDir, '.claude', 'skills') });
+    }
+    if (options.personalDir) roots.push({ namespace: 'personal', dir: options.personalDir });
+    if (options.flutterCraftDir) roots.push({ namespace: 'flutter-craft', dir: options.flutterCraftDir });
+    for (const [namespace, dir] of Object.entries(options.namespaces || {})) {
+        if (dir) roots.push({ namespace, dir });
+    }
+
+    if (!options.order) return roots;
+
+    const rank = (root) => {
+        const position = options.order.indexOf(root.namespace);
+        return position === -1 ? options.order.length + roots.indexOf(root) : position;
+    };
+    return [...roots].sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Resolve a skill name against an ordered list of skill roots.
+ * "namespace:skill" only looks in roots with that namespace; a bare name
+ * resolves to the first root that has it. With a locale, skillFile is the
+ * best matching SKILL.<locale>.md of that skill, falling back to SKILL.md;
+ * a translation never pulls resolution into a lower-precedence root.
+ *
+ * @param {string} skillName - Name like "design-polish:design-polish" or "my-skill"
+ * @param {Array<{namespace: string, dir: string}>} roots - Result of createSkillRoots
+ * @param {{locale?: string|null}} options - Locale setting such as "ko-KR" (see detectLocale)
+ * @returns {{skillFile: string, sourceType: string, skillPath: string, sourceFile: string, locale: string|null} | null}
+ *   sourceFile is the SKILL.md; locale is the translation picked, null for SKILL.md
+ */
+function resolveSkill(skillName, roots, options = {}) {
+    const match = skillName.match(/^([a-z0-9]+(?:-[a-z0-9]+)*):(.+)$/);
+    const namespace = match ? match[1] : null;
+    const actualSkillName = match ? match[2] : skillName;
+
+    for (const root of roots) {
+        if (!root.dir || (namespace && root.namespace !== namespace)) continue;
+
+        const skillFile = path.join(root.dir, actualSkillName, 'SKILL.md');
+        if (fs.existsSync(skillFile)) {
+            const localized = localizeSkillFile(skillFile, options.locale);
+            return {
+                skillFile: localized.file,
+                sourceType: root.namespace,
+                skillPath: actualSkillName,
+                sourceFile: skillFile,
+                locale: localized.locale
+            };
+        }
+    }
+
+    return null;
+}
+
 /**
  * Resolve a skill name to its file path, handling shadowing
  * (personal skills override flutter-craft skills).
@@ -106,157 +251,562 @@ function findSkillsInDir(dir, sourceType, maxDepth = 3) {
  * @returns {{skillFile: string, sourceType: string, skillPath: string} | null}
  */
 function resolveSkillPath(skillName, flutterCraftDir, personalDir) {
-    // Strip flutter-craft: prefix if present
-    const forceFlutterCraft = skillName.startsWith('flutter-craft:');
-    const actualSkillName = forceFlutterCraft ? skillName.replace(/^flutter-craft:/, '') : skillName;
-
-    // Try personal skills first (unless explicitly flutter-craft:)
-    if (!forceFlutterCraft && personalDir) {
-        const personalPath = path.join(personalDir, actualSkillName);
-        const personalSkillFile = path.join(personalPath, 'SKILL.md');
-        if (fs.existsSync(personalSkillFile)) {
-            return {
-                skillFile: personalSkillFile,
-                sourceType: 'personal',
-                skillPath: actualSkillName
-            };
+    return resolveSkill(skillName, createSkillRoots({ personalDir, flutterCraftDir }));
+}
+
+/**
+ * List every skill visible through the given roots after shadowing,
+ * noting which lower-precedence roots define the same skill.
+ *
+ * @param {Array<{namespace: string, dir: string}>} roots - Result of createSkillRoots
+ * @param {{locale?: string|null}} options - Locale setting; descriptions come from the matching translation
+ * @returns {Array<{name: string, description: string, sourceType: string, skillFile: string, shadows: string[],
+ *   locale: string|null, translations: string[]}>} - skillFile is the source SKILL.md; locale is the translation
+ *   the description was read from
+ */
+function listResolvedSkills(roots, options = {}) {
+    const skills = new Map();
+
+    for (const root of roots) {
+        for (const skill of findSkillsInDir(root.dir, root.namespace, 0)) {
+            const id = path.basename(skill.path);
+            if (skills.has(id)) {
+                skills.get(id).shadows.push(root.namespace);
+                continue;
+            }
+            const localized = localizeSkillFile(skill.skillFile, options.locale);
+            const description = localized.locale ? extractFrontmatter(localized.file).description : '';
+            skills.set(id, {
+                name: id,
+                description: description || skill.description,
+                sourceType: root.namespace,
+                skillFile: skill.skillFile,
+                shadows: [],
+                locale: localized.locale,
+                translations: skill.translations
+            });
         }
     }
 
-    // Try flutter-craft skills
-    if (flutterCraftDir) {
-        const flutterCraftPath = path.join(flutterCraftDir, actualSkillName);
-        const flutterCraftSkillFile = path.join(flutterCraftPath, 'SKILL.md');
-        if (fs.existsSync(flutterCraftSkillFile)) {
-            return {
-                skillFile: flutterCraftSkillFile,
-                sourceType: 'flutter-craft',
-                skillPath: actualSkillName
-            };
+    return [...skills.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Report skills that override a skill of the same name in a lower-precedence
+ * root. An override is flagged stale when a shadowed copy was modified after it.
+ *
+ * @param {Array<{namespace: string, dir: string}>} roots - Result of createSkillRoots
+ * @returns {Array<{name: string, active: {namespace: string, skillFile: string, modified: string},
+ *   shadowed: Array<{namespace: string, skillFile: string, modified: string}>, stale: boolean}>}
+ */
+function getShadowingReport(roots) {
+    const describe = (namespace, skillFile) => {
+        let modified = null;
+        try {
+            modified = fs.statSync(skillFile).mtime.toISOString();
+        } catch (error) {
+            // Missing file: leave modified unknown
         }
+        return { namespace, skillFile, modified };
+    };
+
+    const report = [];
+    for (const skill of listResolvedSkills(roots)) {
+        if (skill.shadows.length === 0) continue;
+
+        const shadowed = roots
+            .filter(root => root.namespace !== skill.sourceType && skill.shadows.includes(root.namespace))
+            .map(root => describe(root.namespace, path.join(root.dir, skill.name, 'SKILL.md')));
+        const active = describe(skill.sourceType, skill.skillFile);
+
+        report.push({
+            name: skill.name,
+            active,
+            shadowed,
+            stale: shadowed.some(entry => entry.modified && active.modified && entry.modified > active.modified)
+        });
     }
 
-    return null;
+    return report;
 }
 
 /**
- * Check if a git repository has updates available.
+ * Report skills without a translation for each locale, and translations
+ * older than their SKILL.md. Ages come from the last commit touching each
+ * file, or its mtime when the file is uncommitted or outside git.
  *
- * @param {string} repoDir - Path to git repository
- * @returns {boolean} - True if updates are available
+ * @param {Array<{namespace: string, dir: string}>} roots - Result of createSkillRoots
+ * @param {{locales?: string[]}} options - Locales to check; default: every locale any visible skill is
+ *   translated to. A skill counts as translated when any locale in the fallback chain has a file,
+ *   so SKILL.ko.md covers ko-KR
+ * @returns {{locales: string[], skills: Array<{name: string, sourceType: string, sourceFile: string,
+ *   modified: string|null, translations: Array<{locale: string, file: string, modified: string|null,
+ *   outdated: boolean}>, missing: string[]}>, missing: number, outdated: number}}
+ *   locales leaves out en (and en-*), which SKILL.md covers; missing and outdated are totals
+ * @throws {Error} - When a requested locale is not a locale tag
  */
-function checkForUpdates(repoDir) {
-    try {
-        // Quick check with 3 second timeout to avoid delays if network is down
-        const output = execSync('git fetch origin && git status --porcelain=v1 --branch', {
-            cwd: repoDir,
-            timeout: 3000,
-            encoding: 'utf8',
-            stdio: 'pipe'
+function getTranslationReport(roots, options = {}) {
+    const resolved = listResolvedSkills(roots);
+    const locales = options.locales && options.locales.length
+        ? [...new Set(options.locales.map(locale => {
+            const normalized = normalizeLocale(locale);
+            if (!normalized) throw new Error(`Invalid locale: ${locale}`);
+            return normalized;
+        }))]
+        : [...new Set(resolved.flatMap(skill => skill.translations))].sort();
+    // SKILL.md itself is the DEFAULT_LOCALE (and en-US, en-GB, ...) version
+    const needed = locales.filter(locale => !getLocaleChain(locale).includes(DEFAULT_LOCALE));
+
+    const skills = resolved.map(skill => {
+        const modified = lastModified(skill.skillFile);
+        const translations = listSkillTranslations(path.dirname(skill.skillFile)).map(translation => {
+            const translated = lastModified(translation.file);
+            return { ...translation, modified: translated, outdated: Boolean(modified && translated && translated < modified) };
         });
+        const missing = needed.filter(locale => localizeSkillFile(skill.skillFile, locale).locale === null);
 
-        // Parse git status output to see if we're behind
-        const statusLines = output.split('\n');
-        for (const line of statusLines) {
-            if (line.startsWith('## ') && line.includes('[behind ')) {
-                return true; // We're behind remote
-            }
+        return { name: skill.name, sourceType: skill.sourceType, sourceFile: skill.skillFile, modified, translations, missing };
+    });
+
+    return {
+        locales: needed,
+        skills,
+        missing: skills.reduce((count, skill) => count + skill.missing.length, 0),
+        outdated: skills.reduce((count, skill) => count + skill.translations.filter(translation => translation.outdated).length, 0)
+    };
+}
+
+/**
+ * Find namespaced skill references such as "flutter-craft:flutter-executing".
+ *
+ * @param {string} content - Skill or command body
+ * @param {number} startLine - Line number of the first line of content (default: 1)
+ * @param {string[]} namespaces - Namespaces to look for (default: ['flutter-craft'])
+ * @returns {Array<{reference: string, namespace: string, name: string, line: number, column: number}>}
+ */
+function extractSkillReferences(content, startLine = 1, namespaces = ['flutter-craft']) {
+    const references = [];
+    const alternatives = namespaces.map(namespace => namespace.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+    const pattern = new RegExp(`\\b(${alternatives}):([a-z0-9]+(?:-[a-z0-9]+)*)`, 'g');
+
+    content.split('\n').forEach((line, index) => {
+        for (const match of line.matchAll(pattern)) {
+            references.push({
+                reference: match[0],
+                namespace: match[1],
+                name: match[2],
+                line: startLine + index,
+                column: match.index + 1
+            });
         }
-        return false; // Up to date
-    } catch (error) {
-        // Network down, git error, timeout, etc. - don't block bootstrap
-        return false;
-    }
+    });
+
+    return references;
 }
 
 /**
- * Strip YAML frontmatter from skill content, returning just the content.
+ * Find every skill link in skill, agent or command content: namespaced
+ * references ("flutter-craft:flutter-executing") and plain mentions
+ * ("Use the flutter-planning skill", "Use **flutter-planning**").
+ * Lists under a "**Called by:**" label describe incoming links and are skipped.
  *
- * @param {string} content - Full content including frontmatter
- * @returns {string} - Content without frontmatter
+ * @param {string} content - Body content (frontmatter stripped)
+ * @param {number} startLine - Line number of the first line of content (default: 1)
+ * @returns {Array<{reference: string, name: string, kind: string, required: boolean, line: number, column: number}>}
  */
-function stripFrontmatter(content) {
-    const lines = content.split('\n');
-    let inFrontmatter = false;
-    let frontmatterEnded = false;
-    const contentLines = [];
-
-    for (const line of lines) {
-        if (line.trim() === '---') {
-            if (inFrontmatter) {
-                frontmatterEnded = true;
-                continue;
+function findSkillLinks(content, startLine = 1) {
+    const links = [];
+    const mentionPatterns = [
+        /\b(?:[Tt]he|[Uu]se|[Uu]sing|[Ii]nvoke)\s+\**`?([a-z0-9]+(?:-[a-z0-9]+)+)`?\**\s+(?:skill|agent)\b/g,
+        /\b[Uu]se\s+\*\*([a-z0-9]+(?:-[a-z0-9]+)+)\*\*/g,
+        /\bor\s+\*\*([a-z0-9]+(?:-[a-z0-9]+)+)\*\*/g
+    ];
+    let heading = '';
+    let inCalledBy = false;
+
+    content.split('\n').forEach((line, index) => {
+        const lineNumber = startLine + index;
+
+        if (/^#{1,6}\s/.test(line)) heading = line;
+        if (/^\*\*Called by:\*\*/.test(line)) {
+            inCalledBy = true;
+        } else if (line.trim() === '' || /^\*\*[^*]+:\*\*/.test(line) || /^#/.test(line)) {
+            inCalledBy = false;
+        }
+        if (inCalledBy) return;
+
+        const required = /REQUIRED SUB-SKILL/i.test(heading) || /\b(REQUIRED|MUST)\b/.test(line);
+
+        for (const ref of extractSkillReferences(line, lineNumber)) {
+            links.push({ reference: ref.reference, name: ref.name, kind: 'namespaced', required, line: lineNumber, column: ref.column });
+        }
+
+        for (const pattern of mentionPatterns) {
+            for (const match of line.matchAll(pattern)) {
+                links.push({ reference: match[1], name: match[1], kind: 'mention', required, line: lineNumber, column: match.index + 1 });
             }
-            inFrontmatter = true;
+        }
+    });
+
+    return links;
+}
+
+/**
+ * Build a dependency graph of skills, agents and commands from the links
+ * found in their content. Skills are resolved through resolveSkillPath, so a
+ * personal skill that shadows a flutter-craft skill replaces it in the graph.
+ *
+ * @param {{skillsDir: string, personalDir?: string, agentsDir?: string, commandsDir?: string}} dirs - Where to look
+ * @returns {{nodes: Array<{id: string, kind: string, sourceType: string, file: string}>,
+ *   edges: Array<{from: string, to: string, required: boolean, lines: number[]}>,
+ *   dangling: Array<{from: string, reference: string, file: string, line: number, column: number}>}}
+ */
+function buildSkillGraph(dirs) {
+    const { skillsDir, personalDir, agentsDir, commandsDir } = dirs;
+    const nodes = new Map();
+
+    const skillDirs = [
+        ...findSkillsInDir(skillsDir, 'flutter-craft'),
+        ...(personalDir ? findSkillsInDir(personalDir, 'personal') : [])
+    ];
+    for (const skill of skillDirs) {
+        const id = path.basename(skill.path);
+        const resolved = resolveSkillPath(id, skillsDir, personalDir);
+        if (resolved && !nodes.has(id)) {
+            nodes.set(id, { id, kind: 'skill', sourceType: resolved.sourceType, file: resolved.skillFile });
+        }
+    }
+
+    const listMarkdown = (dir) => (dir && fs.existsSync(dir)
+        ? fs.readdirSync(dir).filter(file => file.endsWith('.md')).sort()
+        : []);
+
+    for (const file of listMarkdown(agentsDir)) {
+        const id = path.basename(file, '.md');
+        if (!nodes.has(id)) {
+            nodes.set(id, { id, kind: 'agent', sourceType: 'flutter-craft', file: path.join(agentsDir, file) });
+        }
+    }
+    for (const file of listMarkdown(commandsDir)) {
+        const id = `/${path.basename(file, '.md')}`;
+        nodes.set(id, { id, kind: 'command', sourceType: 'flutter-craft', file: path.join(commandsDir, file) });
+    }
+
+    const resolveLink = (link) => {
+        const resolved = resolveSkillPath(link.reference, skillsDir, personalDir);
+        if (resolved && nodes.has(resolved.skillPath)) return resolved.skillPath;
+        const agent = nodes.get(link.name);
+        return agent && agent.kind === 'agent' ? agent.id : null;
+    };
+
+    const edges = new Map();
+    const dangling = [];
+
+    for (const node of nodes.values()) {
+        let content;
+        try {
+            content = fs.readFileSync(node.file, 'utf8');
+        } catch (error) {
             continue;
         }
+        const { body, bodyStartLine } = parseFrontmatter(content);
 
-        if (frontmatterEnded || !inFrontmatter) {
-            contentLines.push(line);
+        for (const link of findSkillLinks(body, bodyStartLine)) {
+            const target = resolveLink(link);
+            if (!target) {
+                dangling.push({ from: node.id, reference: link.reference, file: node.file, line: link.line, column: link.column });
+                continue;
+            }
+            if (target === node.id) continue;
+
+            const key = `${node.id}\u0000${target}`;
+            const edge = edges.get(key) || { from: node.id, to: target, required: false, lines: [] };
+            edge.required = edge.required || link.required;
+            if (!edge.lines.includes(link.line)) edge.lines.push(link.line);
+            edges.set(key, edge);
         }
     }
 
-    return contentLines.join('\n').trim();
+    return {
+        nodes: [...nodes.values()],
+        edges: [...edges.values()],
+        dangling
+    };
 }
 
 /**
- * Detect if current directory is a Flutter project.
+ * Find cycles and unreachable nodes in a skill graph.
+ * Cycles are reported per strongly connected component, each with one
+ * concrete path that closes the loop.
  *
- * @param {string} dir - Directory to check
- * @returns {boolean} - True if Flutter project detected
+ * @param {{nodes: Array, edges: Array, dangling: Array}} graph - Result of buildSkillGraph
+ * @param {{roots?: string[]}} options - Entry points (default: all commands plus start-flutter-craft)
+ * @returns {{cycles: Array<{nodes: string[], path: string[]}>, unreachable: string[], roots: string[], dangling: Array}}
  */
-function isFlutterProject(dir) {
-    const pubspecPath = path.join(dir, 'pubspec.yaml');
-    if (!fs.existsSync(pubspecPath)) return false;
+function analyzeSkillGraph(graph, options = {}) {
+    const adjacency = new Map(graph.nodes.map(node => [node.id, []]));
+    for (const edge of graph.edges) adjacency.get(edge.from).push(edge.to);
+
+    // Tarjan's strongly connected components
+    let index = 0;
+    const indices = new Map();
+    const lowLinks = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+
+    function connect(id) {
+        indices.set(id, index);
+        lowLinks.set(id, index);
+        index++;
+        stack.push(id);
+        onStack.add(id);
+
+        for (const next of adjacency.get(id)) {
+            if (!indices.has(next)) {
+                connect(next);
+                lowLinks.set(id, Math.min(lowLinks.get(id), lowLinks.get(next)));
+            } else if (onStack.has(next)) {
+                lowLinks.set(id, Math.min(lowLinks.get(id), indices.get(next)));
+            }
+        }
 
-    try {
-        const content = fs.readFileSync(pubspecPath, 'utf8');
-        return content.includes('flutter:') || content.includes('flutter_test:');
-    } catch (error) {
-        return false;
+        if (lowLinks.get(id) === indices.get(id)) {
+            const component = [];
+            let member;
+            do {
+                member = stack.pop();
+                onStack.delete(member);
+                component.push(member);
+            } while (member !== id);
+            components.push(component);
+        }
     }
+
+    for (const id of adjacency.keys()) {
+        if (!indices.has(id)) connect(id);
+    }
+
+    const cycles = components
+        .filter(component => component.length > 1)
+        .map(component => {
+            const members = new Set(component);
+            const start = [...component].sort()[0];
+            // Shortest path from start back to itself inside the component
+            const previous = new Map();
+            const queue = [start];
+            while (queue.length) {
+                const current = queue.shift();
+                for (const next of adjacency.get(current)) {
+                    if (!members.has(next)) continue;
+                    if (next === start) {
+                        const cyclePath = [start];
+                        for (let step = current; step !== start; step = previous.get(step)) cyclePath.splice(1, 0, step);
+                        cyclePath.push(start);
+                        return { nodes: [...component].sort(), path: cyclePath };
+                    }
+                    if (!previous.has(next)) {
+                        previous.set(next, current);
+                        queue.push(next);
+                    }
+                }
+            }
+            return { nodes: [...component].sort(), path: [] };
+        });
+
+    const roots = options.roots || graph.nodes
+        .filter(node => node.kind === 'command' || node.id === 'start-flutter-craft')
+        .map(node => node.id);
+
+    const reachable = new Set();
+    const queue = roots.filter(root => adjacency.has(root));
+    queue.forEach(root => reachable.add(root));
+    while (queue.length) {
+        for (const next of adjacency.get(queue.shift())) {
+            if (!reachable.has(next)) {
+                reachable.add(next);
+                queue.push(next);
+            }
+        }
+    }
+
+    return {
+        cycles,
+        unreachable: graph.nodes.map(node => node.id).filter(id => !reachable.has(id)).sort(),
+        roots,
+        dangling: graph.dangling
+    };
 }
 
 /**
- * Get Flutter project info from pubspec.yaml.
+ * Render a skill graph as Graphviz DOT.
+ * Required sub-skill links are drawn bold, unreachable nodes dashed and
+ * cycle members red.
  *
- * @param {string} dir - Directory containing pubspec.yaml
- * @returns {{name: string, version: string, description: string} | null}
+ * @param {{nodes: Array, edges: Array}} graph - Result of buildSkillGraph
+ * @param {Object} analysis - Optional result of analyzeSkillGraph
+ * @returns {string}
  */
-function getFlutterProjectInfo(dir) {
-    const pubspecPath = path.join(dir, 'pubspec.yaml');
-    if (!fs.existsSync(pubspecPath)) return null;
+function skillGraphToDot(graph, analysis = null) {
+    const quote = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    const shapes = { skill: 'box', agent: 'ellipse', command: 'note' };
+    const inCycle = new Set(analysis ? analysis.cycles.flatMap(cycle => cycle.nodes) : []);
+    const unreachable = new Set(analysis ? analysis.unreachable : []);
+
+    const lines = ['digraph skills {', '    rankdir=LR;', '    node [fontname="Helvetica"];'];
+
+    for (const node of graph.nodes) {
+        const attributes = [`shape=${shapes[node.kind] || 'box'}`];
+        const styles = [];
+        if (node.sourceType === 'personal') {
+            styles.push('filled');
+            attributes.push('fillcolor="#fff3c4"');
+        }
+        if (unreachable.has(node.id)) styles.push('dashed');
+        if (styles.length) attributes.push(`style="${styles.join(',')}"`);
+        if (inCycle.has(node.id)) attributes.push('color=red');
+        lines.push(`    ${quote(node.id)} [${attributes.join(', ')}];`);
+    }
 
-    try {
-        const content = fs.readFileSync(pubspecPath, 'utf8');
-        const lines = content.split('\n');
+    for (const edge of graph.edges) {
+        const attributes = edge.required ? ' [style=bold, label="required"]' : '';
+        lines.push(`    ${quote(edge.from)} -> ${quote(edge.to)}${attributes};`);
+    }
 
-        let name = '';
-        let version = '';
-        let description = '';
+    if (analysis) {
+        for (const item of analysis.dangling) {
+            const missing = `missing:${item.reference}`;
+            lines.push(`    ${quote(missing)} [shape=octagon, color=red, label=${quote(item.reference)}];`);
+            lines.push(`    ${quote(item.from)} -> ${quote(missing)} [color=red, style=dashed];`);
+        }
+    }
 
-        for (const line of lines) {
-            const nameMatch = line.match(/^name:\s*(.+)$/);
-            const versionMatch = line.match(/^version:\s*(.+)$/);
-            const descMatch = line.match(/^description:\s*(.+)$/);
+    lines.push('}');
+    return lines.join('\n') + '\n';
+}
 
-            if (nameMatch) name = nameMatch[1].trim();
-            if (versionMatch) version = versionMatch[1].trim();
-            if (descMatch) description = descMatch[1].trim();
-        }
+/**
+ * Check if a git repository has updates available.
+ * Answers from the cached result of the last check and refreshes that cache
+ * in a background process once it is older than the TTL, so it never waits
+ * on the network. Returns false until a first check has completed.
+ *
+ * @param {string} repoDir - Path to git repository
+ * @param {{ttl?: number, cacheDir?: string}} options - See getUpdateStatus
+ * @returns {boolean} - True if updates are available
+ */
+function checkForUpdates(repoDir, options = {}) {
+    return getUpdateStatus(repoDir, options).behind > 0;
+}
 
-        return { name, version, description };
-    } catch (error) {
-        return null;
+/**
+ * Strip YAML frontmatter from skill content, returning just the content.
+ *
+ * @param {string} content - Full content including frontmatter
+ * @returns {string} - Content without frontmatter
+ */
+function stripFrontmatter(content) {
+    return splitFrontmatter(content).body.trim();
+}
+
+/**
+ * Render a skill for a project: include directives resolved and
+ * conditional sections picked for the project's tech stack.
+ *
+ * @param {string} skillFile - Path to SKILL.md
+ * @param {{projectDir?: string, stack?: Object|null}} options - stack overrides detection from
+ *   projectDir's pubspec.yaml; with neither, every conditional branch is kept
+ * @returns {{text: string, includes: string[], problems: Array, stack: Object|null}}
+ *   text has no frontmatter; problems lists missing includes and conditional syntax errors
+ */
+function renderSkill(skillFile, options = {}) {
+    let stack = options.stack === undefined ? null : options.stack;
+    if (options.stack === undefined && options.projectDir) {
+        const info = getFlutterProjectInfo(options.projectDir);
+        stack = info ? info.stack : null;
     }
+    return { ...renderSkillFile(skillFile, { stack }), stack };
+}
+
+/**
+ * Detect if current directory is a Flutter project.
+ * Requires a pubspec.yaml that depends on the Flutter SDK
+ * (flutter or flutter_test with sdk: flutter, or an environment.flutter constraint).
+ *
+ * @param {string} dir - Directory to check
+ * @param {{workspace?: boolean}} options - workspace: also accept a directory inside a
+ *   Flutter package or a monorepo root (melos, pub workspace) containing Flutter packages
+ * @returns {boolean} - True if Flutter project detected
+ */
+function isFlutterProject(dir, options = {}) {
+    const pubspec = readPubspec(dir);
+    if (pubspec && pubspec.isFlutter) return true;
+    if (!options.workspace) return false;
+
+    const workspace = discoverWorkspace(dir);
+    return workspace.packages.some(pkg => pkg.isFlutter) || Boolean(workspace.current && workspace.current.isFlutter);
+}
+
+/**
+ * Get Flutter project info from pubspec.yaml.
+ *
+ * @param {string} dir - Directory containing pubspec.yaml
+ * @returns {{name: string, version: string, description: string, isFlutter: boolean,
+ *   environment: {sdk: string|null, flutter: string|null}, stack: Object, pubspec: Object} | null}
+ *   stack is the result of detectTechStack; pubspec is the full parsePubspec model
+ */
+function getFlutterProjectInfo(dir) {
+    const pubspec = readPubspec(dir);
+    if (!pubspec) return null;
+
+    return {
+        name: pubspec.name,
+        version: pubspec.version,
+        description: pubspec.description,
+        isFlutter: pubspec.isFlutter,
+        environment: pubspec.environment,
+        stack: detectTechStack(pubspec),
+        pubspec
+    };
 }
 
 export {
+    parseFrontmatter,
     extractFrontmatter,
     findSkillsInDir,
+    createSkillRoots,
+    resolveSkill,
     resolveSkillPath,
+    listResolvedSkills,
+    getShadowingReport,
+    getTranslationReport,
+    detectLocale,
+    extractSkillReferences,
+    findSkillLinks,
+    buildSkillGraph,
+    analyzeSkillGraph,
+    skillGraphToDot,
     checkForUpdates,
+    getUpdateStatus,
     stripFrontmatter,
+    renderSkill,
     isFlutterProject,
-    getFlutterProjectInfo
+    getFlutterProjectInfo,
+    parsePlan,
+    readPlan,
+    validatePlan,
+    markTask,
+    getPlanProgress,
+    resumePlan,
+    findActivePlans,
+    formatPlanProgress,
+    parseFlutterTestMachine,
+    parseAnalyzerOutput,
+    buildVerificationReport,
+    diffVerificationReports,
+    analyzeCoverage,
+    readCoverage,
+    createWorktree,
+    listWorktrees,
+    removeWorktree
 };
@@ -0,0 +1,268 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { execFile, spawn } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+
+/**
+ * Cached, non-blocking update checks for a plugin checkout.
+ *
+ * getUpdateStatus() only reads a small cache file. When the cache is older
+ * than the TTL it starts scripts/check-updates.js in a detached
+ * process, which fetches the remote and rewrites the cache for the next call.
+ * refreshUpdateStatus() does the same work in-process and can be awaited.
+ *
+ * Status values:
+ * - up-to-date, behind, ahead, diverged: compared with the upstream branch
+ * - offline: the fetch failed; counts are from the last fetched remote refs
+ * - no-upstream: the branch tracks nothing
+ * - not-a-repo: repoDir is not inside a git work tree
+ * - unknown: nothing cached yet
+ */
+
+const execFileAsync = promisify(execFile);
+
+const DEFAULT_TTL = 60 * 60 * 1000;
+const DEFAULT_FETCH_TIMEOUT = 15000;
+const MAX_INCOMING = 10;
+const LOCK_TIMEOUT = 60 * 1000;
+const REFRESH_SCRIPT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'scripts', 'check-updates.js');
+
+/**
+ * Directory holding update caches (XDG_CACHE_HOME or ~/.cache).
+ *
+ * @returns {string}
+ */
+function defaultCacheDir() {
+    const base = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+    return path.join(base, 'flutter-craft');
+}
+
+/**
+ * Cache file for a repository directory.
+ *
+ * @param {string} repoDir - Plugin checkout
+ * @param {{cacheDir?: string}} options
+ * @returns {string}
+ */
+function getCachePath(repoDir, options = {}) {
+    const id = crypto.createHash('sha256').update(path.resolve(repoDir)).digest('hex').slice(0, 16);
+    return path.join(options.cacheDir || defaultCacheDir(), `update-${id}.json`);
+}
+
+/**
+ * Read the cached status of a repository.
+ *
+ * @param {string} repoDir - Plugin checkout
+ * @param {{cacheDir?: string}} options
+ * @returns {Object|null} - Last result of refreshUpdateStatus
+ */
+function readUpdateCache(repoDir, options = {}) {
+    try {
+        return JSON.parse(fs.readFileSync(getCachePath(repoDir, options), 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Run git in a directory.
+ *
+ * @param {string[]} args - git arguments
+ * @param {string} cwd - Working directory
+ * @param {number} timeout - Milliseconds
+ * @returns {Promise<string>} - stdout, trimmed
+ */
+async function git(args, cwd, timeout = 5000) {
+    const { stdout } = await execFileAsync('git', args, {
+        cwd,
+        timeout,
+        encoding: 'utf8',
+        env: { ...process.env, GIT_TERMINAL_PROMPT: '0' }
+    });
+    return stdout.trim();
+}
+
+/**
+ * Fetch the remote and compare the current branch with its upstream.
+ * Incoming commits and changed skills are limited to repoDir, so a plugin
+ * inside a marketplace repository only reports its own changes.
+ *
+ * @param {string} repoDir - Plugin checkout (may be a subdirectory of the repository)
+ * @param {{cacheDir?: string, fetchTimeout?: number, now?: Date, write?: boolean}} options
+ *   write: false skips updating the cache
+ * @returns {Promise<{status: string, branch: string|null, upstream: string|null, ahead: number, behind: number,
+ *   incoming: Array<{sha: string, subject: string}>, changedSkills: string[], checkedAt: string,
+ *   lastFetchedAt: string|null, error: string|null}>}
+ */
+async function refreshUpdateStatus(repoDir, options = {}) {
+    const checkedAt = (options.now || new Date()).toISOString();
+    const previous = readUpdateCache(repoDir, options);
+    const result = {
+        status: 'unknown',
+        branch: null,
+        upstream: null,
+        ahead: 0,
+        behind: 0,
+        incoming: [],
+        changedSkills: [],
+        checkedAt,
+        lastFetchedAt: previous ? previous.lastFetchedAt || null : null,
+        error: null
+    };
+
+    const finish = () => {
+        if (options.write !== false) {
+            const cachePath = getCachePath(repoDir, options);
+            fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+            const tempPath = `${cachePath}.${process.pid}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(result, null, 2) + '\n');
+            fs.renameSync(tempPath, cachePath);
+        }
+        return result;
+    };
+
+    try {
+        await git(['rev-parse', '--is-inside-work-tree'], repoDir);
+    } catch (error) {
+        result.status = 'not-a-repo';
+        return finish();
+    }
+
+    let remote;
+    try {
+        result.branch = await git(['symbolic-ref', '--short', '-q', 'HEAD'], repoDir);
+        result.upstream = await git(['rev-parse', '--abbrev-ref', '--symbolic-full-name', '@{u}'], repoDir);
+        // Remote names may contain '/', so ask git instead of splitting the upstream name
+        remote = await git(['config', '--get', `branch.${result.branch}.remote`], repoDir);
+    } catch (error) {
+        result.status = 'no-upstream';
+        return finish();
+    }
+
+    let offline = false;
+    try {
+        await git(['fetch', '--quiet', remote], repoDir, options.fetchTimeout || DEFAULT_FETCH_TIMEOUT);
+        result.lastFetchedAt = checkedAt;
+    } catch (error) {
+        offline = true;
+        result.error = (error.stderr || error.message || '').trim().split('\n')[0] || 'git fetch failed';
+    }
+
+    try {
+        const [ahead, behind] = (await git(['rev-list', '--left-right', '--count', 'HEAD...@{u}'], repoDir))
+            .split(/\s+/).map(Number);
+        result.ahead = ahead;
+        result.behind = behind;
+
+        if (behind > 0) {
+            const log = await git(['log', `--max-count=${MAX_INCOMING}`, '--format=%h%x09%s', 'HEAD..@{u}', '--', '.'], repoDir);
+            result.incoming = log ? log.split('\n').map(line => {
+                const [sha, ...subject] = line.split('\t');
+                return { sha, subject: subject.join('\t') };
+            }) : [];
+
+            const changed = await git(['diff', '--name-only', '--relative', 'HEAD...@{u}'], repoDir);
+            const skills = new Set();
+            for (const file of changed ? changed.split('\n') : []) {
+                const match = file.match(/^skills\/([^/]+)\//);
+                if (match) skills.add(match[1]);
+            }
+            result.changedSkills = [...skills].sort();
+        }
+    } catch (error) {
+        result.status = 'no-upstream';
+        result.error = (error.stderr || error.message || '').trim().split('\n')[0] || null;
+        return finish();
+    }
+
+    if (offline) {
+        result.status = 'offline';
+    } else if (result.ahead > 0 && result.behind > 0) {
+        result.status = 'diverged';
+    } else if (result.behind > 0) {
+        result.status = 'behind';
+    } else if (result.ahead > 0) {
+        result.status = 'ahead';
+    } else {
+        result.status = 'up-to-date';
+    }
+
+    return finish();
+}
+
+/**
+ * Start a detached refresh unless one is already running.
+ *
+ * @param {string} repoDir - Plugin checkout
+ * @param {{cacheDir?: string}} options
+ * @returns {boolean} - True if a refresh was started
+ */
+function startBackgroundRefresh(repoDir, options = {}) {
+    const lockPath = `${getCachePath(repoDir, options)}.lock`;
+    try {
+        const lock = fs.statSync(lockPath);
+        if (Date.now() - lock.mtimeMs < LOCK_TIMEOUT) return false;
+    } catch (error) {
+        // No lock: nothing is refreshing
+    }
+
+    try {
+        fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+        fs.writeFileSync(lockPath, String(process.pid));
+
+        const args = [REFRESH_SCRIPT, '--quiet', '--lock', lockPath];
+        if (options.cacheDir) args.push('--cache-dir', options.cacheDir);
+        args.push(path.resolve(repoDir));
+
+        const child = spawn(process.execPath, args, { detached: true, stdio: 'ignore' });
+        child.on('error', () => fs.rmSync(lockPath, { force: true }));
+        child.unref();
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Return the cached update status immediately, refreshing it in the
+ * background when it is older than the TTL. Never waits on git or the network.
+ *
+ * @param {string} repoDir - Plugin checkout
+ * @param {{ttl?: number, cacheDir?: string, background?: boolean, now?: Date}} options
+ *   ttl in milliseconds (default one hour); background: false never starts a refresh
+ * @returns {Object} - Cached result of refreshUpdateStatus (status 'unknown' when nothing is cached)
+ *   plus fresh (cache within TTL) and refreshing (a background refresh was started)
+ */
+function getUpdateStatus(repoDir, options = {}) {
+    const ttl = options.ttl === undefined ? DEFAULT_TTL : options.ttl;
+    const now = (options.now || new Date()).getTime();
+    const cached = readUpdateCache(repoDir, options);
+    const fresh = Boolean(cached) && now - Date.parse(cached.checkedAt) < ttl;
+
+    const refreshing = !fresh && options.background !== false && startBackgroundRefresh(repoDir, options);
+
+    const base = cached || {
+        status: 'unknown',
+        branch: null,
+        upstream: null,
+        ahead: 0,
+        behind: 0,
+        incoming: [],
+        changedSkills: [],
+        checkedAt: null,
+        lastFetchedAt: null,
+        error: null
+    };
+    return { ...base, fresh, refreshing };
+}
+
+export {
+    DEFAULT_TTL,
+    getCachePath,
+    readUpdateCache,
+    refreshUpdateStatus,
+    getUpdateStatus
+};
@@ -0,0 +1,96 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { test, before, after } from 'node:test';
+import { refreshUpdateStatus, getUpdateStatus, readUpdateCache } from './update-check.js';
+
+const GIT_ENV = {
+    ...process.env,
+    GIT_AUTHOR_NAME: 'test',
+    GIT_AUTHOR_EMAIL: 'test@example.com',
+    GIT_COMMITTER_NAME: 'test',
+    GIT_COMMITTER_EMAIL: 'test@example.com'
+};
+
+let root;
+let cacheDir;
+
+function git(cwd, ...args) {
+    return execFileSync('git', args, { cwd, env: GIT_ENV, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+}
+
+function commit(cwd, file, message) {
+    fs.mkdirSync(path.dirname(path.join(cwd, file)), { recursive: true });
+    fs.writeFileSync(path.join(cwd, file), message);
+    git(cwd, 'add', '.');
+    git(cwd, 'commit', '-q', '-m', message);
+}
+
+// origin.git <- work (tracks it through a remote named "team/upstream") and other (pushes new commits)
+before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'flutter-craft-update-'));
+    cacheDir = path.join(root, 'cache');
+    git(root, 'init', '-q', '--bare', 'origin.git');
+    git(root, 'init', '-q', 'work');
+    const work = path.join(root, 'work');
+    git(work, 'checkout', '-q', '-b', 'main');
+    commit(work, 'README.md', 'initial');
+    git(work, 'remote', 'add', 'team/upstream', path.join(root, 'origin.git'));
+    git(work, 'push', '-q', '-u', 'team/upstream', 'main');
+
+    git(root, 'clone', '-q', '-b', 'main', 'origin.git', 'other');
+    const other = path.join(root, 'other');
+    commit(other, 'skills/flutter-testing/SKILL.md', 'update testing skill');
+    commit(other, 'lib/tool.js', 'add tool');
+    git(other, 'push', '-q', 'origin', 'main');
+});
+
+after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('refreshUpdateStatus fetches a remote whose name contains a slash', async () => {
+    const result = await refreshUpdateStatus(path.join(root, 'work'), { cacheDir });
+
+    assert.equal(result.status, 'behind');
+    assert.equal(result.upstream, 'team/upstream/main');
+    assert.equal(result.behind, 2);
+    assert.equal(result.error, null);
+    assert.deepEqual(result.incoming.map(c => c.subject), ['add tool', 'update testing skill']);
+    assert.deepEqual(result.changedSkills, ['flutter-testing']);
+    assert.equal(readUpdateCache(path.join(root, 'work'), { cacheDir }).status, 'behind');
+});
+
+test('refreshUpdateStatus reports branches without upstream and non-repositories', async () => {
+    const work = path.join(root, 'work');
+    git(work, 'checkout', '-q', '-b', 'local-only');
+    try {
+        assert.equal((await refreshUpdateStatus(work, { write: false })).status, 'no-upstream');
+    } finally {
+        git(work, 'checkout', '-q', 'main');
+    }
+
+    const plain = fs.mkdtempSync(path.join(os.tmpdir(), 'flutter-craft-plain-'));
+    try {
+        assert.equal((await refreshUpdateStatus(plain, { write: false })).status, 'not-a-repo');
+    } finally {
+        fs.rmSync(plain, { recursive: true, force: true });
+    }
+});
+
+test('getUpdateStatus serves the cache and marks it stale after the TTL', async () => {
+    const work = path.join(root, 'work');
+    const now = new Date();
+    await refreshUpdateStatus(work, { cacheDir, now });
+
+    const fresh = getUpdateStatus(work, { cacheDir, background: false, now });
+    assert.equal(fresh.status, 'behind');
+    assert.equal(fresh.fresh, true);
+    assert.equal(fresh.refreshing, false);
+
+    const later = new Date(now.getTime() + 2 * 60 * 60 * 1000);
+    assert.equal(getUpdateStatus(work, { cacheDir, background: false, now: later }).fresh, false);
+    assert.equal(getUpdateStatus(path.join(root, 'other'), { cacheDir, background: false }).status, 'unknown');
+});
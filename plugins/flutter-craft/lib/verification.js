@@ -0,0 +1,571 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { locate } from './architecture.js';
+import { formatPercent } from './coverage.js';
+
+/**
+ * Structured evidence for flutter-verification.
+ *
+ * Parses `flutter test --machine` (one JSON event per line) and analyzer
+ * output (`dart analyze --format=machine` or the human-readable
+ * `flutter analyze` / `dart analyze` formats) into a verification report:
+ * test counts and failures with file:line, analyzer issues grouped by
+ * severity and by feature layer. diffVerificationReports() compares two
+ * reports so fixed and newly broken tests and issues are explicit; the last
+ * report of a project is kept in .dart_tool/flutter-craft/verification.json.
+ * A coverage result from coverage.js can be attached; failing coverage
+ * thresholds then fail the report too.
+ */
+
+const SEVERITIES = ['error', 'warning', 'info'];
+const REPORT_PATH = ['.dart_tool', 'flutter-craft', 'verification.json'];
+const MAX_LISTED_INFOS = 10;
+const MAX_LISTED_UNCOVERED = 5;
+
+/**
+ * Turn a file URL or path from tool output into a project-relative path.
+ *
+ * @param {string|null} value - file:// URL, absolute or relative path
+ * @param {string} [projectDir] - Project root
+ * @returns {string|null} - Forward-slash path, relative when inside projectDir
+ */
+function toProjectPath(value, projectDir) {
+    if (!value) return null;
+    let filePath = value;
+    if (filePath.startsWith('file://')) {
+        try {
+            filePath = fileURLToPath(filePath);
+        } catch (error) {
+            return value;
+        }
+    }
+    if (projectDir && path.isAbsolute(filePath)) {
+        const relative = path.relative(projectDir, filePath);
+        if (!relative.startsWith('..') && !path.isAbsolute(relative)) filePath = relative;
+    }
+    return filePath.split(path.sep).join('/');
+}
+
+/**
+ * Find where a failure was raised in the test file from a stack trace.
+ *
+ * @param {string} stackTrace - Stack trace from an error event
+ * @param {string|null} file - Project-relative test file
+ * @returns {number|null} - Line number
+ */
+function failureLine(stackTrace, file) {
+    if (!stackTrace || !file) return null;
+    const base = path.posix.basename(file).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const match = stackTrace.match(new RegExp(`${base}[ :](\\d+)(?::\\d+)?`));
+    return match ? Number(match[1]) : null;
+}
+
+// ---------------------------------------------------------------------------
+// flutter test --machine
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse the JSON event stream of `flutter test --machine`. Lines that are not
+ * JSON events (build output, warnings) are ignored.
+ *
+ * @param {string} output - Captured stdout
+ * @param {{projectDir?: string}} options - projectDir makes file paths relative
+ * @returns {{success: boolean, complete: boolean, counts: {total: number, passed: number, failed: number, skipped: number},
+ *   tests: Array<{name: string, file: string|null, line: number|null, status: string}>,
+ *   failures: Array<{name: string, file: string|null, line: number|null, kind: string, message: string, stackTrace: string}>,
+ *   skipped: Array<{name: string, file: string|null, line: number|null, reason: string|null}>, durationMs: number|null}}
+ *   status is passed, failed, skipped or incomplete; kind is failure (expectation) or error (exception, load failure)
+ */
+function parseFlutterTestMachine(output, options = {}) {
+    const suites = new Map();
+    const tests = new Map();
+    let done = null;
+    let lastTime = null;
+
+    for (const raw of String(output).split('\n')) {
+        const line = raw.trim();
+        if (!line.startsWith('{')) continue;
+        let event;
+        try {
+            event = JSON.parse(line);
+        } catch (error) {
+            continue;
+        }
+        if (!event || typeof event.type !== 'string') continue;
+        if (typeof event.time === 'number') lastTime = event.time;
+
+        switch (event.type) {
+            case 'suite':
+                suites.set(event.suite.id, toProjectPath(event.suite.path, options.projectDir));
+                break;
+            case 'testStart': {
+                const test = event.test;
+                const url = test.root_url || test.url;
+                const loading = test.name.match(/^loading (.+)$/);
+                tests.set(test.id, {
+                    id: test.id,
+                    name: loading && !test.url ? `loading ${toProjectPath(loading[1], options.projectDir)}` : test.name,
+                    file: url ? toProjectPath(url, options.projectDir) : suites.get(test.suiteID) || null,
+                    line: test.root_line || test.line || null,
+                    skipReason: test.metadata && test.metadata.skip ? test.metadata.skipReason || null : null,
+                    errors: [],
+                    result: null,
+                    hidden: false,
+                    skipped: false
+                });
+                break;
+            }
+            case 'error': {
+                const test = tests.get(event.testID);
+                if (test) test.errors.push({ message: event.error || '', stackTrace: event.stackTrace || '', isFailure: Boolean(event.isFailure) });
+                break;
+            }
+            case 'testDone': {
+                const test = tests.get(event.testID);
+                if (test) {
+                    test.result = event.result;
+                    test.hidden = Boolean(event.hidden);
+                    test.skipped = Boolean(event.skipped);
+                }
+                break;
+            }
+            case 'done':
+                done = event;
+                break;
+            default:
+                break;
+        }
+    }
+
+    const report = {
+        success: false,
+        complete: done !== null,
+        counts: { total: 0, passed: 0, failed: 0, skipped: 0 },
+        tests: [],
+        failures: [],
+        skipped: [],
+        durationMs: lastTime
+    };
+
+    for (const test of tests.values()) {
+        const failed = test.result === 'failure' || test.result === 'error' || (test.result && test.errors.length > 0);
+        // Hidden tests are the "loading <file>" entries; they only matter when the file fails to load
+        if (test.hidden && !failed) continue;
+
+        let status;
+        if (test.result === null) status = 'incomplete';
+        else if (failed) status = 'failed';
+        else if (test.skipped) status = 'skipped';
+        else status = 'passed';
+
+        report.tests.push({ name: test.name, file: test.file, line: test.line, status });
+        if (status !== 'incomplete') report.counts.total++;
+
+        if (status === 'passed') {
+            report.counts.passed++;
+        } else if (status === 'skipped') {
+            report.counts.skipped++;
+            report.skipped.push({ name: test.name, file: test.file, line: test.line, reason: test.skipReason });
+        } else if (status === 'failed') {
+            report.counts.failed++;
+            const error = test.errors[0] || { message: `Test finished with result "${test.result}"`, stackTrace: '', isFailure: false };
+            report.failures.push({
+                name: test.name,
+                file: test.file,
+                line: failureLine(error.stackTrace, test.file) || test.line,
+                kind: error.isFailure ? 'failure' : 'error',
+                message: test.errors.map(item => item.message.trim()).join('\n\n'),
+                stackTrace: error.stackTrace.trim()
+            });
+        }
+    }
+
+    const incomplete = report.tests.some(test => test.status === 'incomplete');
+    report.success = done ? Boolean(done.success) && report.counts.failed === 0 : report.counts.failed === 0 && !incomplete && report.tests.length > 0;
+    return report;
+}
+
+// ---------------------------------------------------------------------------
+// Analyzer
+// ---------------------------------------------------------------------------
+
+/**
+ * Split a machine-format analyzer line on unescaped pipes.
+ *
+ * @param {string} line
+ * @returns {string[]}
+ */
+function splitMachineLine(line) {
+    const fields = [''];
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '\\' && i + 1 < line.length) {
+            fields[fields.length - 1] += line[++i];
+        } else if (line[i] === '|') {
+            fields.push('');
+        } else {
+            fields[fields.length - 1] += line[i];
+        }
+    }
+    return fields;
+}
+
+/**
+ * Map analyzer severities (ERROR, warning, hint, lint) to error/warning/info.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeSeverity(value) {
+    const severity = value.toLowerCase();
+    return SEVERITIES.includes(severity) ? severity : 'info';
+}
+
+/**
+ * Feature layer of a project-relative file path.
+ *
+ * @param {string} file - Project-relative path
+ * @returns {string} - "<feature>/<layer>", core, lib, test or other
+ */
+function areaOf(file) {
+    if (/^(test|integration_test)\//.test(file)) return 'test';
+    if (!file.startsWith('lib/')) return 'other';
+    const location = locate(file.slice(4));
+    return location.area === 'feature' ? `${location.feature}/${location.layer}` : location.area;
+}
+
+/**
+ * Parse analyzer output. Accepts `dart analyze --format=machine`
+ * (SEVERITY|TYPE|CODE|FILE|LINE|COLUMN|LENGTH|MESSAGE) and the human formats
+ * of `flutter analyze` ("error • message • file:line:col • code") and
+ * `dart analyze` ("error - file:line:col - message - code").
+ *
+ * @param {string} output - Captured stdout/stderr
+ * @param {{projectDir?: string}} options - projectDir makes file paths relative
+ * @returns {Array<{severity: string, type: string|null, code: string, file: string, line: number,
+ *   column: number, message: string, area: string}>}
+ *   sorted by file, line and column; area is "<feature>/<layer>", core, lib, test or other
+ */
+function parseAnalyzerOutput(output, options = {}) {
+    const issues = [];
+    const bullet = /^\s*(error|warning|info|hint|lint)\s+•\s+(.+?)\s+•\s+(.+?):(\d+):(\d+)\s+•\s+(\S+)\s*$/i;
+    const dash = /^\s*(error|warning|info|hint|lint)\s+-\s+(.+?):(\d+):(\d+)\s+-\s+(.+)\s+-\s+(\S+)\s*$/i;
+
+    for (const line of String(output).split('\n')) {
+        let issue = null;
+        let match;
+        if (/^(ERROR|WARNING|INFO)\|/.test(line)) {
+            const fields = splitMachineLine(line.trimEnd());
+            if (fields.length >= 8) {
+                issue = {
+                    severity: normalizeSeverity(fields[0]),
+                    type: fields[1] || null,
+                    code: fields[2].toLowerCase(),
+                    file: fields[3],
+                    line: Number(fields[4]),
+                    column: Number(fields[5]),
+                    message: fields.slice(7).join('|')
+                };
+            }
+        } else if ((match = line.match(bullet))) {
+            issue = { severity: normalizeSeverity(match[1]), type: null, code: match[6], file: match[3], line: Number(match[4]), column: Number(match[5]), message: match[2] };
+        } else if ((match = line.match(dash))) {
+            issue = { severity: normalizeSeverity(match[1]), type: null, code: match[6], file: match[2], line: Number(match[3]), column: Number(match[4]), message: match[5] };
+        }
+
+        if (!issue) continue;
+        issue.file = toProjectPath(issue.file, options.projectDir);
+        issue.area = areaOf(issue.file);
+        issues.push(issue);
+    }
+
+    return issues.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line || a.column - b.column);
+}
+
+// ---------------------------------------------------------------------------
+// Reports
+// ---------------------------------------------------------------------------
+
+/**
+ * Combine parsed test and analyzer results.
+ *
+ * @param {{tests?: Object|null, issues?: Array|null, coverage?: Object|null, projectDir?: string, now?: Date}} input
+ *   tests from parseFlutterTestMachine, issues from parseAnalyzerOutput, coverage from
+ *   analyzeCoverage; any of them may be omitted
+ * @returns {{createdAt: string, projectDir: string|null, passed: boolean, tests: Object|null,
+ *   analyzer: {counts: {error: number, warning: number, info: number, total: number}, issues: Array,
+ *   bySeverity: Object<string, Array>, byArea: Object<string, {error: number, warning: number, info: number}>}|null,
+ *   coverage: Object|null}}
+ *   passed is false when tests fail, the analyzer reports errors or a coverage threshold fails;
+ *   coverage keeps the summaries, thresholds and ranked uncovered files but not per-file line data
+ */
+function buildVerificationReport(input) {
+    let analyzer = null;
+    if (input.issues) {
+        const counts = { error: 0, warning: 0, info: 0, total: input.issues.length };
+        const bySeverity = { error: [], warning: [], info: [] };
+        const byArea = {};
+        for (const issue of input.issues) {
+            counts[issue.severity]++;
+            bySeverity[issue.severity].push(issue);
+            if (!byArea[issue.area]) byArea[issue.area] = { error: 0, warning: 0, info: 0 };
+            byArea[issue.area][issue.severity]++;
+        }
+        analyzer = {
+            counts,
+            issues: input.issues,
+            bySeverity,
+            byArea: Object.fromEntries(Object.keys(byArea).sort().map(area => [area, byArea[area]]))
+        };
+    }
+
+    let coverage = null;
+    if (input.coverage) {
+        const { files, ...summary } = input.coverage;
+        coverage = { ...summary, uncovered: summary.uncovered.map(({ uncoveredLines, ...file }) => file) };
+    }
+
+    const tests = input.tests || null;
+    return {
+        createdAt: (input.now || new Date()).toISOString(),
+        projectDir: input.projectDir || null,
+        passed: (!tests || tests.success) && (!analyzer || analyzer.counts.error === 0) && (!coverage || coverage.passed),
+        tests,
+        analyzer,
+        coverage
+    };
+}
+
+/**
+ * Identify a test across runs.
+ *
+ * @param {{file: string|null, name: string}} test
+ * @returns {string}
+ */
+function testKey(test) {
+    return `${test.file || ''}::${test.name}`;
+}
+
+/**
+ * Identify an analyzer issue across runs. Line numbers are left out so
+ * edits above an issue do not make it look new; the trailing period is
+ * dropped because only the machine format keeps it.
+ *
+ * @param {Object} issue
+ * @returns {string}
+ */
+function issueKey(issue) {
+    return `${issue.severity}|${issue.code}|${issue.file}|${issue.message.replace(/\.$/, '')}`;
+}
+
+/**
+ * Compare a report with the previous run.
+ *
+ * @param {Object|null} previous - Earlier buildVerificationReport result
+ * @param {Object} current - Latest buildVerificationReport result
+ * @returns {{since: string|null, tests: {fixed: Array, broken: Array, stillFailing: Array}|null,
+ *   analyzer: {fixed: Array, introduced: Array, remaining: number}|null,
+ *   coverage: {before: number|null, after: number|null}|null}}
+ *   broken holds tests failing now that passed, were skipped or did not exist before;
+ *   coverage compares total line coverage; a section is null when either report lacks it
+ */
+function diffVerificationReports(previous, current) {
+    const diff = { since: previous ? previous.createdAt : null, tests: null, analyzer: null, coverage: null };
+    if (!previous) return diff;
+
+    if (previous.tests && current.tests) {
+        const before = new Map(previous.tests.tests.map(test => [testKey(test), test]));
+        const failingNow = new Set(current.tests.failures.map(testKey));
+        const pick = (test) => ({ name: test.name, file: test.file, line: test.line });
+        diff.tests = { fixed: [], broken: [], stillFailing: [] };
+
+        for (const test of current.tests.tests) {
+            const old = before.get(testKey(test));
+            const wasFailing = old && old.status === 'failed';
+            if (failingNow.has(testKey(test))) {
+                (wasFailing ? diff.tests.stillFailing : diff.tests.broken).push(pick(test));
+            } else if (wasFailing && test.status === 'passed') {
+                diff.tests.fixed.push(pick(test));
+            }
+        }
+    }
+
+    if (previous.analyzer && current.analyzer) {
+        const count = (issues) => {
+            const counts = new Map();
+            for (const issue of issues) counts.set(issueKey(issue), (counts.get(issueKey(issue)) || 0) + 1);
+            return counts;
+        };
+        const consume = (issues, available) => issues.filter(issue => {
+            const key = issueKey(issue);
+            if ((available.get(key) || 0) > 0) {
+                available.set(key, available.get(key) - 1);
+                return false;
+            }
+            return true;
+        });
+        const introduced = consume(current.analyzer.issues, count(previous.analyzer.issues));
+        const fixed = consume(previous.analyzer.issues, count(current.analyzer.issues));
+        diff.analyzer = { fixed, introduced, remaining: current.analyzer.issues.length - introduced.length };
+    }
+
+    if (previous.coverage && current.coverage) {
+        diff.coverage = { before: previous.coverage.total.lines.percent, after: current.coverage.total.lines.percent };
+    }
+
+    return diff;
+}
+
+/**
+ * Location of the saved report for a project.
+ *
+ * @param {string} projectDir - Flutter project root
+ * @returns {string}
+ */
+function getVerificationReportPath(projectDir) {
+    return path.join(projectDir, ...REPORT_PATH);
+}
+
+/**
+ * Read the last saved report of a project.
+ *
+ * @param {string} projectDir - Flutter project root
+ * @returns {Object|null}
+ */
+function loadVerificationReport(projectDir) {
+    try {
+        return JSON.parse(fs.readFileSync(getVerificationReportPath(projectDir), 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Save a report as the project's last run.
+ *
+ * @param {string} projectDir - Flutter project root
+ * @param {Object} report - buildVerificationReport result
+ * @returns {string} - Path written
+ */
+function saveVerificationReport(projectDir, report) {
+    const reportPath = getVerificationReportPath(projectDir);
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+    const tempPath = `${reportPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(report, null, 2) + '\n');
+    fs.renameSync(tempPath, reportPath);
+    return reportPath;
+}
+
+/**
+ * Render a report (and optional diff) as the "### Verification Results"
+ * markdown used by flutter-verification.
+ *
+ * @param {Object} report - buildVerificationReport result
+ * @param {{diff?: Object}} options - diff from diffVerificationReports
+ * @returns {string}
+ */
+function formatVerificationReport(report, options = {}) {
+    const lines = ['### Verification Results', ''];
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    const where = (item) => (item.file ? ` (${item.file}${item.line ? `:${item.line}` : ''})` : '');
+
+    if (report.tests) {
+        const { counts } = report.tests;
+        const mark = report.tests.success ? '✅' : '❌';
+        const extra = [
+            counts.failed ? `${counts.failed} failed` : null,
+            counts.skipped ? `${counts.skipped} skipped` : null,
+            report.tests.complete ? null : 'run did not finish'
+        ].filter(Boolean);
+        lines.push(`**Unit Tests:** ${mark} ${counts.passed}/${counts.total - counts.skipped} passed${extra.length ? `, ${extra.join(', ')}` : ''}`);
+        if (report.tests.failures.length) {
+            lines.push('');
+            for (const failure of report.tests.failures) {
+                const message = failure.message.split('\n').map(line => line.trim()).filter(Boolean).slice(0, 3).join(' / ');
+                lines.push(`- \`${failure.name}\`${where(failure)}`);
+                if (message) lines.push(`  ${message}`);
+            }
+        }
+        lines.push('');
+    }
+
+    if (report.analyzer) {
+        const { counts } = report.analyzer;
+        const mark = counts.error === 0 ? '✅' : '❌';
+        const summary = counts.total === 0
+            ? 'No issues found'
+            : `${plural(counts.error, 'error')}, ${plural(counts.warning, 'warning')}, ${plural(counts.info, 'info')}`;
+        lines.push(`**Static Analysis:** ${mark} ${summary}`);
+
+        if (counts.total > 0) {
+            lines.push('', '| Area | Errors | Warnings | Infos |', '|------|--------|----------|-------|');
+            for (const [area, areaCounts] of Object.entries(report.analyzer.byArea)) {
+                lines.push(`| ${area} | ${areaCounts.error} | ${areaCounts.warning} | ${areaCounts.info} |`);
+            }
+            for (const severity of SEVERITIES) {
+                const issues = report.analyzer.bySeverity[severity];
+                if (!issues.length) continue;
+                const shown = severity === 'info' ? issues.slice(0, MAX_LISTED_INFOS) : issues;
+                lines.push('', `${severity[0].toUpperCase()}${severity.slice(1)}s:`);
+                for (const issue of shown) {
+                    lines.push(`- ${issue.file}:${issue.line}:${issue.column} ${issue.message} (${issue.code})`);
+                }
+                if (shown.length < issues.length) lines.push(`- … ${issues.length - shown.length} more`);
+            }
+        }
+        lines.push('');
+    }
+
+    if (report.coverage) {
+        const { total, thresholds, uncovered } = report.coverage;
+        const mark = report.coverage.passed ? '✅' : '❌';
+        const untested = total.untested ? `, ${total.untested} file(s) not loaded by any test` : '';
+        lines.push(`**Coverage:** ${mark} ${formatPercent(total.lines.percent)} lines, ${formatPercent(total.branches.percent)} branches${untested}`);
+
+        const failing = thresholds.filter(check => !check.passed);
+        const shown = uncovered.slice(0, MAX_LISTED_UNCOVERED);
+        if (failing.length || shown.length) lines.push('');
+        for (const check of failing) {
+            const scope = check.metric === 'lines' ? check.scope : `${check.scope} (branches)`;
+            const detail = check.untested ? `, ${check.untested} untested file(s)` : '';
+            lines.push(`- Below threshold: ${scope} ${formatPercent(check.actual)} (required ${check.required}%${detail})`);
+        }
+        for (const file of shown) {
+            lines.push(`- P${file.priority} ${file.file}: ${file.untested ? 'not loaded by any test' : `${file.uncovered} line(s) uncovered`}`);
+        }
+        if (shown.length < uncovered.length) lines.push(`- … ${uncovered.length - shown.length} more uncovered file(s)`);
+        lines.push('');
+    }
+
+    const diff = options.diff;
+    if (diff && diff.since && (diff.tests || diff.analyzer || diff.coverage)) {
+        const parts = [];
+        if (diff.tests) parts.push(`${diff.tests.fixed.length} test(s) fixed, ${diff.tests.broken.length} newly broken`);
+        if (diff.analyzer) parts.push(`${diff.analyzer.fixed.length} issue(s) fixed, ${diff.analyzer.introduced.length} introduced`);
+        if (diff.coverage) parts.push(`coverage ${formatPercent(diff.coverage.before)} → ${formatPercent(diff.coverage.after)}`);
+        lines.push(`**Since ${diff.since}:** ${parts.join('; ')}`);
+
+        const entries = [
+            ...(diff.tests ? diff.tests.fixed.map(test => `- Fixed: \`${test.name}\`${where(test)}`) : []),
+            ...(diff.tests ? diff.tests.broken.map(test => `- Newly broken: \`${test.name}\`${where(test)}`) : []),
+            ...(diff.analyzer ? diff.analyzer.fixed.map(issue => `- Fixed ${issue.severity}: ${issue.file} ${issue.message} (${issue.code})`) : []),
+            ...(diff.analyzer ? diff.analyzer.introduced.map(issue => `- New ${issue.severity}: ${issue.file}:${issue.line}:${issue.column} ${issue.message} (${issue.code})`) : [])
+        ];
+        if (entries.length) lines.push('', ...entries);
+        lines.push('');
+    }
+
+    lines.push(report.passed ? '**Ready to claim completion.**' : '**Not ready: fix the failures above before claiming completion.**');
+    return lines.join('\n') + '\n';
+}
+
+export {
+    parseFlutterTestMachine,
+    parseAnalyzerOutput,
+    buildVerificationReport,
+    diffVerificationReports,
+    getVerificationReportPath,
+    loadVerificationReport,
+    saveVerificationReport,
+    formatVerificationReport
+};
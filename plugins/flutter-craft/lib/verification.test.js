@@ -0,0 +1,115 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { test } from 'node:test';
+import { fileURLToPath } from 'url';
+import {
+    parseFlutterTestMachine,
+    parseAnalyzerOutput,
+    buildVerificationReport,
+    diffVerificationReports,
+    loadVerificationReport,
+    saveVerificationReport,
+    formatVerificationReport
+} from './verification.js';
+
+const FIXTURES = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../tests/fixtures/verification');
+const PROJECT_DIR = '/work/app';
+
+function fixture(name) {
+    return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+test('parseFlutterTestMachine counts results and locates failures', () => {
+    const result = parseFlutterTestMachine(fixture('flutter-test-machine.jsonl'), { projectDir: PROJECT_DIR });
+
+    assert.equal(result.success, false);
+    assert.equal(result.complete, true);
+    assert.deepEqual(result.counts, { total: 4, passed: 1, failed: 2, skipped: 1 });
+    assert.deepEqual(result.failures.map(f => [f.name, f.file, f.line, f.kind]), [
+        ['loading test/features/auth/data/auth_repository_test.dart', 'test/features/auth/data/auth_repository_test.dart', null, 'error'],
+        ['User copyWith keeps the id', 'test/features/auth/domain/user_test.dart', 17, 'failure']
+    ]);
+    assert.deepEqual(result.skipped, [{
+        name: 'User serializes to JSON',
+        file: 'test/features/auth/domain/user_test.dart',
+        line: 21,
+        reason: 'waiting for json_serializable'
+    }]);
+});
+
+test('parseFlutterTestMachine treats a run without a done event as unfinished', () => {
+    const truncated = fixture('flutter-test-machine.jsonl').split('\n').slice(0, 10).join('\n');
+    const result = parseFlutterTestMachine(truncated, { projectDir: PROJECT_DIR });
+
+    assert.equal(result.complete, false);
+    assert.equal(result.success, false);
+    assert.ok(result.tests.some(t => t.status === 'incomplete'));
+});
+
+test('parseAnalyzerOutput reads machine, flutter analyze and dart analyze formats alike', () => {
+    const machine = parseAnalyzerOutput(fixture('analyze-machine.txt'), { projectDir: PROJECT_DIR });
+    const flutter = parseAnalyzerOutput(fixture('flutter-analyze.txt'));
+    const dart = parseAnalyzerOutput(fixture('dart-analyze.txt'));
+    const brief = issues => issues.map(i => `${i.severity} ${i.code} ${i.file}:${i.line}:${i.column} ${i.area}`);
+
+    assert.deepEqual(brief(machine), [
+        'info prefer_const_constructors lib/core/router.dart:20:10 core',
+        'error undefined_identifier lib/features/auth/data/auth_repository_impl.dart:12:5 auth/data',
+        'warning unused_import lib/features/auth/domain/entities/user.dart:1:8 auth/domain',
+        'info avoid_print test/helpers.dart:3:3 test'
+    ]);
+    assert.equal(machine[0].message, "Use 'const' with the constructor to improve performance|memory.");
+    assert.deepEqual(brief(flutter), brief(machine).slice(0, 3));
+    assert.deepEqual(brief(dart), brief(machine).slice(1, 3));
+});
+
+test('buildVerificationReport fails on analyzer errors and groups issues by area', () => {
+    const issues = parseAnalyzerOutput(fixture('analyze-machine.txt'), { projectDir: PROJECT_DIR });
+    const report = buildVerificationReport({ issues, now: new Date('2026-01-01T00:00:00Z') });
+
+    assert.equal(report.passed, false);
+    assert.deepEqual(report.analyzer.counts, { error: 1, warning: 1, info: 2, total: 4 });
+    assert.deepEqual(Object.keys(report.analyzer.byArea), ['auth/data', 'auth/domain', 'core', 'test']);
+
+    const clean = buildVerificationReport({ issues: issues.filter(i => i.severity !== 'error') });
+    assert.equal(clean.passed, true);
+});
+
+test('diffVerificationReports separates fixed, broken and remaining results', () => {
+    const tests = parseFlutterTestMachine(fixture('flutter-test-machine.jsonl'), { projectDir: PROJECT_DIR });
+    const issues = parseAnalyzerOutput(fixture('analyze-machine.txt'), { projectDir: PROJECT_DIR });
+    const previous = buildVerificationReport({ tests, issues, now: new Date('2026-01-01T00:00:00Z') });
+
+    // Next run: the copyWith test passes, the equality test fails, the analyzer error is fixed
+    const nextTests = JSON.parse(JSON.stringify(tests));
+    nextTests.tests.find(t => t.name === 'User copyWith keeps the id').status = 'passed';
+    nextTests.tests.find(t => t.name === 'User supports value equality').status = 'failed';
+    nextTests.failures = nextTests.tests.filter(t => t.status === 'failed').map(t => ({ ...t, kind: 'failure', message: '', stackTrace: '' }));
+    const current = buildVerificationReport({ tests: nextTests, issues: issues.filter(i => i.severity !== 'error') });
+
+    const diff = diffVerificationReports(previous, current);
+    assert.equal(diff.since, '2026-01-01T00:00:00.000Z');
+    assert.deepEqual(diff.tests.fixed.map(t => t.name), ['User copyWith keeps the id']);
+    assert.deepEqual(diff.tests.broken.map(t => t.name), ['User supports value equality']);
+    assert.deepEqual(diff.tests.stillFailing.map(t => t.name), ['loading test/features/auth/data/auth_repository_test.dart']);
+    assert.deepEqual(diff.analyzer.fixed.map(i => i.code), ['undefined_identifier']);
+    assert.deepEqual(diff.analyzer.introduced, []);
+    assert.equal(diff.analyzer.remaining, 3);
+
+    assert.match(formatVerificationReport(current, { diff }), /### Verification Results/);
+});
+
+test('saveVerificationReport and loadVerificationReport round-trip the last run', () => {
+    const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flutter-craft-verify-'));
+    try {
+        assert.equal(loadVerificationReport(projectDir), null);
+        const report = buildVerificationReport({ issues: [], now: new Date('2026-01-01T00:00:00Z') });
+        const saved = saveVerificationReport(projectDir, report);
+        assert.equal(saved, path.join(projectDir, '.dart_tool', 'flutter-craft', 'verification.json'));
+        assert.deepEqual(loadVerificationReport(projectDir), report);
+    } finally {
+        fs.rmSync(projectDir, { recursive: true, force: true });
+    }
+});
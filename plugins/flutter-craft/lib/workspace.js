@@ -0,0 +1,253 @@
+import fs from 'fs';
+import path from 'path';
+import { parseYaml } from './yaml.js';
+import { readPubspec } from './pubspec.js';
+
+/**
+ * Directories never searched for packages.
+ */
+const IGNORED_DIRS = new Set([
+    'node_modules', 'build', 'Pods', 'DerivedData', 'ephemeral', '.symlinks'
+]);
+
+const DEFAULT_MAX_DEPTH = 4;
+
+/**
+ * Convert a melos/pub workspace glob (apps/**, packages/*) to a RegExp
+ * matched against posix-style relative directory paths.
+ *
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+    const normalized = glob.replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/+$/, '');
+    let source = '';
+    for (let i = 0; i < normalized.length; i++) {
+        const ch = normalized[i];
+        if (ch === '*' && normalized[i + 1] === '*') {
+            // "**/" matches zero or more directories
+            const slash = normalized[i + 2] === '/';
+            source += slash ? '(?:.*/)?' : '.*';
+            i += slash ? 2 : 1;
+        } else if (ch === '*') {
+            source += '[^/]*';
+        } else if (ch === '?') {
+            source += '[^/]';
+        } else {
+            source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Classify a package directory.
+ *
+ * @param {string} dir - Package directory
+ * @param {Object} pubspec - Result of parsePubspec
+ * @returns {string} - 'app', 'plugin', 'flutter-package' or 'dart-package'
+ */
+function classifyPackage(dir, pubspec) {
+    if (pubspec.isPlugin) return 'plugin';
+    if (!pubspec.isFlutter) return 'dart-package';
+
+    const hasEntryPoint = fs.existsSync(path.join(dir, 'lib', 'main.dart'));
+    const hasPlatform = ['android', 'ios', 'web', 'macos', 'linux', 'windows']
+        .some(platform => fs.existsSync(path.join(dir, platform)));
+    return hasEntryPoint || hasPlatform ? 'app' : 'flutter-package';
+}
+
+/**
+ * Describe the package in a directory.
+ *
+ * @param {string} dir - Directory containing pubspec.yaml
+ * @returns {{name: string, dir: string, kind: string, isFlutter: boolean, pubspec: Object} | null}
+ */
+function describePackage(dir) {
+    const pubspec = readPubspec(dir);
+    if (!pubspec) return null;
+
+    return {
+        name: pubspec.name || path.basename(dir),
+        dir,
+        kind: classifyPackage(dir, pubspec),
+        isFlutter: pubspec.isFlutter,
+        pubspec
+    };
+}
+
+/**
+ * Walk up from a directory to the nearest one containing pubspec.yaml.
+ *
+ * @param {string} startDir - Directory to start from
+ * @returns {{name: string, dir: string, kind: string, isFlutter: boolean, pubspec: Object} | null}
+ */
+function findEnclosingPackage(startDir) {
+    let dir = path.resolve(startDir);
+
+    while (true) {
+        if (fs.existsSync(path.join(dir, 'pubspec.yaml'))) {
+            const pkg = describePackage(dir);
+            if (pkg) return pkg;
+        }
+        const parent = path.dirname(dir);
+        if (parent === dir) return null;
+        dir = parent;
+    }
+}
+
+/**
+ * Read a melos.yaml file.
+ *
+ * @param {string} dir - Directory that may contain melos.yaml
+ * @returns {{name: string, packages: string[], ignore: string[]} | null}
+ */
+function readMelosConfig(dir) {
+    const melosPath = path.join(dir, 'melos.yaml');
+    if (!fs.existsSync(melosPath)) return null;
+
+    try {
+        const config = parseYaml(fs.readFileSync(melosPath, 'utf8')) || {};
+        return {
+            name: config.name ? String(config.name) : path.basename(dir),
+            packages: Array.isArray(config.packages) ? config.packages.map(String) : [],
+            ignore: Array.isArray(config.ignore) ? config.ignore.map(String) : []
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Walk up from a directory to the nearest melos or pub workspace root.
+ * A pub workspace root is a pubspec.yaml with a `workspace:` list; melos 7
+ * keeps its config under a `melos:` key of that same pubspec.
+ *
+ * @param {string} startDir - Directory to start from
+ * @returns {{dir: string, type: string, name: string, patterns: string[], ignore: string[]} | null}
+ *   type is 'melos' or 'pub-workspace'
+ */
+function findWorkspaceRoot(startDir) {
+    let dir = path.resolve(startDir);
+
+    while (true) {
+        const melos = readMelosConfig(dir);
+        if (melos) {
+            return { dir, type: 'melos', name: melos.name, patterns: melos.packages, ignore: melos.ignore };
+        }
+
+        const pubspec = fs.existsSync(path.join(dir, 'pubspec.yaml')) ? readPubspec(dir) : null;
+        if (pubspec && pubspec.workspace) {
+            const melosSection = pubspec.raw.melos && typeof pubspec.raw.melos === 'object' ? pubspec.raw.melos : {};
+            return {
+                dir,
+                type: pubspec.raw.melos ? 'melos' : 'pub-workspace',
+                name: pubspec.name || path.basename(dir),
+                patterns: pubspec.workspace,
+                ignore: Array.isArray(melosSection.ignore) ? melosSection.ignore.map(String) : []
+            };
+        }
+
+        const parent = path.dirname(dir);
+        if (parent === dir) return null;
+        dir = parent;
+    }
+}
+
+/**
+ * Walk down from a directory and list every Dart/Flutter package.
+ *
+ * @param {string} rootDir - Directory to search
+ * @param {{patterns?: string[], ignore?: string[], maxDepth?: number}} options
+ *   patterns/ignore are workspace globs relative to rootDir (all packages when patterns is empty)
+ * @returns {Array<{name: string, dir: string, relativeDir: string, kind: string, isFlutter: boolean, pubspec: Object}>}
+ */
+function listPackages(rootDir, options = {}) {
+    const root = path.resolve(rootDir);
+    const include = (options.patterns || []).map(globToRegExp);
+    const exclude = (options.ignore || []).map(globToRegExp);
+    const maxDepth = options.maxDepth === undefined ? DEFAULT_MAX_DEPTH : options.maxDepth;
+    const packages = [];
+
+    function recurse(dir, depth) {
+        const relativeDir = path.relative(root, dir).split(path.sep).join('/');
+
+        if (fs.existsSync(path.join(dir, 'pubspec.yaml'))) {
+            const included = include.length === 0 || include.some(re => re.test(relativeDir));
+            const excluded = exclude.some(re => re.test(relativeDir));
+            if (included && !excluded) {
+                const pkg = describePackage(dir);
+                if (pkg) packages.push({ ...pkg, relativeDir: relativeDir || '.' });
+            }
+        }
+
+        if (depth >= maxDepth) return;
+
+        let entries;
+        try {
+            entries = fs.readdirSync(dir, { withFileTypes: true });
+        } catch (error) {
+            return;
+        }
+        for (const entry of entries) {
+            if (!entry.isDirectory() || entry.name.startsWith('.') || IGNORED_DIRS.has(entry.name)) continue;
+            recurse(path.join(dir, entry.name), depth + 1);
+        }
+    }
+
+    recurse(root, 0);
+    return packages.sort((a, b) => a.relativeDir.localeCompare(b.relativeDir));
+}
+
+/**
+ * Work out where a session is in a (possibly multi-package) Flutter repo:
+ * the enclosing package (walking up), the workspace root if any, and every
+ * package below the root (walking down).
+ *
+ * @param {string} startDir - Session working directory
+ * @param {{maxDepth?: number}} options - maxDepth limits the downward search
+ * @returns {{type: string, root: string, name: string, current: Object|null, packages: Array}}
+ *   type is 'melos', 'pub-workspace', 'single' (one enclosing package),
+ *   'multi' (packages below a directory with no workspace config) or 'none'
+ */
+function discoverWorkspace(startDir, options = {}) {
+    const start = path.resolve(startDir);
+    const workspace = findWorkspaceRoot(start);
+    const current = findEnclosingPackage(start);
+
+    if (workspace) {
+        const packages = listPackages(workspace.dir, { ...options, patterns: workspace.patterns, ignore: workspace.ignore });
+        const inside = current && (current.dir === workspace.dir || current.dir.startsWith(workspace.dir + path.sep));
+        return {
+            type: workspace.type,
+            root: workspace.dir,
+            name: workspace.name,
+            current: inside && current.dir !== workspace.dir
+                ? { ...current, relativeDir: path.relative(workspace.dir, current.dir).split(path.sep).join('/') }
+                : null,
+            packages
+        };
+    }
+
+    if (current) {
+        return { type: 'single', root: current.dir, name: current.name, current, packages: [{ ...current, relativeDir: '.' }] };
+    }
+
+    // No pubspec above: maybe a repo root holding packages without melos or a workspace
+    const packages = listPackages(start, options);
+    return {
+        type: packages.length ? 'multi' : 'none',
+        root: start,
+        name: path.basename(start),
+        current: null,
+        packages
+    };
+}
+
+export {
+    globToRegExp,
+    findEnclosingPackage,
+    findWorkspaceRoot,
+    listPackages,
+    discoverWorkspace
+};
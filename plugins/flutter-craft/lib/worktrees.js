@@ -0,0 +1,550 @@
+import fs from 'fs';
+import path from 'path';
+import { execFileSync, spawnSync } from 'child_process';
+import { readPubspec } from './pubspec.js';
+import { discoverWorkspace } from './workspace.js';
+
+/**
+ * Git worktree management for flutter-worktrees and flutter-finishing.
+ *
+ * Directory convention (first match wins):
+ * - an explicit path
+ * - <repo>/.worktrees/<branch-slug> or <repo>/worktrees/<branch-slug> when
+ *   that directory exists; it must be gitignored
+ * - ../<repo-name>-<branch-slug> next to the main worktree
+ *
+ * A new worktree is bootstrapped like a fresh clone: `melos bootstrap` or
+ * `flutter pub get` for each package, build_runner for packages that depend
+ * on it, then any extra hook commands. listWorktrees() reports each
+ * worktree's branch, dirty files, lock, whether its dependencies were
+ * fetched and whether it is stale (directory gone, or branch merged).
+ */
+
+const PROJECT_DIRS = ['.worktrees', 'worktrees'];
+const DEFAULT_STEP_TIMEOUT = 10 * 60 * 1000;
+const MAX_STEP_OUTPUT = 4000;
+
+/**
+ * Run git and return its stdout.
+ *
+ * @param {string[]} args - git arguments
+ * @param {string} cwd - Working directory
+ * @param {boolean} [raw] - Keep leading whitespace (porcelain status columns)
+ * @returns {string} - stdout, trimmed unless raw
+ * @throws {Error} - With git's first stderr line as the message
+ */
+function git(args, cwd, raw = false) {
+    try {
+        const stdout = execFileSync('git', args, {
+            cwd,
+            encoding: 'utf8',
+            stdio: ['ignore', 'pipe', 'pipe'],
+            env: { ...process.env, GIT_TERMINAL_PROMPT: '0' }
+        });
+        return raw ? stdout.replace(/\n+$/, '') : stdout.trim();
+    } catch (error) {
+        const message = String(error.stderr || '').trim().split('\n')[0] || error.message;
+        const wrapped = new Error(`git ${args[0]}: ${message}`);
+        wrapped.status = error.status;
+        throw wrapped;
+    }
+}
+
+/**
+ * Run git and report success instead of throwing.
+ *
+ * @param {string[]} args - git arguments
+ * @param {string} cwd - Working directory
+ * @returns {boolean}
+ */
+function gitSucceeds(args, cwd) {
+    try {
+        git(args, cwd);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Parse `git worktree list --porcelain`.
+ *
+ * @param {string} output - Porcelain output
+ * @returns {Array<{path: string, head: string|null, branch: string|null, detached: boolean, bare: boolean,
+ *   locked: string|null, prunable: string|null}>}
+ *   locked and prunable hold git's reason ('' when none was given), null when not set
+ */
+function parseWorktreeList(output) {
+    const worktrees = [];
+    let current = null;
+    for (const line of output.split('\n')) {
+        if (line.startsWith('worktree ')) {
+            current = { path: line.slice(9), head: null, branch: null, detached: false, bare: false, locked: null, prunable: null };
+            worktrees.push(current);
+        } else if (!current) {
+            continue;
+        } else if (line.startsWith('HEAD ')) {
+            current.head = line.slice(5);
+        } else if (line.startsWith('branch ')) {
+            current.branch = line.slice(7).replace(/^refs\/heads\//, '');
+        } else if (line === 'detached') {
+            current.detached = true;
+        } else if (line === 'bare') {
+            current.bare = true;
+        } else if (line === 'locked' || line.startsWith('locked ')) {
+            current.locked = line.slice(7);
+        } else if (line === 'prunable' || line.startsWith('prunable ')) {
+            current.prunable = line.slice(9);
+        }
+    }
+    return worktrees;
+}
+
+/**
+ * Find the repository a directory belongs to.
+ *
+ * @param {string} dir - Any directory inside the repository or one of its worktrees
+ * @returns {{root: string, name: string, worktrees: Array}} - root is the main worktree
+ * @throws {Error} - When dir is not inside a git repository
+ */
+function getRepository(dir) {
+    const worktrees = parseWorktreeList(git(['worktree', 'list', '--porcelain'], path.resolve(dir)));
+    const root = worktrees[0].path;
+    return { root, name: path.basename(root), worktrees };
+}
+
+/**
+ * Turn a branch name into a directory name.
+ *
+ * @param {string} branch - e.g. feature/auth
+ * @returns {string} - e.g. feature-auth
+ */
+function branchSlug(branch) {
+    return branch.replace(/[^A-Za-z0-9._-]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Pick the directory for a branch's worktree by convention.
+ *
+ * @param {string} repoRoot - Main worktree
+ * @param {string} branch - Branch name
+ * @param {{location?: string}} options - location: 'project' forces <repo>/.worktrees,
+ *   'sibling' forces ../<repo>-<branch>; default uses an existing project directory
+ * @returns {string} - Absolute path
+ */
+function defaultWorktreePath(repoRoot, branch, options = {}) {
+    const slug = branchSlug(branch);
+    if (options.location !== 'sibling') {
+        const existing = PROJECT_DIRS.find(dir => fs.existsSync(path.join(repoRoot, dir)));
+        if (existing || options.location === 'project') {
+            return path.join(repoRoot, existing || PROJECT_DIRS[0], slug);
+        }
+    }
+    return path.join(path.dirname(repoRoot), `${path.basename(repoRoot)}-${slug}`);
+}
+
+/**
+ * Check that a worktree path inside the repository is gitignored, so the
+ * worktree's files never show up as untracked in the main checkout.
+ *
+ * @param {string} repoRoot - Main worktree
+ * @param {string} worktreePath - Planned worktree path
+ * @returns {{inside: boolean, ignored: boolean, entry: string|null}}
+ *   entry is the .gitignore line that would ignore it (null when outside)
+ */
+function checkWorktreeIgnored(repoRoot, worktreePath) {
+    const relative = path.relative(repoRoot, worktreePath);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+        return { inside: false, ignored: true, entry: null };
+    }
+    const posix = relative.split(path.sep).join('/');
+    return {
+        inside: true,
+        ignored: gitSucceeds(['check-ignore', '-q', posix], repoRoot),
+        entry: `/${posix.split('/')[0]}/`
+    };
+}
+
+/**
+ * Append an entry to the repository's .gitignore.
+ *
+ * @param {string} repoRoot - Main worktree
+ * @param {string} entry - Line to add
+ */
+function addGitignoreEntry(repoRoot, entry) {
+    const gitignorePath = path.join(repoRoot, '.gitignore');
+    const existing = fs.existsSync(gitignorePath) ? fs.readFileSync(gitignorePath, 'utf8') : '';
+    const separator = existing && !existing.endsWith('\n') ? '\n' : '';
+    fs.writeFileSync(gitignorePath, `${existing}${separator}${entry}\n`);
+}
+
+/**
+ * Check whether a command can be found on PATH.
+ *
+ * @param {string} command - Executable name
+ * @returns {boolean}
+ */
+function isOnPath(command) {
+    const extensions = process.platform === 'win32'
+        ? (process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';')
+        : [''];
+    return (process.env.PATH || '').split(path.delimiter).filter(Boolean).some(dir =>
+        extensions.some(ext => fs.existsSync(path.join(dir, command + ext))));
+}
+
+/**
+ * Work out the bootstrap commands for a freshly checked out worktree.
+ *
+ * @param {string} worktreePath - Worktree directory
+ * @param {{flutter?: string, dart?: string, melos?: string, codegen?: boolean, hooks?: string[]}} options
+ *   codegen: false skips build_runner; hooks are shell commands run last in the worktree root.
+ *   build_runner runs through `dart run`, or the deprecated `flutter pub run` when dart is not on PATH
+ * @returns {Array<{name: string, cwd: string, command: string, args: string[], shell: boolean}>}
+ */
+function planBootstrap(worktreePath, options = {}) {
+    const flutter = options.flutter || 'flutter';
+    const workspace = discoverWorkspace(worktreePath);
+    const steps = [];
+    const label = (dir) => path.relative(worktreePath, dir).split(path.sep).join('/') || '.';
+
+    if (workspace.type === 'melos') {
+        steps.push({ name: 'melos bootstrap', cwd: workspace.root, command: options.melos || 'melos', args: ['bootstrap'], shell: false });
+    } else if (workspace.type === 'pub-workspace' || workspace.type === 'single') {
+        steps.push({ name: `pub get (${label(workspace.root)})`, cwd: workspace.root, command: flutter, args: ['pub', 'get'], shell: false });
+    } else if (workspace.type === 'multi') {
+        for (const pkg of workspace.packages) {
+            steps.push({ name: `pub get (${label(pkg.dir)})`, cwd: pkg.dir, command: flutter, args: ['pub', 'get'], shell: false });
+        }
+    }
+
+    if (options.codegen !== false) {
+        const dart = options.dart || (isOnPath('dart') ? 'dart' : null);
+        const codegen = dart
+            ? { command: dart, args: ['run', 'build_runner', 'build', '--delete-conflicting-outputs'] }
+            : { command: flutter, args: ['pub', 'run', 'build_runner', 'build', '--delete-conflicting-outputs'] };
+        for (const pkg of workspace.packages) {
+            const pubspec = readPubspec(pkg.dir);
+            const deps = pubspec ? { ...pubspec.dependencies, ...pubspec.devDependencies } : {};
+            if (!deps.build_runner) continue;
+            steps.push({
+                name: `build_runner (${label(pkg.dir)})`,
+                cwd: pkg.dir,
+                ...codegen,
+                shell: false
+            });
+        }
+    }
+
+    for (const hook of options.hooks || []) {
+        steps.push({ name: hook, cwd: worktreePath, command: hook, args: [], shell: true });
+    }
+    return steps;
+}
+
+/**
+ * Run bootstrap steps in order, stopping at the first failure.
+ *
+ * @param {Array} steps - planBootstrap result
+ * @param {{timeout?: number}} options - timeout per step in milliseconds
+ * @returns {Array<{name: string, cwd: string, status: string, exitCode: number|null, output: string}>}
+ *   status is ok, failed or skipped (after an earlier failure); output is the tail of stdout+stderr
+ */
+function runBootstrap(steps, options = {}) {
+    const results = [];
+    let failed = false;
+    for (const step of steps) {
+        if (failed) {
+            results.push({ name: step.name, cwd: step.cwd, status: 'skipped', exitCode: null, output: '' });
+            continue;
+        }
+        const result = spawnSync(step.command, step.args, {
+            cwd: step.cwd,
+            shell: step.shell,
+            encoding: 'utf8',
+            timeout: options.timeout || DEFAULT_STEP_TIMEOUT,
+            maxBuffer: 64 * 1024 * 1024
+        });
+        const output = result.error
+            ? result.error.message
+            : `${result.stdout || ''}${result.stderr || ''}`.trim().slice(-MAX_STEP_OUTPUT);
+        const ok = !result.error && result.status === 0;
+        results.push({ name: step.name, cwd: step.cwd, status: ok ? 'ok' : 'failed', exitCode: result.status, output });
+        failed = !ok;
+    }
+    return results;
+}
+
+/**
+ * Create a worktree for a branch and bootstrap it.
+ *
+ * @param {string} repoDir - Any directory in the repository
+ * @param {{branch: string, base?: string, path?: string, location?: string, fixGitignore?: boolean,
+ *   bootstrap?: boolean, codegen?: boolean, hooks?: string[], flutter?: string, dart?: string, melos?: string, timeout?: number}} options
+ *   base is the start point for a new branch (default HEAD); an existing branch is checked out as is;
+ *   fixGitignore adds the worktree directory to .gitignore instead of failing; bootstrap: false skips setup
+ * @returns {{path: string, branch: string, newBranch: boolean, base: string|null, gitignoreEntry: string|null,
+ *   steps: Array, ready: boolean}}
+ *   gitignoreEntry is the line added to .gitignore by fixGitignore; ready is false when a bootstrap step failed (the worktree is kept)
+ * @throws {Error} - When the branch is already checked out, the path exists or is not gitignored
+ */
+function createWorktree(repoDir, options) {
+    if (!options || !options.branch) throw new Error('A branch name is required');
+    const { branch } = options;
+    const repo = getRepository(repoDir);
+
+    if (!gitSucceeds(['check-ref-format', '--branch', branch], repo.root)) {
+        throw new Error(`Invalid branch name: ${branch}`);
+    }
+    const checkedOut = repo.worktrees.find(worktree => worktree.branch === branch);
+    if (checkedOut) throw new Error(`Branch ${branch} is already checked out at ${checkedOut.path}`);
+
+    const worktreePath = options.path ? path.resolve(options.path) : defaultWorktreePath(repo.root, branch, options);
+    if (fs.existsSync(worktreePath) && fs.readdirSync(worktreePath).length) {
+        throw new Error(`${worktreePath} already exists and is not empty`);
+    }
+
+    const ignore = checkWorktreeIgnored(repo.root, worktreePath);
+    let gitignoreEntry = null;
+    if (!ignore.ignored) {
+        if (!options.fixGitignore) {
+            throw new Error(`${path.relative(repo.root, worktreePath)} is inside the repository but not gitignored; add "${ignore.entry}" to .gitignore`);
+        }
+        addGitignoreEntry(repo.root, ignore.entry);
+        gitignoreEntry = ignore.entry;
+    }
+
+    const newBranch = !gitSucceeds(['show-ref', '--verify', '--quiet', `refs/heads/${branch}`], repo.root);
+    const base = newBranch ? options.base || 'HEAD' : null;
+    git(newBranch
+        ? ['worktree', 'add', '-b', branch, worktreePath, base]
+        : ['worktree', 'add', worktreePath, branch], repo.root);
+
+    const steps = options.bootstrap === false ? [] : runBootstrap(planBootstrap(worktreePath, options), options);
+    return { path: worktreePath, branch, newBranch, base, gitignoreEntry, steps, ready: steps.every(step => step.status === 'ok') };
+}
+
+/**
+ * The branch worktrees are merged into: origin's HEAD, else main, else master.
+ *
+ * @param {string} repoRoot - Main worktree
+ * @returns {string|null}
+ */
+function defaultBaseBranch(repoRoot) {
+    try {
+        return git(['symbolic-ref', '--short', 'refs/remotes/origin/HEAD'], repoRoot).replace(/^origin\//, '');
+    } catch (error) {
+        return ['main', 'master'].find(name => gitSucceeds(['show-ref', '--verify', '--quiet', `refs/heads/${name}`], repoRoot)) || null;
+    }
+}
+
+/**
+ * Whether anything was ever committed on a branch, so a branch that was
+ * just created from base does not count as merged. Uses the branch reflog;
+ * without one, a branch is only considered worked on when base moved past it.
+ *
+ * @param {string} branch - Branch name
+ * @param {string} repoRoot - Main worktree
+ * @param {number} behind - Commits on base that the branch lacks
+ * @returns {boolean}
+ */
+function hasOwnCommits(branch, repoRoot, behind) {
+    try {
+        const entries = git(['reflog', 'show', '--format=%gs', `refs/heads/${branch}`], repoRoot);
+        if (entries) return entries.split('\n').length > 1;
+    } catch (error) {
+        // no reflog for this branch
+    }
+    return behind > 0;
+}
+
+/**
+ * Count uncommitted changes in a worktree.
+ *
+ * @param {string} worktreePath - Worktree directory
+ * @returns {{staged: number, modified: number, untracked: number}|null} - null when git status fails
+ */
+function dirtyState(worktreePath) {
+    let output;
+    try {
+        output = git(['status', '--porcelain'], worktreePath, true);
+    } catch (error) {
+        return null;
+    }
+    const state = { staged: 0, modified: 0, untracked: 0 };
+    for (const line of output ? output.split('\n') : []) {
+        if (line.startsWith('??')) {
+            state.untracked++;
+            continue;
+        }
+        if (line[0] !== ' ') state.staged++;
+        if (line[1] !== ' ') state.modified++;
+    }
+    return state;
+}
+
+/**
+ * List worktrees with branch, dirty, lock, dependency and staleness state.
+ *
+ * @param {string} repoDir - Any directory in the repository
+ * @param {{base?: string}} options - base is the branch used for merged/ahead/behind (default: defaultBaseBranch)
+ * @returns {{root: string, base: string|null, worktrees: Array<{path: string, main: boolean, branch: string|null,
+ *   head: string|null, detached: boolean, exists: boolean, locked: string|null, dirty: Object|null,
+ *   ahead: number|null, behind: number|null, merged: boolean|null, dependencies: string|null, stale: string|null}>}}
+ *   dependencies is 'ready', 'missing' (no .dart_tool/package_config.json) or null without pubspec.yaml;
+ *   stale is 'missing' (directory gone), 'merged' (clean and merged into base) or null
+ */
+function listWorktrees(repoDir, options = {}) {
+    const repo = getRepository(repoDir);
+    const base = options.base || defaultBaseBranch(repo.root);
+
+    const worktrees = repo.worktrees.filter(worktree => !worktree.bare).map(worktree => {
+        const exists = fs.existsSync(worktree.path);
+        const main = worktree.path === repo.root;
+        const dirty = exists ? dirtyState(worktree.path) : null;
+        const isDirty = Boolean(dirty && (dirty.staged || dirty.modified || dirty.untracked));
+
+        let ahead = null;
+        let behind = null;
+        let merged = null;
+        if (base && worktree.branch && worktree.branch !== base) {
+            try {
+                [behind, ahead] = git(['rev-list', '--left-right', '--count', `${base}...${worktree.branch}`], repo.root)
+                    .split(/\s+/).map(Number);
+                merged = ahead === 0 && hasOwnCommits(worktree.branch, repo.root, behind);
+            } catch (error) {
+                // base or branch unresolvable: leave the counts unknown
+            }
+        }
+
+        let dependencies = null;
+        if (exists && fs.existsSync(path.join(worktree.path, 'pubspec.yaml'))) {
+            dependencies = fs.existsSync(path.join(worktree.path, '.dart_tool', 'package_config.json')) ? 'ready' : 'missing';
+        }
+
+        let stale = null;
+        if (!main && (!exists || worktree.prunable !== null)) stale = 'missing';
+        else if (!main && merged && !isDirty) stale = 'merged';
+
+        return {
+            path: worktree.path,
+            main,
+            branch: worktree.branch,
+            head: worktree.head,
+            detached: worktree.detached,
+            exists,
+            locked: worktree.locked,
+            dirty,
+            ahead,
+            behind,
+            merged,
+            dependencies,
+            stale
+        };
+    });
+
+    return { root: repo.root, base, worktrees };
+}
+
+/**
+ * Remove a worktree, optionally deleting its branch.
+ *
+ * @param {string} repoDir - Any directory in the repository
+ * @param {string} target - Worktree path or branch name
+ * @param {{force?: boolean, deleteBranch?: boolean}} options
+ *   force discards uncommitted changes, removes locked worktrees and deletes unmerged branches
+ * @returns {{path: string, branch: string|null, removed: boolean, pruned: boolean, branchDeleted: boolean}}
+ *   pruned is true when the directory was already gone and only git's record was dropped
+ * @throws {Error} - For the main worktree, unknown targets, dirty or locked worktrees without force
+ */
+function removeWorktree(repoDir, target, options = {}) {
+    const { root, worktrees } = listWorktrees(repoDir);
+    const resolved = fs.existsSync(target) ? fs.realpathSync(target) : path.resolve(target);
+    const worktree = worktrees.find(entry => entry.path === resolved)
+        || worktrees.find(entry => entry.branch === target);
+    if (!worktree) throw new Error(`No worktree for ${target}`);
+    if (worktree.main) throw new Error('Refusing to remove the main worktree');
+
+    const dirty = worktree.dirty && (worktree.dirty.staged || worktree.dirty.modified || worktree.dirty.untracked);
+    if (dirty && !options.force) {
+        throw new Error(`${worktree.path} has uncommitted changes (${worktree.dirty.staged} staged, ${worktree.dirty.modified} modified, ${worktree.dirty.untracked} untracked); use force to discard them`);
+    }
+    if (worktree.locked !== null && !options.force) {
+        throw new Error(`${worktree.path} is locked${worktree.locked ? ` (${worktree.locked})` : ''}; use force to remove it`);
+    }
+
+    let pruned = false;
+    if (worktree.exists) {
+        const force = options.force ? (worktree.locked !== null ? ['--force', '--force'] : ['--force']) : [];
+        git(['worktree', 'remove', ...force, worktree.path], root);
+    } else {
+        if (worktree.locked !== null) git(['worktree', 'unlock', worktree.path], root);
+        git(['worktree', 'prune'], root);
+        pruned = true;
+    }
+
+    let branchDeleted = false;
+    if (options.deleteBranch && worktree.branch) {
+        git(['branch', options.force ? '-D' : '-d', worktree.branch], root);
+        branchDeleted = true;
+    }
+
+    return { path: worktree.path, branch: worktree.branch, removed: true, pruned, branchDeleted };
+}
+
+/**
+ * Drop git's records of worktrees whose directories are gone.
+ *
+ * @param {string} repoDir - Any directory in the repository
+ * @param {{dryRun?: boolean}} options
+ * @returns {string[]} - Paths that were (or would be) pruned
+ */
+function pruneWorktrees(repoDir, options = {}) {
+    const { worktrees } = listWorktrees(repoDir);
+    const stale = worktrees.filter(worktree => worktree.stale === 'missing' && worktree.locked === null).map(worktree => worktree.path);
+    if (!options.dryRun && stale.length) git(['worktree', 'prune'], getRepository(repoDir).root);
+    return stale;
+}
+
+/**
+ * Render listWorktrees output as text.
+ *
+ * @param {Object} list - listWorktrees result
+ * @returns {string}
+ */
+function formatWorktreeList(list) {
+    const lines = [];
+    for (const worktree of list.worktrees) {
+        const flags = [];
+        if (worktree.main) flags.push('main');
+        if (worktree.dirty && (worktree.dirty.staged || worktree.dirty.modified || worktree.dirty.untracked)) {
+            flags.push(`dirty: ${worktree.dirty.staged} staged, ${worktree.dirty.modified} modified, ${worktree.dirty.untracked} untracked`);
+        } else if (worktree.dirty) {
+            flags.push('clean');
+        }
+        if (worktree.ahead !== null) flags.push(`${worktree.ahead} ahead, ${worktree.behind} behind ${list.base}`);
+        if (worktree.locked !== null) flags.push(`locked${worktree.locked ? `: ${worktree.locked}` : ''}`);
+        if (worktree.dependencies === 'missing') flags.push('dependencies not fetched');
+        if (worktree.stale === 'missing') flags.push('stale: directory missing');
+        if (worktree.stale === 'merged') flags.push(`stale: merged into ${list.base}`);
+
+        const ref = worktree.branch || (worktree.detached ? `(detached ${String(worktree.head).slice(0, 7)})` : '-');
+        lines.push(`${ref}  ${worktree.path}`);
+        lines.push(`  ${flags.join(', ')}`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+export {
+    parseWorktreeList,
+    getRepository,
+    branchSlug,
+    defaultWorktreePath,
+    checkWorktreeIgnored,
+    planBootstrap,
+    runBootstrap,
+    createWorktree,
+    listWorktrees,
+    removeWorktree,
+    pruneWorktrees,
+    formatWorktreeList
+};
@@ -0,0 +1,179 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { test, before, after } from 'node:test';
+import { fileURLToPath } from 'url';
+import {
+    parseWorktreeList,
+    branchSlug,
+    planBootstrap,
+    runBootstrap,
+    createWorktree,
+    listWorktrees,
+    removeWorktree,
+    pruneWorktrees,
+    formatWorktreeList
+} from './worktrees.js';
+
+const WORKSPACES = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../tests/fixtures/workspaces');
+const CODEGEN = 'build_runner build --delete-conflicting-outputs';
+const GIT_ENV = {
+    ...process.env,
+    GIT_AUTHOR_NAME: 'test',
+    GIT_AUTHOR_EMAIL: 'test@example.com',
+    GIT_COMMITTER_NAME: 'test',
+    GIT_COMMITTER_EMAIL: 'test@example.com'
+};
+
+let root;
+let repo;
+
+function git(cwd, ...args) {
+    return execFileSync('git', args, { cwd, env: GIT_ENV, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+}
+
+function commit(cwd, file, message) {
+    fs.writeFileSync(path.join(cwd, file), message);
+    git(cwd, 'add', '.');
+    git(cwd, 'commit', '-q', '-m', message);
+}
+
+function brief(steps) {
+    return steps.map(step => `${step.name}: ${step.command} ${step.args.join(' ')}`.trim());
+}
+
+before(() => {
+    root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'flutter-craft-worktrees-')));
+    repo = path.join(root, 'app');
+    git(root, 'init', '-q', 'app');
+    git(repo, 'checkout', '-q', '-b', 'main');
+    fs.writeFileSync(path.join(repo, 'pubspec.yaml'), 'name: app\n\ndependencies:\n  flutter:\n    sdk: flutter\n');
+    commit(repo, 'README.md', 'initial');
+});
+
+after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('parseWorktreeList reads branches, detached heads, locks and prunable entries', () => {
+    const list = parseWorktreeList([
+        'worktree /work/app', 'HEAD 1111111', 'branch refs/heads/main', '',
+        'worktree /work/app-spike', 'HEAD 2222222', 'detached', 'locked on a usb drive', '',
+        'worktree /work/app-old', 'HEAD 3333333', 'branch refs/heads/feature/old', 'prunable gitdir file points to non-existent location', ''
+    ].join('\n'));
+
+    assert.deepEqual(list.map(entry => [entry.path, entry.branch, entry.detached, entry.locked, entry.prunable]), [
+        ['/work/app', 'main', false, null, null],
+        ['/work/app-spike', null, true, 'on a usb drive', null],
+        ['/work/app-old', 'feature/old', false, null, 'gitdir file points to non-existent location']
+    ]);
+    assert.equal(branchSlug('feature/auth login'), 'feature-auth-login');
+});
+
+test('planBootstrap runs melos bootstrap and build_runner only where it is a dependency', () => {
+    const steps = planBootstrap(path.join(WORKSPACES, 'melos'), { dart: 'dart', hooks: ['cp ../.env .env'] });
+
+    assert.deepEqual(brief(steps), [
+        'melos bootstrap: melos bootstrap',
+        `build_runner (apps/shop): dart run ${CODEGEN}`,
+        'cp ../.env .env: cp ../.env .env'
+    ]);
+    assert.equal(steps[1].cwd, path.join(WORKSPACES, 'melos', 'apps', 'shop'));
+    assert.equal(steps[2].shell, true);
+});
+
+test('planBootstrap fetches each package of a repo without a workspace', () => {
+    const steps = planBootstrap(path.join(WORKSPACES, 'multi'), { dart: '/opt/dart/bin/dart', flutter: 'fvm flutter' });
+
+    assert.deepEqual(brief(steps), [
+        'pub get (admin): fvm flutter pub get',
+        'pub get (mobile): fvm flutter pub get',
+        `build_runner (mobile): /opt/dart/bin/dart run ${CODEGEN}`
+    ]);
+    assert.deepEqual(brief(planBootstrap(path.join(WORKSPACES, 'multi'), { codegen: false })), [
+        'pub get (admin): flutter pub get',
+        'pub get (mobile): flutter pub get'
+    ]);
+});
+
+test('planBootstrap falls back to flutter pub run when dart is not on PATH', () => {
+    const savedPath = process.env.PATH;
+    process.env.PATH = path.join(root, 'no-such-bin');
+    try {
+        const steps = planBootstrap(path.join(WORKSPACES, 'multi'));
+        assert.equal(brief(steps)[2], `build_runner (mobile): flutter pub run ${CODEGEN}`);
+    } finally {
+        process.env.PATH = savedPath;
+    }
+});
+
+test('runBootstrap stops at the first failing step', () => {
+    const node = (code) => ({ name: `exit ${code}`, cwd: root, command: process.execPath, args: ['-e', `console.log('step'); process.exit(${code})`], shell: false });
+    const results = runBootstrap([node(0), node(3), node(0)]);
+
+    assert.deepEqual(results.map(result => [result.name, result.status, result.exitCode]), [
+        ['exit 0', 'ok', 0],
+        ['exit 3', 'failed', 3],
+        ['exit 0', 'skipped', null]
+    ]);
+    assert.equal(results[1].output, 'step');
+});
+
+test('createWorktree requires a gitignored project directory and can add the entry', () => {
+    fs.mkdirSync(path.join(repo, '.worktrees'));
+    assert.throws(() => createWorktree(repo, { branch: 'feature/login', bootstrap: false }),
+        /\.worktrees\/feature-login is inside the repository but not gitignored; add "\/\.worktrees\/" to \.gitignore/);
+
+    const created = createWorktree(repo, { branch: 'feature/login', bootstrap: false, fixGitignore: true });
+    assert.deepEqual(created, {
+        path: path.join(repo, '.worktrees', 'feature-login'),
+        branch: 'feature/login',
+        newBranch: true,
+        base: 'HEAD',
+        gitignoreEntry: '/.worktrees/',
+        steps: [],
+        ready: true
+    });
+    assert.equal(fs.readFileSync(path.join(repo, '.gitignore'), 'utf8'), '/.worktrees/\n');
+    assert.throws(() => createWorktree(repo, { branch: 'feature/login', bootstrap: false }), /already checked out at/);
+    assert.throws(() => createWorktree(repo, { branch: 'bad..name', bootstrap: false }), /Invalid branch name/);
+});
+
+test('listWorktrees reports missing dependencies and branches merged into base', () => {
+    const worktreePath = path.join(repo, '.worktrees', 'feature-login');
+    let feature = listWorktrees(repo).worktrees.find(entry => entry.branch === 'feature/login');
+    assert.deepEqual([feature.dependencies, feature.ahead, feature.behind, feature.merged, feature.stale], ['missing', 0, 0, false, null]);
+
+    commit(worktreePath, 'login.md', 'add login');
+    git(repo, 'merge', '-q', '--ff-only', 'feature/login');
+    const list = listWorktrees(repo);
+    feature = list.worktrees.find(entry => entry.branch === 'feature/login');
+    assert.equal(list.base, 'main');
+    assert.deepEqual([feature.merged, feature.stale], [true, 'merged']);
+    assert.match(formatWorktreeList(list), /feature\/login {2}.*\n {2}clean, 0 ahead, 0 behind main, dependencies not fetched, stale: merged into main\n/);
+});
+
+test('removeWorktree refuses dirty worktrees without force and deletes the branch', () => {
+    const worktreePath = path.join(repo, '.worktrees', 'feature-login');
+    fs.writeFileSync(path.join(worktreePath, 'notes.txt'), 'wip');
+    assert.throws(() => removeWorktree(repo, 'feature/login'), /0 staged, 0 modified, 1 untracked/);
+    assert.throws(() => removeWorktree(repo, repo), /Refusing to remove the main worktree/);
+
+    fs.rmSync(path.join(worktreePath, 'notes.txt'));
+    const removed = removeWorktree(repo, worktreePath, { deleteBranch: true });
+    assert.deepEqual(removed, { path: worktreePath, branch: 'feature/login', removed: true, pruned: false, branchDeleted: true });
+    assert.equal(git(repo, 'branch', '--list', 'feature/login'), '');
+});
+
+test('pruneWorktrees drops worktrees whose directory was deleted', () => {
+    const created = createWorktree(repo, { branch: 'spike', location: 'sibling', bootstrap: false });
+    assert.equal(created.path, path.join(root, 'app-spike'));
+    fs.rmSync(created.path, { recursive: true, force: true });
+
+    assert.equal(listWorktrees(repo).worktrees.find(entry => entry.branch === 'spike').stale, 'missing');
+    assert.deepEqual(pruneWorktrees(repo, { dryRun: true }), [created.path]);
+    assert.deepEqual(pruneWorktrees(repo), [created.path]);
+    assert.deepEqual(listWorktrees(repo).worktrees.map(entry => entry.branch), ['main']);
+});
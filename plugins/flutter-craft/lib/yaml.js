@@ -0,0 +1,626 @@
+/**
+ * Minimal YAML parser for skill frontmatter and pubspec-style files.
+ *
+ * Supports the subset these files actually use:
+ * - block mappings (plain, quoted and hyphenated keys)
+ * - block sequences, including "- key: value" items
+ * - literal (|) and folded (>) block scalars with chomping indicators
+ * - single and double quoted strings (multi-line allowed)
+ * - flow sequences and mappings ([a, b], {a: 1})
+ * - comments, plain multi-line scalars, core-schema null/bool/number
+ *
+ * Anchors, aliases, tags and multi-document streams are not supported.
+ */
+
+class YamlError extends Error {
+    /**
+     * @param {string} message - What went wrong
+     * @param {number} line - 1-based line number where it went wrong
+     */
+    constructor(message, line) {
+        super(`${message} (line ${line})`);
+        this.name = 'YamlError';
+        this.reason = message;
+        this.line = line;
+    }
+}
+
+/**
+ * Split raw text into line records.
+ *
+ * @param {string} text - YAML source
+ * @param {number} lineOffset - Added to every reported line number
+ * @returns {Array<{num: number, raw: string, indent: number, text: string, blank: boolean}>}
+ */
+function tokenizeLines(text, lineOffset) {
+    return text.replace(/\r\n?/g, '\n').split('\n').map((raw, index) => {
+        const num = index + 1 + lineOffset;
+        const indent = raw.match(/^ */)[0].length;
+        const rest = raw.slice(indent);
+        const trimmed = rest.trim();
+        const blank = trimmed === '' || trimmed.startsWith('#');
+
+        if (!blank && rest.startsWith('\t')) {
+            throw new YamlError('Tabs are not allowed for indentation', num);
+        }
+
+        return { num, raw, indent, text: rest.replace(/\s+$/, ''), blank };
+    });
+}
+
+/**
+ * Resolve a plain scalar using the YAML 1.2 core schema.
+ *
+ * @param {string} value - Plain scalar text
+ * @returns {string|number|boolean|null}
+ */
+function resolvePlain(value) {
+    if (value === '' || value === '~' || /^(null|Null|NULL)$/.test(value)) return null;
+    if (/^(true|True|TRUE)$/.test(value)) return true;
+    if (/^(false|False|FALSE)$/.test(value)) return false;
+    if (/^[-+]?[0-9]+$/.test(value)) return parseInt(value, 10);
+    if (/^0x[0-9a-fA-F]+$/.test(value)) return parseInt(value, 16);
+    if (/^0o[0-7]+$/.test(value)) return parseInt(value.slice(2), 8);
+    if (/^[-+]?(\.[0-9]+|[0-9]+(\.[0-9]*)?)([eE][-+]?[0-9]+)?$/.test(value)) return parseFloat(value);
+    if (/^[-+]?\.(inf|Inf|INF)$/.test(value)) return value.startsWith('-') ? -Infinity : Infinity;
+    if (/^\.(nan|NaN|NAN)$/.test(value)) return NaN;
+    return value;
+}
+
+/**
+ * Strip a trailing " # comment" from a plain scalar.
+ *
+ * @param {string} value - Plain scalar text
+ * @returns {string}
+ */
+function stripComment(value) {
+    const match = value.match(/(^|\s)#/);
+    return (match ? value.slice(0, match.index) : value).trim();
+}
+
+/**
+ * Read a quoted string starting at `start`.
+ *
+ * @param {string} text - Source text (may span several lines joined with \n)
+ * @param {number} start - Index of the opening quote
+ * @param {number} lineNum - Line number for error reporting
+ * @returns {{value: string, end: number} | null} - null if the quote is not closed
+ */
+function readQuoted(text, start, lineNum) {
+    const quote = text[start];
+    let value = '';
+    let i = start + 1;
+
+    while (i < text.length) {
+        const ch = text[i];
+
+        if (quote === "'" && ch === "'") {
+            if (text[i + 1] === "'") {
+                value += "'";
+                i += 2;
+                continue;
+            }
+            return { value: foldQuoted(value), end: i + 1 };
+        }
+
+        if (quote === '"' && ch === '\\') {
+            const next = text[i + 1];
+            // A backslash ending the text so far escapes the line break that follows
+            if (next === undefined) return null;
+            const escapes = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\', '/': '/', '0': '\0', ' ': ' ', b: '\b', e: '\x1b' };
+            if (next in escapes) {
+                value += markEscape(escapes[next]);
+                i += 2;
+                continue;
+            }
+            if (next === 'u' || next === 'x' || next === 'U') {
+                const length = { x: 2, u: 4, U: 8 }[next];
+                const hex = text.slice(i + 2, i + 2 + length);
+                if (!new RegExp(`^[0-9a-fA-F]{${length}}$`).test(hex)) {
+                    throw new YamlError(`Invalid escape sequence \\${next}${hex}`, lineNum);
+                }
+                value += markEscape(String.fromCodePoint(parseInt(hex, 16)));
+                i += 2 + length;
+                continue;
+            }
+            if (next === '\n') {
+                // Escaped line break: join without a space
+                i += 2;
+                while (text[i] === ' ' || text[i] === '\t') i++;
+                continue;
+            }
+            throw new YamlError(`Invalid escape sequence \\${next}`, lineNum);
+        }
+
+        if (quote === '"' && ch === '"') {
+            return { value: foldQuoted(value), end: i + 1 };
+        }
+
+        value += ch;
+        i++;
+    }
+
+    return null;
+}
+
+/**
+ * Mark an escaped character by its code point, so the marker holds no
+ * whitespace or line break that folding could trim or split on.
+ *
+ * @param {string} char - Decoded character
+ * @returns {string}
+ */
+function markEscape(char) {
+    return `\u0000${char.codePointAt(0).toString(16)};`;
+}
+
+/**
+ * Apply line folding to a multi-line quoted scalar and restore escapes.
+ * Escaped characters are marked by markEscape so folding leaves them alone.
+ *
+ * @param {string} value - Raw quoted content
+ * @returns {string}
+ */
+function foldQuoted(value) {
+    let folded = value;
+    if (value.includes('\n')) {
+        const parts = value.split('\n').map((part, index, all) => {
+            if (index === 0) return part.replace(/[ \t]+$/, '');
+            if (index === all.length - 1) return part.replace(/^[ \t]+/, '');
+            return part.trim();
+        });
+        folded = '';
+        let pendingBreaks = 0;
+        parts.forEach((part, index) => {
+            if (index === 0) {
+                folded = part;
+                return;
+            }
+            if (part === '' && index < parts.length - 1) {
+                pendingBreaks++;
+                return;
+            }
+            folded += pendingBreaks > 0 ? '\n'.repeat(pendingBreaks) : ' ';
+            folded += part;
+            pendingBreaks = 0;
+        });
+    }
+    return folded.replace(/\u0000([0-9a-f]+);/g, (match, code) => String.fromCodePoint(parseInt(code, 16)));
+}
+
+/**
+ * Parse a flow collection ([...] or {...}) or flow scalar.
+ *
+ * @param {string} text - Source text
+ * @param {number} lineNum - Line number for error reporting
+ * @returns {*}
+ */
+function parseFlow(text, lineNum) {
+    let i = 0;
+
+    function skipSpace() {
+        while (i < text.length && /\s/.test(text[i])) i++;
+    }
+
+    function parseValue(terminators) {
+        skipSpace();
+        const ch = text[i];
+
+        if (ch === '[') {
+            i++;
+            const list = [];
+            skipSpace();
+            if (text[i] === ']') {
+                i++;
+                return list;
+            }
+            while (i < text.length) {
+                list.push(parseValue(',]'));
+                skipSpace();
+                if (text[i] === ',') {
+                    i++;
+                    skipSpace();
+                    if (text[i] === ']') {
+                        i++;
+                        return list;
+                    }
+                    continue;
+                }
+                if (text[i] === ']') {
+                    i++;
+                    return list;
+                }
+                throw new YamlError('Expected "," or "]" in flow sequence', lineNum);
+            }
+            throw new YamlError('Unterminated flow sequence', lineNum);
+        }
+
+        if (ch === '{') {
+            i++;
+            const map = {};
+            skipSpace();
+            if (text[i] === '}') {
+                i++;
+                return map;
+            }
+            while (i < text.length) {
+                const key = parseValue(':,}');
+                skipSpace();
+                let value = null;
+                if (text[i] === ':') {
+                    i++;
+                    value = parseValue(',}');
+                    skipSpace();
+                }
+                map[String(key)] = value;
+                if (text[i] === ',') {
+                    i++;
+                    skipSpace();
+                    if (text[i] === '}') {
+                        i++;
+                        return map;
+                    }
+                    continue;
+                }
+                if (text[i] === '}') {
+                    i++;
+                    return map;
+                }
+                throw new YamlError('Expected "," or "}" in flow mapping', lineNum);
+            }
+            throw new YamlError('Unterminated flow mapping', lineNum);
+        }
+
+        if (ch === '"' || ch === "'") {
+            const quoted = readQuoted(text, i, lineNum);
+            if (!quoted) throw new YamlError('Unterminated quoted string', lineNum);
+            i = quoted.end;
+            return quoted.value;
+        }
+
+        const start = i;
+        while (i < text.length && !terminators.includes(text[i])) {
+            // "a:b" is a plain scalar; only ": " ends a flow key
+            if (text[i] === ':' && terminators.includes(':') && !/\s|,|}|]/.test(text[i + 1] || ' ')) {
+                i++;
+                continue;
+            }
+            i++;
+        }
+        return resolvePlain(text.slice(start, i).trim());
+    }
+
+    const value = parseValue('');
+    skipSpace();
+    if (i < text.length && !text.slice(i).startsWith('#')) {
+        throw new YamlError(`Unexpected content after flow collection: "${text.slice(i)}"`, lineNum);
+    }
+    return value;
+}
+
+/**
+ * Split "key: value" into its parts.
+ *
+ * @param {string} text - Line content without indentation
+ * @param {number} lineNum - Line number for error reporting
+ * @returns {{key: string, rest: string} | null} - null if the line is not a mapping entry
+ */
+function splitKey(text, lineNum) {
+    if (text.startsWith('"') || text.startsWith("'")) {
+        const quoted = readQuoted(text, 0, lineNum);
+        if (!quoted) return null;
+        const after = text.slice(quoted.end);
+        const match = after.match(/^\s*:(?:\s+|$)/);
+        if (!match) return null;
+        return { key: quoted.value, rest: after.slice(match[0].length) };
+    }
+
+    if (/^[\[{]/.test(text) || /^-(\s|$)/.test(text)) return null;
+
+    const match = text.match(/:(\s+|$)/);
+    if (!match) return null;
+    const key = text.slice(0, match.index);
+    if (/(^|\s)#/.test(key)) return null;
+    return { key: key.trim(), rest: text.slice(match.index + match[0].length) };
+}
+
+/**
+ * Parse a YAML document and record where each mapping key was defined.
+ *
+ * @param {string} text - YAML source
+ * @param {{lineOffset?: number}} options - lineOffset is added to reported line numbers
+ * @returns {{value: *, positions: Object<string, number>}} - positions maps dotted key paths to line numbers
+ * @throws {YamlError} - On malformed input, with the offending line number
+ */
+function parseYamlDocument(text, options = {}) {
+    const lineOffset = options.lineOffset || 0;
+    const lines = tokenizeLines(text, lineOffset);
+    const positions = {};
+    let pos = 0;
+
+    function skipBlank() {
+        while (pos < lines.length && lines[pos].blank) pos++;
+    }
+
+    function peek() {
+        skipBlank();
+        return pos < lines.length ? lines[pos] : null;
+    }
+
+    function isSequenceEntry(line) {
+        return /^-(\s|$)/.test(line.text);
+    }
+
+    function parseNode(indent, path) {
+        const line = peek();
+        if (!line || line.indent < indent) return null;
+
+        if (isSequenceEntry(line)) return parseSequence(line.indent, path);
+        if (splitKey(line.text, line.num)) return parseMapping(line.indent, path);
+
+        pos++;
+        return parseInlineValue(line.text, line, line.indent - 1, path);
+    }
+
+    function parseMapping(indent, path) {
+        const map = {};
+
+        while (true) {
+            const line = peek();
+            if (!line || line.indent < indent) break;
+            if (line.indent > indent) {
+                throw new YamlError('Unexpected indentation', line.num);
+            }
+
+            const entry = splitKey(line.text, line.num);
+            if (!entry) {
+                if (isSequenceEntry(line)) break;
+                throw new YamlError(`Expected "key: value" but found "${line.text}"`, line.num);
+            }
+            if (Object.prototype.hasOwnProperty.call(map, entry.key)) {
+                throw new YamlError(`Duplicate key "${entry.key}"`, line.num);
+            }
+
+            const childPath = path ? `${path}.${entry.key}` : entry.key;
+            positions[childPath] = line.num;
+            pos++;
+
+            if (stripComment(entry.rest) === '') {
+                const next = peek();
+                if (next && next.indent > indent) {
+                    map[entry.key] = parseNode(next.indent, childPath);
+                } else if (next && next.indent === indent && isSequenceEntry(next)) {
+                    // Sequences may sit at the same indentation as their key
+                    map[entry.key] = parseSequence(indent, childPath);
+                } else {
+                    map[entry.key] = null;
+                }
+            } else {
+                map[entry.key] = parseInlineValue(entry.rest, line, indent, childPath);
+            }
+        }
+
+        return map;
+    }
+
+    function parseSequence(indent, path) {
+        const list = [];
+
+        while (true) {
+            const line = peek();
+            if (!line || line.indent < indent) break;
+            if (line.indent > indent) {
+                throw new YamlError('Unexpected indentation', line.num);
+            }
+            if (!isSequenceEntry(line)) break;
+
+            const childPath = path ? `${path}.${list.length}` : String(list.length);
+            const rest = line.text.slice(1);
+            const content = rest.replace(/^\s+/, '');
+
+            if (content === '' || content.startsWith('#')) {
+                pos++;
+                const next = peek();
+                list.push(next && next.indent > indent ? parseNode(next.indent, childPath) : null);
+                continue;
+            }
+
+            // Re-read the entry content as a node indented at its own column
+            const column = indent + 1 + (rest.length - content.length);
+            lines[pos] = { ...line, indent: column, text: content };
+            list.push(parseNode(column, childPath));
+        }
+
+        return list;
+    }
+
+    function parseInlineValue(rest, line, parentIndent, path) {
+        const value = rest.trim();
+
+        if (/^[|>]/.test(value)) {
+            return parseBlockScalar(value, line, parentIndent);
+        }
+
+        if (value.startsWith('[') || value.startsWith('{')) {
+            let source = value;
+            const end = findFlowEnd(source);
+            if (end !== -1 && stripComment(source.slice(end)) !== '') {
+                // "[pr-number] [priority]" style hints (command argument-hint) are plain text
+                return stripComment(source);
+            }
+            while (findFlowEnd(source) === -1) {
+                if (pos >= lines.length) {
+                    throw new YamlError('Unterminated flow collection', line.num);
+                }
+                source += '\n' + lines[pos].raw.trim();
+                pos++;
+            }
+            return parseFlow(source, line.num);
+        }
+
+        if (value.startsWith('"') || value.startsWith("'")) {
+            let source = value;
+            let quoted = readQuoted(source, 0, line.num);
+            while (!quoted) {
+                if (pos >= lines.length) {
+                    throw new YamlError('Unterminated quoted string', line.num);
+                }
+                source += '\n' + lines[pos].raw;
+                pos++;
+                quoted = readQuoted(source, 0, line.num);
+            }
+            const trailing = source.slice(quoted.end).trim();
+            if (trailing && !trailing.startsWith('#')) {
+                throw new YamlError(`Unexpected content after quoted string: "${trailing}"`, line.num);
+            }
+            return quoted.value;
+        }
+
+        if (/^[&*!]/.test(value)) {
+            throw new YamlError('Anchors, aliases and tags are not supported', line.num);
+        }
+
+        // Plain scalars may continue on more-indented lines
+        let plain = stripComment(value);
+        while (true) {
+            const next = peek();
+            if (!next || next.indent <= parentIndent) break;
+            if (isSequenceEntry(next) || splitKey(next.text, next.num)) {
+                throw new YamlError('Unexpected indentation', next.num);
+            }
+            plain += ' ' + stripComment(next.text);
+            pos++;
+        }
+        return resolvePlain(plain);
+    }
+
+    function parseBlockScalar(header, line, parentIndent) {
+        const match = header.match(/^([|>])([+-]?)([1-9]?)([+-]?)\s*(#.*)?$/);
+        if (!match) {
+            throw new YamlError(`Invalid block scalar header "${header}"`, line.num);
+        }
+        const literal = match[1] === '|';
+        const chomping = match[2] || match[4];
+        let contentIndent = match[3] ? Math.max(parentIndent, 0) + parseInt(match[3], 10) : 0;
+
+        const body = [];
+        while (pos < lines.length) {
+            const current = lines[pos];
+            const isEmpty = current.raw.trim() === '';
+
+            if (!contentIndent && !isEmpty) {
+                if (current.indent <= parentIndent) break;
+                contentIndent = current.indent;
+            }
+            if (!isEmpty && current.indent < contentIndent) break;
+            if (!isEmpty && current.raw.slice(0, contentIndent).includes('\t')) {
+                throw new YamlError('Tabs are not allowed for indentation', current.num);
+            }
+
+            body.push(isEmpty ? '' : current.raw.slice(contentIndent).replace(/\s+$/, ''));
+            pos++;
+        }
+
+        let trailingBreaks = 0;
+        while (body.length && body[body.length - 1] === '') {
+            body.pop();
+            trailingBreaks++;
+        }
+
+        let result = literal ? body.join('\n') : foldBlock(body);
+        if (body.length === 0) return chomping === '+' ? '\n'.repeat(trailingBreaks) : '';
+        if (chomping === '-') return result;
+        if (chomping === '+') return result + '\n'.repeat(trailingBreaks + 1);
+        return result + '\n';
+    }
+
+    const value = parseNode(0, '');
+    const leftover = peek();
+    if (leftover) {
+        throw new YamlError(`Unexpected content "${leftover.text}"`, leftover.num);
+    }
+
+    return { value, positions };
+}
+
+/**
+ * Fold the lines of a ">" block scalar.
+ *
+ * @param {string[]} body - Lines with content indentation removed
+ * @returns {string}
+ */
+function foldBlock(body) {
+    let out = '';
+    let emptyCount = 0;
+    let first = true;
+    let previousMoreIndented = false;
+
+    for (const line of body) {
+        if (line === '') {
+            emptyCount++;
+            continue;
+        }
+
+        const moreIndented = /^\s/.test(line);
+        if (first) {
+            out += '\n'.repeat(emptyCount);
+        } else if (emptyCount > 0) {
+            out += '\n'.repeat(emptyCount + (previousMoreIndented || moreIndented ? 1 : 0));
+        } else {
+            out += previousMoreIndented || moreIndented ? '\n' : ' ';
+        }
+
+        out += line;
+        first = false;
+        emptyCount = 0;
+        previousMoreIndented = moreIndented;
+    }
+
+    return out;
+}
+
+/**
+ * Find where the leading flow collection closes (ignoring quoted text).
+ *
+ * @param {string} text - Flow collection source
+ * @returns {number} - Index just past the closing bracket, or -1 if it never closes
+ */
+function findFlowEnd(text) {
+    let depth = 0;
+    let quote = null;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quote) {
+            if (ch === '\\' && quote === '"') i++;
+            else if (ch === quote) quote = null;
+            continue;
+        }
+        if (ch === '"' || ch === "'") quote = ch;
+        else if (ch === '[' || ch === '{') depth++;
+        else if (ch === ']' || ch === '}') {
+            depth--;
+            if (depth === 0) return i + 1;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Parse a YAML document.
+ *
+ * @param {string} text - YAML source
+ * @param {{lineOffset?: number}} options - lineOffset is added to reported line numbers
+ * @returns {*} - Parsed value (null for an empty document)
+ * @throws {YamlError} - On malformed input, with the offending line number
+ */
+function parseYaml(text, options = {}) {
+    return parseYamlDocument(text, options).value;
+}
+
+export {
+    YamlError,
+    parseYaml,
+    parseYamlDocument
+};
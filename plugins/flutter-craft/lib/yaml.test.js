@@ -0,0 +1,55 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+import { YamlError, parseYaml, parseYamlDocument } from './yaml.js';
+
+test('double-quoted scalars decode escaped newlines, tabs and unicode', () => {
+    assert.deepEqual(parseYaml([
+        'newline: "x\\ny"',
+        'codepoint: "x\\u000ay"',
+        'tab: "a\\tb\\t"',
+        'unicode: "caf\\u00e9 \\x41 \\U0001F600"',
+        'quotes: "say \\"hi\\" \\\\ done"'
+    ].join('\n')), {
+        newline: 'x\ny',
+        codepoint: 'x\ny',
+        tab: 'a\tb\t',
+        unicode: 'café A 😀',
+        quotes: 'say "hi" \\ done'
+    });
+});
+
+test('multi-line quoted scalars fold raw line breaks but keep escaped ones', () => {
+    const value = parseYaml([
+        'description: "Use when writing tests\\n',
+        '  for blocs\\t',
+        '',
+        '  and widgets\\',
+        '  , not screens"',
+        "single: 'it''s",
+        "  folded'"
+    ].join('\n'));
+
+    assert.equal(value.description, 'Use when writing tests\n for blocs\t\nand widgets, not screens');
+    assert.equal(value.single, "it's folded");
+});
+
+test('quoted values inside flow collections keep their escapes', () => {
+    assert.deepEqual(parseYaml('tags: ["a\\nb", \'c, d\']\nmap: {key: "x\\ty"}'), {
+        tags: ['a\nb', 'c, d'],
+        map: { key: 'x\ty' }
+    });
+});
+
+test('invalid escapes and unclosed quotes report their line', () => {
+    assert.throws(() => parseYaml('name: ok\nbad: "\\q"'), error => error instanceof YamlError && error.line === 2);
+    assert.throws(() => parseYaml('name: ok\nbad: "\\u12"'), /Invalid escape sequence \\u12/);
+    assert.throws(() => parseYaml('name: "never closed\nnext: 1'), YamlError);
+});
+
+test('parseYamlDocument records key positions with the line offset', () => {
+    const { value, positions } = parseYamlDocument('name: demo\nmeta:\n  title: "A\\nB"\n', { lineOffset: 1 });
+
+    assert.deepEqual(value, { name: 'demo', meta: { title: 'A\nB' } });
+    assert.equal(positions.name, 2);
+    assert.equal(positions['meta.title'], 4);
+});
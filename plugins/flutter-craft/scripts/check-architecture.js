@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+// flutter-craft - check Dart imports against Clean Architecture layer rules
+
+import path from 'path';
+import { analyzeArchitecture, formatArchitectureReport } from '../lib/architecture.js';
+
+function printHelp() {
+    console.log(`
+Flutter-Craft Architecture Check
+
+Usage:
+  node scripts/check-architecture.js [options] [project-dir]
+
+Options:
+  --format <fmt>     Output format: markdown (default) or json
+  --help, -h         Show this help
+
+Exit codes:
+  0  No layer violations
+  1  Layer violations found
+  2  Invalid arguments
+`);
+}
+
+function parseArgs(args) {
+    const options = { projectDir: process.cwd(), format: 'markdown' };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg === '--format') {
+            options.format = args[++i];
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            options.projectDir = path.resolve(arg);
+        }
+    }
+
+    if (!['markdown', 'json'].includes(options.format)) {
+        throw new Error(`Unknown format: ${options.format}`);
+    }
+
+    return options;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(2);
+    }
+
+    if (options.help) {
+        printHelp();
+        return;
+    }
+
+    const report = analyzeArchitecture(options.projectDir);
+
+    if (options.format === 'json') {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        process.stdout.write(formatArchitectureReport(report));
+    }
+
+    process.exit(report.violations.length > 0 ? 1 : 0);
+}
+
+main();
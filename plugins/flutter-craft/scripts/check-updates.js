@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+// flutter-craft - check the plugin checkout for upstream updates and cache the result
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { refreshUpdateStatus, getUpdateStatus } from '../lib/update-check.js';
+
+const PLUGIN_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+function printHelp() {
+    console.log(`
+Flutter-Craft Update Check
+
+Usage:
+  node scripts/check-updates.js [options] [repo-dir]
+
+Fetches the upstream branch of repo-dir (default: this plugin) and reports
+ahead/behind counts, incoming commits and changed skills. The result is
+cached for the SessionStart hook.
+
+Options:
+  --cached           Print the cached result without fetching
+  --cache-dir <dir>  Cache directory (default: $XDG_CACHE_HOME/flutter-craft or ~/.cache/flutter-craft)
+  --format <fmt>     Output format: text (default) or json
+  --quiet            Print nothing (used for background refreshes)
+  --lock <file>      Remove this lock file when done
+  --help, -h         Show this help
+`);
+}
+
+function parseArgs(args) {
+    const options = { repoDir: PLUGIN_ROOT, format: 'text', cached: false, quiet: false };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg === '--cached') {
+            options.cached = true;
+        } else if (arg === '--quiet') {
+            options.quiet = true;
+        } else if (arg === '--cache-dir') {
+            options.cacheDir = args[++i];
+        } else if (arg === '--lock') {
+            options.lock = args[++i];
+        } else if (arg === '--format') {
+            options.format = args[++i];
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            options.repoDir = path.resolve(arg);
+        }
+    }
+
+    if (!['text', 'json'].includes(options.format)) {
+        throw new Error(`Unknown format: ${options.format}`);
+    }
+
+    return options;
+}
+
+function printText(result) {
+    const counts = result.upstream ? ` (${result.branch} vs ${result.upstream}: ${result.ahead} ahead, ${result.behind} behind)` : '';
+    console.log(`${result.status}${counts}`);
+    if (result.error) console.log(`  ${result.error}`);
+    for (const commit of result.incoming) {
+        console.log(`  ${commit.sha} ${commit.subject}`);
+    }
+    if (result.changedSkills.length) {
+        console.log(`  changed skills: ${result.changedSkills.join(', ')}`);
+    }
+    if (result.checkedAt) console.log(`  checked ${result.checkedAt}`);
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(2);
+    }
+
+    if (options.help) {
+        printHelp();
+        return;
+    }
+
+    let result;
+    try {
+        result = options.cached
+            ? getUpdateStatus(options.repoDir, { cacheDir: options.cacheDir, background: false })
+            : await refreshUpdateStatus(options.repoDir, { cacheDir: options.cacheDir });
+    } finally {
+        if (options.lock) fs.rmSync(options.lock, { force: true });
+    }
+
+    if (options.quiet) return;
+    if (options.format === 'json') {
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        printText(result);
+    }
+}
+
+main();
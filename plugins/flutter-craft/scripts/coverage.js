@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+// flutter-craft - coverage per feature and layer from coverage/lcov.info
+
+import fs from 'fs';
+import path from 'path';
+import { CATEGORIES, DEFAULT_THRESHOLDS, parseThreshold, readCoverage, formatCoverageReport } from '../lib/coverage.js';
+
+function printHelp() {
+    const defaults = Object.entries(DEFAULT_THRESHOLDS).map(([scope, percent]) => `${scope}=${percent}`).join(', ');
+    console.log(`
+Flutter-Craft Coverage
+
+Usage:
+  node scripts/coverage.js [options] [project-dir]
+
+Reads coverage/lcov.info (from \`flutter test --coverage\`), aggregates line
+and branch coverage per feature and Clean Architecture layer, checks
+thresholds and lists uncovered files by flutter-testing priority
+(P1 repositories, datasources, models, use cases; P2 state management;
+P3 widgets). lib/ files no test loaded count as untested.
+
+Options:
+  --lcov <file>              lcov file (default: coverage/lcov.info)
+  --threshold <scope=pct>    Required line coverage, repeatable; scope:branches=pct for branches
+                             Scopes: total, ${Object.keys(CATEGORIES).join(', ')},
+                             a layer path (data, data/repositories, presentation/bloc)
+                             or a feature path (features/auth, features/auth/data)
+  --thresholds <file>        JSON object of thresholds, e.g. {"data/repositories": 90}
+  --no-defaults              Drop the default thresholds (${defaults})
+  --no-untested              Ignore lib/ files missing from the lcov file
+  --limit <n>                Uncovered files to list (default: 15)
+  --format <fmt>             Output format: markdown (default) or json
+  --help, -h                 Show this help
+
+Exit codes: 0 when all thresholds pass, 1 when one fails, 2 on invalid input.
+`);
+}
+
+function parseArgs(args) {
+    const options = { projectDir: process.cwd(), format: 'markdown', defaults: true, includeUntested: true, limit: 15 };
+    const thresholds = {};
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const value = () => {
+            if (i + 1 >= args.length) throw new Error(`${arg} needs a value`);
+            return args[++i];
+        };
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg === '--lcov') {
+            options.lcovPath = path.resolve(value());
+        } else if (arg === '--threshold') {
+            const [key, percent] = parseThreshold(value());
+            thresholds[key] = percent;
+        } else if (arg === '--thresholds') {
+            options.thresholdsFile = value();
+        } else if (arg === '--no-defaults') {
+            options.defaults = false;
+        } else if (arg === '--no-untested') {
+            options.includeUntested = false;
+        } else if (arg === '--limit') {
+            options.limit = Number(value());
+            if (!Number.isInteger(options.limit) || options.limit < 0) throw new Error('--limit must be a non-negative integer');
+        } else if (arg === '--format') {
+            options.format = value();
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            options.projectDir = path.resolve(arg);
+        }
+    }
+
+    if (!['markdown', 'json'].includes(options.format)) {
+        throw new Error(`Unknown format: ${options.format}`);
+    }
+    options.thresholds = thresholds;
+    return options;
+}
+
+function loadThresholds(options) {
+    let fromFile = {};
+    if (options.thresholdsFile) {
+        try {
+            fromFile = JSON.parse(fs.readFileSync(options.thresholdsFile, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not read ${options.thresholdsFile}: ${error.message}`);
+        }
+    }
+    return { ...(options.defaults ? DEFAULT_THRESHOLDS : {}), ...fromFile, ...options.thresholds };
+}
+
+function main() {
+    let options;
+    let coverage;
+    try {
+        options = parseArgs(process.argv.slice(2));
+        if (options.help) {
+            printHelp();
+            return;
+        }
+        coverage = readCoverage(options.projectDir, {
+            lcovPath: options.lcovPath,
+            thresholds: loadThresholds(options),
+            includeUntested: options.includeUntested
+        });
+    } catch (error) {
+        console.error(error.message);
+        process.exit(2);
+    }
+
+    if (options.format === 'json') {
+        const { files, ...summary } = coverage;
+        console.log(JSON.stringify({ ...summary, lcovPath: path.relative(options.projectDir, coverage.lcovPath) }, null, 2));
+    } else {
+        process.stdout.write(formatCoverageReport(coverage, { limit: options.limit }));
+    }
+
+    process.exit(coverage.passed ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+// flutter-craft - generate Clean Architecture feature code for a domain pattern
+
+import fs from 'fs';
+import path from 'path';
+import { getFlutterProjectInfo } from '../lib/skills-core.js';
+import { PATTERNS, generateFeature, writeFeatureFiles } from '../lib/feature-generator.js';
+
+function printHelp() {
+    console.log(`
+Flutter-Craft Feature Generator
+
+Usage:
+  node scripts/generate-feature.js --spec <file> [options]
+  node scripts/generate-feature.js --pattern <name> --state <bloc|cubit|riverpod> [options]
+
+Generates entities, models, repositories, datasources, use cases, state
+management, pages and test skeletons under lib/features/<feature>/ and
+test/features/<feature>/. Existing files are kept unless --force is given.
+
+Spec options (flags override values from --spec):
+  --spec <file>          JSON spec ("-" reads stdin)
+  --pattern <name>       ${Object.keys(PATTERNS).join(', ')}
+  --state <name>         bloc, cubit or riverpod
+  --entity <Name>        Entity name (renames the pattern's main entity)
+  --field <name:Type>    Field, repeatable (name:Type, name:Type?, name:Type=default)
+  --enum <Name=a,b,c>    Enum used by fields, repeatable
+  --filter <field>       Generate a get<Entities>By<Field> query, repeatable
+  --feature <name>       Feature directory (default: snake_case entity name)
+  --package <name>       Package for test imports (default: name in pubspec.yaml)
+  --no-core              Skip lib/core/errors/failures.dart and lib/core/usecases/usecase.dart
+
+Output options:
+  --out <dir>            Flutter project root (default: current directory)
+  --dry-run              Show what would be written without writing
+  --force                Overwrite files that differ
+  --format <fmt>         Output format: text (default) or json (with --dry-run, includes file contents)
+  --list-patterns        List patterns and their entities
+  --help, -h             Show this help
+`);
+}
+
+function parseArgs(args) {
+    const options = { outDir: process.cwd(), format: 'text', dryRun: false, force: false, spec: {} };
+    const fields = [];
+    const filters = [];
+    const enums = {};
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const value = () => {
+            if (i + 1 >= args.length) throw new Error(`${arg} needs a value`);
+            return args[++i];
+        };
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg === '--list-patterns') {
+            options.listPatterns = true;
+        } else if (arg === '--spec') {
+            options.specFile = value();
+        } else if (arg === '--pattern') {
+            options.spec.pattern = value();
+        } else if (arg === '--state') {
+            options.spec.stateManagement = value();
+        } else if (arg === '--entity') {
+            options.spec.entity = value();
+        } else if (arg === '--field') {
+            fields.push(value());
+        } else if (arg === '--enum') {
+            const [name, values] = value().split('=');
+            if (!values) throw new Error(`Invalid enum "${name}" (expected Name=a,b,c)`);
+            enums[name.trim()] = values.split(',').map(item => item.trim()).filter(Boolean);
+        } else if (arg === '--filter') {
+            filters.push(value());
+        } else if (arg === '--feature') {
+            options.spec.feature = value();
+        } else if (arg === '--package') {
+            options.spec.packageName = value();
+        } else if (arg === '--no-core') {
+            options.spec.includeCore = false;
+        } else if (arg === '--out') {
+            options.outDir = path.resolve(value());
+        } else if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '--force') {
+            options.force = true;
+        } else if (arg === '--format') {
+            options.format = value();
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    if (fields.length) options.spec.fields = fields;
+    if (filters.length) options.spec.filters = filters;
+    if (Object.keys(enums).length) options.spec.enums = enums;
+
+    if (!['text', 'json'].includes(options.format)) {
+        throw new Error(`Unknown format: ${options.format}`);
+    }
+
+    return options;
+}
+
+function readSpec(options) {
+    let spec = {};
+    if (options.specFile) {
+        const raw = fs.readFileSync(options.specFile === '-' ? 0 : options.specFile, 'utf8');
+        try {
+            spec = JSON.parse(raw);
+        } catch (error) {
+            throw new Error(`Invalid JSON in ${options.specFile}: ${error.message}`);
+        }
+    }
+
+    const merged = { ...spec, ...options.spec };
+    if (spec.enums && options.spec.enums) merged.enums = { ...spec.enums, ...options.spec.enums };
+    if (!merged.packageName) {
+        const info = getFlutterProjectInfo(options.outDir);
+        if (info && info.name) merged.packageName = info.name;
+    }
+    return merged;
+}
+
+function printPatterns() {
+    for (const [name, pattern] of Object.entries(PATTERNS)) {
+        const entities = pattern.entities.map(entity => entity.name).join(', ') || 'from --entity and --field';
+        console.log(`${name.padEnd(12)} ${pattern.description} (${entities})`);
+    }
+}
+
+function main() {
+    let options;
+    let result;
+    try {
+        options = parseArgs(process.argv.slice(2));
+        if (options.help) {
+            printHelp();
+            return;
+        }
+        if (options.listPatterns) {
+            printPatterns();
+            return;
+        }
+        result = generateFeature(readSpec(options));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(2);
+    }
+
+    const writes = writeFeatureFiles(result.files, options.outDir, { overwrite: options.force, dryRun: options.dryRun });
+
+    if (options.format === 'json') {
+        const contents = new Map(result.files.map(file => [file.path, file.content]));
+        console.log(JSON.stringify({
+            feature: result.feature,
+            pattern: result.pattern,
+            stateManagement: result.stateManagement,
+            entities: result.entities,
+            dryRun: options.dryRun,
+            files: writes.map(write => (options.dryRun ? { ...write, content: contents.get(write.path) } : write)),
+            notes: result.notes
+        }, null, 2));
+        return;
+    }
+
+    const verb = options.dryRun ? 'Would generate' : 'Generated';
+    console.log(`${verb} feature "${result.feature}" (${result.pattern}, ${result.stateManagement}): ${result.entities.join(', ')}`);
+    for (const write of writes) {
+        console.log(`  ${write.action.padEnd(11)} ${write.path}`);
+    }
+    const skipped = writes.filter(write => write.action === 'skipped').length;
+    if (skipped) {
+        console.log(`\n${skipped} existing file(s) differ and were kept; use --force to overwrite.`);
+    }
+    console.log('\nNext steps:');
+    for (const note of result.notes) {
+        console.log(`  - ${note}`);
+    }
+}
+
+main();
@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+// flutter-craft - parse, validate and track implementation plans written by flutter-planning
+
+import fs from 'fs';
+import path from 'path';
+import { readPlan, validatePlan } from '../lib/plan.js';
+import {
+    markTask,
+    getPlanProgress,
+    resumePlan,
+    findActivePlans,
+    formatPlanProgress
+} from '../lib/plan-state.js';
+
+const COMMANDS = ['parse', 'validate', 'status', 'mark', 'resume'];
+
+function printHelp() {
+    console.log(`
+Flutter-Craft Plan Tool
+
+Usage:
+  node scripts/plan.js parse <plan.md>
+  node scripts/plan.js validate [--format text|json] <plan.md>
+  node scripts/plan.js status [--format text|json] [--project <dir>] [plan.md]
+  node scripts/plan.js mark <plan.md> <task> <status> [--commit <ref>] [--output <file|->] [--exit-code <n>] [--note <text>]
+  node scripts/plan.js resume [--format text|json] <plan.md>
+
+Commands:
+  parse              Print the plan as JSON (header, sections, tasks)
+  validate           Check layer order, file targets, verification and commit messages
+  status             Progress of one plan, or of every unfinished plan in <project>/docs/plans
+  mark               Record a task status: pending, in_progress, done, failed or skipped
+  resume             Show the next task to run and what is left
+
+Options:
+  --format <fmt>     Output format: text (default) or json
+  --project <dir>    Project root for status without a plan (default: current directory)
+  --commit <ref>     Commit to record for the task (e.g. HEAD)
+  --output <file|->  Verification output to record (- reads stdin)
+  --exit-code <n>    Exit code of the verification command
+  --note <text>      Free-form note for the task
+  --help, -h         Show this help
+
+State is stored in docs/plans/.state/<plan>.json next to the plan.
+
+Exit codes:
+  0  Success (validate: no errors)
+  1  Validation errors found
+  2  Invalid arguments or unreadable plan
+`);
+}
+
+function parseArgs(args) {
+    const options = { positional: [], format: 'text', projectDir: process.cwd() };
+    const valueOptions = {
+        '--format': 'format',
+        '--project': 'projectDir',
+        '--commit': 'commit',
+        '--output': 'output',
+        '--exit-code': 'exitCode',
+        '--note': 'note'
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (valueOptions[arg]) {
+            if (i + 1 >= args.length) throw new Error(`${arg} requires a value`);
+            options[valueOptions[arg]] = args[++i];
+        } else if (arg.startsWith('-') && arg !== '-') {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            options.positional.push(arg);
+        }
+    }
+
+    if (options.help) return options;
+
+    options.command = options.positional.shift();
+    if (!COMMANDS.includes(options.command)) {
+        throw new Error(`Unknown command: ${options.command || '(none)'} (expected ${COMMANDS.join(', ')})`);
+    }
+    if (!['text', 'json'].includes(options.format)) {
+        throw new Error(`Unknown format: ${options.format}`);
+    }
+    if (options.positional[0]) {
+        options.planPath = path.resolve(options.positional[0]);
+    } else if (options.command !== 'status') {
+        throw new Error('A plan file is required');
+    }
+    if (options.command === 'mark' && options.positional.length < 3) {
+        throw new Error('mark requires <plan.md> <task> <status>');
+    }
+    if (options.exitCode !== undefined && !/^\d+$/.test(options.exitCode)) {
+        throw new Error(`Invalid exit code: ${options.exitCode}`);
+    }
+    options.projectDir = path.resolve(options.projectDir);
+
+    return options;
+}
+
+function displayPath(file) {
+    const relative = path.relative(process.cwd(), file);
+    return relative.startsWith('..') ? file : relative;
+}
+
+function printDiagnostics(result, planPath) {
+    for (const d of result.diagnostics) {
+        console.log(`${displayPath(planPath)}:${d.line}  ${d.severity}  ${d.message}  [${d.rule}]`);
+    }
+    console.log(`\n${result.errorCount} error(s), ${result.warningCount} warning(s)`);
+}
+
+function printResume(result) {
+    console.log(formatPlanProgress(result.progress, { baseDir: process.cwd() }));
+    if (!result.next) return;
+
+    const task = result.next;
+    console.log(`\nNext: Task ${task.number}: ${task.title}${task.layer ? ` [${task.layer}]` : ''}`);
+    for (const file of task.files) {
+        console.log(`  ${file.action}: ${file.path}`);
+    }
+    if (task.verification) {
+        console.log('  verify:');
+        for (const command of task.verification.commands) console.log(`    ${command}`);
+    }
+    if (task.commit && task.commit.message) {
+        console.log(`  commit: ${task.commit.message}`);
+    }
+    if (result.remaining.length > 1) {
+        console.log(`\nThen: ${result.remaining.filter(t => t !== task).map(t => `Task ${t.number}`).join(', ')}`);
+    }
+}
+
+function run(options) {
+    switch (options.command) {
+    case 'parse':
+        console.log(JSON.stringify(readPlan(options.planPath), null, 2));
+        return 0;
+
+    case 'validate': {
+        const result = validatePlan(readPlan(options.planPath), { file: options.planPath });
+        if (options.format === 'json') {
+            console.log(JSON.stringify(result, null, 2));
+        } else {
+            printDiagnostics(result, options.planPath);
+        }
+        return result.valid ? 0 : 1;
+    }
+
+    case 'status': {
+        const plans = options.planPath
+            ? [getPlanProgress(options.planPath)]
+            : findActivePlans(options.projectDir);
+        if (options.format === 'json') {
+            console.log(JSON.stringify(options.planPath ? plans[0] : plans, null, 2));
+        } else {
+            for (const progress of plans) {
+                console.log(formatPlanProgress(progress, { baseDir: options.planPath ? process.cwd() : options.projectDir }));
+            }
+        }
+        return 0;
+    }
+
+    case 'mark': {
+        const [, taskNumber, status] = options.positional;
+        const markOptions = { commit: options.commit, note: options.note };
+        if (options.output !== undefined || options.exitCode !== undefined) {
+            const output = options.output === undefined ? ''
+                : fs.readFileSync(options.output === '-' ? 0 : options.output, 'utf8');
+            markOptions.verification = {
+                output,
+                exitCode: options.exitCode === undefined ? undefined : Number(options.exitCode)
+            };
+        }
+        const entry = markTask(options.planPath, taskNumber, status, markOptions);
+        if (options.format === 'json') {
+            console.log(JSON.stringify(entry, null, 2));
+        } else {
+            console.log(formatPlanProgress(getPlanProgress(options.planPath), { baseDir: process.cwd() }));
+        }
+        return 0;
+    }
+
+    case 'resume': {
+        const result = resumePlan(options.planPath);
+        if (options.format === 'json') {
+            console.log(JSON.stringify(result, null, 2));
+        } else {
+            printResume(result);
+        }
+        return 0;
+    }
+    }
+    return 2;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(2);
+    }
+
+    if (options.help) {
+        printHelp();
+        return;
+    }
+
+    try {
+        process.exit(run(options));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(2);
+    }
+}
+
+main();
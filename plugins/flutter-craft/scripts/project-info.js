@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+// flutter-craft - print the pubspec model and detected tech stack of a Flutter project as JSON
+
+import path from 'path';
+import { getFlutterProjectInfo } from '../lib/skills-core.js';
+import { discoverWorkspace } from '../lib/workspace.js';
+
+function main() {
+    const args = process.argv.slice(2);
+
+    if (args.includes('--help') || args.includes('-h')) {
+        console.log(`
+Flutter-Craft Project Info
+
+Usage:
+  node scripts/project-info.js [options] [project-dir]
+
+Prints name, SDK constraints, dependencies, assets, fonts and the detected
+stack (state management, DI, networking, codegen, testing, routing) as JSON.
+
+Options:
+  --workspace   Print the enclosing melos / pub workspace and its packages instead
+  --help, -h    Show this help
+`);
+        return;
+    }
+
+    const dir = path.resolve(args.find(arg => !arg.startsWith('-')) || process.cwd());
+
+    if (args.includes('--workspace')) {
+        const workspace = discoverWorkspace(dir);
+        const summarize = (pkg) => pkg && { name: pkg.name, dir: pkg.dir, relativeDir: pkg.relativeDir, kind: pkg.kind, isFlutter: pkg.isFlutter };
+        console.log(JSON.stringify({
+            ...workspace,
+            current: summarize(workspace.current),
+            packages: workspace.packages.map(summarize)
+        }, null, 2));
+        return;
+    }
+
+    const info = getFlutterProjectInfo(dir);
+    if (!info) {
+        console.error(`No readable pubspec.yaml in ${dir}`);
+        process.exit(1);
+    }
+
+    const { raw, ...pubspec } = info.pubspec;
+    console.log(JSON.stringify({ ...info, pubspec }, null, 2));
+}
+
+main();
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+// flutter-craft - render a skill with includes resolved for the current project's stack
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createSkillRoots, resolveSkill, renderSkill, detectLocale } from '../lib/skills-core.js';
+
+const PLUGIN_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+function printHelp() {
+    console.log(`
+Flutter-Craft Skill Renderer
+
+Usage:
+  node scripts/render-skill.js [options] <skill-name | path/to/SKILL.md>
+
+Resolves <!-- @include path[#heading] --> directives and keeps only the
+<!-- @if stack --> sections that match the project's pubspec.yaml (for
+example only the Riverpod test template in a Riverpod project). A skill name
+resolves to its SKILL.<locale>.md translation when one matches the locale.
+
+Options:
+  --project <dir>    Flutter project whose stack selects sections (default: current directory)
+  --all-variants     Keep every conditional section instead of detecting the stack
+  --locale <tag>     Translation to render, e.g. ko or ko-KR; "en" for SKILL.md
+                     (default: FLUTTER_CRAFT_LOCALE, then LC_ALL, LC_MESSAGES, LANG)
+  --personal <dir>   Personal skills directory (default: ~/.claude/skills)
+  --format <fmt>     Output format: text (default) or json
+  --help, -h         Show this help
+
+Exit codes: 0 rendered cleanly, 1 missing includes or conditional errors, 2 invalid arguments.
+`);
+}
+
+function parseArgs(args) {
+    const options = {
+        projectDir: process.cwd(),
+        personalDir: path.join(os.homedir(), '.claude', 'skills'),
+        format: 'text',
+        allVariants: false,
+        positional: []
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const value = () => {
+            if (i + 1 >= args.length) throw new Error(`${arg} needs a value`);
+            return args[++i];
+        };
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg === '--project') {
+            options.projectDir = path.resolve(value());
+        } else if (arg === '--all-variants') {
+            options.allVariants = true;
+        } else if (arg === '--locale') {
+            options.locale = value();
+        } else if (arg === '--personal') {
+            options.personalDir = value();
+        } else if (arg === '--format') {
+            options.format = value();
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            options.positional.push(arg);
+        }
+    }
+
+    if (options.help) return options;
+    if (options.positional.length !== 1) {
+        throw new Error('Expected one skill name or SKILL.md path');
+    }
+    if (!['text', 'json'].includes(options.format)) {
+        throw new Error(`Unknown format: ${options.format}`);
+    }
+    return options;
+}
+
+function findSkillFile(target, options) {
+    if (target.endsWith('.md') && fs.existsSync(target)) return { skillFile: path.resolve(target), locale: null };
+
+    const roots = createSkillRoots({
+        projectDir: options.projectDir,
+        personalDir: options.personalDir,
+        flutterCraftDir: path.join(PLUGIN_ROOT, 'skills')
+    });
+    const resolved = resolveSkill(target, roots, { locale: detectLocale({ locale: options.locale }) });
+    if (!resolved) throw new Error(`Skill not found: ${target}`);
+    return { skillFile: resolved.skillFile, locale: resolved.locale };
+}
+
+function main() {
+    let options;
+    let result;
+    try {
+        options = parseArgs(process.argv.slice(2));
+        if (options.help) {
+            printHelp();
+            return;
+        }
+        const { skillFile, locale } = findSkillFile(options.positional[0], options);
+        result = { skillFile, locale, ...renderSkill(skillFile, options.allVariants ? { stack: null } : { projectDir: options.projectDir }) };
+    } catch (error) {
+        console.error(error.message);
+        process.exit(2);
+    }
+
+    if (options.format === 'json') {
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        console.log(result.text);
+        for (const problem of result.problems) {
+            console.error(`${path.relative(process.cwd(), problem.file)}:${problem.line}  ${problem.message}  [${problem.kind}]`);
+        }
+    }
+
+    process.exit(result.problems.length ? 1 : 0);
+}
+
+main();
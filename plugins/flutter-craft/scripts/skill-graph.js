@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+// flutter-craft - export the skill cross-reference graph as JSON or Graphviz DOT
+
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { buildSkillGraph, analyzeSkillGraph, skillGraphToDot } from '../lib/skills-core.js';
+
+const PLUGIN_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+function printHelp() {
+    console.log(`
+Flutter-Craft Skill Graph
+
+Usage:
+  node scripts/skill-graph.js [options] [plugin-root]
+
+Options:
+  --format <fmt>     Output format: json (default) or dot
+  --personal <dir>   Include personal skills (default: ~/.claude/skills if present)
+  --no-personal      Skip personal skills
+  --root <id>        Entry point for reachability (repeatable; default: commands + start-flutter-craft)
+  --strict           Exit non-zero on dangling references or cycles
+  --help, -h         Show this help
+
+Examples:
+  node scripts/skill-graph.js --format dot | dot -Tsvg > skills.svg
+  node scripts/skill-graph.js --root flutter-brainstorming
+`);
+}
+
+function parseArgs(args) {
+    const options = {
+        pluginRoot: PLUGIN_ROOT,
+        personalDir: path.join(os.homedir(), '.claude', 'skills'),
+        format: 'json',
+        roots: [],
+        strict: false
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg === '--format') {
+            options.format = args[++i];
+        } else if (arg === '--personal') {
+            options.personalDir = args[++i];
+        } else if (arg === '--no-personal') {
+            options.personalDir = null;
+        } else if (arg === '--root') {
+            options.roots.push(args[++i]);
+        } else if (arg === '--strict') {
+            options.strict = true;
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            options.pluginRoot = path.resolve(arg);
+        }
+    }
+
+    if (!['json', 'dot'].includes(options.format)) {
+        throw new Error(`Unknown format: ${options.format}`);
+    }
+
+    return options;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(2);
+    }
+
+    if (options.help) {
+        printHelp();
+        return;
+    }
+
+    const graph = buildSkillGraph({
+        skillsDir: path.join(options.pluginRoot, 'skills'),
+        personalDir: options.personalDir,
+        agentsDir: path.join(options.pluginRoot, 'agents'),
+        commandsDir: path.join(options.pluginRoot, 'commands')
+    });
+    const analysis = analyzeSkillGraph(graph, options.roots.length ? { roots: options.roots } : {});
+
+    if (options.format === 'dot') {
+        process.stdout.write(skillGraphToDot(graph, analysis));
+    } else {
+        console.log(JSON.stringify({ ...graph, analysis }, null, 2));
+    }
+
+    const failed = options.strict && (analysis.dangling.length > 0 || analysis.cycles.length > 0);
+    process.exit(failed ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+// flutter-craft - suggest the skills that best match a task description (offline)
+
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { suggestSkills } from '../lib/skill-search.js';
+
+const PLUGIN_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+function printHelp() {
+    console.log(`
+Flutter-Craft Skill Suggestions
+
+Usage:
+  node scripts/suggest-skills.js [options] <task description>
+
+Options:
+  --limit <n>        Number of suggestions (default: 5)
+  --personal <dir>   Personal skills directory (default: ~/.claude/skills)
+  --no-personal      Skip personal skills
+  --format <fmt>     Output format: text (default) or json
+  --help, -h         Show this help
+
+Examples:
+  node scripts/suggest-skills.js "the login bloc test is failing"
+  node scripts/suggest-skills.js --format json "로그인 화면 위젯 테스트 작성"
+`);
+}
+
+function parseArgs(args) {
+    const options = {
+        limit: 5,
+        personalDir: path.join(os.homedir(), '.claude', 'skills'),
+        format: 'text',
+        words: []
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg === '--limit') {
+            options.limit = parseInt(args[++i], 10);
+        } else if (arg === '--personal') {
+            options.personalDir = args[++i];
+        } else if (arg === '--no-personal') {
+            options.personalDir = null;
+        } else if (arg === '--format') {
+            options.format = args[++i];
+        } else {
+            options.words.push(arg);
+        }
+    }
+
+    if (!Number.isInteger(options.limit) || options.limit < 1) {
+        throw new Error('--limit must be a positive number');
+    }
+    if (!['text', 'json'].includes(options.format)) {
+        throw new Error(`Unknown format: ${options.format}`);
+    }
+
+    return options;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(2);
+    }
+
+    if (options.help || options.words.length === 0) {
+        printHelp();
+        process.exit(options.help ? 0 : 2);
+    }
+
+    const query = options.words.join(' ');
+    const suggestions = suggestSkills(query, {
+        skillsDir: path.join(PLUGIN_ROOT, 'skills'),
+        personalDir: options.personalDir,
+        agentsDir: path.join(PLUGIN_ROOT, 'agents'),
+        limit: options.limit
+    });
+
+    if (options.format === 'json') {
+        console.log(JSON.stringify({ query, suggestions }, null, 2));
+        return;
+    }
+
+    if (suggestions.length === 0) {
+        console.log('No matching skills.');
+        return;
+    }
+    for (const suggestion of suggestions) {
+        const label = suggestion.kind === 'agent' ? `${suggestion.name} (agent)` : suggestion.name;
+        console.log(`${suggestion.score.toFixed(2).padStart(6)}  ${label}  [${suggestion.matchedTerms.join(', ')}]`);
+    }
+}
+
+main();
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+// flutter-craft - report skills missing a translation or translated from an older SKILL.md
+
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createSkillRoots, getTranslationReport } from '../lib/skills-core.js';
+
+const PLUGIN_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+function printHelp() {
+    console.log(`
+Flutter-Craft Skill Translations
+
+Usage:
+  node scripts/translations.js [options]
+
+Lists, for every visible skill (project, personal and flutter-craft), the
+SKILL.<locale>.md translations that are missing and those older than their
+SKILL.md. Ages come from the last commit touching each file, or the file's
+modification time when it is uncommitted.
+
+Options:
+  --locale <tag>     Locale to check, repeatable (default: every locale any skill is translated to)
+  --project <dir>    Project whose .claude/skills are included (default: current directory)
+  --personal <dir>   Personal skills directory (default: ~/.claude/skills)
+  --format <fmt>     Output format: text (default) or json
+  --help, -h         Show this help
+
+Exit codes: 0 all translations present and current, 1 missing or outdated translations,
+2 invalid arguments.
+`);
+}
+
+function parseArgs(args) {
+    const options = {
+        projectDir: process.cwd(),
+        personalDir: path.join(os.homedir(), '.claude', 'skills'),
+        format: 'text',
+        locales: []
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const value = () => {
+            if (i + 1 >= args.length) throw new Error(`${arg} needs a value`);
+            return args[++i];
+        };
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg === '--locale') {
+            options.locales.push(...value().split(','));
+        } else if (arg === '--project') {
+            options.projectDir = path.resolve(value());
+        } else if (arg === '--personal') {
+            options.personalDir = value();
+        } else if (arg === '--format') {
+            options.format = value();
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (!['text', 'json'].includes(options.format)) {
+        throw new Error(`Unknown format: ${options.format}`);
+    }
+    return options;
+}
+
+function printReport(report) {
+    if (!report.locales.length && !report.outdated) {
+        console.log('No translations found. Use --locale <tag> to list the skills a locale is missing.');
+        return;
+    }
+
+    console.log(`Locales: ${report.locales.join(', ') || '(none)'}\n`);
+    const width = Math.max(...report.skills.map(skill => skill.name.length));
+    for (const skill of report.skills) {
+        const notes = [
+            ...skill.translations.filter(translation => translation.outdated)
+                .map(translation => `${translation.locale} outdated (${translation.modified.slice(0, 10)}, SKILL.md ${skill.modified.slice(0, 10)})`),
+            ...(skill.missing.length ? [`missing ${skill.missing.join(', ')}`] : [])
+        ];
+        if (notes.length) console.log(`${skill.name.padEnd(width)}  ${notes.join('; ')}`);
+    }
+
+    const translated = report.skills.reduce((count, skill) => count + skill.translations.length, 0);
+    console.log(`\n${translated} translation(s), ${report.missing} missing, ${report.outdated} outdated`);
+}
+
+function main() {
+    let options;
+    let report;
+    try {
+        options = parseArgs(process.argv.slice(2));
+        if (options.help) {
+            printHelp();
+            return;
+        }
+        const roots = createSkillRoots({
+            projectDir: options.projectDir,
+            personalDir: options.personalDir,
+            flutterCraftDir: path.join(PLUGIN_ROOT, 'skills')
+        });
+        report = getTranslationReport(roots, { locales: options.locales });
+    } catch (error) {
+        console.error(error.message);
+        process.exit(2);
+    }
+
+    if (options.format === 'json') {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report);
+    }
+
+    process.exit(report.missing || report.outdated ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+// flutter-craft - validate skills, agents and commands against flutter-writing-skills conventions
+
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validatePlugin } from '../lib/skill-validator.js';
+
+const PLUGIN_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+function printHelp() {
+    console.log(`
+Flutter-Craft Skill Validator
+
+Usage:
+  node scripts/validate-skills.js [options] [plugin-root]
+
+Options:
+  --personal <dir>   Also validate personal skills (default: ~/.claude/skills if present)
+  --no-personal      Skip personal skills
+  --format <fmt>     Output format: text (default) or json
+  --strict           Exit non-zero on warnings too
+  --help, -h         Show this help
+
+Exit codes:
+  0  No errors (and no warnings with --strict)
+  1  Validation problems found
+  2  Invalid arguments
+`);
+}
+
+function parseArgs(args) {
+    const options = {
+        pluginRoot: PLUGIN_ROOT,
+        personalDir: path.join(os.homedir(), '.claude', 'skills'),
+        format: 'text',
+        strict: false
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg === '--personal') {
+            options.personalDir = args[++i];
+        } else if (arg === '--no-personal') {
+            options.personalDir = null;
+        } else if (arg === '--format') {
+            options.format = args[++i];
+        } else if (arg === '--strict') {
+            options.strict = true;
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            options.pluginRoot = path.resolve(arg);
+        }
+    }
+
+    if (!['text', 'json'].includes(options.format)) {
+        throw new Error(`Unknown format: ${options.format}`);
+    }
+    if (options.personalDir === undefined) {
+        throw new Error('--personal requires a directory');
+    }
+
+    return options;
+}
+
+function printText(result) {
+    for (const d of result.diagnostics) {
+        const relative = path.relative(process.cwd(), d.file);
+        const file = relative.startsWith('..') ? d.file : relative;
+        const location = `${file}:${d.line}:${d.column}`;
+        console.log(`${location}  ${d.severity}  ${d.message}  [${d.rule}]`);
+    }
+    console.log(`\n${result.files} file(s) checked: ${result.errorCount} error(s), ${result.warningCount} warning(s)`);
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(2);
+    }
+
+    if (options.help) {
+        printHelp();
+        return;
+    }
+
+    const result = validatePlugin(options.pluginRoot, { personalDir: options.personalDir });
+
+    if (options.format === 'json') {
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        printText(result);
+    }
+
+    const failed = result.errorCount > 0 || (options.strict && result.warningCount > 0);
+    process.exit(failed ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+// flutter-craft - structured verification report from flutter test and analyzer output
+
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import {
+    parseFlutterTestMachine,
+    parseAnalyzerOutput,
+    buildVerificationReport,
+    diffVerificationReports,
+    loadVerificationReport,
+    saveVerificationReport,
+    formatVerificationReport
+} from '../lib/verification.js';
+import { DEFAULT_THRESHOLDS, parseThreshold, readCoverage } from '../lib/coverage.js';
+
+function printHelp() {
+    console.log(`
+Flutter-Craft Verification Report
+
+Usage:
+  node scripts/verify.js --run [options] [project-dir]
+  node scripts/verify.js --test <file> --analyze <file> [options] [project-dir]
+
+Builds a verification report (test counts, failing tests with file:line,
+analyzer issues by severity and feature layer, optionally coverage per
+feature and layer) and compares it with the previous run saved in
+.dart_tool/flutter-craft/verification.json.
+
+Options:
+  --run               Run \`flutter test --machine\` and \`dart analyze --format=machine\`
+                      (for whichever of --test / --analyze is not given)
+  --test <file>       Recorded \`flutter test --machine\` output ("-" reads stdin)
+  --analyze <file>    Recorded analyzer output, machine or human format ("-" reads stdin)
+  --tests-only        With --run, skip the analyzer
+  --analyze-only      With --run, skip the tests
+  --coverage          Add coverage from coverage/lcov.info and check thresholds
+                      (with --run, tests run with --coverage)
+  --lcov <file>       lcov file for --coverage (implies --coverage)
+  --threshold <s=pct> Coverage threshold, repeatable (see scripts/coverage.js)
+  --compare <file>    Compare with this report instead of the saved one
+  --no-save           Do not store this run as the previous run
+  --format <fmt>      Output format: markdown (default) or json
+  --help, -h          Show this help
+
+Exit codes: 0 when tests pass, the analyzer reports no errors and coverage
+thresholds pass, 1 otherwise.
+`);
+}
+
+function parseArgs(args) {
+    const options = { projectDir: process.cwd(), format: 'markdown', run: false, save: true, thresholds: {} };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const value = () => {
+            if (i + 1 >= args.length) throw new Error(`${arg} needs a value`);
+            return args[++i];
+        };
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg === '--run') {
+            options.run = true;
+        } else if (arg === '--test') {
+            options.testFile = value();
+        } else if (arg === '--analyze') {
+            options.analyzeFile = value();
+        } else if (arg === '--tests-only') {
+            options.skipAnalyze = true;
+        } else if (arg === '--analyze-only') {
+            options.skipTests = true;
+        } else if (arg === '--coverage') {
+            options.coverage = true;
+        } else if (arg === '--lcov') {
+            options.coverage = true;
+            options.lcovPath = path.resolve(value());
+        } else if (arg === '--threshold') {
+            const [key, percent] = parseThreshold(value());
+            options.thresholds[key] = percent;
+        } else if (arg === '--compare') {
+            options.compare = value();
+        } else if (arg === '--no-save') {
+            options.save = false;
+        } else if (arg === '--format') {
+            options.format = value();
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            options.projectDir = path.resolve(arg);
+        }
+    }
+
+    if (!['markdown', 'json'].includes(options.format)) {
+        throw new Error(`Unknown format: ${options.format}`);
+    }
+    if (options.testFile === '-' && options.analyzeFile === '-') {
+        throw new Error('Only one of --test and --analyze can read stdin');
+    }
+    if (!options.run && !options.testFile && !options.analyzeFile && !options.coverage) {
+        throw new Error('Nothing to report: pass --run, --test, --analyze or --coverage');
+    }
+
+    return options;
+}
+
+function readInput(file) {
+    return fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+}
+
+function runTool(command, args, projectDir) {
+    const result = spawnSync(command, args, { cwd: projectDir, encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+    if (result.error) {
+        throw new Error(`Could not run ${command}: ${result.error.message}`);
+    }
+    return `${result.stdout}\n${result.stderr}`;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(2);
+    }
+
+    if (options.help) {
+        printHelp();
+        return;
+    }
+
+    let report;
+    let previous;
+    try {
+        let testOutput = options.testFile ? readInput(options.testFile) : null;
+        let analyzeOutput = options.analyzeFile ? readInput(options.analyzeFile) : null;
+        if (options.run && testOutput === null && !options.skipTests) {
+            testOutput = runTool('flutter', ['test', '--machine', ...(options.coverage ? ['--coverage'] : [])], options.projectDir);
+        }
+        if (options.run && analyzeOutput === null && !options.skipAnalyze) {
+            analyzeOutput = runTool('dart', ['analyze', '--format=machine'], options.projectDir);
+        }
+
+        report = buildVerificationReport({
+            projectDir: options.projectDir,
+            tests: testOutput === null ? null : parseFlutterTestMachine(testOutput, { projectDir: options.projectDir }),
+            issues: analyzeOutput === null ? null : parseAnalyzerOutput(analyzeOutput, { projectDir: options.projectDir }),
+            coverage: options.coverage ? readCoverage(options.projectDir, {
+                lcovPath: options.lcovPath,
+                thresholds: { ...DEFAULT_THRESHOLDS, ...options.thresholds }
+            }) : null
+        });
+        previous = options.compare ? JSON.parse(readInput(options.compare)) : loadVerificationReport(options.projectDir);
+    } catch (error) {
+        console.error(error.message);
+        process.exit(2);
+    }
+
+    const diff = diffVerificationReports(previous, report);
+    if (options.save) saveVerificationReport(options.projectDir, report);
+
+    if (options.format === 'json') {
+        console.log(JSON.stringify({ ...report, diff }, null, 2));
+    } else {
+        process.stdout.write(formatVerificationReport(report, { diff }));
+    }
+
+    process.exit(report.passed ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+// flutter-craft - create, list and remove git worktrees with Flutter setup
+
+import path from 'path';
+import {
+    createWorktree,
+    listWorktrees,
+    removeWorktree,
+    pruneWorktrees,
+    formatWorktreeList
+} from '../lib/worktrees.js';
+
+const COMMANDS = ['create', 'list', 'remove', 'prune'];
+
+function printHelp() {
+    console.log(`
+Flutter-Craft Worktrees
+
+Usage:
+  node scripts/worktrees.js create <branch> [--base <ref>] [--path <dir>] [options]
+  node scripts/worktrees.js list [--base <branch>] [--format text|json]
+  node scripts/worktrees.js remove <branch|path> [--delete-branch] [--force]
+  node scripts/worktrees.js prune [--dry-run]
+
+Commands:
+  create             Add a worktree for <branch> (created from --base when it does not exist)
+                     and run flutter pub get / melos bootstrap and build_runner in it
+  list               Show each worktree's branch, dirty files, lock, dependencies and staleness
+  remove             Remove a worktree; refuses dirty or locked worktrees without --force
+  prune              Drop records of worktrees whose directories are gone
+
+Options:
+  --repo <dir>       Directory inside the repository (default: current directory)
+  --base <ref>       create: start point for a new branch (default: HEAD)
+                     list: branch for merged/ahead/behind (default: origin HEAD, main or master)
+  --path <dir>       create: worktree directory instead of the convention
+  --in-project       create: use <repo>/.worktrees/<branch> even if it does not exist yet
+  --sibling          create: use ../<repo>-<branch> even if <repo>/.worktrees exists
+  --fix-gitignore    create: add the worktree directory to .gitignore instead of failing
+  --no-bootstrap     create: skip pub get, build_runner and hooks
+  --no-codegen       create: skip build_runner
+  --hook <command>   create: extra shell command to run in the worktree, repeatable
+  --delete-branch    remove: also delete the branch (unmerged branches need --force)
+  --force            remove: discard uncommitted changes, remove locked worktrees
+  --dry-run          prune: only list what would be pruned
+  --format <fmt>     Output format: text (default) or json
+  --help, -h         Show this help
+
+The default directory is <repo>/.worktrees/<branch> (or worktrees/<branch>)
+when that directory exists, otherwise ../<repo>-<branch>, with "/" in the
+branch replaced by "-". A directory inside the repository must be gitignored.
+
+Exit codes:
+  0  Success
+  1  create: a bootstrap step failed (the worktree is kept)
+  2  Invalid arguments or git refused the operation
+`);
+}
+
+function parseArgs(args) {
+    const options = { positional: [], format: 'text', repoDir: process.cwd(), hooks: [] };
+    const valueOptions = {
+        '--repo': 'repoDir',
+        '--base': 'base',
+        '--path': 'path',
+        '--format': 'format'
+    };
+    const flags = {
+        '--in-project': ['location', 'project'],
+        '--sibling': ['location', 'sibling'],
+        '--fix-gitignore': ['fixGitignore', true],
+        '--no-bootstrap': ['bootstrap', false],
+        '--no-codegen': ['codegen', false],
+        '--delete-branch': ['deleteBranch', true],
+        '--force': ['force', true],
+        '--dry-run': ['dryRun', true]
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (valueOptions[arg] || arg === '--hook') {
+            if (i + 1 >= args.length) throw new Error(`${arg} requires a value`);
+            if (arg === '--hook') options.hooks.push(args[++i]);
+            else options[valueOptions[arg]] = args[++i];
+        } else if (flags[arg]) {
+            options[flags[arg][0]] = flags[arg][1];
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            options.positional.push(arg);
+        }
+    }
+
+    if (options.help) return options;
+
+    options.command = options.positional.shift();
+    if (!COMMANDS.includes(options.command)) {
+        throw new Error(`Unknown command: ${options.command || '(none)'} (expected ${COMMANDS.join(', ')})`);
+    }
+    if (!['text', 'json'].includes(options.format)) {
+        throw new Error(`Unknown format: ${options.format}`);
+    }
+    if ((options.command === 'create' || options.command === 'remove') && !options.positional[0]) {
+        throw new Error(`${options.command} requires a ${options.command === 'create' ? 'branch' : 'branch or path'}`);
+    }
+    options.repoDir = path.resolve(options.repoDir);
+
+    return options;
+}
+
+function printCreate(result) {
+    if (result.gitignoreEntry) console.log(`Added ${result.gitignoreEntry} to .gitignore (commit it)`);
+    console.log(`Created worktree ${result.path} on ${result.newBranch ? `new branch ${result.branch} from ${result.base}` : result.branch}`);
+    for (const step of result.steps) {
+        console.log(`  ${step.status.padEnd(7)} ${step.name}`);
+    }
+    const failed = result.steps.find(step => step.status === 'failed');
+    if (failed) {
+        console.log(`\n${failed.name} failed${failed.exitCode === null ? '' : ` (exit ${failed.exitCode})`}:`);
+        console.log(failed.output.split('\n').slice(-20).map(line => `  ${line}`).join('\n'));
+    }
+}
+
+function run(options) {
+    switch (options.command) {
+    case 'create': {
+        const result = createWorktree(options.repoDir, {
+            branch: options.positional[0],
+            base: options.base,
+            path: options.path,
+            location: options.location,
+            fixGitignore: options.fixGitignore,
+            bootstrap: options.bootstrap,
+            codegen: options.codegen,
+            hooks: options.hooks
+        });
+        if (options.format === 'json') {
+            console.log(JSON.stringify(result, null, 2));
+        } else {
+            printCreate(result);
+        }
+        return result.ready ? 0 : 1;
+    }
+
+    case 'list': {
+        const list = listWorktrees(options.repoDir, { base: options.base });
+        if (options.format === 'json') {
+            console.log(JSON.stringify(list, null, 2));
+        } else {
+            process.stdout.write(formatWorktreeList(list));
+        }
+        return 0;
+    }
+
+    case 'remove': {
+        const result = removeWorktree(options.repoDir, options.positional[0], {
+            force: options.force,
+            deleteBranch: options.deleteBranch
+        });
+        if (options.format === 'json') {
+            console.log(JSON.stringify(result, null, 2));
+        } else {
+            console.log(`${result.pruned ? 'Pruned' : 'Removed'} worktree ${result.path}${result.branchDeleted ? ` and deleted branch ${result.branch}` : ''}`);
+        }
+        return 0;
+    }
+
+    case 'prune': {
+        const pruned = pruneWorktrees(options.repoDir, { dryRun: options.dryRun });
+        if (options.format === 'json') {
+            console.log(JSON.stringify({ dryRun: Boolean(options.dryRun), pruned }, null, 2));
+        } else if (!pruned.length) {
+            console.log('No stale worktrees.');
+        } else {
+            for (const worktreePath of pruned) console.log(`${options.dryRun ? 'Would prune' : 'Pruned'} ${worktreePath}`);
+        }
+        return 0;
+    }
+    }
+    return 2;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(2);
+    }
+
+    if (options.help) {
+        printHelp();
+        return;
+    }
+
+    try {
+        process.exit(run(options));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(2);
+    }
+}
+
+main();
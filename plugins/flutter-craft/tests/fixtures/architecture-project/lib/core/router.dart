@@ -0,0 +1 @@
+import '../features/auth/presentation/pages/login_page.dart';
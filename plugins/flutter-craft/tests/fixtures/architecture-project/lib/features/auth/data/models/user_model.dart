@@ -0,0 +1,4 @@
+import 'package:arch_sample/features/auth/domain/entities/user.dart';
+import '../../presentation/pages/login_page.dart';
+
+class UserModel extends User {}
@@ -0,0 +1 @@
+import '../../presentation/pages/login_page.dart';
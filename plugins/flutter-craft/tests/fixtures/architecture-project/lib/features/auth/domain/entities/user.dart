@@ -0,0 +1,4 @@
+import 'package:flutter/material.dart';
+import '../../data/models/user_model.dart';
+
+class User {}
@@ -0,0 +1,7 @@
+import 'package:flutter/material.dart';
+import '../../domain/entities/user.dart';
+/*
+import '../../../profile/presentation/profile_page.dart';
+*/
+
+class LoginPage {}
@@ -0,0 +1,4 @@
+import 'package:arch_sample/features/auth/domain/entities/user.dart';
+import 'package:arch_sample/features/auth/data/models/user_model.dart';
+
+class ProfilePage {}
@@ -0,0 +1,8 @@
+String routeFor(String name) {
+  switch (name) {
+    case 'login':
+      return '/login';
+    default:
+      return '/';
+  }
+}
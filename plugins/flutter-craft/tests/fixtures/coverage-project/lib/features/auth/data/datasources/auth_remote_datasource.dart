@@ -0,0 +1,6 @@
+class AuthRemoteDataSource {
+  Future<String> signIn(String email, String password) async {
+    await Future<void>.delayed(const Duration(milliseconds: 10));
+    return 'token-$email';
+  }
+}
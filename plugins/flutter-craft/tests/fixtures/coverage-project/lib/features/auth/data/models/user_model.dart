@@ -0,0 +1,9 @@
+part 'user_model.g.dart';
+
+class UserModel {
+  const UserModel({required this.id});
+
+  factory UserModel.fromJson(Map<String, dynamic> json) => _$UserModelFromJson(json);
+
+  final String id;
+}
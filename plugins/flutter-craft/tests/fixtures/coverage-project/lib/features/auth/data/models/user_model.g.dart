@@ -0,0 +1,3 @@
+part of 'user_model.dart';
+
+UserModel _$UserModelFromJson(Map<String, dynamic> json) => UserModel(id: json['id'] as String);
@@ -0,0 +1,20 @@
+import '../../domain/repositories/auth_repository.dart';
+import '../datasources/auth_remote_datasource.dart';
+
+class AuthRepositoryImpl implements AuthRepository {
+  AuthRepositoryImpl(this._remote);
+
+  final AuthRemoteDataSource _remote;
+
+  @override
+  Future<String?> signIn(String email, String password) async {
+    if (email.isEmpty || password.isEmpty) {
+      return null;
+    }
+    try {
+      return await _remote.signIn(email, password);
+    } on Exception {
+      return null;
+    }
+  }
+}
@@ -0,0 +1,4 @@
+/// Contract implemented by the data layer; has nothing a test could execute.
+abstract class AuthRepository {
+  Future<String?> signIn(String email, String password);
+}
@@ -0,0 +1,12 @@
+import '../../domain/repositories/auth_repository.dart';
+
+class AuthBloc {
+  AuthBloc(this._repository);
+
+  final AuthRepository _repository;
+  String? token;
+
+  Future<void> signIn(String email, String password) async {
+    token = await _repository.signIn(email, password);
+  }
+}
@@ -0,0 +1,15 @@
+import '../bloc/auth_bloc.dart';
+
+class LoginPage {
+  const LoginPage(this.bloc);
+
+  final AuthBloc bloc;
+
+  String build() {
+    final token = bloc.token;
+    if (token == null) {
+      return 'Sign in';
+    }
+    return 'Welcome';
+  }
+}